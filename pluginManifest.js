@@ -0,0 +1,294 @@
+// 🧩 RydeSync Plugin Manifests
+// Every plugin in public/plugins ships a <id>.manifest.json next to its module;
+// the server scans them and serves the catalog at /api/plugins, the one source
+// the gallery, room creator and plugin manager read plugin metadata from
+const fs = require("fs");
+const path = require("path");
+
+const MANIFEST_VERSION = 1;
+const MANIFEST_SUFFIX = ".manifest.json";
+
+// Host capabilities a plugin can ask for
+const PERMISSIONS = ["room", "audio", "playback", "sync", "notifications", "styles", "storage"];
+
+// Types a plugin setting can have; select settings pick one of their options
+const SETTING_TYPES = ["boolean", "number", "string", "select"];
+const SETTING_KEY_PATTERN = /^[a-zA-Z][a-zA-Z0-9_]*$/;
+
+// Plugin IDs double as room types and room names, so they follow the room name rules
+const ID_PATTERN = /^[a-zA-Z0-9-]+$/;
+const VERSION_PATTERN = /^\d+\.\d+\.\d+(?:-[0-9A-Za-z.-]+)?$/;
+const ENTRY_PATTERN = /^[a-zA-Z0-9_-]+(?:\/[a-zA-Z0-9_-]+)*\.js$/;
+// One comparator of a dependency's semver range (^1.2.0, >=1.0.0, 1.4.2, ...)
+const RANGE_COMPARATOR_PATTERN = /^(?:\^|~|>=|<=|>|<|=)?\d+\.\d+\.\d+(?:-[0-9A-Za-z.-]+)?$/;
+
+const isString = value => typeof value === "string" && value.length > 0;
+const isOptionalString = value => value === undefined || typeof value === "string";
+
+/**
+ * Check a dependency's version range: comparators joined by spaces, alternatives by ||
+ * (public/src/pluginDependencies.js evaluates them)
+ * @param {string} range - Range, e.g. "^1.0.0" or ">=1.2.0 <2.0.0 || 3.0.0"
+ * @returns {boolean} Whether the range is well-formed
+ */
+function isVersionRange(range) {
+  if (!isString(range)) return false;
+  return range.split("||").every(alternative => {
+    const comparators = alternative.trim().split(/\s+/).filter(Boolean);
+    if (comparators.length === 1 && comparators[0] === "*") return true;
+    return comparators.length > 0 && comparators.every(c => RANGE_COMPARATOR_PATTERN.test(c));
+  });
+}
+
+/**
+ * Check a plugin's settings schema
+ * @param {Object} settings - { <key>: { type, label, description, default, options, min, max } }
+ * @returns {string[]} Problems found (empty when valid)
+ */
+function validateSettingsSchema(settings) {
+  if (!settings || typeof settings !== "object" || Array.isArray(settings)) {
+    return ["settings must be an object of setting definitions"];
+  }
+
+  const errors = [];
+  Object.entries(settings).forEach(([key, setting]) => {
+    const where = `settings.${key}`;
+
+    if (!SETTING_KEY_PATTERN.test(key)) {
+      errors.push(`${where}: keys must start with a letter and contain only letters, numbers, and underscores`);
+      return;
+    }
+    if (!setting || typeof setting !== "object" || !SETTING_TYPES.includes(setting.type)) {
+      errors.push(`${where}: type must be one of: ${SETTING_TYPES.join(", ")}`);
+      return;
+    }
+    if (!isString(setting.label)) errors.push(`${where}: label is required`);
+    if (!isOptionalString(setting.description)) errors.push(`${where}: description must be a string`);
+
+    if (setting.type === "select" &&
+        !(Array.isArray(setting.options) && setting.options.length > 0 && setting.options.every(isString))) {
+      errors.push(`${where}: options must be a list of strings`);
+      return;
+    }
+    if (setting.type === "number") {
+      ["min", "max"].forEach(bound => {
+        if (setting[bound] !== undefined && !Number.isFinite(setting[bound])) {
+          errors.push(`${where}: ${bound} must be a number`);
+        }
+      });
+    }
+
+    if (!isValidSettingValue(setting, setting.default)) {
+      errors.push(`${where}: default must be a valid ${setting.type}`);
+    }
+  });
+
+  return errors;
+}
+
+/**
+ * Check a value against a setting definition
+ * @param {Object} setting - Setting definition from a manifest
+ * @param {*} value - Value to check
+ * @returns {boolean} Whether the value fits the setting
+ */
+function isValidSettingValue(setting, value) {
+  switch (setting.type) {
+    case "boolean":
+      return typeof value === "boolean";
+    case "number":
+      return Number.isFinite(value) &&
+        (setting.min === undefined || value >= setting.min) &&
+        (setting.max === undefined || value <= setting.max);
+    case "string":
+      return typeof value === "string";
+    case "select":
+      return setting.options.includes(value);
+    default:
+      return false;
+  }
+}
+
+/**
+ * Check a manifest against the schema
+ * @param {Object} manifest - Parsed manifest
+ * @returns {string[]} Problems found (empty when valid)
+ */
+function validateManifest(manifest) {
+  const errors = [];
+
+  if (!manifest || typeof manifest !== "object" || Array.isArray(manifest)) {
+    return ["Manifest must be a JSON object"];
+  }
+
+  if (manifest.manifestVersion !== MANIFEST_VERSION) {
+    errors.push(`manifestVersion must be ${MANIFEST_VERSION}`);
+  }
+  if (!isString(manifest.id) || !ID_PATTERN.test(manifest.id)) {
+    errors.push("id must contain only letters, numbers, and dashes");
+  }
+  if (!isString(manifest.name)) {
+    errors.push("name is required");
+  }
+  if (!isString(manifest.version) || !VERSION_PATTERN.test(manifest.version)) {
+    errors.push("version must be a semantic version (e.g. 1.0.0)");
+  }
+  if (!isString(manifest.entry) || !ENTRY_PATTERN.test(manifest.entry)) {
+    errors.push("entry must be a .js module path relative to public/plugins");
+  }
+
+  ["description", "author", "icon", "badge", "unlockKey"].forEach(field => {
+    if (!isOptionalString(manifest[field])) errors.push(`${field} must be a string`);
+  });
+
+  if (manifest.theme !== undefined && !(isString(manifest.theme) && ID_PATTERN.test(manifest.theme))) {
+    errors.push("theme must contain only letters, numbers, and dashes");
+  }
+  if (manifest.styles !== undefined &&
+      !(Array.isArray(manifest.styles) && manifest.styles.every(isString))) {
+    errors.push("styles must be a list of stylesheet URLs");
+  }
+  // Manifest stylesheets are linked into the page itself, outside the iframe
+  if (manifest.sandbox === true && manifest.styles !== undefined && manifest.styles.length > 0) {
+    errors.push("styles can't be used by sandboxed plugins, inject scoped CSS with host.styles instead");
+  }
+  if (manifest.permissions !== undefined &&
+      !(Array.isArray(manifest.permissions) && manifest.permissions.every(p => PERMISSIONS.includes(p)))) {
+    errors.push(`permissions must be a list of: ${PERMISSIONS.join(", ")}`);
+  }
+  if (manifest.playlist !== undefined &&
+      !(Array.isArray(manifest.playlist) && manifest.playlist.every(t => t && isString(t.title) && isString(t.url)))) {
+    errors.push("playlist must be a list of { title, url } tracks");
+  }
+  if (manifest.features !== undefined &&
+      !(Array.isArray(manifest.features) && manifest.features.every(f => f && isString(f.text)))) {
+    errors.push("features must be a list of { icon, text } items");
+  }
+
+  if (manifest.hostApiVersion !== undefined &&
+      !(Number.isInteger(manifest.hostApiVersion) && manifest.hostApiVersion > 0)) {
+    errors.push("hostApiVersion must be a positive whole number");
+  }
+  if (manifest.dependencies !== undefined) {
+    if (!manifest.dependencies || typeof manifest.dependencies !== "object" || Array.isArray(manifest.dependencies)) {
+      errors.push("dependencies must be an object of { <plugin or module>: <version range> }");
+    } else {
+      Object.entries(manifest.dependencies).forEach(([name, range]) => {
+        if (!ID_PATTERN.test(name)) {
+          errors.push(`dependencies: "${name}" is not a plugin or module name`);
+        } else if (name === manifest.id) {
+          errors.push("dependencies: a plugin can't depend on itself");
+        } else if (!isVersionRange(range)) {
+          errors.push(`dependencies.${name} must be a version range (e.g. ^1.0.0)`);
+        }
+      });
+    }
+  }
+  if (manifest.price !== undefined && !(Number.isInteger(manifest.price) && manifest.price >= 0)) {
+    errors.push("price must be a whole number of credits");
+  }
+  if (manifest.requiresUnlock === true && !(Number.isInteger(manifest.price) && manifest.price > 0)) {
+    errors.push("price is required when requiresUnlock is set");
+  }
+  if (manifest.settings !== undefined) {
+    errors.push(...validateSettingsSchema(manifest.settings));
+  }
+
+  ["definesRoomType", "requiresUnlock", "sandbox"].forEach(field => {
+    if (manifest[field] !== undefined && typeof manifest[field] !== "boolean") {
+      errors.push(`${field} must be true or false`);
+    }
+  });
+
+  return errors;
+}
+
+/**
+ * Fill in defaults so consumers don't have to
+ * @param {Object} manifest - Valid manifest
+ * @returns {Object} Manifest with every optional field present
+ */
+function normalizeManifest(manifest) {
+  return {
+    manifestVersion: MANIFEST_VERSION,
+    id: manifest.id,
+    name: manifest.name,
+    version: manifest.version,
+    description: manifest.description || "",
+    author: manifest.author || "",
+    entry: manifest.entry,
+    entryUrl: `/plugins/${manifest.entry}`,
+    theme: manifest.theme || null,
+    styles: manifest.styles || [],
+    permissions: manifest.permissions || [],
+    playlist: manifest.playlist || [],
+    definesRoomType: manifest.definesRoomType || false,
+    icon: manifest.icon || "🎵",
+    badge: manifest.badge || null,
+    features: manifest.features || [],
+    requiresUnlock: manifest.requiresUnlock || false,
+    unlockKey: manifest.unlockKey || manifest.id,
+    price: manifest.price || 0,
+    sandbox: manifest.sandbox || false,
+    settings: manifest.settings || {},
+    hostApiVersion: manifest.hostApiVersion || 1,
+    dependencies: manifest.dependencies || {}
+  };
+}
+
+/**
+ * Scan a directory for plugin manifests
+ * Invalid manifests are skipped and reported, so one bad plugin doesn't hide the rest
+ * @param {string} dir - Plugins directory
+ * @returns {Object} { manifestVersion, plugins, errors }
+ */
+function loadPluginManifests(dir) {
+  const plugins = [];
+  const errors = [];
+
+  let files = [];
+  try {
+    files = fs.readdirSync(dir).filter(file => file.endsWith(MANIFEST_SUFFIX)).sort();
+  } catch (err) {
+    errors.push({ file: dir, errors: [err.message] });
+  }
+
+  files.forEach(file => {
+    let manifest;
+    try {
+      manifest = JSON.parse(fs.readFileSync(path.join(dir, file), "utf8"));
+    } catch (err) {
+      errors.push({ file, errors: [`Invalid JSON: ${err.message}`] });
+      return;
+    }
+
+    const problems = validateManifest(manifest);
+    if (problems.length === 0 && file !== `${manifest.id}${MANIFEST_SUFFIX}`) {
+      problems.push(`file name must be ${manifest.id}${MANIFEST_SUFFIX}`);
+    }
+    if (problems.length === 0 && !fs.existsSync(path.join(dir, manifest.entry))) {
+      problems.push(`entry ${manifest.entry} not found`);
+    }
+
+    if (problems.length > 0) {
+      errors.push({ file, errors: problems });
+    } else {
+      plugins.push(normalizeManifest(manifest));
+    }
+  });
+
+  return { manifestVersion: MANIFEST_VERSION, plugins, errors };
+}
+
+module.exports = {
+  MANIFEST_VERSION,
+  MANIFEST_SUFFIX,
+  PERMISSIONS,
+  SETTING_TYPES,
+  validateManifest,
+  validateSettingsSchema,
+  isValidSettingValue,
+  isVersionRange,
+  normalizeManifest,
+  loadPluginManifests
+};
@@ -5,7 +5,7 @@
  * It initializes the core components and manages the integration between:
  * 
  * 1. PeerJS voice communication
- * 2. Firebase/Firestore music synchronization
+ * 2. Music synchronization (Firestore or the self-hosted room state server, see musicSync.js)
  * 3. Playlist management (via playlistManager.js)
  * 4. Volume control (via volumeControl.js)
  * 
@@ -16,9 +16,16 @@
  * @module app
  */
 
-// Import Firebase configuration at the top of the file
-import app from '../src/firebase.js';
 import { initializePlugins, cleanupPlugins } from '../pluginManager.js'; 
+import { getDriftCorrectionStatus } from '../src/driftCorrector.js';
+import { getClockSyncStatus } from '../src/clockSync.js';
+import { isRoomLeader, getRoomLeader, handOffLeadership } from '../musicSync.js';
+import { handleMusicChannelData } from '../src/peerMusicChannel.js';
+import { handlePlaylistChannelData } from '../src/peerPlaylistChannel.js';
+import { handleMusicStreamData, handleMusicStreamCall } from '../src/localTrackStream.js';
+import { handleFileTransferData } from '../src/peerFileTransfer.js';
+import { moderate, handleModerationData, MODERATION_ACTIONS } from '../src/roomModeration.js';
+import { getOwnerKey, saveOwnerKey, setRoomAccessToken } from '../src/roomCredentials.js';
 
 // Export needed functions
 export { 
@@ -44,6 +51,27 @@ let maxReconnectAttempts = 10;
 let reconnectTimer = null;
 let connectionStatus = 'disconnected';
 let firebaseConnected = true;
+let presenceHeartbeatTimer = null;
+let roomEvents = null;
+let roomEventsRetryTimer = null;
+const roomPeerIds = new Set(); // Live peers in our room, from the server's event stream
+let roomAccessToken = null; // Issued by the server when we join, refreshed by heartbeats
+let roomAccessTokenRoom = null; // Room roomAccessToken was issued for
+let roomIsPrivate = false;
+let roomOwnerId = null; // Peer that can moderate the room
+const removedPeerIds = new Set(); // Peers the owner kicked or banned
+
+// Persistent ID for this browser, so bans can cover a device rather than one session
+const DEVICE_ID_KEY = 'rydesync-device-id';
+
+// Keep our room membership alive on the signaling server (its TTL is 60s)
+const PRESENCE_HEARTBEAT_INTERVAL = 20000;
+
+// Wait before reopening a dropped room event stream
+const ROOM_EVENTS_RETRY_DELAY = 3000;
+
+// Newcomers dial everyone they find on join; give them this long before dialing them ourselves
+const NEWCOMER_DIAL_GRACE = 3000;
 
 // Create connection status UI
 const createConnectionStatusUI = () => {
@@ -345,16 +373,27 @@ function initializePeer() {
         return;
       }
       
-      if (window.localStream) {
-        call.answer(window.localStream);
-        handleCall(call);
-      } else {
-        // If we don't have a local stream yet, answer with audio-only
-        // This prevents blocking calls when users haven't granted mic access
-        console.log("Answering call without local stream (audio-only mode)");
-        call.answer();
-        handleCall(call);
-      }
+      // A member's local track, which we asked for over our data connection
+      if (handleMusicStreamCall(call)) return;
+      
+      verifyRoomPeer(currentRoom, call.peer, call.metadata?.accessToken).then(allowed => {
+        if (!allowed) {
+          console.log(`Rejecting call from ${call.peer}: not a member of private room ${currentRoom}`);
+          call.close();
+          return;
+        }
+        
+        if (window.localStream) {
+          call.answer(window.localStream);
+          handleCall(call);
+        } else {
+          // If we don't have a local stream yet, answer with audio-only
+          // This prevents blocking calls when users haven't granted mic access
+          console.log("Answering call without local stream (audio-only mode)");
+          call.answer();
+          handleCall(call);
+        }
+      });
     });
     
     // Set up connection handler with room validation
@@ -370,26 +409,52 @@ function initializePeer() {
         return;
       }
       
-      // Handle valid connection
-      console.log(`Accepting connection from same room: ${connRoomId}`);
-      window.connections.push(conn);
-      
-      // Set up data event handlers
-      conn.on('data', data => {
-        // Handle data messages
-        if (data.type === 'presence' || data.type === 'ping' || data.type === 'pong') {
-          // Update last active time for this peer
-          conn.metadata.lastActive = Date.now();
+      verifyRoomPeer(currentRoom, conn.peer, conn.metadata?.accessToken).then(allowed => {
+        if (!allowed) {
+          console.log(`Rejecting connection from ${conn.peer}: not a member of private room ${currentRoom}`);
+          conn.close();
+          return;
         }
         
-        // If it's a ping, send pong
-        if (data.type === 'ping') {
-          conn.send({
-            type: 'pong',
-            timestamp: Date.now(),
-            pingTimestamp: data.timestamp
-          });
-        }
+        // Handle valid connection
+        console.log(`Accepting connection from same room: ${connRoomId}`);
+        window.connections.push(conn);
+        
+        // Set up data event handlers
+        conn.on('data', data => {
+          // Music sync events from the room leader
+          if (handleMusicChannelData(conn, data)) {
+            conn.metadata.lastActive = Date.now();
+            return;
+          }
+          
+          // Shared queue edits from any participant
+          if (handlePlaylistChannelData(conn, data)) return;
+          
+          // Requests for the local track we're streaming
+          if (handleMusicStreamData(conn, data)) return;
+          
+          // Chunks of shared local tracks riders are fetching
+          if (handleFileTransferData(conn, data)) return;
+          
+          // Kick, ban and mute-all relayed by the room owner
+          if (handleModerationData(conn, data)) return;
+          
+          // Handle data messages
+          if (data.type === 'presence' || data.type === 'ping' || data.type === 'pong') {
+            // Update last active time for this peer
+            conn.metadata.lastActive = Date.now();
+          }
+          
+          // If it's a ping, send pong
+          if (data.type === 'ping') {
+            conn.send({
+              type: 'pong',
+              timestamp: Date.now(),
+              pingTimestamp: data.timestamp
+            });
+          }
+        });
       });
     });
     
@@ -423,6 +488,12 @@ function joinRoom(isReconnect = false) {
     return;
   }
   
+  // Same rules the signaling server enforces
+  if (!/^[a-zA-Z0-9-]+$/.test(room) || room.length > 64) {
+    alert("Room names can only contain letters, numbers, and dashes (up to 64 characters)");
+    return;
+  }
+  
   // Update UI to indicate joining attempt
   document.getElementById("status").innerText = "🔄 Joining room...";
   document.getElementById("joinBtn").disabled = true;
@@ -567,10 +638,20 @@ function performRoomJoin(room, peerId, stream) {
     joined = true;
     window.connections = [];
     
-    // Request peer list from server and connect to them
-    fetch(`/peers?room=${room}`)
-      .then(res => res.json())
+    // Pass the room's password/invite check, then request the peer list and connect to them
+    registerWithRoom(room, peerId)
+      .then(access => {
+        if (!access) return null;
+        return fetch(`/peers?room=${room}`, { headers: getRoomAccessHeaders() }).then(res => res.json());
+      })
       .then(async peers => {
+        if (!peers) {
+          joined = false;
+          document.getElementById("status").innerText = `🔒 Could not join private room: ${room}`;
+          document.getElementById("joinBtn").disabled = false;
+          return;
+        }
+        
         // Update UI
         document.getElementById("status").innerText = `🟢 Joined room: ${room}`;
         document.getElementById("joinBtn").disabled = false;
@@ -588,6 +669,12 @@ function performRoomJoin(room, peerId, stream) {
         // Update peer count display
         updatePeerCount(filteredPeers.length);
         
+        // Keep our membership in the server's room registry alive
+        startPresenceHeartbeat(room, window.peer.id);
+        
+        // Follow joins and leaves live
+        subscribeToRoomEvents(room);
+        
         // Connect to each peer
         filteredPeers.forEach(peerId => {
           if (peerId !== window.peer.id) {
@@ -677,6 +764,7 @@ function connectToPeer(peerId, stream) {
       metadata: {
         type: 'data',
         roomId: currentRoom,
+        accessToken: roomAccessToken,
         lastActive: Date.now()
       }
     });
@@ -709,6 +797,24 @@ function connectToPeer(peerId, stream) {
     });
     
     conn.on('data', data => {
+      // Music sync events from the room leader
+      if (handleMusicChannelData(conn, data)) {
+        conn.metadata.lastActive = Date.now();
+        return;
+      }
+      
+      // Shared queue edits from any participant
+      if (handlePlaylistChannelData(conn, data)) return;
+      
+      // Requests for the local track we're streaming
+      if (handleMusicStreamData(conn, data)) return;
+      
+      // Chunks of shared local tracks riders are fetching
+      if (handleFileTransferData(conn, data)) return;
+      
+      // Kick, ban and mute-all relayed by the room owner
+      if (handleModerationData(conn, data)) return;
+      
       // Handle data messages
       if (data.type === 'presence' || data.type === 'ping' || data.type === 'pong') {
         // Update last active time for this peer
@@ -729,7 +835,8 @@ function connectToPeer(peerId, stream) {
     if (stream) {
       const call = window.peer.call(peerId, stream, {
         metadata: {
-          roomId: currentRoom
+          roomId: currentRoom,
+          accessToken: roomAccessToken
         }
       });
       
@@ -775,6 +882,18 @@ function leaveRoom() {
       console.warn("Could not import volume control for cleanup:", err);
     });
     
+    // Peer ID is cleared by destroy() and the token below, keep them for the leave notification
+    const peerId = window.peer?.id;
+    const leaveHeaders = getRoomAccessHeaders();
+    stopPresenceHeartbeat();
+    unsubscribeFromRoomEvents();
+    // The room state backend keeps its copy so music sync can still write our
+    // leave during cleanupPlugins(); it's forgotten when we join another room
+    roomAccessToken = null;
+    roomIsPrivate = false;
+    roomOwnerId = null;
+    removedPeerIds.clear();
+    
     // Destroy peer connection - this will close all media and data channels
     if (window.peer) {
       window.peer.destroy();
@@ -803,9 +922,12 @@ function leaveRoom() {
     updateDebugStatusBar();
     
     // Notify server we left
-    fetch(`/leave/${room}/${window.peer.id}`, {
-      method: "POST"
-    }).catch(err => console.error("Error notifying server about leave:", err));
+    if (peerId) {
+      fetch(`/leave/${encodeURIComponent(room)}/${encodeURIComponent(peerId)}`, {
+        method: "POST",
+        headers: leaveHeaders
+      }).catch(err => console.error("Error notifying server about leave:", err));
+    }
     
     // Call cleanup plugins
     cleanupPlugins();
@@ -814,6 +936,432 @@ function leaveRoom() {
   }
 }
 
+/**
+ * Join the room on the signaling server
+ * Private rooms need an invite token (from the ?invite= link) or the password,
+ * which the user is prompted for until it's right or they give up
+ * @param {string} room - Room name
+ * @param {string} peerId - Our peer ID
+ * @param {boolean} [interactive=true] - Prompt for the password of a private room
+ * @returns {Promise<Object|null>} Join result, or null if access was denied
+ */
+async function registerWithRoom(room, peerId, interactive = true) {
+  const url = `/join/${encodeURIComponent(room)}/${encodeURIComponent(peerId)}`;
+  const invite = new URLSearchParams(location.search).get('invite');
+  let credentials = invite ? { invite } : {};
+  
+  useRoomAccessToken(room, null);
+  roomIsPrivate = false;
+  roomOwnerId = null;
+  
+  while (true) {
+    let res;
+    try {
+      res = await fetch(url, {
+        method: "POST",
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify({ ...credentials, deviceId: getDeviceId(), ownerKey: getOwnerKey(room) })
+      });
+    } catch (err) {
+      // Registry trouble shouldn't keep us out of public rooms; heartbeats retry the join
+      console.warn("Error registering with room registry:", err);
+      return {};
+    }
+    
+    const result = await res.json().catch(() => ({}));
+    
+    if (res.ok) {
+      // We created the room: keep the key that makes us its owner
+      if (result.ownerKey) saveOwnerKey(room, result.ownerKey);
+      useRoomAccessToken(room, result.accessToken);
+      roomIsPrivate = !!result.private;
+      roomOwnerId = result.owner || null;
+      return result;
+    }
+    
+    if (result.banned) {
+      alert(`You are banned from ${room} until ${new Date(result.until).toLocaleString()}`);
+      return null;
+    }
+    
+    if (res.status !== 403) {
+      console.warn(`Room registry rejected join (${res.status}):`, result.error);
+      return {};
+    }
+    if (!interactive) return null;
+    
+    const message = credentials.invite || credentials.password
+      ? `${result.error}. Enter the password for ${room}:`
+      : `${room} is private. Enter the room password:`;
+    const password = prompt(message);
+    if (!password) return null;
+    
+    credentials = { password };
+  }
+}
+
+function getDeviceId() {
+  let deviceId = localStorage.getItem(DEVICE_ID_KEY);
+  if (!deviceId) {
+    deviceId = crypto.randomUUID ? crypto.randomUUID() : Math.random().toString(36).slice(2);
+    localStorage.setItem(DEVICE_ID_KEY, deviceId);
+  }
+  return deviceId;
+}
+
+/**
+ * Switch to a new access token, sharing it with the room state backend
+ * (roomCredentials.js); a token for another room is forgotten there
+ * @param {string} room - Room the token is for
+ * @param {string|null} token - Access token, or null while we have none
+ */
+function useRoomAccessToken(room, token) {
+  if (roomAccessTokenRoom && roomAccessTokenRoom !== room) {
+    setRoomAccessToken(roomAccessTokenRoom, null);
+  }
+  roomAccessTokenRoom = room;
+  roomAccessToken = token || null;
+  setRoomAccessToken(room, roomAccessToken);
+}
+
+// Headers proving our membership of the room
+function getRoomAccessHeaders() {
+  return roomAccessToken ? { "X-Room-Token": roomAccessToken } : {};
+}
+
+/**
+ * Check that a peer calling or connecting to us was let into our room
+ * Peers in a private room are either on the server's member list or carry
+ * an access token the server can vouch for
+ * @param {string} room - Room name
+ * @param {string} peerId - Remote peer ID
+ * @param {string} token - Access token from the connection metadata
+ * @returns {Promise<boolean>} Whether to accept the peer
+ */
+async function verifyRoomPeer(room, peerId, token) {
+  if (removedPeerIds.has(peerId)) return false;
+  if (!roomIsPrivate || roomPeerIds.has(peerId)) return true;
+  if (!token) return false;
+  
+  try {
+    const res = await fetch(`/rooms/${encodeURIComponent(room)}/verify`, {
+      method: "POST",
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify({ peerId, token })
+    });
+    const { valid } = await res.json();
+    return !!valid;
+  } catch (err) {
+    console.warn(`Could not verify peer ${peerId}:`, err);
+    return false;
+  }
+}
+
+/**
+ * Send heartbeats while we're in the room
+ * Peers that stop sending heartbeats are evicted from /peers and /rooms
+ * @param {string} room - Room name
+ * @param {string} peerId - Our peer ID
+ */
+function startPresenceHeartbeat(room, peerId) {
+  stopPresenceHeartbeat();
+  if (!room || !peerId) return;
+  
+  const base = `${encodeURIComponent(room)}/${encodeURIComponent(peerId)}`;
+  let rejoining = false;
+  
+  presenceHeartbeatTimer = setInterval(() => {
+    const ownerKey = getOwnerKey(room);
+    const headers = { ...getRoomAccessHeaders(), ...(ownerKey ? { "X-Room-Owner-Key": ownerKey } : {}) };
+    
+    fetch(`/heartbeat/${base}`, { method: "POST", headers })
+      .then(res => res.json())
+      .then(result => {
+        // A fresh access token before the old one expires
+        if (result.accessToken) useRoomAccessToken(room, result.accessToken);
+        if (result.banned) {
+          handleRemovedFromRoom(MODERATION_ACTIONS.BAN);
+        } else if (result.rejoin) {
+          // We never got a token (the registry was down when we joined) or the
+          // server forgot it (restarted without ROOM_SECRET): join again
+          if (rejoining) return;
+          rejoining = true;
+          registerWithRoom(room, peerId, false)
+            .then(rejoined => {
+              if (rejoined?.accessToken && DEBUG_MODE) console.log(`👥 Re-joined ${room} on the signaling server`);
+            })
+            .finally(() => { rejoining = false; });
+        } else if (result.error) {
+          console.warn("Presence heartbeat rejected:", result.error);
+        }
+      })
+      .catch(err => console.warn("Presence heartbeat failed:", err));
+  }, PRESENCE_HEARTBEAT_INTERVAL);
+}
+
+function stopPresenceHeartbeat() {
+  if (presenceHeartbeatTimer) {
+    clearInterval(presenceHeartbeatTimer);
+    presenceHeartbeatTimer = null;
+  }
+}
+
+/**
+ * Subscribe to the server's membership event stream for a room
+ * Keeps the peer list and call mesh up to date without polling
+ * @param {string} room - Room name
+ */
+function subscribeToRoomEvents(room) {
+  unsubscribeFromRoomEvents();
+  
+  if (typeof EventSource === 'undefined') {
+    console.warn("EventSource not supported, peer list will only update on refresh");
+    return;
+  }
+  
+  const tokenParam = roomAccessToken ? `?token=${encodeURIComponent(roomAccessToken)}` : '';
+  roomEvents = new EventSource(`/rooms/${encodeURIComponent(room)}/events${tokenParam}`);
+  
+  // Sent on every (re)connect: reconcile with the full list
+  roomEvents.addEventListener('snapshot', event => {
+    const { peers, owner } = JSON.parse(event.data);
+    
+    roomOwnerId = owner || null;
+    roomPeerIds.clear();
+    peers.forEach(peerId => roomPeerIds.add(peerId));
+    peers.forEach(peerId => scheduleDialIfMissing(peerId));
+    
+    refreshPeerViews();
+  });
+  
+  roomEvents.addEventListener('join', event => {
+    const { peerId } = JSON.parse(event.data);
+    if (DEBUG_MODE) console.log(`📣 Peer joined room: ${peerId}`);
+    
+    roomPeerIds.add(peerId);
+    scheduleDialIfMissing(peerId);
+    refreshPeerViews();
+  });
+  
+  ['leave', 'stale', 'kick'].forEach(type => {
+    roomEvents.addEventListener(type, event => {
+      const { peerId } = JSON.parse(event.data);
+      if (DEBUG_MODE) console.log(`📣 Peer ${{ stale: 'timed out', kick: 'was removed' }[type] || 'left'}: ${peerId}`);
+      
+      if (type === 'kick') {
+        if (peerId === window.peer?.id) {
+          handleRemovedFromRoom(MODERATION_ACTIONS.KICK);
+          return;
+        }
+        removedPeerIds.add(peerId);
+      }
+      
+      roomPeerIds.delete(peerId);
+      closePeerConnections(peerId);
+      refreshPeerViews();
+    });
+  });
+  
+  roomEvents.addEventListener('owner', event => {
+    const { peerId } = JSON.parse(event.data);
+    if (DEBUG_MODE) console.log(peerId ? `📣 Room owner is now ${peerId}` : "📣 Room owner left");
+    
+    roomOwnerId = peerId;
+    refreshPeerViews();
+  });
+  
+  roomEvents.onerror = () => {
+    // EventSource would reconnect by itself with the token it was opened with,
+    // which heartbeats may have replaced since; reopen it with the latest one
+    // (it sends a fresh snapshot)
+    if (DEBUG_MODE) console.warn("Room event stream interrupted, reconnecting...");
+    const source = roomEvents;
+    source.close();
+    clearTimeout(roomEventsRetryTimer);
+    roomEventsRetryTimer = setTimeout(() => {
+      roomEventsRetryTimer = null;
+      if (roomEvents === source) subscribeToRoomEvents(room);
+    }, ROOM_EVENTS_RETRY_DELAY);
+  };
+}
+
+function unsubscribeFromRoomEvents() {
+  clearTimeout(roomEventsRetryTimer);
+  roomEventsRetryTimer = null;
+  if (roomEvents) {
+    roomEvents.close();
+    roomEvents = null;
+  }
+  roomPeerIds.clear();
+}
+
+/**
+ * Dial a peer if nobody has connected us after the grace period
+ * Only the peer with the lower ID dials, so both sides don't connect twice
+ * @param {string} peerId - Peer to connect to
+ */
+function scheduleDialIfMissing(peerId) {
+  if (!window.peer || peerId === window.peer.id || window.peer.id > peerId) return;
+  
+  setTimeout(() => {
+    if (!joined || !window.peer || !roomPeerIds.has(peerId)) return;
+    
+    const connected = window.connections.some(conn => conn && conn.peer === peerId && conn.open);
+    if (!connected) {
+      console.log(`Connecting to newcomer: ${peerId}`);
+      connectToPeer(peerId, window.localStream);
+    }
+  }, NEWCOMER_DIAL_GRACE);
+}
+
+/**
+ * Close data and media connections to a peer that left
+ * @param {string} peerId - Peer that left
+ */
+function closePeerConnections(peerId) {
+  window.connections = window.connections.filter(conn => {
+    if (conn && conn.peer === peerId) {
+      conn.close();
+      return false;
+    }
+    return true;
+  });
+  
+  // Media calls (their close handlers remove the peer's audio element)
+  const peerConnections = window.peer?.connections?.[peerId] || [];
+  peerConnections.forEach(conn => conn.close());
+}
+
+function refreshPeerViews() {
+  const selfId = window.peer?.id;
+  updatePeerCount([...roomPeerIds].filter(peerId => peerId !== selfId).length);
+  updatePeersActivity();
+  updateDebugStatusBar();
+}
+
+/**
+ * Enforce a verified moderation action from the room owner
+ * @param {Object} detail - 'room-moderation' event detail
+ */
+function handleModerationEvent({ action, target, by }) {
+  const selfId = window.peer?.id;
+  
+  if (action === MODERATION_ACTIONS.MUTE_ALL) {
+    if (by !== selfId) forceMute();
+    return;
+  }
+  
+  if (target === selfId) {
+    handleRemovedFromRoom(action);
+    return;
+  }
+  
+  removedPeerIds.add(target);
+  roomPeerIds.delete(target);
+  closePeerConnections(target);
+  refreshPeerViews();
+}
+
+/**
+ * Leave the room after the owner kicked or banned us
+ * @param {string} action - MODERATION_ACTIONS.KICK or BAN
+ */
+function handleRemovedFromRoom(action) {
+  if (!joined) return;
+  
+  leaveRoom();
+  document.getElementById("status").innerText = action === MODERATION_ACTIONS.BAN
+    ? "🚫 You were banned from this room"
+    : "🚫 You were removed from this room";
+  alert(action === MODERATION_ACTIONS.BAN
+    ? "The room owner banned you from this room."
+    : "The room owner removed you from this room.");
+}
+
+// Disable our microphone (the owner muted everyone); we can unmute ourselves again
+function forceMute(status = "🔇 The room owner muted everyone") {
+  if (!window.localStream || window.isMuted) return;
+  
+  window.localStream.getAudioTracks().forEach(track => {
+    track.enabled = false;
+  });
+  window.isMuted = true;
+  
+  const muteBtn = document.getElementById('muteBtn');
+  if (muteBtn) {
+    muteBtn.classList.add('muted');
+    if (muteBtn.lastChild?.nodeType === Node.TEXT_NODE) {
+      muteBtn.lastChild.textContent = 'Unmute';
+    }
+  }
+  
+  document.getElementById("status").innerText = status;
+}
+
+/**
+ * Follow the room's microphone policy: a room type plugin can turn voice off
+ * with its allowMic setting, which mutes us and locks the mute button
+ * @param {Object} detail - 'room-mic-policy' event detail
+ */
+function applyMicPolicy({ allowed }) {
+  const muteBtn = document.getElementById('muteBtn');
+  
+  if (!allowed) {
+    forceMute("🔇 Microphones are off in this room");
+    if (muteBtn) muteBtn.disabled = true;
+    return;
+  }
+  
+  if (muteBtn) muteBtn.disabled = !window.localStream;
+  if (window.localStream && window.isMuted) {
+    document.getElementById("status").innerText = "🎙️ Microphones are allowed again, unmute to talk";
+  }
+}
+
+/**
+ * Kick or ban a peer (room owner only)
+ * @param {string} peerId - Peer to remove
+ * @param {string} action - MODERATION_ACTIONS.KICK or BAN
+ */
+async function moderatePeer(peerId, action) {
+  const room = document.getElementById('room').value.trim();
+  const isBan = action === MODERATION_ACTIONS.BAN;
+  
+  const reason = prompt(isBan
+    ? `Ban this rider and their device for 24 hours? Reason (optional):`
+    : `Remove this rider from the room? Reason (optional):`);
+  if (reason === null) return;
+  
+  try {
+    await moderate(room, action, {
+      accessToken: roomAccessToken,
+      ownerKey: getOwnerKey(room),
+      peerId,
+      byFingerprint: isBan,
+      reason: reason || undefined
+    });
+    
+    removedPeerIds.add(peerId);
+    roomPeerIds.delete(peerId);
+    closePeerConnections(peerId);
+    refreshPeerViews();
+  } catch (error) {
+    console.error(`Error trying to ${action} ${peerId}:`, error);
+    alert(`Could not ${action} this rider: ${error.message}`);
+  }
+}
+
+async function muteEveryone() {
+  const room = document.getElementById('room').value.trim();
+  
+  try {
+    await moderate(room, MODERATION_ACTIONS.MUTE_ALL, { accessToken: roomAccessToken, ownerKey: getOwnerKey(room) });
+  } catch (error) {
+    console.error("Error muting everyone:", error);
+    alert(`Could not mute everyone: ${error.message}`);
+  }
+}
+
 // Stop all Firebase listeners
 function stopAllListeners() {
   // Now handled by plugins, this function is retained for backward compatibility
@@ -909,9 +1457,13 @@ function updateDebugStatusBar() {
     const roomStatus = document.createElement('div');
     roomStatus.id = 'roomStatus';
     
+    const syncStatus = document.createElement('div');
+    syncStatus.id = 'syncStatus';
+    
     debugBar.appendChild(peerStatus);
     debugBar.appendChild(firebaseStatus);
     debugBar.appendChild(roomStatus);
+    debugBar.appendChild(syncStatus);
 }
 
   // Update status texts
@@ -935,8 +1487,39 @@ function updateDebugStatusBar() {
     roomStatusEl.textContent = `🚪 Room: ${joined ? room : 'not joined'}`;
     roomStatusEl.style.color = joined ? '#0f0' : '#f33';
         }
+  
+  updateSyncStatus(getDriftCorrectionStatus());
       }
       
+/**
+ * Update the music sync section of the debug status bar
+ * @param {Object} correction - Drift correction state from driftCorrector.js
+ */
+function updateSyncStatus(correction) {
+  const syncStatusEl = document.getElementById('syncStatus');
+  if (!syncStatusEl || !correction) return;
+  
+  const clock = getClockSyncStatus();
+  const clockText = clock.synced ? `±${Math.round(clock.accuracy)}ms` : 'unsynced';
+  const driftMs = Math.round(correction.drift * 1000);
+  
+  let correctionText;
+  if (correction.mode === 'nudging') {
+    correctionText = `nudging ${driftMs}ms @${correction.playbackRate.toFixed(3)}x`;
+  } else if (correction.mode === 'seeking') {
+    correctionText = `seek ${driftMs}ms`;
+  } else if (correction.mode === 'locked') {
+    correctionText = `locked ${driftMs}ms`;
+  } else {
+    correctionText = 'idle';
+  }
+  
+  syncStatusEl.textContent = `🎵 Sync: ${correctionText} (clock ${clockText}, seeks ${correction.seekCount})`;
+  
+  const colors = { locked: '#0f0', nudging: '#ff0', seeking: '#f90', idle: '#888' };
+  syncStatusEl.style.color = colors[correction.mode] || '#888';
+}
+      
 /**
  * Handle an incoming or outgoing call
  * @param {PeerCall} call - The PeerJS call object
@@ -1120,6 +1703,11 @@ function setupPeerVisualization() {
     });
   }
   
+  const muteAllBtn = document.getElementById('muteAllBtn');
+  if (muteAllBtn) {
+    muteAllBtn.addEventListener('click', muteEveryone);
+  }
+  
   // Initial update of peers list
   updatePeersActivity();
   
@@ -1159,6 +1747,17 @@ function updatePeersActivity() {
   // Get a list of all peer connections
   const connections = window.connections || [];
   
+  // Music leader (only the leader can hand off)
+  const leaderId = getRoomLeader(currentRoom);
+  const weAreLeader = isRoomLeader(currentRoom);
+  
+  // Room owner (only the owner can moderate)
+  const weAreOwner = !!roomOwnerId && roomOwnerId === window.peer.id;
+  const muteAllBtn = document.getElementById('muteAllBtn');
+  if (muteAllBtn) {
+    muteAllBtn.style.display = weAreOwner ? 'inline-block' : 'none';
+  }
+  
   // Clear the list first
       peersList.innerHTML = '';
       
@@ -1167,7 +1766,9 @@ function updatePeersActivity() {
     id: window.peer.id,
     name: 'You',
     lastActive: Date.now(),
-    isYou: true
+    isYou: true,
+    isLeader: weAreLeader,
+    isOwner: weAreOwner
   });
   peersList.appendChild(selfItem);
   
@@ -1179,7 +1780,11 @@ function updatePeersActivity() {
       id: conn.peer,
       name: `Rider ${conn.peer.substring(0, 4)}`,
       lastActive: conn.metadata?.lastActive || Date.now(),
-      isYou: false
+      isYou: false,
+      isLeader: conn.peer === leaderId,
+      isOwner: conn.peer === roomOwnerId,
+      canHandOff: weAreLeader,
+      canModerate: weAreOwner
     });
     
     peersList.appendChild(peerItem);
@@ -1237,13 +1842,46 @@ function createPeerItem(peer) {
         ${peer.name.charAt(0)}
       </div>
       <div class="peer-info">
-        <div>${peer.name} ${peer.isYou ? '(You)' : ''}</div>
+        <div>${peer.name} ${peer.isYou ? '(You)' : ''} ${peer.isLeader ? '<span class="peer-leader" title="Music leader">👑</span>' : ''} ${peer.isOwner ? '<span class="peer-owner" title="Room owner">🛡</span>' : ''}</div>
         <div class="peer-time">${timeAgo}</div>
       </div>
     </div>
     <div class="peer-activity-indicator ${activityClass}"></div>
   `;
   
+  // Let the current leader pass music control to this peer
+  if (peer.canHandOff && !peer.isLeader) {
+    const handOffBtn = document.createElement('button');
+    handOffBtn.className = 'peer-handoff-btn';
+    handOffBtn.textContent = 'Make leader';
+    handOffBtn.title = 'Give this rider control of the music';
+    handOffBtn.addEventListener('click', async () => {
+      const room = document.getElementById('room').value.trim();
+      handOffBtn.disabled = true;
+      const success = await handOffLeadership(room, peer.id);
+      if (!success) {
+        handOffBtn.disabled = false;
+        alert('Could not hand off music control. Is this rider still in the room?');
+      }
+    });
+    li.appendChild(handOffBtn);
+  }
+  
+  // Let the room owner remove this peer
+  if (peer.canModerate && !peer.isYou) {
+    [
+      { action: MODERATION_ACTIONS.KICK, label: 'Kick', title: 'Remove this rider from the room' },
+      { action: MODERATION_ACTIONS.BAN, label: 'Ban', title: 'Remove this rider and keep them out for 24 hours' }
+    ].forEach(({ action, label, title }) => {
+      const moderateBtn = document.createElement('button');
+      moderateBtn.className = `peer-${action}-btn`;
+      moderateBtn.textContent = label;
+      moderateBtn.title = title;
+      moderateBtn.addEventListener('click', () => moderatePeer(peer.id, action));
+      li.appendChild(moderateBtn);
+    });
+  }
+  
   return li;
 }
 
@@ -1297,6 +1935,33 @@ document.addEventListener('DOMContentLoaded', async () => {
   
   // Initialize peer visualization
   setupPeerVisualization();
+  
+  // Keep the debug bar's sync section live as the drift corrector reports
+  if (DEBUG_MODE) {
+    document.addEventListener('drift-correction', (event) => {
+      updateSyncStatus(event.detail);
+    });
+  }
+  
+  // Move the leader badge when music control changes hands
+  document.addEventListener('leader-change', () => {
+    updatePeersActivity();
+  });
+  
+  // Enforce kicks, bans and mute-all from the room owner
+  document.addEventListener('room-moderation', (event) => {
+    handleModerationEvent(event.detail);
+  });
+  
+  // Rooms whose plugins don't allow microphones
+  document.addEventListener('room-mic-policy', (event) => {
+    applyMicPolicy(event.detail);
+  });
+  
+  // Back online: dial the riders we lost while the network was gone
+  document.addEventListener('network-resync', () => {
+    if (joined) roomPeerIds.forEach(peerId => scheduleDialIfMissing(peerId));
+  });
 
   console.log('✅ RydeSync App Core Ready');
 });
\ No newline at end of file
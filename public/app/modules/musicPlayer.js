@@ -1,5 +1,7 @@
 // Music Player Module for RydeSync
-import { joinMusicRoom, updateCurrentTrack, updatePlaybackState, updatePlaybackPosition } from '../../musicSync.js';
+import { joinMusicRoom, updateCurrentTrack, updatePlaybackState, updatePlaybackPosition, advanceQueue, isRoomLeader } from '../../musicSync.js';
+import { startLocalTrackStream } from '../../src/localTrackStream.js';
+import { offerLocalFile } from '../../src/peerFileTransfer.js';
 
 // Export the required functions
 export { 
@@ -18,6 +20,7 @@ let loadedTracks = [];
 let shuffleMode = false;
 let playOrder = [];
 let isInitialized = false;
+let streamWarningShown = false;
 
 /**
  * Fade out audio volume smoothly
@@ -160,8 +163,6 @@ function setupPlayerControls() {
   const playerBody = document.getElementById("playerBody");
   
   // Sync timing variables
-  let lastSyncTime = 0;
-  const MIN_SYNC_INTERVAL = 5000; // 5 seconds
   let seekTimeout = null;
   const SEEK_SYNC_DELAY = 1000; // 1s after seek
   
@@ -277,14 +278,20 @@ function setupPlayerControls() {
   // Next track button
   if (nextTrackBtn) {
     nextTrackBtn.addEventListener("click", () => {
-      playNextTrack();
+      if (isPlayingLocalTrack(audioPlayer)) {
+        playNextTrack();
+      } else {
+        stepRoomQueue(1);
+      }
     });
   }
   
   // Previous track button
   if (prevTrackBtn) {
     prevTrackBtn.addEventListener("click", () => {
-      if (audioPlayer.currentTime > 3) {
+      if (!isPlayingLocalTrack(audioPlayer)) {
+        stepRoomQueue(-1);
+      } else if (audioPlayer.currentTime > 3) {
         // If we're more than 3 seconds in, restart current track
         audioPlayer.currentTime = 0;
         audioPlayer.play().catch(err => console.warn("Audio playback failed:", err));
@@ -383,9 +390,12 @@ function setupPlayerControls() {
   
   // Setup audio player event listeners
   if (audioPlayer) {
-    // Auto-play next track when current track ends
+    // Auto-play next local track when current track ends
+    // (shared tracks advance the room queue, see plugins/syncMusicPlayer.js)
     audioPlayer.addEventListener("ended", () => {
-      playNextTrack();
+      if (isPlayingLocalTrack(audioPlayer)) {
+        playNextTrack();
+      }
     });
     
     // Update play/pause button state
@@ -412,25 +422,7 @@ function setupPlayerControls() {
       }
     });
     
-    // Update position while playing
-    audioPlayer.addEventListener("timeupdate", () => {
-      const room = document.getElementById("room")?.value.trim();
-      if (!room || audioPlayer.paused) return;
-
-      const now = Date.now();
-      if (now - lastSyncTime > MIN_SYNC_INTERVAL) {
-        const position = audioPlayer.currentTime;
-        if (!isNaN(position) && position > 0) {
-          updatePlaybackPosition(room, position)
-            .then(() => {
-              lastSyncTime = Date.now();
-            })
-            .catch(err => {
-              console.error('Error updating playback position:', err);
-            });
-        }
-      }
-    });
+    // Position while playing is published by the leader heartbeat in musicSync.js
 
     // Sync after seek
     audioPlayer.addEventListener("seeked", () => {
@@ -653,13 +645,8 @@ async function playCurrentTrack() {
 
     // Now safely sync both track and playback state together
     const room = document.getElementById("room")?.value.trim();
-    if (room) {
-      const track = {
-        url: currentTrack._objectUrl,
-        title: trackName,
-        duration: audioPlayer.duration || 0
-      };
-      
+    const track = room ? await shareLocalTrack(room, audioPlayer, currentTrack) : null;
+    if (track) {
       // Update both track and playback state together
       await Promise.all([
         updateCurrentTrack(room, track),
@@ -727,20 +714,17 @@ function syncPlaybackState(isPlaying) {
   const currentTrack = loadedTracks[currentTrackIndex];
   if (!currentTrack) return;
   
-  const track = {
-    url: currentTrack._objectUrl,
-    title: currentTrack.name.replace(/\.[^/.]+$/, ""),
-    duration: audioPlayer.duration || 0
-  };
-  
   // Update track and playback state together in a timely manner
   console.log(`Syncing playback state: isPlaying=${isPlaying}, position=${audioPlayer.currentTime.toFixed(2)}`);
   
-  // Use Promise.all to ensure both operations happen together
-  Promise.all([
-    updateCurrentTrack(room, track),
-    updatePlaybackState(room, isPlaying, audioPlayer.currentTime)
-  ]).then(() => {
+  shareLocalTrack(room, audioPlayer, currentTrack).then(async track => {
+    if (!track) return;
+    
+    // Use Promise.all to ensure both operations happen together
+    await Promise.all([
+      updateCurrentTrack(room, track),
+      updatePlaybackState(room, isPlaying, audioPlayer.currentTime)
+    ]);
     console.log('✅ Track and playback state successfully synced');
   }).catch(err => {
     console.error('❌ Failed to sync track and playback state:', err);
@@ -762,6 +746,73 @@ async function playNextTrack() {
   await playCurrentTrack();
 }
 
+/**
+ * Room track for the local file playing
+ * Local files have blob: URLs only we can open, so the room gets a stream
+ * of our player instead (see src/localTrackStream.js), and the file itself is
+ * offered for riders to fetch and play from their cache (see src/peerFileTransfer.js)
+ * @param {string} room - Room name
+ * @param {HTMLAudioElement} audioPlayer - The audio element playing the file
+ * @param {File} file - The local file
+ * @returns {Promise<Object|null>} Track to publish, or null if it can't be shared
+ */
+async function shareLocalTrack(room, audioPlayer, file) {
+  try {
+    const url = startLocalTrackStream(room, audioPlayer);
+    
+    // Without the file, riders still have the live stream
+    const sharedFile = await offerLocalFile(room, file).catch(error => {
+      console.warn('⚠️ Local file not offered for download:', error.message);
+      return null;
+    });
+    
+    return {
+      url,
+      title: file.name.replace(/\.[^/.]+$/, ""),
+      duration: audioPlayer.duration || 0,
+      file: sharedFile
+    };
+  } catch (error) {
+    console.warn('⚠️ Local track not shared with the room:', error.message);
+    if (error.code === 'unsupported' && !streamWarningShown) {
+      streamWarningShown = true;
+      showNotification("This browser can't share local files, only you will hear them");
+    }
+    return null;
+  }
+}
+
+/**
+ * Check whether the player is on one of our local files
+ * Local files follow the local track list, shared tracks the room's queue
+ * @param {HTMLAudioElement} audioPlayer - The audio element
+ * @returns {boolean} Whether a local file is loaded
+ */
+function isPlayingLocalTrack(audioPlayer) {
+  return loadedTracks.length > 0 && !!audioPlayer?.src && audioPlayer.src.startsWith('blob:');
+}
+
+/**
+ * Skip forward or back in the room's shared queue (room leader only)
+ * @param {number} direction - 1 for next, -1 for previous
+ */
+async function stepRoomQueue(direction) {
+  const room = document.getElementById("room")?.value.trim();
+  if (!room) return;
+  
+  if (!isRoomLeader(room)) {
+    showNotification("Only the room leader can skip, vote on the queue instead");
+    return;
+  }
+  
+  try {
+    const moved = await advanceQueue(room, { direction });
+    if (!moved) showNotification(direction > 0 ? "Nothing else queued" : "Nothing earlier in the queue");
+  } catch (error) {
+    console.error('❌ Failed to move the room queue:', error);
+  }
+}
+
 // Function to show notifications with mobile optimization
 function showNotification(message) {
   const notification = document.createElement("div");
@@ -792,15 +843,13 @@ function toggleSync(enabled = true) {
   if (enabled) {
     const currentTrack = loadedTracks[currentTrackIndex];
     if (currentTrack) {
-      const track = {
-        url: currentTrack._objectUrl,
-        title: currentTrack.name.replace(/\.[^/.]+$/, ""),
-        duration: audioPlayer.duration || 0
-      };
-      
-      // Update track in Firebase
-      updateCurrentTrack(room, track);
-      updatePlaybackState(room, !audioPlayer.paused, audioPlayer.currentTime);
+      shareLocalTrack(room, audioPlayer, currentTrack).then(track => {
+        if (!track) return;
+        
+        // Update track in Firebase
+        updateCurrentTrack(room, track);
+        updatePlaybackState(room, !audioPlayer.paused, audioPlayer.currentTime);
+      });
     }
   }
   
@@ -260,37 +260,10 @@ function setupEventListeners() {
         
         // Use new plugin system
         try {
-          // Import the appropriate plugin based on the current room type
-          const pluginManagerModule = await import('./pluginManager.js');
-          const roomType = pluginManagerModule.getCurrentRoomType() || 'music';
-          
-          if (roomType === 'music') {
-            const syncModule = await import('./plugins/syncMusicPlayer.js');
-            if (typeof syncModule.syncTrackToRoom === 'function') {
-              // Call the plugin function to sync the track
-              await syncModule.syncTrackToRoom(cleanedUrl, trackTitle, roomName);
-              console.log('Track synced via music plugin');
-            }
-          } else if (roomType === 'foxecho') {
-            const foxechoModule = await import('./plugins/foxecho.js');
-            // Use the standard music player sync as a fallback if the module doesn't have its own sync method
-            const syncModule = await import('./plugins/syncMusicPlayer.js');
-            await syncModule.syncTrackToRoom(cleanedUrl, trackTitle, roomName);
-            console.log('Track synced via foxecho plugin fallback');
-          } else if (roomType === 'syntheticsouls') {
-            const soulsModule = await import('./plugins/syntheticsouls.js');
-            // Use the standard music player sync as a fallback if the module doesn't have its own sync method
-            const syncModule = await import('./plugins/syncMusicPlayer.js');
-            await syncModule.syncTrackToRoom(cleanedUrl, trackTitle, roomName);
-            console.log('Track synced via syntheticsouls plugin fallback');
-          } else {
-            // Default fallback for any other room type
-            const syncModule = await import('./plugins/syncMusicPlayer.js');
-            if (typeof syncModule.syncTrackToRoom === 'function') {
-              await syncModule.syncTrackToRoom(cleanedUrl, trackTitle, roomName);
-              console.log('Track synced via default plugin fallback');
-            }
-          }
+          // Share the track through the standard music player, whatever the room type
+          const { syncTrackToCurrentRoom } = await import('./pluginManager.js');
+          await syncTrackToCurrentRoom(cleanedUrl, trackTitle, roomName);
+          console.log('Track synced via plugin manager');
           
           // Clear input and hide panel
           trackUrlInput.value = '';
@@ -387,6 +360,12 @@ export function setupUI() {
   // Make room input active on startup
   const roomInput = document.getElementById('room');
   if (roomInput) {
+    // Room links (/?room=name, e.g. from the room creator or an invite) fill in the room
+    const linkedRoom = new URLSearchParams(location.search).get('room');
+    if (linkedRoom && !roomInput.value) {
+      roomInput.value = linkedRoom;
+    }
+    
     // Focus room input for quick access
     setTimeout(() => {
       roomInput.focus();
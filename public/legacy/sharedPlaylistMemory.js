@@ -1,6 +1,6 @@
 // plugins/sharedPlaylistMemory.js
-import { doc, getDoc, setDoc } from '../src/firebase.js';
-import { db } from '../src/firebase.js';
+import { getMusicRoomData, addTrackToPlaylist, removeQueueEntry } from '../musicSync.js';
+import { readQueue } from '../src/roomQueue.js';
 
 // Local cache of the playlist for memory
 let playlistMemory = [];
@@ -80,7 +80,7 @@ export async function removeSharedTrack(trackUrl, roomName = null) {
 }
 
 /**
- * Load the shared playlist from Firestore
+ * Load the shared playlist from the room state
  * @param {string} room - Room name to load playlist from
  * @returns {Promise<Array>} The loaded playlist
  */
@@ -94,13 +94,11 @@ export async function loadSharedPlaylist(room) {
     // Set current room
     currentRoom = room;
     
-    // Load from Firestore
-    const roomRef = doc(db, 'musicRooms', room);
-    const snapshot = await getDoc(roomRef);
+    // Load from the room state
+    const data = await getMusicRoomData(room);
     
-    if (snapshot.exists()) {
-      const data = snapshot.data();
-      if (data && Array.isArray(data.playlist)) {
+    if (data) {
+      if (Array.isArray(data.playlist)) {
         // Store in memory
         playlistMemory = data.playlist;
         console.log(`[SharedPlaylist] Loaded ${playlistMemory.length} tracks from room ${room}`);
@@ -120,7 +118,10 @@ export async function loadSharedPlaylist(room) {
 }
 
 /**
- * Save the shared playlist to Firestore
+ * Save the shared playlist to the room state
+ * Writes the difference as queue edits (see src/playlistOps.js) instead of
+ * overwriting the room's playlist, so tracks other riders added meanwhile
+ * aren't lost; removals follow the queue's rules (room leader only)
  * @param {string} room - Room name to save playlist to
  * @param {Array} playlist - Playlist to save
  * @returns {Promise<void>}
@@ -132,11 +133,19 @@ export async function saveSharedPlaylist(room, playlist) {
   }
   
   try {
-    const roomRef = doc(db, 'musicRooms', room);
-    await setDoc(roomRef, {
-      playlist: playlist,
-      lastUpdated: new Date().toISOString()
-    }, { merge: true });
+    const queue = readQueue(await getMusicRoomData(room));
+    const urls = new Set(playlist.map(track => track.url));
+    
+    for (const track of playlist) {
+      if (!queue.some(entry => entry.url === track.url)) {
+        await addTrackToPlaylist(room, track);
+      }
+    }
+    for (const entry of queue) {
+      if (!urls.has(entry.url)) {
+        await removeQueueEntry(room, entry.id);
+      }
+    }
     
     console.log(`[SharedPlaylist] Saved ${playlist.length} tracks to room ${room}`);
   } catch (error) {
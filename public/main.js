@@ -11,6 +11,9 @@ import {
   resetMusicSync 
 } from './musicSync.js';
 import { setupUI } from './initUI.js';
+import { startClockSync } from './src/clockSync.js';
+import { setupNetworkResync } from './src/peerReconnect.js';
+import { registerOfflineSupport } from './src/offlineSupport.js';
 
 // Global state that was previously scattered
 let currentRoom = '';
@@ -89,6 +92,13 @@ document.addEventListener('DOMContentLoaded', async () => {
   // Basic UI setup from existing module (also handles event listeners)
   setupUI();
   
+  // Start estimating the server clock offset for music sync
+  startClockSync();
+  
+  // Installable app that still loads in dead zones, and catches up when the network is back
+  registerOfflineSupport();
+  setupNetworkResync(() => window.peer);
+  
   // Initialize connection and peer services
   initializePeer();
   
@@ -1,18 +1,39 @@
 // Music Synchronization Module for RydeSync
-// Handles music room state synchronization using Firestore
-
-// Import the necessary Firebase modules and the initialized db instance
-import { 
-  doc, 
-  getDoc, 
-  setDoc, 
-  updateDoc, 
-  onSnapshot, 
-  arrayUnion, 
-  arrayRemove, 
-  serverTimestamp 
-} from "https://www.gstatic.com/firebasejs/9.22.0/firebase-firestore.js";
-import { db } from "./src/firebase.js";
+// Handles music room state synchronization through a pluggable backend
+// (Firestore by default, or the self-hosted WebSocket room state server)
+
+import { getServerNow, syncClock } from "./src/clockSync.js";
+import { getDriftCorrector } from "./src/driftCorrector.js";
+import { sendMusicEvent, getOpenMusicChannels, MUSIC_EVENTS } from "./src/peerMusicChannel.js";
+import {
+  createQueueEntry,
+  addEntry,
+  voteEntry,
+  moveEntry,
+  removeEntry,
+  stepQueue,
+  toCurrentTrack
+} from "./src/roomQueue.js";
+import {
+  createOpClock,
+  readPlaylistState,
+  getQueue,
+  toRoomFields,
+  applyPlaylistOp,
+  applyPlaylistOps,
+  setEntryVotes,
+  PLAYLIST_OPS
+} from "./src/playlistOps.js";
+import { sendPlaylistOps } from "./src/peerPlaylistChannel.js";
+import { toMillis } from "./src/utils/musicSyncUtils.js";
+import {
+  saveRoomSnapshot,
+  readRoomSnapshot,
+  queueRoomWrite,
+  getQueuedWrites,
+  clearQueuedWrite,
+  MAX_QUEUED_WRITE_AGE_MS
+} from "./src/offlineRoomStore.js";
 
 // Debug flags
 const DEBUG_MODE = true;
@@ -28,8 +49,19 @@ const LOG_LEVELS = {
   SYNC: 'SYNC'
 };
 
-// Firestore instance - no longer needed, using imported db
-// const db = getFirestore();
+// Sync backends, loaded on demand so the Firestore SDK is only fetched when it's used
+// A backend implements getRoom, setRoom, updateRoom, watchRoom, transactRoom,
+// setPresence and the arrayUnion/arrayRemove/serverTimestamp field sentinels
+const SYNC_BACKENDS = {
+  firestore: () => import("./src/syncBackends/firestoreBackend.js"),
+  websocket: () => import("./src/syncBackends/websocketBackend.js")
+};
+const DEFAULT_SYNC_BACKEND = 'firestore';
+const SYNC_BACKEND_STORAGE_KEY = 'rydesync-sync-backend';
+
+// Active sync backend (resolved on first use)
+let syncBackend = null;
+let syncBackendLoading = null;
 
 // Active listeners (map of roomId -> unsubscribe function)
 const activeListeners = {};
@@ -55,6 +87,29 @@ const connectionState = {
   initialized: false
 };
 
+// Leader election state (roomId -> leader session)
+// Only the leader publishes playback state; followers are read-only
+const leaderSessions = new Map();
+
+// Leader election timing
+const leaderConfig = {
+  heartbeatInterval: 5000,  // leader publishes liveness to the room state every 5 seconds
+  peerHeartbeatInterval: 1000,  // leader sends its position over data channels every second
+  staleAfter: 15000,  // leader considered gone after 15 seconds without a heartbeat
+  checkInterval: 5000  // followers check leader liveness every 5 seconds
+};
+
+// Shared queue copies (roomId -> queue replica), kept while we're in the room
+// Edits go through a backend transaction; while the backend can't be reached
+// they're shared with peers and kept as pending ops until it can
+const queueReplicas = new Map();
+
+// Shared queue timing
+const queueConfig = {
+  flushRetryInterval: 5000,  // retry pending ops every 5 seconds while the backend is unreachable
+  relayFlushDelay: 3000  // wait 3 seconds for a peer's own write before writing its ops for it
+};
+
 // Cache update timestamps to limit update frequency
 const updateThrottling = {
   lastPositionUpdate: {},  // roomId -> timestamp
@@ -101,14 +156,152 @@ function logConnection(message, data = null) {
 }
 
 /**
- * Firestore schema for music rooms:
+ * Get the name of the configured sync backend
+ * ?sync=websocket (or ?sync=firestore) picks one and remembers it in this browser
+ * @returns {string} Backend name
+ */
+function getConfiguredBackendName() {
+  try {
+    const fromUrl = new URLSearchParams(location.search).get('sync');
+    if (fromUrl && SYNC_BACKENDS[fromUrl]) {
+      localStorage.setItem(SYNC_BACKEND_STORAGE_KEY, fromUrl);
+      return fromUrl;
+    }
+    
+    const stored = localStorage.getItem(SYNC_BACKEND_STORAGE_KEY);
+    if (stored && SYNC_BACKENDS[stored]) return stored;
+  } catch (err) {
+    // Storage can be unavailable (private mode); fall through to the default
+  }
+  
+  return window.RYDESYNC_SYNC_BACKEND || DEFAULT_SYNC_BACKEND;
+}
+
+/**
+ * Get the active sync backend, loading the configured one on first use
+ * @returns {Promise<object>} Sync backend
+ */
+async function getSyncBackend() {
+  if (syncBackend) return syncBackend;
+  
+  if (!syncBackendLoading) {
+    const name = getConfiguredBackendName();
+    const loader = SYNC_BACKENDS[name] || SYNC_BACKENDS[DEFAULT_SYNC_BACKEND];
+    
+    syncBackendLoading = loader().then(module => {
+      syncBackend = module.default;
+      log(`Using ${syncBackend.name} sync backend`, LOG_LEVELS.CONNECTION);
+      return syncBackend;
+    }).finally(() => {
+      syncBackendLoading = null;
+    });
+  }
+  
+  return syncBackendLoading;
+}
+
+/**
+ * Choose the sync backend
+ * Call before joining a room; existing listeners stay on the previous backend
+ * @param {string|object} backend - Backend name ('firestore', 'websocket') or a backend object
+ * @returns {Promise<object>} The active backend
+ */
+export async function setMusicSyncBackend(backend) {
+  if (typeof backend === 'string') {
+    if (!SYNC_BACKENDS[backend]) {
+      throw new Error(`Unknown sync backend: ${backend}`);
+    }
+    syncBackend = (await SYNC_BACKENDS[backend]()).default;
+  } else if (backend && typeof backend.watchRoom === 'function') {
+    syncBackend = backend;
+  } else {
+    throw new Error("A backend name or backend object is required");
+  }
+  
+  log(`Sync backend set to ${syncBackend.name || 'custom'}`, LOG_LEVELS.CONNECTION);
+  return syncBackend;
+}
+
+/**
+ * Get the name of the sync backend in use
+ * @returns {string|null} Backend name, or null before it's loaded
+ */
+export function getMusicSyncBackendName() {
+  return syncBackend ? syncBackend.name || 'custom' : null;
+}
+
+/**
+ * Watch a room through the sync backend
+ * Returns synchronously even though the backend may still be loading
+ * While the backend can't be reached, starts from the last snapshot we saw
+ * of the room (marked fromCache, see src/offlineRoomStore.js)
+ * @param {string} roomId - ID of the room
+ * @param {function} onChange - Called with room data (null if it doesn't exist)
+ * @param {function} onError - Called with listener errors
+ * @returns {function} Unsubscribe function
+ */
+function watchRoom(roomId, onChange, onError) {
+  let unsubscribe = null;
+  let cancelled = false;
+  let seen = false;
+  
+  const useSavedSnapshot = () => {
+    if (cancelled || seen) return;
+    seen = true;
+    
+    const saved = readRoomSnapshot(roomId);
+    if (saved) {
+      log(`Room ${roomId} can't be reached, using the snapshot saved ${Math.round((Date.now() - saved.savedAt) / 1000)}s ago`, LOG_LEVELS.WARNING);
+      onChange(saved);
+    }
+  };
+  
+  const handleChange = (data) => {
+    if (data) {
+      seen = true;
+      saveRoomSnapshot(roomId, data);
+      onChange(data);
+    } else if (isOffline()) {
+      useSavedSnapshot();
+    } else {
+      onChange(null);
+    }
+  };
+  
+  const handleError = (error) => {
+    if (isBackendUnavailable(error)) useSavedSnapshot();
+    if (typeof onError === 'function') onError(error);
+  };
+  
+  if (isOffline()) Promise.resolve().then(useSavedSnapshot);
+  
+  getSyncBackend().then(backend => {
+    if (!cancelled) {
+      unsubscribe = backend.watchRoom(roomId, handleChange, handleError);
+    }
+  }).catch(handleError);
+  
+  return () => {
+    cancelled = true;
+    if (unsubscribe) unsubscribe();
+  };
+}
+
+/**
+ * Music room schema (same fields in every backend):
  * - createdAt: timestamp when the room was created
  * - updatedAt: timestamp when the room was last updated
  * - currentTrack: object containing current track info (url, title, artist, etc.)
  * - isPlaying: boolean indicating if playback is active
  * - currentPosition: number indicating current playback position in seconds
- * - playlist: array of track objects for the room's playlist
+ * - positionUpdatedAt: server-clock time (ms) at which currentPosition was recorded
+ *   (isPlaying/currentPosition are only written when some participant can't be
+ *   reached over a PeerJS data channel; otherwise they travel peer-to-peer)
+ * - playlist: the room's shared queue, entries with stable IDs and positions (see src/roomQueue.js)
+ * - playlistRemoved: IDs of removed queue entries, so late edits can't bring them back (see src/playlistOps.js)
  * - participants: array of user IDs currently in the room
+ * - leader: peer ID of the participant allowed to publish playback state
+ * - leaderHeartbeatAt: server-clock time (ms) of the leader's last heartbeat
  */
 
 /**
@@ -129,18 +322,17 @@ export async function joinMusicRoom(roomId, userId, asLeader = false) {
   // This matches the peer ID format we use in PeerJS
   const roomPrefixedUserId = `${roomId}-${userId}`;
   
-  const roomRef = doc(db, "musicRooms", roomId);
-  const roomSnap = await getDoc(roomRef);
+  const backend = await getSyncBackend();
+  const roomData = await backend.getRoom(roomId);
   
   // Create a presence document that indicates which room this user is in
   try {
-    const userPresenceRef = doc(db, "userPresence", userId);
-    await setDoc(userPresenceRef, {
+    await backend.setPresence(userId, {
       currentRoom: roomId,
       peerId: roomPrefixedUserId,
-      joinedAt: serverTimestamp(),
-      lastActive: serverTimestamp()
-    }, { merge: true });
+      joinedAt: backend.serverTimestamp(),
+      lastActive: backend.serverTimestamp()
+    });
     
     log(`Updated user presence for ${userId} in room ${roomId}`, LOG_LEVELS.INFO);
   } catch (err) {
@@ -148,9 +340,8 @@ export async function joinMusicRoom(roomId, userId, asLeader = false) {
     // Continue anyway - presence is not critical
   }
   
-  if (roomSnap.exists()) {
+  if (roomData) {
     // Room exists, add participant
-    const roomData = roomSnap.data();
     log(`Joining existing room: ${roomId}`, LOG_LEVELS.INFO, roomData);
     
     // Check if this user is already in the participants array to avoid duplicates
@@ -164,20 +355,21 @@ export async function joinMusicRoom(roomId, userId, asLeader = false) {
     
     // Update the participants list and leader if needed
     const updateData = {
-      updatedAt: serverTimestamp()
+      updatedAt: backend.serverTimestamp()
     };
     
     // Only add to participants array if not already there
     if (shouldAddParticipant) {
-      updateData.participants = arrayUnion(roomPrefixedUserId);
+      updateData.participants = backend.arrayUnion(roomPrefixedUserId);
     }
     
     // Set as leader if requested and there's no leader
     if (asLeader && !roomData.leader) {
       updateData.leader = roomPrefixedUserId;
+      updateData.leaderHeartbeatAt = getServerNow();
     }
     
-    await updateDoc(roomRef, updateData);
+    await backend.updateRoom(roomId, updateData);
     connectionState.activeRooms.add(roomId);
     
     return { ...roomData, id: roomId };
@@ -187,17 +379,19 @@ export async function joinMusicRoom(roomId, userId, asLeader = false) {
     
     // For new rooms, we just add a single participant (no duplicates possible)
     const newRoomData = {
-      createdAt: serverTimestamp(),
-      updatedAt: serverTimestamp(),
+      createdAt: backend.serverTimestamp(),
+      updatedAt: backend.serverTimestamp(),
       currentTrack: null,
       isPlaying: false,
       currentPosition: 0,
+      positionUpdatedAt: getServerNow(),
       playlist: [],
       participants: [roomPrefixedUserId],
-      leader: asLeader ? roomPrefixedUserId : null
+      leader: asLeader ? roomPrefixedUserId : null,
+      leaderHeartbeatAt: asLeader ? getServerNow() : null
     };
     
-    await setDoc(roomRef, newRoomData);
+    await backend.setRoom(roomId, newRoomData);
     connectionState.activeRooms.add(roomId);
     
     return { ...newRoomData, id: roomId };
@@ -217,18 +411,22 @@ export async function leaveMusicRoom(roomId, userId) {
   
   logConnection(`Leaving music room ${roomId} as user ${userId}`);
   
+  // Stop publishing heartbeats before handing off
+  stopLeaderSession(roomId);
+  
   // Create roomPrefixed userId for presence tracking
   const roomPrefixedUserId = `${roomId}-${userId}`;
   
+  const backend = await getSyncBackend();
+  
   // Update user presence to show they've left this room
   try {
-    const userPresenceRef = doc(db, "userPresence", userId);
-    await setDoc(userPresenceRef, {
+    await backend.setPresence(userId, {
       currentRoom: null,
       peerId: null,
-      leftAt: serverTimestamp(),
-      lastActive: serverTimestamp()
-    }, { merge: true });
+      leftAt: backend.serverTimestamp(),
+      lastActive: backend.serverTimestamp()
+    });
     
     log(`Updated user presence for ${userId} leaving room ${roomId}`, LOG_LEVELS.INFO);
   } catch (err) {
@@ -236,25 +434,22 @@ export async function leaveMusicRoom(roomId, userId) {
     // Continue anyway - presence is not critical
   }
   
-  const roomRef = doc(db, "musicRooms", roomId);
-  const roomSnap = await getDoc(roomRef);
+  const roomData = await backend.getRoom(roomId);
   
-  if (!roomSnap.exists()) {
+  if (!roomData) {
     log(`Room ${roomId} not found`, LOG_LEVELS.WARNING);
     return;
   }
   
-  const roomData = roomSnap.data();
-  
   // Remove from participants - use both prefixed and unprefixed to ensure proper cleanup
-  await updateDoc(roomRef, {
-    participants: arrayRemove(roomPrefixedUserId),
-    updatedAt: serverTimestamp()
+  await backend.updateRoom(roomId, {
+    participants: backend.arrayRemove(roomPrefixedUserId),
+    updatedAt: backend.serverTimestamp()
   });
   
   // Also remove the legacy format (just userId) for backward compatibility
-  await updateDoc(roomRef, {
-    participants: arrayRemove(userId)
+  await backend.updateRoom(roomId, {
+    participants: backend.arrayRemove(userId)
   });
   
   // If this user was the leader, pick a new leader if there are other participants
@@ -267,8 +462,9 @@ export async function leaveMusicRoom(roomId, userId) {
     // Make sure we actually have other valid participants with room prefix
     if (otherParticipants.length > 0) {
       // Select the first remaining participant as the new leader
-      await updateDoc(roomRef, {
-        leader: otherParticipants[0]
+      await backend.updateRoom(roomId, {
+        leader: otherParticipants[0],
+        leaderHeartbeatAt: getServerNow()
       });
       
       log(`New leader assigned: ${otherParticipants[0]}`, LOG_LEVELS.INFO);
@@ -278,9 +474,8 @@ export async function leaveMusicRoom(roomId, userId) {
   // Clean up the participants list by removing duplicates (Ghost Rider fix)
   try {
     // Get fresh data after our update
-    const updatedSnap = await getDoc(roomRef);
-    if (updatedSnap.exists()) {
-      const updatedData = updatedSnap.data();
+    const updatedData = await backend.getRoom(roomId);
+    if (updatedData) {
       if (updatedData.participants && Array.isArray(updatedData.participants)) {
         // Check for duplicate participants
         const uniqueParticipants = [...new Set(updatedData.participants)];
@@ -288,7 +483,7 @@ export async function leaveMusicRoom(roomId, userId) {
         // If we found duplicates, update the list to remove them
         if (uniqueParticipants.length < updatedData.participants.length) {
           log(`Cleaning up ${updatedData.participants.length - uniqueParticipants.length} duplicate participants`, LOG_LEVELS.INFO);
-          await updateDoc(roomRef, {
+          await backend.updateRoom(roomId, {
             participants: uniqueParticipants
           });
         }
@@ -342,8 +537,6 @@ export function listenToMusicSync(roomId, callback) {
     totalListenerCount--;
   }
   
-  const roomRef = doc(db, "musicRooms", roomId);
-  
   // Add a flag to track first snapshot
   let firstRoomSnapshot = true;
   
@@ -352,13 +545,11 @@ export function listenToMusicSync(roomId, callback) {
   let pendingCallback = null;
   let lastProcessedTime = 0;
   
-  // Set up real-time listener with metadata filtering to reduce unnecessary updates
-  const unsubscribe = onSnapshot(
-    roomRef, 
-    { includeMetadataChanges: false }, // Only trigger on actual document changes, not metadata
-    (doc) => {
-      if (doc.exists()) {
-        const data = doc.data();
+  // Set up real-time listener (backends only report actual document changes)
+  const unsubscribe = watchRoom(
+    roomId,
+    (data) => {
+      if (data) {
         const now = Date.now();
         const lastValues = syncState.lastSyncedValues.get(roomId);
         
@@ -368,7 +559,7 @@ export function listenToMusicSync(roomId, callback) {
           
           // Only process initial snapshot if it contains meaningful data
           if (!data.currentTrack && (!data.participants || data.participants.length <= 1)) {
-            log(`📭 Ignoring initial empty Firestore snapshot for room ${roomId}`, LOG_LEVELS.SYNC);
+            log(`📭 Ignoring initial empty snapshot for room ${roomId}`, LOG_LEVELS.SYNC);
             return;
           }
           log(`Processing initial snapshot with meaningful data for room ${roomId}`, LOG_LEVELS.SYNC);
@@ -528,6 +719,183 @@ export function listenToMusicSync(roomId, callback) {
   };
 }
 
+/**
+ * Watch every change to a music room, without the filtering and debouncing
+ * of listenToMusicSync
+ * @param {string} roomId - ID of the room to watch
+ * @param {function} callback - Called with room data (null if it doesn't exist) and an error if the watch failed
+ * @returns {function} Unsubscribe function
+ */
+export function watchMusicRoom(roomId, callback) {
+  if (!roomId || typeof callback !== 'function') {
+    throw new Error("Room ID and callback function are required");
+  }
+  
+  return watchRoom(
+    roomId,
+    (data) => callback(data ? { ...data, id: roomId } : null),
+    (error) => {
+      log(`Error watching room ${roomId}: ${error.message}`, LOG_LEVELS.ERROR, error);
+      callback(null, error);
+    }
+  );
+}
+
+/**
+ * Merge fields into a music room, creating it if needed
+ * Not leader-gated: used for room-wide actions any participant can take
+ * @param {string} roomId - ID of the room
+ * @param {object} fields - Fields to write
+ * @returns {Promise<void>}
+ */
+export async function setMusicRoomState(roomId, fields) {
+  if (!roomId || !fields) {
+    throw new Error("Room ID and fields are required");
+  }
+  
+  await writeRoomFields(roomId, fields, { merge: true });
+}
+
+/**
+ * Change one plugin setting of a music room (pluginSettings.<pluginId>.<key>)
+ * Read, merged and written in a transaction: only Firestore understands dotted
+ * field paths, other backends would store them as a literal field name
+ * @param {string} roomId - ID of the room
+ * @param {string} pluginId - Plugin the setting belongs to
+ * @param {string} key - Setting name
+ * @param {*} value - New value
+ * @returns {Promise<void>}
+ */
+export async function setRoomPluginSetting(roomId, pluginId, key, value) {
+  if (!roomId || !pluginId || !key) {
+    throw new Error("Room ID, plugin ID and setting name are required");
+  }
+  
+  const backend = await getSyncBackend();
+  await backend.transactRoom(roomId, (data) => {
+    if (!data) {
+      throw new Error(`Room ${roomId} does not exist`);
+    }
+    
+    const pluginSettings = data.pluginSettings || {};
+    return {
+      pluginSettings: {
+        ...pluginSettings,
+        [pluginId]: { ...pluginSettings[pluginId], [key]: value }
+      },
+      updatedAt: backend.serverTimestamp()
+    };
+  });
+}
+
+/**
+ * Write fields to a room, or hold them until the backend can be reached
+ * Firestore would keep an offline write pending in memory, never settling the
+ * caller's promise and losing it on reload; held writes survive reloads and
+ * are written on the next resync (see flushQueuedWrites)
+ * @param {string} roomId - ID of the room
+ * @param {object} fields - Fields to write (plain values; updatedAt is added)
+ * @param {object} options - { merge } to create the room if it doesn't exist
+ * @returns {Promise<boolean>} Whether the write reached the backend (false if held)
+ */
+async function writeRoomFields(roomId, fields, options = {}) {
+  const backend = await getSyncBackend();
+  
+  if (!isOffline()) {
+    try {
+      const data = { ...fields, updatedAt: backend.serverTimestamp() };
+      if (options.merge) {
+        await backend.setRoom(roomId, data, { merge: true });
+      } else {
+        await backend.updateRoom(roomId, data);
+      }
+      return true;
+    } catch (error) {
+      if (!isBackendUnavailable(error)) throw error;
+    }
+  }
+  
+  queueRoomWrite(roomId, fields, getServerNow());
+  log(`Room ${roomId} can't be reached, holding the write until it can`, LOG_LEVELS.WARNING, fields);
+  return false;
+}
+
+/**
+ * Write the room writes held while offline
+ * A room that changed after our first held write has newer state than ours,
+ * so the held writes are dropped instead of overwriting it
+ * @returns {Promise<void>}
+ */
+async function flushQueuedWrites() {
+  const queued = getQueuedWrites();
+  if (queued.length === 0) return;
+  
+  const backend = await getSyncBackend();
+  
+  for (const { roomId, fields, queuedAt } of queued) {
+    if (getServerNow() - queuedAt > MAX_QUEUED_WRITE_AGE_MS) {
+      clearQueuedWrite(roomId);
+      log(`Dropped writes held for room ${roomId}: too old`, LOG_LEVELS.WARNING, fields);
+      continue;
+    }
+    
+    try {
+      const written = await backend.transactRoom(roomId, (data) => {
+        if (!data || (toMillis(data.updatedAt) ?? 0) > queuedAt) return null;
+        return { ...fields, updatedAt: backend.serverTimestamp() };
+      });
+      
+      clearQueuedWrite(roomId);
+      log(written
+        ? `Wrote the changes held for room ${roomId}`
+        : `Dropped writes held for room ${roomId}: it changed while we were offline`, LOG_LEVELS.SYNC, fields);
+    } catch (error) {
+      // Still out of reach: keep them for the next resync
+      if (isBackendUnavailable(error)) return;
+      
+      clearQueuedWrite(roomId);
+      log(`Room ${roomId} refused the writes held for it: ${error.message}`, LOG_LEVELS.ERROR, error);
+    }
+  }
+}
+
+/**
+ * Catch up once the network is back ('network-resync' from src/peerReconnect.js):
+ * re-sync the server clock, write what was held back, save pending queue
+ * edits, and let the leader republish or a follower check the leader is still there
+ */
+async function resyncMusicRooms() {
+  log('Network is back, resyncing music rooms', LOG_LEVELS.SYNC);
+  
+  // Held writes are compared with the room's times, so get the offset right first
+  await syncClock();
+  
+  try {
+    await flushQueuedWrites();
+  } catch (error) {
+    log(`Error writing held changes: ${error.message}`, LOG_LEVELS.ERROR, error);
+  }
+  
+  queueReplicas.forEach((replica, roomId) => flushQueueOps(roomId));
+  
+  leaderSessions.forEach((session, roomId) => {
+    if (session.leaderId === session.selfId) {
+      publishLeaderHeartbeat(roomId);
+      publishPeerHeartbeat(roomId);
+    } else {
+      checkLeaderLiveness(roomId);
+    }
+  });
+}
+
+if (typeof document !== 'undefined') {
+  document.addEventListener('network-resync', () => {
+    resyncMusicRooms().catch(error => {
+      log(`Error resyncing music rooms: ${error.message}`, LOG_LEVELS.ERROR, error);
+    });
+  });
+}
+
 // Generate a unique update ID
 function generateUpdateId() {
   return `${Date.now()}-${Math.random().toString(36).substr(2, 9)}`;
@@ -544,6 +912,12 @@ export async function updateCurrentTrack(roomId, trackData) {
     throw new Error("Room ID and track data (with url) are required");
   }
   
+  // Followers are read-only, only the leader publishes playback
+  if (!canPublishPlayback(roomId)) {
+    log(`Not the leader of room ${roomId}, skipping track update`, LOG_LEVELS.SYNC);
+    return;
+  }
+  
   const now = Date.now();
   
   // Throttle track updates
@@ -557,20 +931,17 @@ export async function updateCurrentTrack(roomId, trackData) {
   updateThrottling.lastTrackUpdate = updateThrottling.lastTrackUpdate || {};
   updateThrottling.lastTrackUpdate[roomId] = now;
   
-  const roomRef = doc(db, "musicRooms", roomId);
-  
   try {
     // Generate a unique update ID to track our changes
     const updateId = generateUpdateId();
     syncState.ourUpdates.add(updateId);
     
-    await updateDoc(roomRef, {
+    const written = await writeRoomFields(roomId, {
       currentTrack: trackData,
-      updatedAt: serverTimestamp(),
       updateId: updateId
     });
     
-    log(`Track updated in room ${roomId}`, LOG_LEVELS.INFO, trackData);
+    if (written) log(`Track updated in room ${roomId}`, LOG_LEVELS.INFO, trackData);
   } catch (error) {
     log(`Error updating track: ${error.message}`, LOG_LEVELS.ERROR, error);
     throw error;
@@ -589,6 +960,12 @@ export async function updatePlaybackState(roomId, isPlaying, currentPosition) {
     throw new Error("Room ID, isPlaying state, and currentPosition are required");
   }
   
+  // Followers are read-only, only the leader publishes playback
+  if (!canPublishPlayback(roomId)) {
+    log(`Not the leader of room ${roomId}, skipping playback state update`, LOG_LEVELS.SYNC);
+    return;
+  }
+  
   const now = Date.now();
   
   // Don't throttle pause events, but do throttle play events
@@ -605,23 +982,29 @@ export async function updatePlaybackState(roomId, isPlaying, currentPosition) {
   updateThrottling.lastPositionUpdate = updateThrottling.lastPositionUpdate || {};
   updateThrottling.lastPositionUpdate[roomId] = now;
   
-  const roomRef = doc(db, "musicRooms", roomId);
+  // Send over the data channels first; the room state is only the fallback
+  if (sendPlaybackToPeers(roomId, isPlaying ? MUSIC_EVENTS.PLAY : MUSIC_EVENTS.PAUSE, isPlaying, currentPosition)) {
+    log(`Playback state sent to peers in room ${roomId}`, LOG_LEVELS.SYNC, { isPlaying, currentPosition });
+    return;
+  }
   
   try {
     // Generate a unique update ID to track our changes
     const updateId = generateUpdateId();
     syncState.ourUpdates.add(updateId);
     
-    await updateDoc(roomRef, {
+    const written = await writeRoomFields(roomId, {
       isPlaying: isPlaying,
       currentPosition: currentPosition,
-      updatedAt: serverTimestamp(),
+      positionUpdatedAt: getServerNow(),
       updateId: updateId
     });
     
-    log(`Playback state updated in room ${roomId}`, LOG_LEVELS.INFO, {
-      isPlaying, currentPosition
-    });
+    if (written) {
+      log(`Playback state updated in room ${roomId}`, LOG_LEVELS.INFO, {
+        isPlaying, currentPosition
+      });
+    }
   } catch (error) {
     log(`Error updating playback state: ${error.message}`, LOG_LEVELS.ERROR, error);
     throw error;
@@ -639,6 +1022,12 @@ export async function updatePlaybackPosition(roomId, currentPosition) {
     throw new Error("Room ID and currentPosition are required");
   }
   
+  // Followers are read-only, only the leader publishes playback
+  if (!canPublishPlayback(roomId)) {
+    log(`Not the leader of room ${roomId}, skipping position update`, LOG_LEVELS.SYNC);
+    return;
+  }
+  
   const now = Date.now();
   
   // Throttle position updates
@@ -654,16 +1043,26 @@ export async function updatePlaybackPosition(roomId, currentPosition) {
   updateThrottling.lastPositionUpdate = updateThrottling.lastPositionUpdate || {};
   updateThrottling.lastPositionUpdate[roomId] = now;
   
-  const roomRef = doc(db, "musicRooms", roomId);
+  // Send over the data channels first; the room state is only the fallback
+  const isPlaying = leaderSessions.get(roomId)?.getPlaybackState()?.isPlaying ?? true;
+  if (sendPlaybackToPeers(roomId, MUSIC_EVENTS.POSITION, isPlaying, currentPosition)) {
+    if (DEBUG_MODE) {
+      log(`Position sent to peers in room ${roomId}: ${currentPosition.toFixed(2)}s`, LOG_LEVELS.SYNC);
+    }
+    return;
+  }
   
   try {
+    const backend = await getSyncBackend();
+    
     // Generate a unique update ID to track our changes
     const updateId = generateUpdateId();
     syncState.ourUpdates.add(updateId);
     
-    await updateDoc(roomRef, {
+    await backend.updateRoom(roomId, {
       currentPosition: currentPosition,
-      updatedAt: serverTimestamp(),
+      positionUpdatedAt: getServerNow(),
+      updatedAt: backend.serverTimestamp(),
       updateId: updateId
     });
     
@@ -677,31 +1076,764 @@ export async function updatePlaybackPosition(roomId, currentPosition) {
 }
 
 /**
- * Add a track to the room's playlist
+ * Check whether this client may publish playback state for a room
+ * Rooms without a leader session (standalone usage) are not restricted
  * @param {string} roomId - ID of the room
- * @param {object} trackData - Track data to add
- * @returns {Promise<void>}
+ * @returns {boolean} Whether playback writes are allowed
  */
-export async function addTrackToPlaylist(roomId, trackData) {
-  if (!roomId || !trackData || !trackData.url) {
-    throw new Error("Room ID and track data (with url) are required");
+function canPublishPlayback(roomId) {
+  const session = leaderSessions.get(roomId);
+  return !session || session.leaderId === session.selfId;
+}
+
+/**
+ * Get the participants the leader can't reach over a data channel
+ * @param {string} roomId - ID of the room
+ * @returns {string[]|null} Unreachable participant IDs, or null without a leader session
+ */
+function getUnreachableParticipants(roomId) {
+  const session = leaderSessions.get(roomId);
+  if (!session) return null;
+  
+  const open = getOpenMusicChannels(roomId);
+  return session.participants.filter(p => p !== session.selfId && !open.has(p));
+}
+
+/**
+ * Send playback over the data channels
+ * @param {string} roomId - ID of the room
+ * @param {string} event - One of MUSIC_EVENTS
+ * @param {boolean} isPlaying - Whether playback is active
+ * @param {number} position - Playback position in seconds
+ * @returns {boolean} Whether every participant was reached (no room state write needed)
+ */
+function sendPlaybackToPeers(roomId, event, isPlaying, position) {
+  const unreachable = getUnreachableParticipants(roomId);
+  
+  // Standalone usage has no participant list to check against
+  if (!unreachable) return false;
+  
+  sendMusicEvent(roomId, event, { position, isPlaying });
+  
+  if (unreachable.length > 0) {
+    log(`${unreachable.length} participant(s) unreachable over data channels, falling back to room state`, LOG_LEVELS.SYNC, unreachable);
+    return false;
+  }
+  
+  return true;
+}
+
+/**
+ * Check whether a leader heartbeat is too old to trust
+ * @param {number|null} heartbeatAt - Server-clock time of the last heartbeat
+ * @returns {boolean} Whether the leader should be considered gone
+ */
+function isLeaderStale(heartbeatAt) {
+  return typeof heartbeatAt !== 'number' || getServerNow() - heartbeatAt > leaderConfig.staleAfter;
+}
+
+/**
+ * Start taking part in leader election for a room
+ * The leader publishes a heartbeat with the playback position; followers
+ * watch that heartbeat and take over when the leader leaves or goes stale
+ * @param {string} roomId - ID of the room
+ * @param {string} selfId - This client's participant ID (room-prefixed peer ID)
+ * @param {function} getPlaybackState - Returns { isPlaying, position } of the local player
+ * @returns {function} Function to stop the session
+ */
+export function startLeaderSession(roomId, selfId, getPlaybackState) {
+  if (!roomId || !selfId || typeof getPlaybackState !== 'function') {
+    throw new Error("Room ID, participant ID and playback state getter are required");
+  }
+  
+  stopLeaderSession(roomId);
+  
+  const session = {
+    selfId,
+    leaderId: null,
+    leaderHeartbeatAt: null,
+    participants: [],
+    getPlaybackState,
+    heartbeatTimer: null,
+    peerHeartbeatTimer: null,
+    checkTimer: null,
+    unsubscribe: null,
+    claiming: false
+  };
+  leaderSessions.set(roomId, session);
+  startQueueReplica(roomId, selfId);
+  
+  session.unsubscribe = watchRoom(roomId, (data) => {
+    if (!data) return;
+    
+    const previousLeader = session.leaderId;
+    
+    session.leaderId = data.leader || null;
+    session.leaderHeartbeatAt = data.leaderHeartbeatAt ?? null;
+    session.participants = Array.isArray(data.participants) ? data.participants : [];
+    
+    if (previousLeader !== session.leaderId) {
+      handleLeaderChange(roomId, session);
+    }
+  }, (error) => {
+    log(`Error watching leader for room ${roomId}: ${error.message}`, LOG_LEVELS.ERROR, error);
+  });
+  
+  session.checkTimer = setInterval(() => {
+    checkLeaderLiveness(roomId);
+  }, leaderConfig.checkInterval);
+  
+  log(`Leader session started for ${selfId} in room ${roomId}`, LOG_LEVELS.INFO);
+  
+  return () => stopLeaderSession(roomId);
+}
+
+/**
+ * Stop taking part in leader election for a room
+ * @param {string} roomId - ID of the room
+ */
+export function stopLeaderSession(roomId) {
+  const session = leaderSessions.get(roomId);
+  if (!session) return;
+  
+  if (session.unsubscribe) session.unsubscribe();
+  clearInterval(session.heartbeatTimer);
+  clearInterval(session.peerHeartbeatTimer);
+  clearInterval(session.checkTimer);
+  stopQueueReplica(roomId);
+  
+  leaderSessions.delete(roomId);
+  log(`Leader session stopped for room ${roomId}`, LOG_LEVELS.INFO);
+}
+
+/**
+ * React to a change of leader: start or stop heartbeats and notify the UI
+ * @param {string} roomId - ID of the room
+ * @param {object} session - Leader session
+ */
+function handleLeaderChange(roomId, session) {
+  const isLeader = session.leaderId === session.selfId;
+  
+  clearInterval(session.heartbeatTimer);
+  clearInterval(session.peerHeartbeatTimer);
+  session.heartbeatTimer = null;
+  session.peerHeartbeatTimer = null;
+  
+  if (isLeader) {
+    session.heartbeatTimer = setInterval(() => {
+      publishLeaderHeartbeat(roomId);
+    }, leaderConfig.heartbeatInterval);
+    session.peerHeartbeatTimer = setInterval(() => {
+      publishPeerHeartbeat(roomId);
+    }, leaderConfig.peerHeartbeatInterval);
+    publishLeaderHeartbeat(roomId);
+  }
+  
+  log(`Leader of room ${roomId} is now ${session.leaderId} (${isLeader ? 'us' : 'follower'})`, LOG_LEVELS.SYNC);
+  
+  document.dispatchEvent(new CustomEvent('leader-change', {
+    detail: { roomId, leaderId: session.leaderId, isLeader }
+  }));
+}
+
+/**
+ * Send the leader's playback state over the data channels
+ * Sent while paused too, so peers that connect later learn the state
+ * @param {string} roomId - ID of the room
+ */
+function publishPeerHeartbeat(roomId) {
+  const session = leaderSessions.get(roomId);
+  if (!session || session.leaderId !== session.selfId) return;
+  
+  const { isPlaying, position } = session.getPlaybackState() || {};
+  if (typeof position !== 'number' || isNaN(position)) return;
+  
+  sendMusicEvent(roomId, MUSIC_EVENTS.POSITION, { position, isPlaying: !!isPlaying });
+}
+
+/**
+ * Publish the leader heartbeat to the room state
+ * Includes the playback state only when some participant can't be reached
+ * over a data channel
+ * @param {string} roomId - ID of the room
+ */
+async function publishLeaderHeartbeat(roomId) {
+  const session = leaderSessions.get(roomId);
+  if (!session || session.leaderId !== session.selfId) return;
+  
+  const updateId = generateUpdateId();
+  const heartbeat = {
+    leaderHeartbeatAt: getServerNow(),
+    updateId
+  };
+  
+  const { isPlaying, position } = session.getPlaybackState() || {};
+  const needsFallback = getUnreachableParticipants(roomId).length > 0;
+  if (needsFallback && typeof position === 'number' && !isNaN(position)) {
+    heartbeat.isPlaying = !!isPlaying;
+    heartbeat.currentPosition = position;
+    heartbeat.positionUpdatedAt = getServerNow();
   }
   
-  const roomRef = doc(db, "musicRooms", roomId);
+  try {
+    syncState.ourUpdates.add(updateId);
+    const backend = await getSyncBackend();
+    await backend.updateRoom(roomId, heartbeat);
+  } catch (error) {
+    syncState.ourUpdates.delete(updateId);
+    log(`Error publishing leader heartbeat: ${error.message}`, LOG_LEVELS.ERROR, error);
+  }
+}
+
+/**
+ * Take over leadership if the current leader is missing or stale
+ * Runs in a transaction so only one follower wins
+ * @param {string} roomId - ID of the room
+ */
+async function checkLeaderLiveness(roomId) {
+  const session = leaderSessions.get(roomId);
+  if (!session || session.claiming || session.leaderId === session.selfId) return;
   
+  const leaderPresent = session.leaderId && session.participants.includes(session.leaderId);
+  if (leaderPresent && !isLeaderStale(session.leaderHeartbeatAt)) return;
+  
+  session.claiming = true;
   try {
-    await updateDoc(roomRef, {
-      playlist: arrayUnion(trackData),
-      updatedAt: serverTimestamp()
+    const backend = await getSyncBackend();
+    const claimed = await backend.transactRoom(roomId, (data) => {
+      if (!data) return null;
+      
+      const participants = Array.isArray(data.participants) ? data.participants : [];
+      const stillPresent = data.leader && participants.includes(data.leader);
+      
+      // Someone else already took over or the leader came back
+      if (stillPresent && !isLeaderStale(data.leaderHeartbeatAt ?? null)) return null;
+      
+      return {
+        leader: session.selfId,
+        leaderHeartbeatAt: getServerNow(),
+        updatedAt: backend.serverTimestamp()
+      };
     });
     
-    log(`Track added to playlist in room ${roomId}`, LOG_LEVELS.INFO, trackData);
+    if (claimed) {
+      log(`Took over leadership of room ${roomId} from ${session.leaderId || 'nobody'}`, LOG_LEVELS.INFO);
+    }
   } catch (error) {
-    log(`Error adding track to playlist: ${error.message}`, LOG_LEVELS.ERROR, error);
+    log(`Error claiming leadership: ${error.message}`, LOG_LEVELS.ERROR, error);
+  } finally {
+    session.claiming = false;
+  }
+}
+
+/**
+ * Hand leadership of a room to another participant
+ * Only the current leader can hand off
+ * @param {string} roomId - ID of the room
+ * @param {string} newLeaderId - Participant ID of the new leader
+ * @returns {Promise<boolean>} Whether the handoff happened
+ */
+export async function handOffLeadership(roomId, newLeaderId) {
+  const session = leaderSessions.get(roomId);
+  if (!session || !newLeaderId) {
+    throw new Error("An active leader session and new leader ID are required");
+  }
+  
+  try {
+    const backend = await getSyncBackend();
+    const handedOff = await backend.transactRoom(roomId, (data) => {
+      if (!data) return null;
+      if (data.leader !== session.selfId) return null;
+      if (!Array.isArray(data.participants) || !data.participants.includes(newLeaderId)) return null;
+      
+      // Fresh heartbeat gives the new leader time to start its own
+      return {
+        leader: newLeaderId,
+        leaderHeartbeatAt: getServerNow(),
+        updatedAt: backend.serverTimestamp()
+      };
+    });
+    
+    log(handedOff ? `Handed leadership of room ${roomId} to ${newLeaderId}` : `Handoff to ${newLeaderId} rejected`, LOG_LEVELS.INFO);
+    return handedOff;
+  } catch (error) {
+    log(`Error handing off leadership: ${error.message}`, LOG_LEVELS.ERROR, error);
     throw error;
   }
 }
 
+/**
+ * Check whether this client is the leader of a room
+ * @param {string} roomId - ID of the room
+ * @returns {boolean} Whether we lead the room
+ */
+export function isRoomLeader(roomId) {
+  const session = leaderSessions.get(roomId);
+  return !!session && session.leaderId === session.selfId;
+}
+
+/**
+ * Get the current leader of a room, as seen by this client's leader session
+ * @param {string} roomId - ID of the room
+ * @returns {string|null} Leader participant ID
+ */
+export function getRoomLeader(roomId) {
+  return leaderSessions.get(roomId)?.leaderId || null;
+}
+
+/**
+ * Whether an error means the sync backend couldn't be reached (rather than refused)
+ * @param {Error} error - Error from the backend
+ * @returns {boolean} Whether to fall back to peers
+ */
+function isBackendUnavailable(error) {
+  return error?.code === 'unavailable' || isOffline();
+}
+
+/**
+ * Whether the browser knows it has no network
+ * (it can also be "online" with no way through, which shows up as unavailable errors)
+ * @returns {boolean} Whether we're offline
+ */
+function isOffline() {
+  return typeof navigator !== 'undefined' && navigator.onLine === false;
+}
+
+/**
+ * Start keeping a copy of a room's queue
+ * The copy is the last room snapshot plus the ops the backend hasn't
+ * confirmed yet: our own edits made while it was unreachable, and edits
+ * peers sent us over data channels
+ * @param {string} roomId - ID of the room
+ * @param {string} selfId - This client's participant ID
+ */
+function startQueueReplica(roomId, selfId) {
+  stopQueueReplica(roomId);
+  
+  const replica = {
+    selfId,
+    clock: createOpClock(selfId),
+    room: {},
+    base: readPlaylistState(null),
+    state: readPlaylistState(null),
+    pending: [],
+    flushTimer: null,
+    flushing: false,
+    unsubscribe: null
+  };
+  
+  replica.handlePeerOps = (event) => {
+    if (event.detail?.roomId === roomId) receivePeerOps(roomId, event.detail.ops, event.detail.senderId);
+  };
+  replica.handleOnline = () => flushQueueOps(roomId);
+  
+  replica.unsubscribe = watchRoom(roomId, (data) => {
+    if (!data) return;
+    
+    replica.room = data;
+    replica.base = readPlaylistState(data);
+    (data.playlist || []).forEach(entry => replica.clock.observe(entry.posStamp));
+    rebaseQueueReplica(roomId);
+  }, (error) => {
+    log(`Error watching queue for room ${roomId}: ${error.message}`, LOG_LEVELS.ERROR, error);
+  });
+  
+  document.addEventListener('peer-playlist-ops', replica.handlePeerOps);
+  window.addEventListener('online', replica.handleOnline);
+  queueReplicas.set(roomId, replica);
+}
+
+/**
+ * Stop keeping a copy of a room's queue
+ * Ops the backend hasn't confirmed get one last attempt
+ * @param {string} roomId - ID of the room
+ */
+function stopQueueReplica(roomId) {
+  const replica = queueReplicas.get(roomId);
+  if (!replica) return;
+  
+  if (replica.pending.length > 0) {
+    writeQueueOps(roomId, replica.pending).catch(error => {
+      log(`Dropping ${replica.pending.length} unsaved queue edit(s) for room ${roomId}: ${error.message}`, LOG_LEVELS.WARNING);
+    });
+  }
+  
+  if (replica.unsubscribe) replica.unsubscribe();
+  clearTimeout(replica.flushTimer);
+  document.removeEventListener('peer-playlist-ops', replica.handlePeerOps);
+  window.removeEventListener('online', replica.handleOnline);
+  queueReplicas.delete(roomId);
+}
+
+// The queue copy for a room we've joined
+function getQueueReplica(roomId) {
+  const replica = queueReplicas.get(roomId);
+  if (!replica) {
+    throw new Error(`Join room ${roomId} before changing its queue`);
+  }
+  return replica;
+}
+
+/**
+ * Re-apply the unconfirmed ops on top of the latest snapshot
+ * Ops that change nothing any more are already in the room (or outdated) and are dropped
+ * @param {string} roomId - ID of the room
+ */
+function rebaseQueueReplica(roomId) {
+  const replica = queueReplicas.get(roomId);
+  if (!replica) return;
+  
+  let state = replica.base;
+  replica.pending = replica.pending.filter(op => {
+    const next = applyPlaylistOp(state, op);
+    if (next) state = next;
+    return !!next;
+  });
+  replica.state = state;
+  
+  if (replica.pending.length > 0) scheduleQueueFlush(roomId, queueConfig.flushRetryInterval);
+  emitQueueChange(roomId);
+}
+
+/**
+ * Tell the UI the room's queue changed
+ * @param {string} roomId - ID of the room
+ */
+function emitQueueChange(roomId) {
+  const detail = getRoomQueue(roomId);
+  if (!detail) return;
+  
+  document.dispatchEvent(new CustomEvent('room-queue-change', { detail }));
+}
+
+/**
+ * Get our copy of a room's queue
+ * @param {string} roomId - ID of the room
+ * @returns {object|null} { roomId, queue, currentTrack, participants, pendingOps }, or null if we haven't joined
+ */
+export function getRoomQueue(roomId) {
+  const replica = queueReplicas.get(roomId);
+  if (!replica) return null;
+  
+  return {
+    roomId,
+    queue: getQueue(replica.state),
+    currentTrack: replica.room.currentTrack || null,
+    participants: Array.isArray(replica.room.participants) ? replica.room.participants : [],
+    pendingOps: replica.pending.length
+  };
+}
+
+/**
+ * Apply queue ops a peer sent over a data channel
+ * Kept as pending too, so whoever reaches the backend first gets them into the room.
+ * Moves and removals are leader-only edits (see moveQueueEntry and removeQueueEntry),
+ * so they're only taken from the leader; anyone else's reach us through the backend
+ * @param {string} roomId - ID of the room
+ * @param {Array} ops - Playlist ops
+ * @param {string} senderId - Peer ID of the sender
+ */
+function receivePeerOps(roomId, ops, senderId) {
+  const replica = queueReplicas.get(roomId);
+  if (!replica) return;
+  
+  const fromLeader = !!senderId && senderId === getRoomLeader(roomId);
+  const accepted = ops.filter(op => fromLeader || op.type === PLAYLIST_OPS.INSERT);
+  if (accepted.length < ops.length) {
+    log(`Ignoring ${ops.length - accepted.length} leader-only queue edit(s) from ${senderId}`, LOG_LEVELS.WARNING);
+  }
+  
+  let changed = false;
+  accepted.forEach(op => {
+    replica.clock.observe(op.stamp);
+    const next = applyPlaylistOp(replica.state, op);
+    if (!next) return;
+    
+    replica.state = next;
+    replica.pending.push(op);
+    changed = true;
+  });
+  
+  if (!changed) return;
+  
+  // The sender usually writes them itself; give its write time to show up
+  scheduleQueueFlush(roomId, queueConfig.relayFlushDelay);
+  emitQueueChange(roomId);
+}
+
+/**
+ * Write queue ops to the room in a transaction
+ * @param {string} roomId - ID of the room
+ * @param {Array} ops - Playlist ops
+ * @returns {Promise<boolean>} Whether anything had to be written
+ */
+async function writeQueueOps(roomId, ops) {
+  const backend = await getSyncBackend();
+  
+  return backend.transactRoom(roomId, (data) => {
+    if (!data) return null;
+    
+    const stored = readPlaylistState(data);
+    const state = applyPlaylistOps(stored, ops);
+    if (state === stored) return null;
+    
+    return { ...toRoomFields(state), updatedAt: backend.serverTimestamp() };
+  });
+}
+
+/**
+ * Try to get the pending ops into the room soon
+ * @param {string} roomId - ID of the room
+ * @param {number} delay - Delay in ms
+ */
+function scheduleQueueFlush(roomId, delay) {
+  const replica = queueReplicas.get(roomId);
+  if (!replica || replica.flushTimer) return;
+  
+  replica.flushTimer = setTimeout(() => {
+    replica.flushTimer = null;
+    flushQueueOps(roomId);
+  }, delay);
+}
+
+/**
+ * Write the pending ops to the room
+ * Retried while the backend is unreachable; dropped if it refuses them
+ * @param {string} roomId - ID of the room
+ */
+async function flushQueueOps(roomId) {
+  const replica = queueReplicas.get(roomId);
+  if (!replica || replica.flushing || replica.pending.length === 0) return;
+  
+  const flushed = replica.pending.slice();
+  replica.flushing = true;
+  
+  try {
+    await writeQueueOps(roomId, flushed);
+    replica.pending = replica.pending.filter(op => !flushed.includes(op));
+    log(`Saved ${flushed.length} queue edit(s) to room ${roomId}`, LOG_LEVELS.SYNC);
+  } catch (error) {
+    if (isBackendUnavailable(error)) {
+      scheduleQueueFlush(roomId, queueConfig.flushRetryInterval);
+    } else {
+      replica.pending = replica.pending.filter(op => !flushed.includes(op));
+      log(`Room ${roomId} refused ${flushed.length} queue edit(s): ${error.message}`, LOG_LEVELS.ERROR, error);
+    }
+  } finally {
+    replica.flushing = false;
+    rebaseQueueReplica(roomId);
+  }
+}
+
+/**
+ * Work out an edit against a queue state
+ * @param {object} replica - Queue copy (for the clock)
+ * @param {object} state - Queue state to edit
+ * @param {object} room - Room data the edit is decided on
+ * @param {function} planFn - (queue, room, stamp, online) => { ops, votes, changes } or null
+ * @param {boolean} online - Whether the edit goes to the backend
+ * @returns {object|null} The plan with the edited state, or null if there's nothing to do
+ */
+function planQueueEdit(replica, state, room, planFn, online) {
+  const plan = planFn(getQueue(state), room, replica.clock.next(), online);
+  if (!plan) return null;
+  
+  const ops = plan.ops || [];
+  let next = applyPlaylistOps(state, ops);
+  if (plan.votes) next = setEntryVotes(next, plan.votes.entryId, plan.votes.votes) || next;
+  
+  return { ops, changes: plan.changes || null, state: next };
+}
+
+/**
+ * Edit the room's queue
+ * The edit goes through a backend transaction, along with any pending ops,
+ * and its ops are sent to peers. If the backend can't be reached, edits that
+ * only need ops are applied to our copy and sent to peers, and written to the
+ * room once it's back
+ * @param {string} roomId - ID of the room
+ * @param {string} action - What's being done, for the log
+ * @param {function} planFn - (queue, room, stamp, online) => { ops, votes, changes } or null for nothing to do
+ * @param {object} options - { allowOffline } for edits that work without the backend
+ * @returns {Promise<boolean>} Whether the queue changed
+ */
+async function editQueue(roomId, action, planFn, { allowOffline = true } = {}) {
+  const replica = getQueueReplica(roomId);
+  let edit = null;
+  
+  try {
+    const backend = await getSyncBackend();
+    let flushed = [];
+    
+    const changed = await backend.transactRoom(roomId, (data) => {
+      if (!data) return null;
+      
+      flushed = replica.pending.slice();
+      edit = planQueueEdit(replica, applyPlaylistOps(readPlaylistState(data), flushed), data, planFn, true);
+      if (!edit) return null;
+      
+      return { ...toRoomFields(edit.state), ...edit.changes, updatedAt: backend.serverTimestamp() };
+    });
+    
+    if (changed) {
+      replica.pending = replica.pending.filter(op => !flushed.includes(op));
+      shareQueueOps(roomId, edit.ops);
+    }
+    
+    log(changed ? `Queue ${action} in room ${roomId}` : `Queue ${action} skipped in room ${roomId}`, LOG_LEVELS.INFO);
+    return changed;
+  } catch (error) {
+    if (!allowOffline || !isBackendUnavailable(error)) {
+      log(`Error in queue ${action}: ${error.message}`, LOG_LEVELS.ERROR, error);
+      throw error;
+    }
+  }
+  
+  // Backend unreachable: edit our copy and hand the ops to peers
+  edit = planQueueEdit(replica, replica.state, replica.room, planFn, false);
+  if (!edit || edit.ops.length === 0) return false;
+  
+  replica.pending.push(...edit.ops);
+  shareQueueOps(roomId, edit.ops);
+  scheduleQueueFlush(roomId, queueConfig.flushRetryInterval);
+  
+  log(`Queue ${action} in room ${roomId} shared with peers until the room can be reached`, LOG_LEVELS.WARNING);
+  return true;
+}
+
+/**
+ * Apply ops to our copy and send them to peers
+ * @param {string} roomId - ID of the room
+ * @param {Array} ops - Playlist ops
+ */
+function shareQueueOps(roomId, ops) {
+  const replica = queueReplicas.get(roomId);
+  if (!replica || ops.length === 0) return;
+  
+  replica.state = applyPlaylistOps(replica.state, ops);
+  sendPlaylistOps(roomId, ops);
+  emitQueueChange(roomId);
+}
+
+/**
+ * Add a track to the room's shared queue
+ * Anyone in the room can add; if nothing is playing, the track starts
+ * (works while the backend is unreachable, but then nothing is started)
+ * @param {string} roomId - ID of the room
+ * @param {object} trackData - Track data with url (and title)
+ * @param {object} addedBy - { id, name } of who added it (defaults to us)
+ * @returns {Promise<boolean>} Whether the track was queued (false if it's already up next)
+ */
+export async function addTrackToPlaylist(roomId, trackData, addedBy = null) {
+  if (!roomId || !trackData || !trackData.url) {
+    throw new Error("Room ID and track data (with url) are required");
+  }
+  
+  const entry = createQueueEntry(trackData, addedBy || { id: getQueueReplica(roomId).selfId });
+  
+  return editQueue(roomId, 'add', (queue, room, stamp, online) => {
+    const op = addEntry(queue, room.currentTrack, entry, stamp);
+    if (!op) return null;
+    if (room.currentTrack || !online) return { ops: [op] };
+    
+    return {
+      ops: [op],
+      changes: {
+        currentTrack: toCurrentTrack(entry),
+        isPlaying: true,
+        currentPosition: 0,
+        positionUpdatedAt: getServerNow()
+      }
+    };
+  });
+}
+
+/**
+ * Vote on an upcoming track; a majority of down votes removes it
+ * Needs the backend, which counts the room's participants
+ * @param {string} roomId - ID of the room
+ * @param {string} entryId - Queue entry ID
+ * @param {number} vote - 1 (up), -1 (down) or 0 (take the vote back)
+ * @returns {Promise<boolean>} Whether the queue changed
+ */
+export async function voteQueueEntry(roomId, entryId, vote) {
+  const selfId = getQueueReplica(roomId).selfId;
+  
+  return editQueue(roomId, 'vote', (queue, room, stamp) => {
+    const participants = Array.isArray(room.participants) ? room.participants.length : 1;
+    const result = voteEntry(queue, room.currentTrack, entryId, selfId, vote, participants, stamp);
+    if (!result) return null;
+    
+    return { ops: result.op ? [result.op] : [], votes: { entryId, votes: result.votes } };
+  }, { allowOffline: false });
+}
+
+/**
+ * Move an upcoming track (leader only)
+ * @param {string} roomId - ID of the room
+ * @param {string} entryId - Queue entry ID
+ * @param {number} toIndex - New position among the upcoming tracks (0 = next)
+ * @returns {Promise<boolean>} Whether the queue changed
+ */
+export async function moveQueueEntry(roomId, entryId, toIndex) {
+  const selfId = getQueueReplica(roomId).selfId;
+  
+  return editQueue(roomId, 'move', (queue, room, stamp) => {
+    if (room.leader !== selfId) return null;
+    const op = moveEntry(queue, room.currentTrack, entryId, toIndex, stamp);
+    return op ? { ops: [op] } : null;
+  });
+}
+
+/**
+ * Remove a track from the queue (leader only)
+ * @param {string} roomId - ID of the room
+ * @param {string} entryId - Queue entry ID
+ * @returns {Promise<boolean>} Whether the queue changed
+ */
+export async function removeQueueEntry(roomId, entryId) {
+  const selfId = getQueueReplica(roomId).selfId;
+  
+  return editQueue(roomId, 'remove', (queue, room, stamp) => {
+    if (room.leader !== selfId) return null;
+    const op = removeEntry(queue, room.currentTrack, entryId, stamp);
+    return op ? { ops: [op] } : null;
+  });
+}
+
+/**
+ * Play the next (or previous) track in the queue (leader only)
+ * Pass the URL that was playing so a skip and an 'ended' from the same track
+ * only advance once
+ * @param {string} roomId - ID of the room
+ * @param {object} options - { direction: 1 | -1, fromUrl }
+ * @returns {Promise<boolean>} Whether the room moved to another track
+ */
+export async function advanceQueue(roomId, { direction = 1, fromUrl = null } = {}) {
+  const selfId = getQueueReplica(roomId).selfId;
+  
+  return editQueue(roomId, direction > 0 ? 'next' : 'previous', (queue, room, stamp) => {
+    if (room.leader !== selfId) return null;
+    if (fromUrl && room.currentTrack?.url !== fromUrl) return null;
+    
+    const step = stepQueue(queue, room.currentTrack, direction, stamp);
+    if (!step) {
+      // End of the queue: stop rather than loop
+      return direction > 0 && room.isPlaying ? { changes: { isPlaying: false, positionUpdatedAt: getServerNow() } } : null;
+    }
+    
+    return {
+      ops: step.ops,
+      changes: {
+        currentTrack: toCurrentTrack(step.entry),
+        isPlaying: true,
+        currentPosition: 0,
+        positionUpdatedAt: getServerNow()
+      }
+    };
+  }, { allowOffline: false });
+}
+
 /**
  * Get the current data for a music room
  * @param {string} roomId - ID of the room
@@ -712,13 +1844,11 @@ export async function getMusicRoomData(roomId) {
     throw new Error("Room ID is required");
   }
   
-  const roomRef = doc(db, "musicRooms", roomId);
-  
   try {
-    const roomSnap = await getDoc(roomRef);
+    const backend = await getSyncBackend();
+    const data = await backend.getRoom(roomId);
     
-    if (roomSnap.exists()) {
-      const data = roomSnap.data();
+    if (data) {
       return { ...data, id: roomId };
     } else {
       log(`Room ${roomId} not found`, LOG_LEVELS.WARNING);
@@ -761,6 +1891,9 @@ export function resetMusicSync() {
     }
   });
   
+  // Stop all leader sessions
+  Array.from(leaderSessions.keys()).forEach(roomId => stopLeaderSession(roomId));
+  
   // Clear our updates tracking set
   syncState.ourUpdates.clear();
   
@@ -782,14 +1915,29 @@ export function resetMusicSync() {
 
 // Export the module
 export default {
+  setMusicSyncBackend,
+  getMusicSyncBackendName,
   joinMusicRoom,
   leaveMusicRoom,
   listenToMusicSync,
+  watchMusicRoom,
+  setMusicRoomState,
   updateCurrentTrack,
   updatePlaybackState,
   updatePlaybackPosition,
+  startLeaderSession,
+  stopLeaderSession,
+  handOffLeadership,
+  isRoomLeader,
+  getRoomLeader,
+  getRoomQueue,
   addTrackToPlaylist,
+  voteQueueEntry,
+  moveQueueEntry,
+  removeQueueEntry,
+  advanceQueue,
   getMusicRoomData,
+  setRoomPluginSetting,
   getConnectionHealth,
   resetMusicSync
 }; 
@@ -799,23 +1947,22 @@ export default {
  * @param {HTMLAudioElement} audioPlayer - The audio player element
  * @param {string} url - URL of the track to play
  * @param {number} syncedPosition - Position in seconds to sync to
+ * @param {number} positionUpdatedAt - Server-clock time (ms) syncedPosition was recorded at
  */
-export function safePlayTrack(audioPlayer, url, syncedPosition = 0) {
+export function safePlayTrack(audioPlayer, url, syncedPosition = 0, positionUpdatedAt = null) {
   audioPlayer.pause(); // Reset player
   audioPlayer.src = url;
   audioPlayer.load(); // Force reload buffer
 
   audioPlayer.addEventListener('canplaythrough', () => {
     console.log('✅ Track ready to play, syncing position...');
-    if (Math.abs(audioPlayer.currentTime - syncedPosition) > 0.5) {
-      console.log(`🔄 Adjusting position to synced point: ${syncedPosition}s`);
-      audioPlayer.currentTime = syncedPosition;
-    }
     audioPlayer.play().then(() => {
       console.log('🎶 Playback started.');
+      // Let the drift corrector catch up smoothly, seeking only for large gaps
+      getDriftCorrector(audioPlayer).setReference(syncedPosition, true, positionUpdatedAt);
     }).catch((err) => {
       console.warn('⚠️ Autoplay failed, might need user interaction.', err);
       // TODO: Optional: show a "Click to Resume" overlay
     });
   }, { once: true });
-} 
\ No newline at end of file
+}
\ No newline at end of file
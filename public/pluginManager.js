@@ -1,18 +1,518 @@
 /**
  * Plugin Manager for RydeSync - Phase 7.3.1
  * Handles loading and managing plugins for room extensions and music player
- * Supports dynamic loading based on room type
+ * Room types are resolved through the plugin catalog (plugin manifests), so any
+ * plugin that declares a room type can be loaded without changes here; plugins
+ * written for another host API, or missing a dependency, are refused with a
+ * notice in the room (src/pluginDependencies.js)
+ * The standard synced music player runs in every room; plugins run on top of it and
+ * reach it through the host API they get in initializePlugin(host) (src/pluginHost.js)
+ * The room document is watched through the music sync backend (Firestore or the
+ * WebSocket room state server) while we're in the room, so a new roomType or theme
+ * swaps the plugin and theme in place without touching the player or voice calls,
+ * and new plugin settings (pluginSettings.<pluginId>) reach the plugins right away
  */
 
 import { renderMusicPlayerUI } from './plugins/musicUI.js';
-import { initializeSyncMusicPlayer, cleanupSyncMusicPlayer } from './plugins/syncMusicPlayer.js';
-import { db, collection, doc, getDoc } from './src/firebase.js';
+import { initializeSyncMusicPlayer, cleanupSyncMusicPlayer, syncTrackToRoom } from './plugins/syncMusicPlayer.js';
+import { getPluginManifests, getPluginById } from './plugins/index.js';
+import { createPluginHost } from './src/pluginHost.js';
+import pluginLifecycle from './src/pluginLifecycle.js';
+import { mountThemeSwitcher } from './src/themeSwitcher.js';
+import { resolveSettings, mountSettingsPanel } from './src/pluginSettings.js';
+import { prepareDependencies } from './src/pluginDependencies.js';
+import { isRoomLeader, getMusicRoomData, watchMusicRoom, setMusicRoomState, setRoomPluginSetting } from './musicSync.js';
+
+// The standard synced music player, running underneath whichever plugin the room has
+const DEFAULT_PLAYER = {
+  id: 'music',
+  manifest: null,
+  initializePlugin: initializeSyncMusicPlayer,
+  cleanupPlugin: cleanupSyncMusicPlayer
+};
 
 // Keep track of loaded plugins
-const loadedPlugins = new Map();
+const loadedPlugins = new Map(); // roomName -> room-specific plugin
+const pluginHosts = new Map(); // pluginId -> dispose function of the plugin's host
 let currentRoom = null;
 let currentRoomType = null;
-let currentPluginModule = null;
+let activePlugin = null; // Plugin driving the current room type, if it has one
+let roomTheme = null; // Theme applied for the room type, or the one the leader picked
+let roomPluginTheme = null; // Theme of the plugin named after the room
+let chosenTheme = null; // `theme` field of the room document, null for the room type's own
+let unsubscribeRoom = null; // Stops watching the room document
+let themeSwitcher = null;
+let roomChanges = Promise.resolve(); // Room document changes are applied one at a time, in order
+let roomCleanup = Promise.resolve(); // Cleanup of the room we left, finished before joining another
+let roomSettings = {}; // pluginSettings field of the room document: pluginId -> values
+let settingsPanel = null;
+const deliveredSettings = new Map(); // pluginId -> settings the plugin last got, as JSON
+let micAllowed = true; // false while a running plugin's allowMic setting is off
+let pluginNotices = []; // Notices about plugins refused in the current room
+
+/**
+ * Import a plugin module from its manifest and check its interface
+ * Plugins export initializePlugin and optionally cleanupPlugin,
+ * either as named exports or on their default export
+ * Its host API version and dependencies are checked, and the dependencies
+ * loaded, first; an incompatible plugin throws with code 'plugin-incompatible'
+ * @param {Object} manifest - Plugin manifest from the catalog
+ * @returns {Promise<Object>} Plugin with its manifest and lifecycle functions
+ */
+async function loadPluginModule(manifest) {
+  await prepareDependencies(manifest, getPluginById);
+  
+  // Sandboxed plugins only ever run inside their iframe, never in the page
+  if (manifest.sandbox) {
+    return { id: manifest.id, name: manifest.name, version: manifest.version, manifest };
+  }
+  
+  const pluginModule = await import(manifest.entryUrl);
+  const exported = pluginModule.default && typeof pluginModule.default === 'object' ? pluginModule.default : {};
+  const pick = name => pluginModule[name] || exported[name];
+  
+  const plugin = {
+    id: manifest.id,
+    name: manifest.name,
+    version: manifest.version,
+    manifest,
+    initializePlugin: pick('initializePlugin'),
+    cleanupPlugin: pick('cleanupPlugin')
+  };
+  
+  if (typeof plugin.initializePlugin !== 'function') {
+    throw new Error(`Plugin ${manifest.id} does not export initializePlugin`);
+  }
+  if (plugin.cleanupPlugin !== undefined && typeof plugin.cleanupPlugin !== 'function') {
+    throw new Error(`Plugin ${manifest.id} exports cleanupPlugin but it is not a function`);
+  }
+  
+  return plugin;
+}
+
+/**
+ * Tell riders in the room why a plugin isn't running, instead of quietly
+ * carrying on with the standard music player
+ * @param {string} message - Message to show
+ */
+function showPluginNotice(message) {
+  const notice = document.createElement('div');
+  notice.className = 'plugin-notice';
+  notice.setAttribute('role', 'alert');
+  notice.style.cssText = `
+    display: flex;
+    align-items: center;
+    justify-content: space-between;
+    gap: 10px;
+    margin: 10px auto;
+    max-width: 600px;
+    padding: 10px 14px;
+    background: rgba(255, 170, 0, 0.15);
+    border: 1px solid #ffaa00;
+    border-radius: 6px;
+    color: inherit;
+  `;
+  
+  const text = document.createElement('span');
+  text.textContent = `⚠️ ${message}`;
+  
+  const dismiss = document.createElement('button');
+  dismiss.textContent = '✕';
+  dismiss.title = 'Dismiss';
+  dismiss.style.cssText = 'background: none; border: none; color: inherit; cursor: pointer;';
+  dismiss.addEventListener('click', () => notice.remove());
+  
+  notice.append(text, dismiss);
+  
+  const player = document.getElementById('musicPlayer');
+  if (player && player.parentNode) {
+    player.parentNode.insertBefore(notice, player);
+  } else {
+    document.body.appendChild(notice);
+  }
+  pluginNotices.push(notice);
+}
+
+function clearPluginNotices() {
+  pluginNotices.forEach(notice => notice.remove());
+  pluginNotices = [];
+}
+
+/**
+ * Report a plugin that couldn't be loaded; incompatible plugins get a notice in the room
+ * @param {Error} error - Error from loadPluginModule
+ */
+function reportPluginLoadError(error) {
+  if (error.code === 'plugin-incompatible') showPluginNotice(error.message);
+}
+
+/**
+ * Start a plugin with a host for the room, through the plugin lifecycle
+ * (src/pluginLifecycle.js), which tracks what it creates
+ * @param {Object} plugin - Plugin from loadPluginModule
+ * @param {string} roomName - Name of the room
+ */
+async function startPlugin(plugin, roomName) {
+  const { host, dispose, tracker } = createPluginHost(plugin.manifest, {
+    roomName,
+    syncTrack: syncTrackToRoom,
+    getSettings: () => getPluginSettings(plugin)
+  });
+  pluginHosts.set(plugin.id, dispose);
+  deliveredSettings.set(plugin.id, JSON.stringify(getPluginSettings(plugin)));
+  
+  const sandbox = !!plugin.manifest.sandbox;
+  const started = await pluginLifecycle.initializePlugin(plugin, sandbox ? host.createContainer() : null, {
+    host,
+    tracker,
+    sandbox
+  });
+  
+  if (!started) {
+    stopPlugin(plugin);
+    throw new Error(`Plugin ${plugin.id} failed to start`);
+  }
+}
+
+/**
+ * Clean up a plugin, removing whatever it left behind, then release its host
+ * Cleanup is asynchronous (sandboxed plugins get a moment to clean up in their iframe)
+ * @param {Object} plugin - Plugin from loadPluginModule
+ * @returns {Promise} Resolves once the plugin and its host are gone
+ */
+function stopPlugin(plugin) {
+  const dispose = pluginHosts.get(plugin.id);
+  pluginHosts.delete(plugin.id);
+  deliveredSettings.delete(plugin.id);
+  
+  return pluginLifecycle.cleanupPlugin(plugin.id)
+    .catch(err => console.error(`[PluginManager] Error cleaning up ${plugin.id} plugin:`, err))
+    .finally(() => {
+      if (dispose) dispose();
+    });
+}
+
+/**
+ * Get a plugin's settings for the current room
+ * @param {Object} plugin - Plugin from loadPluginModule
+ * @returns {Object} Settings declared in the plugin's manifest, with the room's values
+ */
+function getPluginSettings(plugin) {
+  return resolveSettings(plugin.manifest?.settings, roomSettings[plugin.id]);
+}
+
+/**
+ * Plugins running on top of the standard player in the current room
+ * @returns {Object[]} The room type's plugin and the plugin named after the room
+ */
+function getRunningPlugins() {
+  return [activePlugin, loadedPlugins.get(currentRoom)].filter(Boolean);
+}
+
+/**
+ * Send running plugins their settings if the room document changed them,
+ * and apply the room's microphone policy
+ * @param {string} roomName - Name of the room
+ */
+function deliverSettings(roomName) {
+  getRunningPlugins().forEach(plugin => {
+    const settings = getPluginSettings(plugin);
+    const json = JSON.stringify(settings);
+    if (!pluginHosts.has(plugin.id) || deliveredSettings.get(plugin.id) === json) return;
+    
+    deliveredSettings.set(plugin.id, json);
+    document.dispatchEvent(new CustomEvent('plugin-settings-change', {
+      detail: { roomId: roomName, pluginId: plugin.id, settings }
+    }));
+  });
+  
+  updateMicPolicy(roomName);
+  if (settingsPanel) settingsPanel.refresh();
+}
+
+/**
+ * Tell app.js whether riders may use their microphones in the room
+ * Any running plugin with its allowMic setting off turns them off
+ * @param {string} roomName - Name of the room
+ */
+function updateMicPolicy(roomName) {
+  const allowed = getRunningPlugins().every(plugin => getPluginSettings(plugin).allowMic !== false);
+  if (allowed === micAllowed) return;
+  
+  micAllowed = allowed;
+  console.log(`[PluginManager] Microphones ${allowed ? 'allowed' : 'disabled'} in ${roomName}`);
+  document.dispatchEvent(new CustomEvent('room-mic-policy', {
+    detail: { roomId: roomName, allowed }
+  }));
+}
+
+/**
+ * Find and import the plugin for a room type
+ * @param {string} roomType - Room type from the room document
+ * @returns {Promise<Object>} Plugin, or DEFAULT_PLAYER when no plugin defines the type
+ */
+async function resolveRoomTypePlugin(roomType) {
+  if (!roomType || roomType === 'music' || roomType === 'default') {
+    return DEFAULT_PLAYER;
+  }
+  
+  const manifest = await getPluginById(roomType);
+  if (!manifest || !manifest.definesRoomType) {
+    console.warn(`[PluginManager] No plugin defines room type "${roomType}", using standard music player.`);
+    return DEFAULT_PLAYER;
+  }
+  
+  return loadPluginModule(manifest);
+}
+
+/**
+ * Add the theme class, logo overlay and manifest stylesheets for a room
+ * @param {string} theme - Theme name
+ * @param {string[]} styles - Stylesheet URLs from the manifest
+ * @returns {Object} Applied theme, for removeTheme
+ */
+function applyTheme(theme, styles = []) {
+  const applied = { theme, logo: null, links: [] };
+  
+  if (theme) {
+    document.body.classList.add(`theme-${theme}`);
+    
+    // Create theme logo overlay
+    if (!document.getElementById('themeLogoOverlay')) {
+      const themeLogo = document.createElement('div');
+      themeLogo.className = `theme-logo logo-${theme}`;
+      themeLogo.id = 'themeLogoOverlay';
+      document.body.appendChild(themeLogo);
+      applied.logo = themeLogo;
+    }
+  }
+  
+  styles.forEach(href => {
+    const link = document.createElement('link');
+    link.rel = 'stylesheet';
+    link.href = href;
+    link.dataset.pluginStyle = theme || 'plugin';
+    document.head.appendChild(link);
+    applied.links.push(link);
+  });
+  
+  return applied;
+}
+
+/**
+ * Remove a theme added by applyTheme
+ * @param {Object|null} applied - Applied theme
+ */
+function removeTheme(applied) {
+  if (!applied) return;
+  const { theme, logo, links } = applied;
+  
+  try {
+    if (theme) {
+      // Remove theme classes
+      document.body.classList.remove(`theme-${theme}`);
+      document.body.classList.remove(`${theme}-theme`);
+      
+      // Remove custom banners
+      document.querySelectorAll(`.${theme}-banner`).forEach(banner => banner.remove());
+    }
+    if (logo) logo.remove();
+  } catch (err) {
+    console.error('[PluginManager] Error removing theme classes:', err);
+  }
+  links.forEach(link => link.remove());
+}
+
+/**
+ * Find the stylesheets for a theme: the plugin's own, or those of the
+ * catalog plugin that ships the theme
+ * @param {string} theme - Theme name
+ * @param {Object} plugin - Plugin driving the room type
+ * @returns {Promise<string[]>} Stylesheet URLs
+ */
+async function getThemeStyles(theme, plugin) {
+  if (plugin.manifest?.theme === theme) return plugin.manifest.styles;
+  
+  try {
+    const manifests = await getPluginManifests();
+    return manifests.find(manifest => manifest.theme === theme)?.styles || [];
+  } catch (error) {
+    console.error(`[PluginManager] Error looking up styles for theme ${theme}:`, error);
+    return [];
+  }
+}
+
+/**
+ * Switch the room's theme to the leader's pick, or the room type's own
+ * @param {Object} plugin - Plugin driving the room type (DEFAULT_PLAYER when none)
+ */
+async function setRoomTheme(plugin) {
+  const theme = chosenTheme || plugin.manifest?.theme || currentRoomType;
+  if (roomTheme && roomTheme.theme === theme) return;
+  
+  const styles = await getThemeStyles(theme, plugin);
+  removeTheme(roomTheme);
+  roomTheme = applyTheme(theme, styles);
+}
+
+/**
+ * Swap the room type's plugin for a new room type
+ * The standard music player keeps running throughout, so playback doesn't stop
+ * @param {string} roomName - Name of the room
+ * @param {string} roomType - New room type
+ */
+async function swapRoomType(roomName, roomType) {
+  console.log(`[PluginManager] Room type changed: ${currentRoomType} → ${roomType}`);
+  clearPluginNotices();
+  
+  let plugin = DEFAULT_PLAYER;
+  try {
+    plugin = await resolveRoomTypePlugin(roomType);
+  } catch (pluginError) {
+    console.error(`[PluginManager] Error loading ${roomType} plugin, falling back to default music player:`, pluginError);
+    reportPluginLoadError(pluginError);
+  }
+  if (roomName !== currentRoom) return;
+  
+  if (activePlugin) {
+    const previousPlugin = activePlugin;
+    activePlugin = null;
+    await stopPlugin(previousPlugin);
+    console.log(`[PluginManager] Cleaned up ${previousPlugin.id} plugin`);
+  }
+  // We may have left the room while a step was under way
+  if (roomName !== currentRoom) return;
+  
+  currentRoomType = roomType;
+  await setRoomTheme(plugin);
+  if (roomName !== currentRoom) return;
+  
+  // The plugin named after the room may already be running it
+  if (plugin === DEFAULT_PLAYER || loadedPlugins.get(roomName)?.id === plugin.id) return;
+  
+  try {
+    await startPlugin(plugin, roomName);
+    if (roomName !== currentRoom) {
+      await stopPlugin(plugin);
+      return;
+    }
+    activePlugin = plugin;
+    console.log(`[PluginManager] Plugin ${plugin.id} initialized for room type: ${roomType}`);
+  } catch (initError) {
+    console.error(`[PluginManager] Error initializing ${plugin.id} plugin, continuing with the standard music player:`, initError);
+  }
+}
+
+/**
+ * Apply a change to the room document's roomType or theme
+ * @param {string} roomName - Name of the room
+ * @param {Object} roomData - Room document data
+ */
+async function applyRoomChange(roomName, roomData) {
+  if (roomName !== currentRoom) return;
+  
+  const roomType = roomData.roomType || 'music';
+  chosenTheme = roomData.theme || null;
+  roomSettings = roomData.pluginSettings || {};
+  
+  if (roomType !== currentRoomType) {
+    await swapRoomType(roomName, roomType);
+    if (roomName !== currentRoom) return;
+    mountRoomSettingsPanel(roomName);
+  } else {
+    await setRoomTheme(activePlugin || DEFAULT_PLAYER);
+  }
+  
+  if (themeSwitcher) themeSwitcher.update(chosenTheme);
+  deliverSettings(roomName);
+}
+
+/**
+ * Watch the room document, swapping plugins and themes when they change
+ * A room that doesn't exist yet is picked up once the music player creates it
+ * @param {string} roomName - Name of the room
+ */
+function watchRoom(roomName) {
+  unsubscribeRoom = watchMusicRoom(roomName, (roomData, error) => {
+    if (error) {
+      console.error('[PluginManager] Error watching room document:', error);
+      return;
+    }
+    if (!roomData) return;
+    
+    roomChanges = roomChanges
+      .then(() => applyRoomChange(roomName, roomData))
+      .catch(err => console.error('[PluginManager] Error applying room change:', err));
+  });
+}
+
+/**
+ * Show the leader a settings panel for the running plugins that declare settings
+ * Values are written to the room document, which delivers them to everyone
+ * @param {string} roomName - Name of the room
+ */
+function mountRoomSettingsPanel(roomName) {
+  if (settingsPanel) {
+    settingsPanel.destroy();
+    settingsPanel = null;
+  }
+  
+  const plugins = getRunningPlugins()
+    .filter(plugin => Object.keys(plugin.manifest?.settings || {}).length > 0)
+    .map(plugin => ({ id: plugin.id, name: plugin.name, schema: plugin.manifest.settings }));
+  if (plugins.length === 0) return;
+  
+  settingsPanel = mountSettingsPanel({
+    roomName,
+    plugins,
+    getValues: pluginId => resolveSettings(
+      plugins.find(plugin => plugin.id === pluginId).schema,
+      roomSettings[pluginId]
+    ),
+    isLeader: () => isRoomLeader(roomName),
+    onChange: async (pluginId, key, value) => {
+      if (!isRoomLeader(roomName)) {
+        throw new Error('Only the room leader can change room settings');
+      }
+      await setRoomPluginSetting(roomName, pluginId, key, value);
+    }
+  });
+}
+
+/**
+ * Show the leader a theme picker that writes the room's theme for everyone
+ * @param {string} roomName - Name of the room
+ */
+async function mountRoomThemeSwitcher(roomName) {
+  let manifests = [];
+  try {
+    manifests = await getPluginManifests();
+  } catch (error) {
+    console.error('[PluginManager] Error loading themes:', error);
+  }
+  if (roomName !== currentRoom) return;
+  
+  const themes = [];
+  manifests.forEach(manifest => {
+    if (manifest.theme && !themes.some(theme => theme.id === manifest.theme)) {
+      themes.push({ id: manifest.theme, name: manifest.name });
+    }
+  });
+  if (themes.length === 0) return;
+  
+  themeSwitcher = mountThemeSwitcher({
+    roomName,
+    themes,
+    current: chosenTheme,
+    isLeader: () => isRoomLeader(roomName),
+    onSelect: async (theme) => {
+      if (!isRoomLeader(roomName)) {
+        throw new Error('Only the room leader can switch themes');
+      }
+      await setMusicRoomState(roomName, { theme });
+    }
+  });
+}
 
 /**
  * Initialize the plugin system
@@ -20,6 +520,7 @@ let currentPluginModule = null;
  */
 export async function initializePlugins() {
   console.log('%c[PluginManager] Initializing plugins...', 'color: cyan');
+  await roomCleanup;
 
   try {
     renderMusicPlayerUI();
@@ -39,124 +540,127 @@ export async function initializePlugins() {
     return;
   }
 
+  // Get room type or use default
+  let roomType = 'music';
   try {
-    console.log("🔥 Firebase DB in initializePlugins:", db);
     console.log("🔎 Accessing room:", roomName);
     
-    // Using Firebase v9 syntax
-    const roomRef = doc(db, 'musicRooms', roomName);
-    const roomSnap = await getDoc(roomRef);
+    const roomData = await getMusicRoomData(roomName);
     
-    // Get room type or use default
-    let roomType = 'music'; // Default fallback
-    if (roomSnap.exists()) {
-      const roomData = roomSnap.data();
+    if (roomData) {
       roomType = roomData.roomType || 'music';
+      chosenTheme = roomData.theme || null;
+      roomSettings = roomData.pluginSettings || {};
     } else {
       console.warn('[PluginManager] Room not found, defaulting to music mode.');
     }
-    
-    currentRoom = roomName;
-    currentRoomType = roomType;
-
-    console.log(`[PluginManager] Room Type Detected: ${roomType}`);
-
-    // Add theme class based on room type
-    if (roomType) {
-      document.body.classList.add(`theme-${roomType}`);
-      
-      // Create theme logo overlay
-      const themeLogo = document.createElement('div');
-      themeLogo.className = `theme-logo logo-${roomType}`;
-      themeLogo.id = 'themeLogoOverlay';
-      document.body.appendChild(themeLogo);
-    }
-
-    // Handle default room type
-    if (roomType === 'default') {
-      console.warn('[PluginManager] No plugin for default room type. Using standard music player.');
-      await initializeSyncMusicPlayer(roomName);
-      return;
-    }
+  } catch (error) {
+    console.error('[PluginManager] Error reading room type, defaulting to music mode:', error);
+  }
+  
+  currentRoom = roomName;
+  currentRoomType = roomType;
 
-    // Try to load the appropriate plugin based on room type
-    try {
-      if (roomType === 'foxecho' || roomType === 'syntheticsouls') {
-        const pluginPath = `./plugins/${roomType}.js`;
-        const pluginModule = await import(pluginPath);
-        currentPluginModule = pluginModule;
-        
-        // Try using standard initializePlugin function first, fall back to legacy function
-        const initFn = pluginModule.initializePlugin || 
-                      (roomType === 'foxecho' ? pluginModule.initializeFoxEchoPlugin : pluginModule.initializeSyntheticSoulsPlugin);
-        
-        if (typeof initFn === 'function') {
-          await initFn(roomName);
-          console.log(`[PluginManager] Plugin initialized for room type: ${roomType}`);
-        } else {
-          console.error(`[PluginManager] No initialization function found in ${roomType} plugin`);
-          // Fallback to music player
-          await initializeSyncMusicPlayer(roomName);
-        }
-      } else {
-        // Default to music player for other room types
-        await initializeSyncMusicPlayer(roomName);
-      }
-    } catch (pluginError) {
-      console.error(`[PluginManager] Error initializing ${roomType} plugin:`, pluginError);
-      console.log('[PluginManager] Falling back to default music player');
-      
-      // Fallback to standard music player
-      try {
-        await initializeSyncMusicPlayer(roomName);
-      } catch (fallbackError) {
-        console.error('[PluginManager] Even fallback failed:', fallbackError);
-      }
-    }
+  console.log(`[PluginManager] Room Type Detected: ${roomType}`);
 
-    // Also load any room-specific custom plugins if they exist
+  // Resolve the room type's plugin; any failure lands on the standard music player
+  let plugin = DEFAULT_PLAYER;
+  try {
+    plugin = await resolveRoomTypePlugin(roomType);
+  } catch (pluginError) {
+    console.error(`[PluginManager] Error loading ${roomType} plugin, falling back to default music player:`, pluginError);
+    reportPluginLoadError(pluginError);
+  }
+  
+  await setRoomTheme(plugin);
+  
+  try {
+    await DEFAULT_PLAYER.initializePlugin(roomName);
+  } catch (playerError) {
+    console.error('[PluginManager] Critical failure - standard music player failed:', playerError);
+  }
+  
+  if (plugin !== DEFAULT_PLAYER) {
     try {
-      await loadRoomPlugin(roomName);
-    } catch (customPluginError) {
-      console.error('[PluginManager] Error loading custom room plugin:', customPluginError);
+      await startPlugin(plugin, roomName);
+      activePlugin = plugin;
+      console.log(`[PluginManager] Plugin ${plugin.id} initialized for room type: ${roomType}`);
+    } catch (initError) {
+      console.error(`[PluginManager] Error initializing ${plugin.id} plugin, continuing with the standard music player:`, initError);
     }
+  }
 
-  } catch (error) {
-    console.error('[PluginManager] Error initializing plugins:', error);
-    console.error('[PluginManager] Error details:', error.stack);
-    
-    try {
-      await initializeSyncMusicPlayer(roomName);
-      currentRoom = roomName;
-      currentRoomType = 'music';
-    } catch (fallbackError) {
-      console.error('[PluginManager] Critical failure - even fallback failed:', fallbackError);
-    }
+  // Also load any room-specific custom plugins if they exist
+  try {
+    await loadRoomPlugin(roomName);
+  } catch (customPluginError) {
+    console.error('[PluginManager] Error loading custom room plugin:', customPluginError);
   }
+  
+  if (currentRoom !== roomName) return;
+  updateMicPolicy(roomName);
+  
+  // Pick up roomType, theme and settings changes while we're in the room
+  watchRoom(roomName);
+  mountRoomSettingsPanel(roomName);
+  await mountRoomThemeSwitcher(roomName);
+}
+
+/**
+ * Share a track with the room through the standard music player
+ * @param {string} trackUrl - URL of the track
+ * @param {string} title - Track title
+ * @param {string} roomName - Name of the room
+ */
+export async function syncTrackToCurrentRoom(trackUrl, title, roomName) {
+  return syncTrackToRoom(trackUrl, title, roomName);
 }
 
 /**
  * Clean up all plugins when leaving a room
  * This should be called when the user leaves a room
+ * @returns {Promise<void>} Resolves once every plugin has been cleaned up
+ */
+export async function cleanupPlugins() {
+  roomCleanup = cleanupRoom()
+    .catch(err => console.error('[PluginManager] Error cleaning up plugins:', err));
+  await roomCleanup;
+}
+
+/**
+ * Stop the room's plugins, theme and panels once pending room changes are done
  */
-export function cleanupPlugins() {
+async function cleanupRoom() {
   console.log('%c[PluginManager] Cleaning up plugins...', 'color: cyan');
+  const roomName = currentRoom;
   
-  // Clean up current plugin if available
-  if (currentPluginModule && typeof currentPluginModule.cleanupPlugin === 'function') {
-    try {
-      currentPluginModule.cleanupPlugin();
-      console.log('[PluginManager] Cleaned up current plugin module');
-    } catch (err) {
-      console.error('[PluginManager] Error cleaning up current plugin module:', err);
-    }
-  } else {
-    // Fallback to standard cleanup
-    try {
-      cleanupSyncMusicPlayer();
-    } catch (err) {
-      console.error('[PluginManager] Error cleaning up music player:', err);
-    }
+  // Stop swapping plugins for the room we're leaving; a room change under way
+  // sees we left and stops at its next step
+  currentRoom = null;
+  if (unsubscribeRoom) {
+    unsubscribeRoom();
+    unsubscribeRoom = null;
+  }
+  if (themeSwitcher) {
+    themeSwitcher.destroy();
+    themeSwitcher = null;
+  }
+  if (settingsPanel) {
+    settingsPanel.destroy();
+    settingsPanel = null;
+  }
+  
+  await roomChanges;
+  
+  // Clean up the room type's plugin, then the player underneath it
+  if (activePlugin) {
+    await stopPlugin(activePlugin);
+    console.log(`[PluginManager] Cleaned up ${activePlugin.id} plugin`);
+  }
+  try {
+    DEFAULT_PLAYER.cleanupPlugin();
+  } catch (err) {
+    console.error('[PluginManager] Error cleaning up standard music player:', err);
   }
   
   try {
@@ -172,134 +676,76 @@ export function cleanupPlugins() {
     console.error('[PluginManager] Error cleaning up shared playlist:', err);
   }
   
-  // Remove theme classes and logos based on room type
-  if (currentRoomType) {
-    try {
-      // Remove theme classes
-      document.body.classList.remove(`theme-${currentRoomType}`);
-      document.body.classList.remove(`${currentRoomType}-theme`);
-      
-      // Remove theme logo overlay
-      const themeLogo = document.getElementById('themeLogoOverlay');
-      if (themeLogo) themeLogo.remove();
-      
-      // Remove custom banners
-      const customBanners = document.querySelectorAll(`.${currentRoomType}-banner`);
-      customBanners.forEach(banner => banner.remove());
-    } catch (err) {
-      console.error('[PluginManager] Error removing theme classes:', err);
-    }
-  }
+  clearPluginNotices();
+  
+  // Remove theme classes, logos and stylesheets
+  removeTheme(roomTheme);
+  removeTheme(roomPluginTheme);
+  roomTheme = null;
+  roomPluginTheme = null;
   
   // Clean up any room-specific plugins
-  if (currentRoom && loadedPlugins.has(currentRoom)) {
-    try {
-      const plugin = loadedPlugins.get(currentRoom);
-      // Try different cleanup function names for compatibility
-      if (plugin) {
-        if (typeof plugin.cleanupPlugin === 'function') {
-          plugin.cleanupPlugin();
-        } else if (typeof plugin.cleanup === 'function') {
-          plugin.cleanup();
-        } else {
-          console.warn(`[PluginManager] No cleanup function found for plugin ${currentRoom}`);
-        }
-        console.log(`[PluginManager] Cleaned up room plugin for ${currentRoom}`);
-      }
-    } catch (err) {
-      console.error(`[PluginManager] Error cleaning up room plugin:`, err);
-    }
+  if (roomName && loadedPlugins.has(roomName)) {
+    await stopPlugin(loadedPlugins.get(roomName));
+    console.log(`[PluginManager] Cleaned up room plugin for ${roomName}`);
+    loadedPlugins.delete(roomName);
   }
   
   // Reset state
-  currentPluginModule = null;
-  currentRoom = null;
+  activePlugin = null;
   currentRoomType = null;
+  chosenTheme = null;
+  roomSettings = {};
+  
+  // Microphones are the room's business only while we're in it
+  if (!micAllowed) {
+    micAllowed = true;
+    document.dispatchEvent(new CustomEvent('room-mic-policy', {
+      detail: { roomId: roomName, allowed: true }
+    }));
+  }
 }
 
 /**
- * Load a plugin for a specific room
+ * Load the plugin named after a room, if the catalog has one
+ * Rooms named after a plugin (e.g. "foxecho") get that plugin on top of their room type
  * @param {string} roomName - Name of the room to load the plugin for
- * @returns {Promise<object>} - Plugin module or null if not found
+ * @returns {Promise<object>} - Plugin or null if not found
  */
 export async function loadRoomPlugin(roomName) {
   if (!roomName) return null;
   
+  // Check if plugin is already loaded
+  if (loadedPlugins.has(roomName)) {
+    console.log(`Plugin for "${roomName}" already loaded`);
+    return loadedPlugins.get(roomName);
+  }
+  
   try {
-    // Check if plugin is already loaded
-    if (loadedPlugins.has(roomName)) {
-      console.log(`Plugin for "${roomName}" already loaded`);
-      return loadedPlugins.get(roomName);
+    const manifest = await getPluginById(roomName);
+    if (!manifest) {
+      console.log(`No custom plugin found for "${roomName}"`);
+      return null;
+    }
+    
+    // Already running as the room type's plugin
+    if (activePlugin && activePlugin.id === manifest.id) {
+      return activePlugin;
     }
     
     console.log(`Loading room-specific plugin for "${roomName}"...`);
-    const pluginPath = `/plugins/${roomName}.js`;
+    const plugin = await loadPluginModule(manifest);
     
-    // First check if the file exists
-    try {
-      const response = await fetch(pluginPath, { 
-        headers: { 'Accept': 'application/javascript' },
-        // Add cache busting to prevent stale files
-        cache: 'no-cache'
-      });
-      
-      if (!response.ok) {
-        console.log(`No custom plugin found for "${roomName}" (HTTP status: ${response.status})`);
-        return null;
-      }
-      
-      // Skip MIME type check as it's causing issues on some servers
-      // Just log the content type for debugging
-      const contentType = response.headers.get('content-type');
-      console.log(`[PluginManager] Plugin file for "${roomName}" content type: ${contentType}`);
-      
-      // Try to import the plugin regardless of content type
-      try {
-        const pluginModule = await import(pluginPath + '?t=' + Date.now());
-        
-        if (pluginModule && typeof pluginModule.default === 'object') {
-          // Store for later reference
-          loadedPlugins.set(roomName, pluginModule.default);
-          console.log(`Successfully loaded "${roomName}" plugin`);
-          
-          // Add theme class if specified
-          if (pluginModule.default.theme) {
-            document.body.classList.add(`theme-${pluginModule.default.theme}`);
-            
-            // Create theme logo overlay
-            if (!document.getElementById('themeLogoOverlay')) {
-              const themeLogo = document.createElement('div');
-              themeLogo.className = `theme-logo logo-${pluginModule.default.theme}`;
-              themeLogo.id = 'themeLogoOverlay';
-              document.body.appendChild(themeLogo);
-            }
-          }
-          
-          // Initialize the plugin
-          if (typeof pluginModule.default.initializePlugin === 'function') {
-            await pluginModule.default.initializePlugin(roomName);
-          } else if (typeof pluginModule.default.initialize === 'function') {
-            await pluginModule.default.initialize(roomName);
-          } else {
-            console.log(`Plugin for "${roomName}" lacks initialization function, using as static plugin`);
-          }
-          
-          return pluginModule.default;
-        } else {
-          console.log(`Plugin for "${roomName}" is not properly formatted or missing default export, ignoring...`);
-          return null;
-        }
-      } catch (importError) {
-        // Don't treat import errors as critical, just log and continue
-        console.log(`Plugin import for "${roomName}" not available: ${importError.message}`);
-        return null;
-      }
-    } catch (fetchError) {
-      console.log(`Plugin file for "${roomName}" not available: ${fetchError.message}`);
-      return null;
-    }
+    roomPluginTheme = applyTheme(manifest.theme, manifest.styles);
+    await startPlugin(plugin, roomName);
+    
+    loadedPlugins.set(roomName, plugin);
+    console.log(`Successfully loaded "${roomName}" plugin`);
+    return plugin;
   } catch (error) {
-    console.log(`Error in loadRoomPlugin for "${roomName}": ${error.message}`);
+    // Don't treat room plugin errors as critical, just log and continue
+    console.log(`Plugin for "${roomName}" not available: ${error.message}`);
+    reportPluginLoadError(error);
     return null;
   }
 }
@@ -313,22 +759,7 @@ export async function hasPlugin(roomName) {
   if (loadedPlugins.has(roomName)) return true;
   
   try {
-    // Try to fetch plugin file to see if it exists with proper cache settings
-    const response = await fetch(`/plugins/${roomName}.js`, { 
-      headers: { 'Accept': 'application/javascript' },
-      cache: 'no-cache'
-    });
-    
-    if (!response.ok) {
-      console.log(`No plugin file found for "${roomName}" (status: ${response.status})`);
-      return false;
-    }
-    
-    // Log the content type but don't validate it (consistent with loadRoomPlugin)
-    const contentType = response.headers.get('content-type');
-    console.log(`[PluginManager] Found plugin for "${roomName}" with content-type: ${contentType}`);
-    
-    return true;
+    return !!(await getPluginById(roomName));
   } catch (error) {
     console.log(`Error checking if plugin exists for "${roomName}": ${error.message}`);
     return false;
@@ -337,23 +768,16 @@ export async function hasPlugin(roomName) {
 
 /**
  * Get all available plugins
- * @returns {Promise<string[]>} - List of available plugin names
+ * @returns {Promise<string[]>} - List of available plugin IDs, from the server's plugin catalog
  */
 export async function getAvailablePlugins() {
   try {
-    // In a real implementation, this would fetch the list of plugins
-    // from the server or from a plugin registry
-    const response = await fetch('/plugins/index.json');
-    if (response.ok) {
-      const data = await response.json();
-      return data.plugins || [];
-    }
+    const plugins = await getPluginManifests();
+    return plugins.map(plugin => plugin.id);
   } catch (error) {
     console.error('Error getting available plugins:', error);
+    return [];
   }
-  
-  // Fallback to hardcoded plugins if we can't fetch them
-  return ['foxecho', 'syntheticsouls', 'timbrhq'];
 }
 
 /**
@@ -371,5 +795,6 @@ export default {
   getAvailablePlugins,
   initializePlugins,
   cleanupPlugins,
+  syncTrackToCurrentRoom,
   getCurrentRoomType
 };
\ No newline at end of file
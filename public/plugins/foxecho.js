@@ -1,19 +1,39 @@
 // === /plugins/foxecho.js ===
 import { renderMusicPlayerUI } from './musicUI.js';
 
+// Plugin host for the room we're loaded in (see src/pluginHost.js)
+let pluginHost = null;
+
+// Removes the theme class again
+let removeThemeClass = null;
+
+/**
+ * Loop the room's track or not, as the room's musicLoop setting says
+ * @param {Object} settings - Room settings (see foxecho.manifest.json)
+ */
+function applyMusicLoop(settings) {
+  const audioPlayer = pluginHost?.audio.element;
+  if (audioPlayer) audioPlayer.loop = settings.musicLoop;
+}
+
 /**
  * Initialize the FoxEcho Plugin
- * @param {string} roomName - The name of the room
+ * @param {Object} host - Plugin host for the room (see src/pluginHost.js)
  */
-export async function initializePlugin(roomName) {
-  console.log('[FoxEcho] Initializing FoxEcho Plugin for room:', roomName);
+export async function initializePlugin(host) {
+  console.log('[FoxEcho] Initializing FoxEcho Plugin for room:', host.room.name);
+  pluginHost = host;
   
   // Add theme class to body
-  document.body.classList.add('foxecho-theme');
+  removeThemeClass = host.dom.addBodyClass('foxecho-theme');
   
   // Render the music player UI
   renderMusicPlayerUI();
   
+  // Follow the room leader's settings (allowMic is applied by the plugin manager)
+  applyMusicLoop(host.settings);
+  host.on('settings-change', applyMusicLoop);
+  
   // (Later we can customize visuals here)
 }
 
@@ -23,16 +43,13 @@ export async function initializePlugin(roomName) {
 export function cleanupPlugin() {
   console.log('[FoxEcho] Cleaning up...');
   
-  // Remove theme class from body
-  document.body.classList.remove('foxecho-theme');
+  // Hand the player back without looping
+  applyMusicLoop({ musicLoop: false });
+  pluginHost = null;
   
-  // Remove any custom UI elements we've added
-  const foxElements = document.querySelectorAll('.foxecho-element');
-  foxElements.forEach(element => element.remove());
-  
-  // Remove any custom styles
-  const foxStyle = document.getElementById('foxecho-styles');
-  if (foxStyle) foxStyle.remove();
+  // Remove theme class from body
+  removeThemeClass?.();
+  removeThemeClass = null;
 }
 
 // For backward compatibility
@@ -41,14 +58,10 @@ export const initializeFoxEchoPlugin = initializePlugin;
 export default {
   theme: 'foxecho',
   title: 'Fox Echo Meditation Chamber',
-  styles: '/themes/foxecho.css',
-  musicLoop: true,
-  allowMic: false,
   playlist: [
     { title: 'Autumn Breeze', url: 'https://example.com/music/autumn-breeze.mp3' },
     { title: 'Still Waters', url: 'https://example.com/music/still-waters.mp3' },
   ],
-  components: ['forest-ambience', 'seasonal-guide', 'reflection-timer'],
   initializePlugin,
   cleanupPlugin
 };
\ No newline at end of file
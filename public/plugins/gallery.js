@@ -1,24 +1,41 @@
 // RydeSync Plugin Gallery
+// Also the plugin marketplace: locked room types show their price in credits
+// and can be unlocked from their details
+import {
+  initMarketplace,
+  getListings,
+  getCreditBalance,
+  purchasePlugin,
+  getPaymentProvider,
+  addDevelopmentCredits
+} from '../src/marketplace.js';
+
+// Credits added by the development top-up button
+const TOP_UP_CREDITS = 500;
+
+// Listings shown in the gallery, by plugin ID
+const listings = new Map();
+
 document.addEventListener('DOMContentLoaded', async () => {
   try {
     // Get the gallery container
     const gallery = document.getElementById('pluginGallery');
     const loadingPlaceholder = document.getElementById('loadingPlaceholder');
     
+    // Sign in so prices and unlocks are the user's own
+    const user = await initMarketplace();
+    if (user) await renderCredits();
+    
     // Fetch all available plugins
     const plugins = await fetchAvailablePlugins();
     
     // Clear loading placeholder if we have plugins
     if (plugins.length > 0) {
-      gallery.innerHTML = '';
+      renderGallery(plugins);
       
-      // Add plugin cards
-      plugins.forEach(plugin => {
-        gallery.appendChild(createPluginCard(plugin));
-      });
-      
-      // Set up preview toggle listeners
-      setupPreviewToggles();
+      // Links from the room creator open a plugin's details
+      const requested = new URLSearchParams(location.search).get('plugin');
+      if (requested && listings.has(requested)) showPluginDetails(listings.get(requested));
     } else {
       // No plugins found
       loadingPlaceholder.innerHTML = `
@@ -46,76 +63,73 @@ document.addEventListener('DOMContentLoaded', async () => {
 });
 
 /**
- * Fetch available plugins from the server
- * @returns {Promise<Array>} Array of plugin objects
+ * Fetch available plugins from the server's plugin catalog
+ * @returns {Promise<Array>} Marketplace listings of the plugins that define a room type
  */
 async function fetchAvailablePlugins() {
   try {
-    // For development/testing purposes, we'll define some example plugins
-    // In production, this would be a fetch request to get the plugins dynamically
-    
-    // Example plugin data based on existing plugins
-    return [
-      {
-        id: 'foxecho',
-        name: 'Fox Echo',
-        description: 'Peaceful meditation chamber with nature-inspired visuals',
-        theme: 'foxecho',
-        badge: 'Nature',
-        features: [
-          { icon: '🎵', text: 'Ambient playlist' },
-          { icon: '🔄', text: 'Music loop enabled' },
-          { icon: '🎙️', text: 'Mic disabled for quiet' }
-        ],
-        playlist: [
-          { title: 'Autumn Breeze', url: 'https://example.com/music/autumn-breeze.mp3' },
-          { title: 'Still Waters', url: 'https://example.com/music/still-waters.mp3' }
-        ]
-      },
-      {
-        id: 'syntheticsouls',
-        name: 'Synthetic Souls',
-        description: 'Cyberpunk-inspired room with futuristic vibes',
-        theme: 'syntheticsouls',
-        badge: 'Cyberpunk',
-        features: [
-          { icon: '🎛️', text: 'Electronic playlist' },
-          { icon: '🔊', text: 'Enhanced audio visualizer' },
-          { icon: '🌃', text: 'Night mode optimized' }
-        ],
-        playlist: [
-          { title: 'Night Drive', url: 'https://example.com/music/night-drive.mp3' },
-          { title: 'Neon Dreams', url: 'https://example.com/music/neon-dreams.mp3' }
-        ]
-      },
-      {
-        id: 'timbrhq',
-        name: 'Timbr HQ',
-        description: 'Energetic workspace for collaborative sessions',
-        theme: 'timbrhq',
-        badge: 'Workspace',
-        features: [
-          { icon: '💻', text: 'Productivity focus' },
-          { icon: '🔄', text: 'Collaborative tools' },
-          { icon: '🎤', text: 'Enhanced voice clarity' }
-        ],
-        playlist: [
-          { title: 'Deep Focus', url: 'https://example.com/music/deep-focus.mp3' },
-          { title: 'Creative Flow', url: 'https://example.com/music/creative-flow.mp3' }
-        ]
-      }
-    ];
-    
-    // In a real implementation, we would fetch from the server:
-    // const response = await fetch('/api/plugins');
-    // if (!response.ok) throw new Error('Failed to load plugins');
-    // return await response.json();
+    return await getListings();
   } catch (error) {
     console.error('Error fetching plugins:', error);
     throw error;
   }
 }
 
+/**
+ * Show the plugin cards
+ * @param {Array} plugins Marketplace listings
+ */
+function renderGallery(plugins) {
+  const gallery = document.getElementById('pluginGallery');
+  gallery.innerHTML = '';
+  listings.clear();
+  
+  // Add plugin cards
+  plugins.forEach(plugin => {
+    listings.set(plugin.id, plugin);
+    gallery.appendChild(createPluginCard(plugin));
+  });
+  
+  // Set up preview toggle listeners
+  setupPreviewToggles();
+}
+
+/**
+ * Show the user's credits in the header, with a top-up button when the
+ * payment provider hands out development credits
+ */
+async function renderCredits() {
+  const container = document.getElementById('creditBalance');
+  
+  try {
+    const [balance, provider] = await Promise.all([getCreditBalance(), getPaymentProvider()]);
+    container.textContent = `💳 ${balance} credits`;
+    
+    if (typeof provider.addCredits === 'function') {
+      const topUp = document.createElement('button');
+      topUp.className = 'btn btn-secondary btn-small';
+      topUp.textContent = `+${TOP_UP_CREDITS} (dev)`;
+      topUp.title = `Development credits from the ${provider.name} payment provider`;
+      topUp.addEventListener('click', async () => {
+        topUp.disabled = true;
+        try {
+          await addDevelopmentCredits(TOP_UP_CREDITS);
+          await renderCredits();
+        } catch (error) {
+          alert(`Could not add credits: ${error.message}`);
+          topUp.disabled = false;
+        }
+      });
+      container.appendChild(topUp);
+    }
+    
+    container.style.display = 'flex';
+  } catch (error) {
+    console.error('Error loading credits:', error);
+    container.style.display = 'none';
+  }
+}
+
 /**
  * Create a plugin card element
  * @param {Object} plugin Plugin data
@@ -137,6 +151,14 @@ function createPluginCard(plugin) {
     preview.appendChild(badge);
   }
   
+  // Add price tag to locked plugins
+  if (!plugin.unlocked) {
+    const price = document.createElement('div');
+    price.className = 'plugin-price';
+    price.textContent = `🔒 ${plugin.price} credits`;
+    preview.appendChild(price);
+  }
+  
   // Create plugin info section
   const info = document.createElement('div');
   info.className = 'plugin-info';
@@ -174,11 +196,25 @@ function createPluginCard(plugin) {
   const actions = document.createElement('div');
   actions.className = 'plugin-actions';
   
-  // Join Room button
-  const joinBtn = document.createElement('a');
-  joinBtn.href = `/#${plugin.id}`;
-  joinBtn.className = 'btn';
-  joinBtn.textContent = 'Join Room';
+  // Join Room button, or Unlock for plugins that have to be bought first
+  let joinBtn;
+  if (plugin.unlocked) {
+    joinBtn = document.createElement('a');
+    joinBtn.href = `/#${plugin.id}`;
+    joinBtn.className = 'btn';
+    joinBtn.textContent = 'Join Room';
+  } else {
+    joinBtn = document.createElement('button');
+    joinBtn.className = 'btn';
+    joinBtn.textContent = 'Unlock';
+    joinBtn.addEventListener('click', () => showPluginDetails(plugin));
+  }
+  
+  // Details button
+  const detailsBtn = document.createElement('button');
+  detailsBtn.className = 'btn btn-secondary';
+  detailsBtn.textContent = 'Details';
+  detailsBtn.addEventListener('click', () => showPluginDetails(plugin));
   
   // Preview button
   const previewBtn = document.createElement('button');
@@ -187,6 +223,7 @@ function createPluginCard(plugin) {
   previewBtn.dataset.pluginId = plugin.id;
   
   actions.appendChild(joinBtn);
+  actions.appendChild(detailsBtn);
   actions.appendChild(previewBtn);
   
   // Add audio player if playlist is available
@@ -222,6 +259,119 @@ function createPluginCard(plugin) {
   return card;
 }
 
+/**
+ * Show a plugin's details, pricing, and unlock button
+ * @param {Object} plugin Marketplace listing
+ */
+function showPluginDetails(plugin) {
+  closePluginDetails();
+  
+  const overlay = document.createElement('div');
+  overlay.id = 'pluginDetails';
+  overlay.className = 'details-overlay';
+  overlay.addEventListener('click', (event) => {
+    if (event.target === overlay) closePluginDetails();
+  });
+  
+  const dialog = document.createElement('div');
+  dialog.className = 'details-dialog';
+  dialog.setAttribute('role', 'dialog');
+  dialog.setAttribute('aria-label', plugin.name);
+  
+  const title = document.createElement('h2');
+  title.className = 'plugin-name';
+  title.textContent = `${plugin.icon} ${plugin.name}`;
+  
+  const meta = document.createElement('p');
+  meta.className = 'plugin-desc';
+  meta.textContent = `Version ${plugin.version}${plugin.author ? ` by ${plugin.author}` : ''}`;
+  
+  const desc = document.createElement('p');
+  desc.textContent = plugin.description;
+  
+  dialog.append(title, meta, desc);
+  
+  if (plugin.features.length > 0) {
+    const features = document.createElement('ul');
+    plugin.features.forEach(feature => {
+      const item = document.createElement('li');
+      item.textContent = `${feature.icon || '•'} ${feature.text}`;
+      features.appendChild(item);
+    });
+    dialog.appendChild(features);
+  }
+  
+  if (plugin.playlist.length > 0) {
+    const playlist = document.createElement('p');
+    playlist.className = 'plugin-desc';
+    playlist.textContent = `Playlist: ${plugin.playlist.map(track => track.title).join(', ')}`;
+    dialog.appendChild(playlist);
+  }
+  
+  const price = document.createElement('p');
+  price.className = 'details-price';
+  if (!plugin.requiresUnlock) {
+    price.textContent = 'Free';
+  } else if (plugin.unlocked) {
+    price.textContent = 'Unlocked ✓';
+  } else {
+    price.textContent = `${plugin.price} credits`;
+  }
+  
+  const status = document.createElement('p');
+  status.className = 'details-status';
+  
+  const actions = document.createElement('div');
+  actions.className = 'plugin-actions';
+  
+  if (plugin.unlocked) {
+    const joinBtn = document.createElement('a');
+    joinBtn.href = `/#${plugin.id}`;
+    joinBtn.className = 'btn';
+    joinBtn.textContent = 'Join Room';
+    actions.appendChild(joinBtn);
+  } else {
+    const unlockBtn = document.createElement('button');
+    unlockBtn.className = 'btn';
+    unlockBtn.textContent = `Unlock for ${plugin.price} credits`;
+    unlockBtn.addEventListener('click', async () => {
+      unlockBtn.disabled = true;
+      status.textContent = 'Unlocking...';
+      
+      try {
+        await purchasePlugin(plugin.id);
+        await renderCredits();
+        renderGallery(await fetchAvailablePlugins());
+        showPluginDetails(listings.get(plugin.id));
+      } catch (error) {
+        console.error(`Error unlocking ${plugin.id}:`, error);
+        status.textContent = error.code === 'insufficient-credits'
+          ? `You need ${plugin.price} credits to unlock ${plugin.name}`
+          : error.message;
+        unlockBtn.disabled = false;
+      }
+    });
+    actions.appendChild(unlockBtn);
+  }
+  
+  const closeBtn = document.createElement('button');
+  closeBtn.className = 'btn btn-secondary';
+  closeBtn.textContent = 'Close';
+  closeBtn.addEventListener('click', closePluginDetails);
+  actions.appendChild(closeBtn);
+  
+  dialog.append(price, status, actions);
+  overlay.appendChild(dialog);
+  document.body.appendChild(overlay);
+}
+
+/**
+ * Close the plugin details, if open
+ */
+function closePluginDetails() {
+  document.getElementById('pluginDetails')?.remove();
+}
+
 /**
  * Set up preview toggle buttons
  */
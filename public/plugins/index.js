@@ -1,44 +1,58 @@
 /**
  * Plugin Index for RydeSync
- * Provides a central registry of available room plugins
+ * Client side of the plugin catalog: the manifests the server scans from
+ * public/plugins/*.manifest.json and serves at /api/plugins
  */
 
-// List of available plugins
-export const roomPlugins = [
-  {
-    id: 'foxecho',
-    name: 'FoxEcho',
-    description: 'Adds echo and spatial audio effects to voice communications',
-    author: 'AeroVista',
-    version: '1.0.0'
-  },
-  {
-    id: 'syntheticsouls',
-    name: 'Synthetic Souls',
-    description: 'Voice modulation and synthetic speech transformation',
-    author: 'AeroVista',
-    version: '1.0.0'
-  },
-  {
-    id: 'timbrhq',
-    name: 'Timbr HQ',
-    description: 'High-quality audio processing with noise reduction',
-    author: 'AeroVista',
-    version: '1.0.0'
+const CATALOG_URL = '/api/plugins';
+
+// Catalog request, shared by every caller until it fails or is refreshed
+let catalogRequest = null;
+
+/**
+ * Get every plugin manifest
+ * @param {Object} options - Options
+ * @param {boolean} options.refresh - Fetch again instead of using the cached catalog
+ * @returns {Promise<Array>} Plugin manifests
+ */
+export function getPluginManifests({ refresh = false } = {}) {
+  if (!catalogRequest || refresh) {
+    catalogRequest = fetch(CATALOG_URL)
+      .then(response => {
+        if (!response.ok) throw new Error(`Failed to load plugins (${response.status})`);
+        return response.json();
+      })
+      .then(catalog => catalog.plugins || [])
+      .catch(error => {
+        catalogRequest = null;
+        throw error;
+      });
   }
-];
+  return catalogRequest;
+}
 
 /**
  * Get a plugin by its ID
  * @param {string} id - Plugin ID
- * @returns {object|null} - Plugin info or null if not found
+ * @returns {Promise<object|null>} - Plugin manifest or null if not found
+ */
+export async function getPluginById(id) {
+  const plugins = await getPluginManifests();
+  return plugins.find(plugin => plugin.id === id) || null;
+}
+
+/**
+ * Get the plugins that can be picked as a room type
+ * @returns {Promise<Array>} Plugin manifests with definesRoomType set
  */
-export function getPluginById(id) {
-  return roomPlugins.find(plugin => plugin.id === id) || null;
+export async function getRoomTypePlugins() {
+  const plugins = await getPluginManifests();
+  return plugins.filter(plugin => plugin.definesRoomType);
 }
 
 // Export the plugin registry
 export default {
-  roomPlugins,
-  getPluginById
-}; 
\ No newline at end of file
+  getPluginManifests,
+  getPluginById,
+  getRoomTypePlugins
+};
@@ -1,8 +1,12 @@
 // roomCreator.js - Plugin for creating music rooms
-import { doc, setDoc, getDoc, collection, getDocs, serverTimestamp } from "https://www.gstatic.com/firebasejs/9.22.0/firebase-firestore.js";
-import { db } from "../src/firebase.js";
+// Rooms are created through the music sync backend, so this works without
+// Firebase on the WebSocket backend; Firestore only lets signed-in users create rooms
+import { getMusicRoomData, setMusicRoomState, getMusicSyncBackendName } from "../musicSync.js";
 import { getCurrentUser } from "../src/auth.js";
-import { checkUnlock } from "../src/unlockManager.js";
+import { addUnlockListener } from "../src/unlockManager.js";
+import { initMarketplace, isPluginUnlocked } from "../src/marketplace.js";
+import { getRoomTypePlugins } from "./index.js";
+import { saveOwnerKey } from "../src/roomCredentials.js";
 
 // Plugin metadata
 const PLUGIN_ID = "roomCreator";
@@ -15,30 +19,40 @@ const DEBUG = true;
 // Available room types
 let availableRoomTypes = [];
 
+// Invite link lifetimes offered in the generator (ms)
+const INVITE_EXPIRY_OPTIONS = [
+  { label: '1 hour', value: 60 * 60 * 1000 },
+  { label: '1 day', value: 24 * 60 * 60 * 1000 },
+  { label: '7 days', value: 7 * 24 * 60 * 60 * 1000 }
+];
+
 // DOM elements
 let containerElement = null;
 let formElement = null;
+let inviteFormElement = null;
+let removeUnlockListener = null;
 
 /**
  * Initialize the Room Creator plugin
- * @param {HTMLElement} container - The container element to render the plugin in
+ * @param {Object} host - Plugin host for the room (see src/pluginHost.js)
  * @returns {Promise<boolean>} Success status
  */
-export async function initializePlugin(container) {
-  if (!container) {
-    console.error("❌ Room Creator: No container element provided");
-    return false;
-  }
-  
-  containerElement = container;
+export async function initializePlugin(host) {
+  containerElement = host.createContainer();
   
   try {
+    // Sign in so locked room types show whether they're unlocked
+    await initMarketplace();
+    
     // Load available room types
     await loadRoomTypes();
     
     // Render the plugin UI
     renderCreatorUI();
     
+    // Room types bought in the marketplace become available without a reload
+    removeUnlockListener = addUnlockListener(refreshRoomTypeLocks);
+    
     if (DEBUG) console.log("🏗️ Room Creator plugin initialized");
     return true;
   } catch (error) {
@@ -51,79 +65,57 @@ export async function initializePlugin(container) {
  * Clean up the plugin when it's deactivated
  */
 export function cleanupPlugin() {
+  if (removeUnlockListener) {
+    removeUnlockListener();
+    removeUnlockListener = null;
+  }
+  
   if (containerElement) {
     containerElement.innerHTML = '';
   }
   containerElement = null;
   formElement = null;
+  inviteFormElement = null;
   
   if (DEBUG) console.log("🧹 Room Creator plugin cleaned up");
 }
 
 /**
- * Load available room types from plugins
+ * Load available room types from the plugin catalog
  */
 async function loadRoomTypes() {
+  // Start with basic room type
+  availableRoomTypes = [
+    {
+      id: "default",
+      name: "Basic Room",
+      description: "A standard music room with basic features",
+      icon: "🎵",
+      requiresUnlock: false,
+      unlocked: true
+    }
+  ];
+  
   try {
-    // Start with basic room type
-    availableRoomTypes = [
-      {
-        id: "default",
-        name: "Basic Room",
-        description: "A standard music room with basic features",
-        icon: "🎵",
-        requiresUnlock: false
-      }
-    ];
-    
-    // Load plugin index for room types
-    const pluginsRef = collection(db, "plugins");
-    const pluginsSnapshot = await getDocs(pluginsRef);
-    
-    for (const pluginDoc of pluginsSnapshot.docs) {
-      const pluginData = pluginDoc.data();
-      
-      // Check if this plugin defines a room type
-      if (pluginData.definesRoomType) {
-        availableRoomTypes.push({
-          id: pluginDoc.id,
-          name: pluginData.displayName || pluginDoc.id,
-          description: pluginData.description || "",
-          icon: pluginData.icon || "🎵",
-          requiresUnlock: pluginData.requiresUnlock || false,
-          unlockKey: pluginData.unlockKey || pluginDoc.id
-        });
-      }
+    const roomTypePlugins = await getRoomTypePlugins();
+    
+    for (const plugin of roomTypePlugins) {
+      availableRoomTypes.push({
+        id: plugin.id,
+        name: plugin.name,
+        description: plugin.description,
+        icon: plugin.icon,
+        requiresUnlock: plugin.requiresUnlock,
+        unlockKey: plugin.unlockKey,
+        price: plugin.price,
+        unlocked: await isPluginUnlocked(plugin)
+      });
     }
     
     if (DEBUG) console.log("🔍 Available room types:", availableRoomTypes);
   } catch (error) {
+    // Rooms can still be created with the basic type
     console.error("❌ Error loading room types:", error);
-    
-    // Fallback to basic types if loading fails
-    availableRoomTypes = [
-      {
-        id: "default",
-        name: "Basic Room",
-        description: "A standard music room with basic features",
-        icon: "🎵",
-        requiresUnlock: false
-      },
-      {
-        id: "foxecho",
-        name: "Fox Echo",
-        description: "Fox-themed music room with visualizers",
-        icon: "🦊",
-        requiresUnlock: false
-      },
-      {
-        id: "syntheticsouls",
-        name: "Synthetic Souls",
-        description: "Cyberpunk aesthetic with advanced visualizers",
-        icon: "🤖",
-        requiresUnlock: false
-      }
-    ];
   }
 }
 
@@ -158,10 +150,46 @@ function renderCreatorUI() {
           </select>
         </div>
         
+        <div class="form-group" id="room-password-group" style="display: none;">
+          <label for="room-password">Room Password:</label>
+          <input type="password" id="room-password" name="password" placeholder="At least 4 characters" autocomplete="new-password">
+        </div>
+        
         <div class="form-actions">
           <button type="submit" id="create-room-btn">Create Room</button>
         </div>
       </form>
+      
+      <h3>Invite to a Private Room</h3>
+      <form id="room-invite-form">
+        <div class="form-group">
+          <label for="invite-room-name">Room Name:</label>
+          <input type="text" id="invite-room-name" placeholder="Private room name" required>
+        </div>
+        
+        <div class="form-group">
+          <label for="invite-room-password">Room Password:</label>
+          <input type="password" id="invite-room-password" autocomplete="current-password" required>
+        </div>
+        
+        <div class="form-group">
+          <label for="invite-expiry">Link expires after:</label>
+          <select id="invite-expiry">
+            ${INVITE_EXPIRY_OPTIONS.map((option, index) =>
+              `<option value="${option.value}" ${index === 1 ? 'selected' : ''}>${option.label}</option>`
+            ).join('')}
+          </select>
+        </div>
+        
+        <div class="form-actions">
+          <button type="submit" id="create-invite-btn">Generate Invite Link</button>
+        </div>
+        
+        <div class="invite-link-output" id="invite-link-output" style="display: none;">
+          <input type="text" id="invite-link" readonly>
+          <button type="button" id="copy-invite-btn">Copy</button>
+        </div>
+      </form>
     </div>
   `;
   
@@ -174,10 +202,30 @@ function renderCreatorUI() {
   // Add event listeners
   formElement.addEventListener('submit', handleRoomCreation);
   
+  // Private rooms need a password
+  document.getElementById('room-privacy').addEventListener('change', (event) => {
+    const isPrivate = event.target.value === 'private';
+    document.getElementById('room-password-group').style.display = isPrivate ? 'block' : 'none';
+    document.getElementById('room-password').required = isPrivate;
+  });
+  
+  inviteFormElement = document.getElementById('room-invite-form');
+  inviteFormElement.addEventListener('submit', handleInviteCreation);
+  
+  document.getElementById('copy-invite-btn').addEventListener('click', () => {
+    const linkInput = document.getElementById('invite-link');
+    navigator.clipboard.writeText(linkInput.value)
+      .then(() => { document.getElementById('copy-invite-btn').textContent = 'Copied!'; })
+      .catch(() => linkInput.select());
+  });
+  
   // Add room type selection listeners
   const roomTypeOptions = document.querySelectorAll('.room-type-option');
   roomTypeOptions.forEach(option => {
     option.addEventListener('click', () => {
+      // Locked room types have to be unlocked in the marketplace first
+      if (option.classList.contains('locked')) return;
+      
       // Remove selected class from all options
       roomTypeOptions.forEach(opt => opt.classList.remove('selected'));
       
@@ -193,7 +241,8 @@ function renderCreatorUI() {
  */
 function renderRoomTypeOptions() {
   return availableRoomTypes.map((roomType, index) => {
-    const isLocked = roomType.requiresUnlock ? 'locked' : '';
+    const locked = roomType.requiresUnlock && !roomType.unlocked;
+    const isLocked = locked ? 'locked' : '';
     const isSelected = index === 0 ? 'selected' : '';
     
     return `
@@ -203,12 +252,29 @@ function renderRoomTypeOptions() {
           <div class="room-type-name">${roomType.name}</div>
           <div class="room-type-description">${roomType.description}</div>
         </div>
-        ${roomType.requiresUnlock ? '<div class="room-type-lock">🔒</div>' : ''}
+        ${locked ? `<a class="room-type-lock" href="/plugins/?plugin=${encodeURIComponent(roomType.id)}" title="Unlock in the marketplace">🔒 ${roomType.price} credits</a>` : ''}
       </div>
     `;
   }).join('');
 }
 
+/**
+ * Re-check which room types are unlocked and update the picker
+ */
+async function refreshRoomTypeLocks() {
+  for (const roomType of availableRoomTypes) {
+    roomType.unlocked = await isPluginUnlocked(roomType);
+  }
+  
+  document.querySelectorAll('.room-type-option').forEach(option => {
+    const roomType = availableRoomTypes.find(type => type.id === option.dataset.roomType);
+    if (!roomType || !roomType.requiresUnlock || !roomType.unlocked) return;
+    
+    option.classList.remove('locked');
+    option.querySelector('.room-type-lock')?.remove();
+  });
+}
+
 /**
  * Add CSS styles for the room creator UI
  */
@@ -249,7 +315,15 @@ function addStyles() {
       font-weight: bold;
     }
     
+    .room-creator-plugin h3 {
+      margin: 30px 0 15px;
+      padding-top: 20px;
+      border-top: 1px solid rgba(255, 255, 255, 0.1);
+      color: #fff;
+    }
+    
     .room-creator-plugin input[type="text"],
+    .room-creator-plugin input[type="password"],
     .room-creator-plugin select {
       width: 100%;
       padding: 10px;
@@ -261,6 +335,7 @@ function addStyles() {
     }
     
     .room-creator-plugin input[type="text"]:focus,
+    .room-creator-plugin input[type="password"]:focus,
     .room-creator-plugin select:focus {
       outline: none;
       box-shadow: 0 0 0 2px rgba(130, 170, 255, 0.5);
@@ -324,6 +399,10 @@ function addStyles() {
       position: absolute;
       top: 10px;
       right: 10px;
+      font-size: 12px;
+      color: inherit;
+      text-decoration: none;
+      cursor: pointer;
     }
     
     .form-actions {
@@ -331,7 +410,27 @@ function addStyles() {
       text-align: center;
     }
     
-    #create-room-btn {
+    .invite-link-output {
+      display: flex;
+      gap: 10px;
+      margin-top: 20px;
+    }
+    
+    .invite-link-output input[type="text"] {
+      font-size: 13px;
+    }
+    
+    #copy-invite-btn {
+      background: rgba(255, 255, 255, 0.15);
+      color: white;
+      border: none;
+      padding: 0 16px;
+      border-radius: 5px;
+      cursor: pointer;
+    }
+    
+    #create-room-btn,
+    #create-invite-btn {
       background: linear-gradient(to right, #5755d9, #7879F1);
       color: white;
       border: none;
@@ -342,7 +441,8 @@ function addStyles() {
       transition: all 0.2s ease;
     }
     
-    #create-room-btn:hover {
+    #create-room-btn:hover,
+    #create-invite-btn:hover {
       transform: translateY(-2px);
       box-shadow: 0 5px 15px rgba(0, 0, 0, 0.2);
     }
@@ -362,6 +462,7 @@ async function handleRoomCreation(event) {
   const roomName = document.getElementById('room-name').value.trim();
   const selectedRoomType = document.querySelector('.room-type-option.selected')?.dataset.roomType || 'default';
   const privacy = document.getElementById('room-privacy').value;
+  const password = document.getElementById('room-password').value;
   
   if (!roomName) {
     alert('Please enter a room name');
@@ -374,60 +475,75 @@ async function handleRoomCreation(event) {
     return;
   }
   
-  // Check if user is authenticated
-  const user = getCurrentUser();
-  if (!user) {
-    alert('You need to be logged in to create a room');
+  if (roomName.length > 64) {
+    alert('Room name can be at most 64 characters');
+    return;
+  }
+  
+  if (privacy === 'private' && password.length < 4) {
+    alert('Private rooms need a password of at least 4 characters');
     return;
   }
   
+  const user = getCurrentUser();
+  
   // Find selected room type data
   const roomTypeData = availableRoomTypes.find(type => type.id === selectedRoomType);
   
   // Check if room type requires unlock
   if (roomTypeData?.requiresUnlock) {
-    const isUnlocked = await checkUnlock(roomTypeData.unlockKey, 'room');
+    const isUnlocked = await isPluginUnlocked(roomTypeData);
     if (!isUnlocked) {
-      alert(`You haven't unlocked the ${roomTypeData.name} room type yet`);
+      alert(`You haven't unlocked the ${roomTypeData.name} room type yet, get it in the plugin marketplace`);
       return;
     }
   }
   
   try {
     // Check if room already exists
-    const roomRef = doc(db, "musicRooms", roomName);
-    const roomSnap = await getDoc(roomRef);
-    
-    if (roomSnap.exists()) {
+    if (await musicRoomExists(roomName)) {
       alert('A room with this name already exists. Please choose a different name.');
       return;
     }
     
+    if (!user && getMusicSyncBackendName() === 'firestore') {
+      alert('You need to be logged in to create a room');
+      return;
+    }
+    
     // Show loading state
     const createButton = document.getElementById('create-room-btn');
     const originalText = createButton.textContent;
     createButton.textContent = 'Creating...';
     createButton.disabled = true;
     
-    // Create room document in Firestore
-    await setDoc(roomRef, {
-      createdAt: serverTimestamp(),
-      updatedAt: serverTimestamp(),
-      createdBy: user.uid,
+    // The signaling server enforces the password, so lock the room there first;
+    // claiming it hands us the owner key we join with
+    let inviteToken = null;
+    if (privacy === 'private') {
+      const { ownerKey } = await postRoomAccess(roomName, 'access', { password });
+      if (ownerKey) saveOwnerKey(roomName, ownerKey);
+      inviteToken = (await postRoomAccess(roomName, 'invites', { password })).token;
+    }
+    
+    // Create the room document (updatedAt is added by the sync backend)
+    await setMusicRoomState(roomName, {
+      createdAt: Date.now(),
+      createdBy: user ? user.uid : null,
       roomType: selectedRoomType,
       privacy: privacy,
       currentTrack: null,
       isPlaying: false,
       currentPosition: 0,
       playlist: [],
-      participants: [user.uid],
-      leader: user.uid
+      participants: user ? [user.uid] : [],
+      leader: user ? user.uid : null
     });
     
     if (DEBUG) console.log("🎉 Room created:", roomName);
     
-    // Auto-join the created room
-    window.location.href = `/?room=${roomName}`;
+    // Auto-join the created room (private rooms with an invite so we aren't asked for the password)
+    window.location.href = inviteToken ? buildInviteLink(roomName, inviteToken) : `/?room=${roomName}`;
   } catch (error) {
     console.error("❌ Error creating room:", error);
     alert(`Error creating room: ${error.message}`);
@@ -439,6 +555,82 @@ async function handleRoomCreation(event) {
   }
 }
 
+/**
+ * Check whether a room already has music state; the self-hosted backend only
+ * shows a room's state to its members, so being refused means it exists
+ * @param {string} roomName - Name of the room
+ * @returns {Promise<boolean>} Whether the room exists
+ */
+async function musicRoomExists(roomName) {
+  try {
+    return !!(await getMusicRoomData(roomName));
+  } catch (error) {
+    if (error.code === 'permission-denied') return true;
+    throw error;
+  }
+}
+
+/**
+ * Call one of the signaling server's room access endpoints
+ * @param {string} roomName - Name of the room
+ * @param {string} action - 'access' to set the password, 'invites' to create an invite
+ * @param {Object} body - Request body
+ * @returns {Promise<Object>} Response data
+ */
+async function postRoomAccess(roomName, action, body) {
+  const response = await fetch(`/rooms/${encodeURIComponent(roomName)}/${action}`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify(body)
+  });
+  const data = await response.json().catch(() => ({}));
+  
+  if (!response.ok) {
+    throw new Error(data.error || `Request failed (${response.status})`);
+  }
+  return data;
+}
+
+/**
+ * Build a join link carrying an invite token
+ * @param {string} roomName - Name of the room
+ * @param {string} token - Invite token
+ * @returns {string} Invite link
+ */
+function buildInviteLink(roomName, token) {
+  return `${window.location.origin}/?room=${encodeURIComponent(roomName)}&invite=${encodeURIComponent(token)}`;
+}
+
+/**
+ * Handle invite form submission
+ * @param {Event} event - Submit event
+ */
+async function handleInviteCreation(event) {
+  event.preventDefault();
+  
+  const roomName = document.getElementById('invite-room-name').value.trim();
+  const password = document.getElementById('invite-room-password').value;
+  const expiresIn = Number(document.getElementById('invite-expiry').value);
+  const inviteButton = document.getElementById('create-invite-btn');
+  
+  inviteButton.disabled = true;
+  
+  try {
+    const { token, expiresAt } = await postRoomAccess(roomName, 'invites', { password, expiresIn });
+    
+    document.getElementById('invite-link').value = buildInviteLink(roomName, token);
+    document.getElementById('invite-link-output').style.display = 'flex';
+    document.getElementById('copy-invite-btn').textContent = 'Copy';
+    
+    if (DEBUG) console.log(`🎟 Invite for ${roomName} valid until ${new Date(expiresAt).toLocaleString()}`);
+  } catch (error) {
+    console.error("❌ Error creating invite:", error);
+    alert(`Error creating invite: ${error.message}`);
+  } finally {
+    inviteButton.disabled = false;
+  }
+}
+
 // Export plugin
 export default {
   id: PLUGIN_ID,
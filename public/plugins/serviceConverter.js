@@ -421,8 +421,12 @@ export function initServiceConverter() {
   }
 }
 
-// Set up a global function to convert a URL (can be called from any context)
-window.convertServiceUrl = function(url) {
+/**
+ * Show the embedded player for a streaming service URL in place of the audio element
+ * @param {string} url - Track URL
+ * @returns {Object|null} { service, title }, or null if the URL isn't recognized
+ */
+export function convertServiceUrl(url) {
   const serviceInfo = getServiceFromUrl(url);
   if (!serviceInfo) return null;
   
@@ -436,7 +440,10 @@ window.convertServiceUrl = function(url) {
     service: serviceInfo.service,
     title: extractTitleFromUrl(url)
   };
-};
+}
+
+// Also available globally for scripts that aren't modules
+window.convertServiceUrl = convertServiceUrl;
 
 // Export default for ES modules
 export default {
@@ -444,5 +451,6 @@ export default {
   extractTitleFromUrl,
   createServicePlayer,
   replaceWithServicePlayer,
+  convertServiceUrl,
   initServiceConverter
 }; 
\ No newline at end of file
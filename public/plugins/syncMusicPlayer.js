@@ -1,33 +1,54 @@
 // plugins/syncMusicPlayer.js
-import { db, collection, doc, getDoc, onSnapshot } from '../src/firebase.js';
 import { renderMusicPlayerUI } from './musicUI.js';
-import { loadSharedPlaylist, saveSharedPlaylist } from '../legacy/sharedPlaylistMemory.js';
-import { getServiceFromUrl, createServicePlayer, initServiceConverter, extractTitleFromUrl } from './serviceConverter.js';
+import { getServiceFromUrl, createServicePlayer, initServiceConverter, extractTitleFromUrl, convertServiceUrl } from './serviceConverter.js';
+import { getServerNow } from '../src/clockSync.js';
+import { getDriftCorrector } from '../src/driftCorrector.js';
+import { toMillis } from '../src/utils/musicSyncUtils.js';
+import { mountQueuePanel } from '../src/queuePanel.js';
+import { isPeerStreamUrl, parseStreamUrl, playPeerStream, stopPeerStream, stopLocalTrackStream } from '../src/localTrackStream.js';
+import {
+  prefetchSharedTrack,
+  getSharedTrackUrl,
+  releaseSharedTrackUrls,
+  cancelSharedTrackPrefetch,
+  withdrawLocalFiles
+} from '../src/peerFileTransfer.js';
+import { cacheTracksForOffline } from '../src/offlineSupport.js';
+import {
+  joinMusicRoom,
+  leaveMusicRoom,
+  watchMusicRoom,
+  setMusicRoomState,
+  startLeaderSession,
+  stopLeaderSession,
+  isRoomLeader,
+  getRoomLeader,
+  addTrackToPlaylist,
+  voteQueueEntry,
+  moveQueueEntry,
+  removeQueueEntry,
+  advanceQueue,
+  getRoomQueue
+} from '../musicSync.js';
 
 let currentRoom = null;
+let currentPeerId = null;
+// Server-clock time of the newest playback state applied, from Firestore or a peer
+let lastReferenceAt = 0;
+// Last track announced with a 'track-change' event
+let announcedTrackUrl = null;
 let unsubscribe = null;
 let unsubscribePresence = null;
 let servicePlayerInitialized = false;
+// Shared queue list, the last room snapshot and its current track
+let queuePanel = null;
+let lastRoomData = null;
+let roomTrack = null;
+// Tracks already handed to the service worker for offline playback
+const offlineTracks = new Set();
 
-// Helper function to get room reference based on Firebase version
-function getRoomRef(roomName) {
-  try {
-    // Check if Firebase v8 or v9
-    if (typeof db.collection === 'function') {
-      // Firebase v8 syntax
-      console.log('[SyncMusicPlayer] Using Firebase v8 syntax');
-      return db.collection('musicRooms').doc(roomName);
-    } else {
-      // Firebase v9 syntax
-      console.log('[SyncMusicPlayer] Using Firebase v9 syntax');
-      const musicRoomsRef = collection(db, 'musicRooms');
-      return doc(musicRoomsRef, roomName);
-    }
-  } catch (err) {
-    console.error('[SyncMusicPlayer] Error getting room reference:', err);
-    throw new Error('Failed to get room reference: ' + err.message);
-  }
-}
+// Queued tracks kept for offline playback ahead of time
+const OFFLINE_QUEUE_TRACKS = 3;
 
 /**
  * Standard plugin initialization function
@@ -46,55 +67,38 @@ export async function initializePlugin(roomName) {
     console.log('[SyncMusicPlayer] Service converter initialized');
   }
   
-  // Set up listener for paste-to-playlist button
+  // Pasted tracks join the room's shared queue
   const addBtn = document.getElementById('addTrackBtn');
   const input = document.getElementById('pasteTrackUrl');
   if (addBtn && input) {
-    addBtn.addEventListener('click', () => {
-      const url = input.value.trim();
-      if (url && currentRoom) {
-        syncTrackToRoom(url, null, currentRoom);
-        input.value = '';
-      }
-    });
+    addBtn.addEventListener('click', handleAddTrack);
   }
   
-  // Load any existing shared playlist
+  // Join the room's participants and take part in leader election
   try {
-    const sharedTracks = await loadSharedPlaylist(roomName);
-    if (sharedTracks && sharedTracks.length > 0) {
-      console.log('[SyncMusicPlayer] Reloading shared playlist...', sharedTracks);
-      // Populate UI or memory with the tracks
-      const trackListEl = document.getElementById('trackList');
-      if (trackListEl) {
-        trackListEl.innerHTML = '';
-        sharedTracks.forEach(track => {
-          const li = document.createElement('li');
-          li.className = 'track-item';
-          li.innerHTML = `
-            <span class="track-title">${track.title || 'Unknown Track'}</span>
-            <button class="play-track" data-url="${track.url}">▶️</button>
-          `;
-          trackListEl.appendChild(li);
-        });
-        
-        // Add click handlers to play buttons
-        trackListEl.querySelectorAll('.play-track').forEach(btn => {
-          btn.addEventListener('click', () => {
-            const url = btn.getAttribute('data-url');
-            if (url) {
-              syncTrackToRoom(url, null, roomName);
-            }
-          });
-        });
-      }
-    }
+    await joinLeaderElection(roomName);
   } catch (err) {
-    console.error('[SyncMusicPlayer] Error loading shared playlist:', err);
+    console.error('[SyncMusicPlayer] Error joining leader election:', err);
   }
   
+  queuePanel = mountQueuePanel({
+    roomName,
+    getSelfId: () => currentPeerId,
+    isLeader: () => isRoomLeader(roomName),
+    onVote: (entryId, vote) => voteQueueEntry(roomName, entryId, vote),
+    onMove: (entryId, toIndex) => moveQueueEntry(roomName, entryId, toIndex),
+    onRemove: (entryId) => removeQueueEntry(roomName, entryId)
+  });
+  document.addEventListener('room-queue-change', handleQueueChange);
+  queuePanel.update(getRoomQueue(roomName));
+  
   // Start listening for music updates
   try {
+    lastReferenceAt = 0;
+    document.addEventListener('peer-music-sync', handlePeerMusicEvent);
+    document.addEventListener('leader-change', handleLeaderChange);
+    document.addEventListener('shared-track-cached', handleSharedTrackCached);
+    document.getElementById('audioPlayer')?.addEventListener('ended', handleTrackEnded);
     listenToRoomMusic(roomName);
     
     // Monitor room participants
@@ -121,44 +125,98 @@ export function cleanupPlugin() {
     unsubscribePresence = null;
   }
   
+  document.removeEventListener('peer-music-sync', handlePeerMusicEvent);
+  document.removeEventListener('leader-change', handleLeaderChange);
+  document.removeEventListener('shared-track-cached', handleSharedTrackCached);
+  document.getElementById('audioPlayer')?.removeEventListener('ended', handleTrackEnded);
+  document.getElementById('addTrackBtn')?.removeEventListener('click', handleAddTrack);
+  
+  document.removeEventListener('room-queue-change', handleQueueChange);
+  if (queuePanel) {
+    queuePanel.destroy();
+    queuePanel = null;
+  }
+  lastRoomData = null;
+  roomTrack = null;
+  
+  stopPeerStream();
+  stopLocalTrackStream();
+  cancelSharedTrackPrefetch();
+  releaseSharedTrackUrls();
+  withdrawLocalFiles();
+  
+  // Leave leader election (hands leadership to another participant if we had it)
+  if (currentRoom && currentPeerId) {
+    stopLeaderSession(currentRoom);
+    leaveMusicRoom(currentRoom, getUserIdFromPeerId(currentPeerId, currentRoom))
+      .catch(err => console.error('[SyncMusicPlayer] Error leaving music room:', err));
+  }
+  currentPeerId = null;
+  
+  // Stop drift correction and restore normal playback rate
+  const audio = document.getElementById('audioPlayer');
+  if (audio) {
+    getDriftCorrector(audio).stop();
+  }
+  
   console.log('[SyncMusicPlayer] Cleaned up all listeners');
   currentRoom = null;
+  announcedTrackUrl = null;
 }
 
 // For backward compatibility
 export const initializeSyncMusicPlayer = initializePlugin;
 export const cleanupSyncMusicPlayer = cleanupPlugin;
 
+/**
+ * Get the user part of a room-prefixed peer ID ("room-abc123" -> "abc123")
+ * @param {string} peerId - PeerJS ID
+ * @param {string} roomName - Room name
+ * @returns {string} User ID as expected by joinMusicRoom/leaveMusicRoom
+ */
+function getUserIdFromPeerId(peerId, roomName) {
+  const prefix = `${roomName}-`;
+  return peerId.startsWith(prefix) ? peerId.slice(prefix.length) : peerId;
+}
+
+/**
+ * Register as a room participant and start the leader session
+ * Becomes leader straight away if the room has none
+ * @param {string} roomName - Room name
+ */
+async function joinLeaderElection(roomName) {
+  const peerId = window.peer?.id;
+  if (!peerId) {
+    console.warn('[SyncMusicPlayer] No peer ID yet, skipping leader election');
+    return;
+  }
+  
+  currentPeerId = peerId;
+  await joinMusicRoom(roomName, getUserIdFromPeerId(peerId, roomName), true);
+  
+  startLeaderSession(roomName, peerId, () => {
+    const audio = document.getElementById('audioPlayer');
+    if (!audio || !audio.src) return null;
+    return { isPlaying: !audio.paused, position: audio.currentTime };
+  });
+}
+
 /**
  * Monitor room participants and auto-pause when room is empty
  * @param {string} room - Room name to monitor
  */
 export function monitorRoomParticipants(room) {
   try {
-    const roomRef = getRoomRef(room);
-    
-    // Handle different Firebase versions
-    if (typeof onSnapshot === 'function') {
-      // Firebase v9
-      unsubscribePresence = onSnapshot(roomRef, snapshot => {
-        handleParticipantsSnapshot(snapshot, room);
-      });
-    } else if (typeof roomRef.onSnapshot === 'function') {
-      // Firebase v8
-      unsubscribePresence = roomRef.onSnapshot(snapshot => {
-        handleParticipantsSnapshot(snapshot, room);
-      });
-    } else {
-      console.error('[SyncMusicPlayer] Cannot monitor participants - onSnapshot not available');
-    }
+    unsubscribePresence = watchMusicRoom(room, data => {
+      handleParticipantsSnapshot(data, room);
+    });
   } catch (err) {
     console.error('[SyncMusicPlayer] Error monitoring room participants:', err);
   }
 }
 
-function handleParticipantsSnapshot(snapshot, room) {
+function handleParticipantsSnapshot(data, room) {
   try {
-    const data = snapshot.data();
     if (!data) return;
     
     // Get the current user's peer ID from global window object
@@ -182,26 +240,10 @@ function handleParticipantsSnapshot(snapshot, room) {
           audio.pause();
           
           // Update room state to indicate playback is paused
-          try {
-            const roomRef = getRoomRef(room);
-            if (typeof roomRef.update === 'function') {
-              // Firebase v8
-              roomRef.update({
-                isPlaying: false,
-                lastUpdated: new Date().toISOString()
-              }).catch(err => console.error('[SyncMusicPlayer] Error updating playback state:', err));
-            } else {
-              // Firebase v9
-              import('../src/firebase.js').then(({ updateDoc }) => {
-                updateDoc(roomRef, {
-                  isPlaying: false,
-                  lastUpdated: new Date().toISOString()
-                }).catch(err => console.error('[SyncMusicPlayer] Error updating playback state:', err));
-              });
-            }
-          } catch (err) {
-            console.error('[SyncMusicPlayer] Error updating room state:', err);
-          }
+          setMusicRoomState(room, {
+            isPlaying: false,
+            lastUpdated: new Date().toISOString()
+          }).catch(err => console.error('[SyncMusicPlayer] Error updating playback state:', err));
         }
       }
     }
@@ -212,34 +254,21 @@ function handleParticipantsSnapshot(snapshot, room) {
 
 async function listenToRoomMusic(room) {
   try {
-    const roomRef = getRoomRef(room);
-    
-    // Handle different Firebase versions
-    if (typeof onSnapshot === 'function') {
-      // Firebase v9
-      unsubscribe = onSnapshot(roomRef, doc => {
-        handleMusicSnapshot(doc);
-      });
-    } else if (typeof roomRef.onSnapshot === 'function') {
-      // Firebase v8
-      unsubscribe = roomRef.onSnapshot(doc => {
-        handleMusicSnapshot(doc);
-      });
-    } else {
-      console.error('[SyncMusicPlayer] Cannot listen to room music - onSnapshot not available');
-    }
+    unsubscribe = watchMusicRoom(room, data => {
+      handleMusicSnapshot(data);
+    });
   } catch (err) {
     console.error('[SyncMusicPlayer] Error setting up room music listener:', err);
   }
 }
 
-function handleMusicSnapshot(doc) {
+function handleMusicSnapshot(data) {
   try {
-    if (!doc.exists) return;
-
-    const data = doc.data();
     if (!data) return;
     
+    lastRoomData = data;
+    roomTrack = data.currentTrack || null;
+    
     const audio = document.getElementById('audioPlayer');
     if (!audio) {
       console.error('[SyncMusicPlayer] Audio player element not found');
@@ -248,25 +277,51 @@ function handleMusicSnapshot(doc) {
     
     // Track change detection
     if (data.currentTrack && data.currentTrack.url) {
+      // A member's local file, streamed live from their player (see localTrackStream.js)
+      const peerStream = parseStreamUrl(data.currentTrack.url);
+      const isOwnStream = !!peerStream && peerStream.hostId === window.peer?.id;
+      
+      // Once the file itself has been fetched, it plays from the cache like any
+      // other track, and keeps playing when the host can't be reached
+      const sharedFile = peerStream && !isOwnStream ? data.currentTrack.file : null;
+      releaseSharedTrackUrls(sharedFile?.id);
+      const cachedUrl = getSharedTrackUrl(sharedFile?.id);
+      const isLiveStream = !!peerStream && !cachedUrl;
+      // Our own stream is the local file already playing
+      const sourceUrl = isOwnStream ? audio.src : cachedUrl || data.currentTrack.url;
+      
+      if (sharedFile?.id && !cachedUrl) {
+        prefetchSharedTrack(currentRoom, peerStream.hostId, sharedFile);
+      } else if (!sharedFile) {
+        cancelSharedTrackPrefetch();
+      }
+      
       // Check if URL is from a streaming service
-      const serviceInfo = getServiceFromUrl(data.currentTrack.url);
+      const serviceInfo = peerStream ? null : getServiceFromUrl(data.currentTrack.url);
       const isStreamingService = serviceInfo && serviceInfo.service !== 'DIRECT_AUDIO';
       
       // Handle change in track URL
-      if (audio.src !== data.currentTrack.url) {
+      const isNewTrack = audio.src !== sourceUrl;
+      if (isNewTrack) {
         // New track detected
-        console.log(`[SyncMusicPlayer] Loading new track: ${data.currentTrack.url}`);
+        console.log(`[SyncMusicPlayer] Loading new track: ${sourceUrl}`);
         
-        if (isStreamingService) {
-          // For streaming services, we'll use the global function that creates an embedded player
-          window.convertServiceUrl(data.currentTrack.url);
+        if (isLiveStream) {
+          playPeerStream(currentRoom, data.currentTrack.url, audio);
+        } else if (isStreamingService) {
+          stopPeerStream();
+          
+          // For streaming services, show the service's embedded player
+          convertServiceUrl(data.currentTrack.url);
           
           // Don't set the audio src since we're using an embedded player
           // The convertServiceUrl function will handle creating the appropriate player
         } else {
           // For direct audio files, use the standard audio element
-          audio.src = data.currentTrack.url;
+          stopPeerStream();
+          audio.src = sourceUrl;
           audio.load();
+          keepTracksOffline([sourceUrl]);
         }
         
         // Update music title display if available
@@ -274,10 +329,26 @@ function handleMusicSnapshot(doc) {
         if (titleElement && data.currentTrack.title) {
           titleElement.textContent = data.currentTrack.title;
         }
+        
+        // Let plugins know through their host (streaming tracks never set audio.src,
+        // so they'd otherwise be announced on every snapshot)
+        if (announcedTrackUrl !== data.currentTrack.url) {
+          announcedTrackUrl = data.currentTrack.url;
+          document.dispatchEvent(new CustomEvent('track-change', {
+            detail: { roomId: currentRoom, url: data.currentTrack.url, title: data.currentTrack.title || null }
+          }));
+        }
       }
       
-      // Handle playback state (only for direct audio files)
-      if (!isStreamingService) {
+      // Playback state normally arrives over the data channels and is only written
+      // here as a fallback, so ignore snapshots older than what we already applied
+      const referenceAt = toMillis(data.positionUpdatedAt) ?? 0;
+      const isNewerState = isNewTrack || referenceAt > lastReferenceAt;
+      
+      // Handle playback state (only for direct audio files; a peer stream follows its host's player)
+      if (!isStreamingService && !isLiveStream && isNewerState) {
+        lastReferenceAt = Math.max(lastReferenceAt, referenceAt);
+        
         if (data.isPlaying) {
           // Only try to play if currently paused (avoid interrupting current playback)
           if (audio.paused) {
@@ -292,12 +363,18 @@ function handleMusicSnapshot(doc) {
           }
           
           // Position sync (with drift correction)
-          if (data.currentPosition && Math.abs(audio.currentTime - data.currentPosition) > 2) {
-            console.log(`[SyncMusicPlayer] Syncing playback position: ${audio.currentTime.toFixed(1)}s → ${data.currentPosition.toFixed(1)}s`);
-            audio.currentTime = data.currentPosition;
+          // The corrector follows where the room is now, nudging playbackRate for small drifts.
+          // The leader is the source of the position, so it never corrects itself.
+          if (!isRoomLeader(currentRoom)) {
+            getDriftCorrector(audio).setReference(
+              data.currentPosition || 0,
+              data.isPlaying,
+              data.positionUpdatedAt ?? data.updatedAt
+            );
           }
         } else if (!audio.paused && !data.isPlaying) {
           // Only pause if we're actually playing
+          getDriftCorrector(audio).setReference(data.currentPosition || 0, false);
           audio.pause();
         }
       }
@@ -307,6 +384,133 @@ function handleMusicSnapshot(doc) {
   }
 }
 
+/**
+ * Switch from a member's live stream to their file once it has been fetched
+ * @param {CustomEvent} event - 'shared-track-cached' event from peerFileTransfer.js
+ */
+function handleSharedTrackCached(event) {
+  if (lastRoomData?.currentTrack?.file?.id === event.detail?.fileId) {
+    console.log(`[SyncMusicPlayer] Playing ${event.detail.name} from the cache`);
+    handleMusicSnapshot(lastRoomData);
+  }
+}
+
+/**
+ * Show the room's queue as it changes
+ * @param {CustomEvent} event - 'room-queue-change' event from musicSync.js
+ */
+function handleQueueChange(event) {
+  if (queuePanel && event.detail?.roomId === currentRoom) {
+    queuePanel.update(event.detail);
+  }
+  
+  if (event.detail?.roomId === currentRoom) {
+    keepTracksOffline(event.detail.queue.slice(0, OFFLINE_QUEUE_TRACKS).map(entry => entry.url));
+  }
+}
+
+/**
+ * Have the service worker keep direct audio tracks, so they play without a network
+ * @param {string[]} urls - Track URLs
+ */
+function keepTracksOffline(urls) {
+  if (!navigator.onLine) return;
+  
+  const fresh = urls.filter(url =>
+    url && !offlineTracks.has(url) && getServiceFromUrl(url)?.service === 'DIRECT_AUDIO'
+  );
+  fresh.forEach(url => offlineTracks.add(url));
+  cacheTracksForOffline(fresh);
+}
+
+/**
+ * Add the pasted track URL to the room's queue
+ */
+async function handleAddTrack() {
+  const input = document.getElementById('pasteTrackUrl');
+  const url = input?.value.trim();
+  if (!url || !currentRoom) return;
+  
+  if (url.startsWith('blob:') || isPeerStreamUrl(url)) {
+    console.warn('[SyncMusicPlayer] Local blob URLs and peer streams can\'t be shared to the queue');
+    return;
+  }
+  
+  try {
+    await addTrackToPlaylist(currentRoom, { url, title: getTrackTitleFromUrl(url) });
+    input.value = '';
+  } catch (err) {
+    console.error('[SyncMusicPlayer] Error adding track to the queue:', err);
+  }
+}
+
+/**
+ * The leader moves the room on to the next queued track when one ends
+ * (local files, and the streams of them, are stepped through by musicPlayer.js instead)
+ */
+function handleTrackEnded() {
+  if (!currentRoom || !roomTrack || !isRoomLeader(currentRoom)) return;
+  if (roomTrack.url.startsWith('blob:') || isPeerStreamUrl(roomTrack.url)) return;
+  
+  advanceQueue(currentRoom, { fromUrl: roomTrack.url })
+    .catch(err => console.error('[SyncMusicPlayer] Error advancing the queue:', err));
+}
+
+/**
+ * The leader is the source of the position, so it stops following the old
+ * leader's last reference; as a follower the new leader's next heartbeat starts
+ * the drift corrector again
+ * @param {CustomEvent} event - 'leader-change' event from musicSync.js
+ */
+function handleLeaderChange(event) {
+  const { roomId, isLeader } = event.detail;
+  if (roomId !== currentRoom) return;
+  
+  const audio = document.getElementById('audioPlayer');
+  if (isLeader) {
+    if (audio) getDriftCorrector(audio).stop();
+  } else {
+    // The new leader's estimate of server time may lag the old leader's
+    lastReferenceAt = 0;
+  }
+}
+
+/**
+ * Apply a playback event the room leader sent over a data channel
+ * @param {CustomEvent} event - 'peer-music-sync' event from peerMusicChannel.js
+ */
+function handlePeerMusicEvent(event) {
+  const { roomId, senderId, position, isPlaying, sentAt } = event.detail;
+  
+  // Only follow the leader of our room, and never correct the leader itself
+  if (roomId !== currentRoom || isRoomLeader(currentRoom)) return;
+  if (senderId !== getRoomLeader(currentRoom)) return;
+  
+  // Messages can arrive out of order across connections
+  if (sentAt <= lastReferenceAt) return;
+  lastReferenceAt = sentAt;
+  
+  // A live peer stream has no src and no position to follow
+  const audio = document.getElementById('audioPlayer');
+  if (!audio || !audio.src) return;
+  
+  const playing = isPlaying ?? !audio.paused;
+  
+  if (playing && audio.paused) {
+    audio.play().catch(err => {
+      if (err.name === 'NotAllowedError') {
+        console.log('[SyncMusicPlayer] Autoplay blocked by browser, waiting for user interaction');
+      } else {
+        console.warn('[SyncMusicPlayer] Error playing track:', err);
+      }
+    });
+  } else if (!playing && !audio.paused) {
+    audio.pause();
+  }
+  
+  getDriftCorrector(audio).setReference(position, playing, sentAt);
+}
+
 /**
  * Sync a track URL to the current room
  * @param {string} trackUrl - URL of the track to sync
@@ -341,8 +545,6 @@ export async function syncTrackToRoom(trackUrl, title = null, roomName = null) {
   console.log(`[SyncMusicPlayer] Syncing track to room ${room}: ${trackUrl}`);
   
   try {
-    const roomRef = getRoomRef(room);
-    
     // Get a title from the URL for display if not provided
     const trackTitle = title || getTrackTitleFromUrl(trackUrl);
     
@@ -353,52 +555,14 @@ export async function syncTrackToRoom(trackUrl, title = null, roomName = null) {
       addedAt: new Date().toISOString()
     };
     
-    // Update the room document with the new track
-    if (typeof roomRef.set === 'function') {
-      // Firebase v8
-      await roomRef.set({
-        currentTrack: trackData,
-        isPlaying: true,
-        lastUpdated: new Date().toISOString()
-      }, { merge: true });
-    } else {
-      // Firebase v9
-      const { setDoc } = await import('../src/firebase.js');
-      await setDoc(roomRef, {
-        currentTrack: trackData,
-        isPlaying: true,
-        lastUpdated: new Date().toISOString()
-      }, { merge: true });
-    }
-    
-    // Also save to shared playlist
-    try {
-      // Get current playlist
-      let data;
-      if (typeof roomRef.get === 'function') {
-        // Firebase v8
-        const snapshot = await roomRef.get();
-        data = snapshot.data() || {};
-      } else {
-        // Firebase v9
-        const { getDoc } = await import('../src/firebase.js');
-        const snapshot = await getDoc(roomRef);
-        data = snapshot.data() || {};
-      }
-      
-      const currentPlaylist = Array.isArray(data.playlist) ? data.playlist : [];
-      
-      // Check if this track is already in the playlist
-      if (!currentPlaylist.some(track => track.url === trackUrl)) {
-        // Add to playlist if not already there
-        currentPlaylist.push(trackData);
-        
-        // Save updated playlist
-        await saveSharedPlaylist(room, currentPlaylist);
-      }
-    } catch (err) {
-      console.error('[SyncMusicPlayer] Error saving to shared playlist:', err);
-    }
+    // Update the room with the new track
+    await setMusicRoomState(room, {
+      currentTrack: trackData,
+      isPlaying: true,
+      currentPosition: 0,
+      positionUpdatedAt: getServerNow(),
+      lastUpdated: new Date().toISOString()
+    });
     
     console.log('[SyncMusicPlayer] Track synced successfully');
     return Promise.resolve();
@@ -1,111 +1,58 @@
 // === /plugins/syntheticsouls.js ===
+// Room sync is left to the standard music player; this plugin only adds the
+// Synthetic Souls look, and gets the room and playback from its plugin host
 import { renderMusicPlayerUI } from './musicUI.js';
-import { db, collection, doc, getDoc, onSnapshot } from '../src/firebase.js';
-import { loadSharedPlaylist, saveSharedPlaylist } from '../legacy/sharedPlaylistMemory.js';
-import { getServiceFromUrl, createServicePlayer, initServiceConverter, extractTitleFromUrl } from './serviceConverter.js';
-import { syncTrackToRoom } from '../src/syncMusicPlayer.js';
-import { listenToRoomMusic, monitorRoomParticipants } from '../src/musicSync.js';
 
-// Global variables for room sync
-let currentRoom = null;
-let unsubscribe = null;
-let unsubscribePresence = null;
-let servicePlayerInitialized = false;
+// Plugin host for the room we're loaded in (see src/pluginHost.js)
+let pluginHost = null;
+
+// Stops everything the plugin started through its host: page elements, styles,
+// listeners, timers, animation frames, sounds and the visualizer's analyser
+const teardown = [];
 
 /**
- * Helper function to get room reference based on Firebase version
- * @param {string} roomName - The name of the room
- * @returns {Object} - Firebase document reference
+ * Add an element to the page, removed on cleanup
+ * @param {HTMLElement} element - Element to add
  */
-function getRoomRef(roomName) {
-  try {
-    // Check if Firebase v8 or v9
-    if (typeof db.collection === 'function') {
-      // Firebase v8 syntax
-      console.log('[SyntheticSouls] Using Firebase v8 syntax');
-      return db.collection('musicRooms').doc(roomName);
-    } else {
-      // Firebase v9 syntax
-      console.log('[SyntheticSouls] Using Firebase v9 syntax');
-      const musicRoomsRef = collection(db, 'musicRooms');
-      return doc(musicRoomsRef, roomName);
-    }
-  } catch (err) {
-    console.error('[SyntheticSouls] Error getting room reference:', err);
-    throw new Error('Failed to get room reference: ' + err.message);
-  }
+function show(element) {
+  pluginHost.dom.append(element);
+  teardown.push(() => element.remove());
+}
+
+/**
+ * Add scoped CSS, removed on cleanup
+ * @param {string} css - Stylesheet text
+ */
+function addStyles(css) {
+  teardown.push(pluginHost.styles.inject(css));
+}
+
+/**
+ * Run a function once after a delay, cancelled on cleanup
+ * @param {Function} fn - Function to run
+ * @param {number} delay - Delay in ms
+ */
+function later(fn, delay) {
+  const id = pluginHost.timers.setTimeout(fn, delay);
+  teardown.push(() => pluginHost.timers.clear(id));
 }
 
 /**
  * Initialize the Synthetic Souls Plugin
- * @param {string} roomName - The name of the room
+ * @param {Object} host - Plugin host for the room
  */
-export async function initializePlugin(roomName) {
+export async function initializePlugin(host) {
+  const roomName = host.room.name;
   console.log('[SyntheticSouls] Initializing Synthetic Souls Plugin for room:', roomName);
   
   try {
-    // Store current room for sync functionality
-    currentRoom = roomName;
+    pluginHost = host;
     
     // Render the music UI (which also prepares the intro screen)
     renderMusicPlayerUI();
     
-    // Initialize service converter for streaming platforms
-    if (!servicePlayerInitialized) {
-      initServiceConverter();
-      servicePlayerInitialized = true;
-      console.log('[SyntheticSouls] Service converter initialized');
-    }
-    
-    // Set up listener for paste-to-playlist button
-    const addBtn = document.getElementById('addTrackBtn');
-    const input = document.getElementById('pasteTrackUrl');
-    if (addBtn && input) {
-      addBtn.addEventListener('click', () => {
-        const url = input.value.trim();
-        if (url && currentRoom) {
-          syncTrackToRoom(url, null, currentRoom);
-          input.value = '';
-        }
-      });
-    }
-    
-    // Load any existing shared playlist
-    try {
-      const sharedTracks = await loadSharedPlaylist(roomName);
-      if (sharedTracks && sharedTracks.length > 0) {
-        console.log('[SyntheticSouls] Reloading shared playlist...', sharedTracks);
-        // Populate UI or memory with the tracks
-        const trackListEl = document.getElementById('trackList');
-        if (trackListEl) {
-          trackListEl.innerHTML = '';
-          sharedTracks.forEach(track => {
-            const li = document.createElement('li');
-            li.className = 'track-item';
-            li.innerHTML = `
-              <span class="track-title">${track.title || 'Unknown Track'}</span>
-              <button class="play-track" data-url="${track.url}">▶️</button>
-            `;
-            trackListEl.appendChild(li);
-          });
-          
-          // Add click handlers to play buttons
-          trackListEl.querySelectorAll('.play-track').forEach(btn => {
-            btn.addEventListener('click', () => {
-              const url = btn.getAttribute('data-url');
-              if (url) {
-                syncTrackToRoom(url, null, roomName);
-              }
-            });
-          });
-        }
-      }
-    } catch (err) {
-      console.error('[SyntheticSouls] Error loading shared playlist:', err);
-    }
-    
     // Apply enhanced Synthetic Souls theme
-    document.body.classList.add('synthetic-souls-theme');
+    teardown.push(pluginHost.dom.addBodyClass('synthetic-souls-theme'));
     
     // Create and inject the enhanced intro sequence
     createEnhancedIntroSequence(roomName);
@@ -125,18 +72,7 @@ export async function initializePlugin(roomName) {
     // Add custom UI controls overlay
     addCustomControls(roomName);
     
-    // Start listening for music updates
-    try {
-      listenToRoomMusic(roomName);
-      
-      // Use renamed function to avoid conflict
-      monitorRoomParticipantsSyntheticSouls(roomName);
-      
-      return true;
-    } catch (err) {
-      console.error('[SyntheticSouls] Error during initialization:', err);
-      return false;
-    }
+    return true;
   } catch (err) {
     console.error('[SyntheticSouls] Error initializing plugin:', err);
     return false;
@@ -151,74 +87,13 @@ export function cleanupPlugin() {
   console.log('[SyntheticSouls] Cleaning up...');
   
   try {
-    // Unsubscribe from Firebase listeners
-    if (unsubscribe) {
-      unsubscribe();
-      unsubscribe = null;
-    }
-    
-    if (unsubscribePresence) {
-      unsubscribePresence();
-      unsubscribePresence = null;
-    }
-    
-    console.log('[SyntheticSouls] Cleaned up all Firebase listeners');
-    currentRoom = null;
-    
-    // Remove theme class from body
-    document.body.classList.remove('synthetic-souls-theme');
-    
-    // Remove intro screen if it exists
-    const introScreen = document.getElementById('syntheticIntroScreen');
-    if (introScreen) introScreen.remove();
-    
-    // Remove custom styles
-    const styleElement = document.getElementById('synthetic-souls-style');
-    if (styleElement) styleElement.remove();
-    
-    // Remove ambient elements
-    const ambientElements = document.querySelectorAll('.ambient-element');
-    ambientElements.forEach(element => element.remove());
-    
-    // Remove soul orbs
-    const soulOrbs = document.querySelectorAll('.soul-orb');
-    soulOrbs.forEach(orb => orb.remove());
-    
-    // Remove particle canvas
-    const particleCanvas = document.getElementById('particleCanvas');
-    if (particleCanvas) particleCanvas.remove();
-    
-    // Remove visualizer canvas
-    const visualizerCanvas = document.getElementById('musicVisualizer');
-    if (visualizerCanvas) visualizerCanvas.remove();
-    
-    // Remove custom controls
-    const customControls = document.querySelector('.synthetic-controls');
-    if (customControls) customControls.remove();
-    
-    // Remove room info panel
-    const infoPanel = document.querySelector('.room-info-panel');
-    if (infoPanel) infoPanel.remove();
-    
-    // Stop any animation frames
-    if (window.syntheticAnimationFrame) {
-      cancelAnimationFrame(window.syntheticAnimationFrame);
-      window.syntheticAnimationFrame = null;
-    }
-    
-    // Stop any audio contexts
-    if (window.syntheticAudioContext) {
-      window.syntheticAudioContext.close().catch(e => console.error(e));
-      window.syntheticAudioContext = null;
+    // Stop listeners, timers and audio, and remove the theme class
+    while (teardown.length > 0) {
+      teardown.pop()();
     }
     
-    // Clean up any event listeners
-    if (window.syntheticEventListeners) {
-      window.syntheticEventListeners.forEach(({ element, type, listener }) => {
-        if (element) element.removeEventListener(type, listener);
-      });
-      window.syntheticEventListeners = [];
-    }
+    // Playback listeners registered through the host are removed by the host
+    pluginHost = null;
     
     console.log('[SyntheticSouls] Cleanup complete');
   } catch (err) {
@@ -229,96 +104,10 @@ export function cleanupPlugin() {
 // For backward compatibility 
 export const initializeSyntheticSoulsPlugin = initializePlugin;
 
-/**
- * Monitor room participants and auto-pause when room is empty
- * This function is renamed to avoid conflicts with imported monitorRoomParticipants
- * @param {string} room - Room name to monitor
- */
-export function monitorRoomParticipantsSyntheticSouls(room) {
-  try {
-    const roomRef = getRoomRef(room);
-    
-    // Handle different Firebase versions
-    if (typeof onSnapshot === 'function') {
-      // Firebase v9
-      unsubscribePresence = onSnapshot(roomRef, snapshot => {
-        handleParticipantsSnapshot(snapshot, room);
-      });
-    } else if (typeof roomRef.onSnapshot === 'function') {
-      // Firebase v8
-      unsubscribePresence = roomRef.onSnapshot(snapshot => {
-        handleParticipantsSnapshot(snapshot, room);
-      });
-    } else {
-      console.error('[SyntheticSouls] Cannot monitor participants - onSnapshot not available');
-    }
-  } catch (err) {
-    console.error('[SyntheticSouls] Error monitoring room participants:', err);
-  }
-}
-
-function handleParticipantsSnapshot(snapshot, room) {
-  try {
-    const data = snapshot.data();
-    if (!data) return;
-    
-    // Get the current user's peer ID from global window object
-    const currentPeerId = window.peer?.id;
-    
-    if (data?.participants && Array.isArray(data.participants)) {
-      // Include the current user in the count if they're not already in the list
-      // This fixes cases where participants array doesn't include the current user yet
-      const participantsSet = new Set(data.participants);
-      const actualCount = currentPeerId && !participantsSet.has(currentPeerId) 
-        ? participantsSet.size + 1 
-        : participantsSet.size;
-      
-      console.log(`[SyntheticSouls] Room has ${actualCount} participants (visible: ${participantsSet.size}, including self: ${currentPeerId ? 'yes' : 'no'})`);
-      
-      // Only auto-pause if truly empty (no participants at all)
-      if (actualCount === 0) {
-        console.log('[SyntheticSouls] No users in room, pausing music.');
-        const audio = document.getElementById('audioPlayer');
-        if (audio && !audio.paused) {
-          audio.pause();
-          
-          // Update room state to indicate playback is paused
-          try {
-            const roomRef = getRoomRef(room);
-            if (typeof roomRef.update === 'function') {
-              // Firebase v8
-              roomRef.update({
-                isPlaying: false,
-                lastUpdated: new Date().toISOString()
-              }).catch(err => console.error('[SyntheticSouls] Error updating playback state:', err));
-            } else {
-              // Firebase v9
-              import('../src/firebase.js').then(({ updateDoc }) => {
-                updateDoc(roomRef, {
-                  isPlaying: false,
-                  lastUpdated: new Date().toISOString()
-                }).catch(err => console.error('[SyntheticSouls] Error updating playback state:', err));
-              });
-            }
-          } catch (err) {
-            console.error('[SyntheticSouls] Error updating room state:', err);
-          }
-        }
-      }
-    }
-  } catch (err) {
-    console.error('[SyntheticSouls] Error handling participants snapshot:', err);
-  }
-}
-
 /**
  * Creates an enhanced intro sequence with logo animation and text effects
  */
 function createEnhancedIntroSequence(roomName) {
-  // Remove old intro if exists
-  const oldIntro = document.getElementById('syntheticIntroScreen');
-  if (oldIntro) oldIntro.remove();
-  
   // Create new enhanced intro
   const intro = document.createElement('div');
   intro.id = 'syntheticIntroScreen';
@@ -348,14 +137,10 @@ function createEnhancedIntroSequence(roomName) {
     </div>
   `;
   
-  document.body.appendChild(intro);
-  
-  // Ensure we track event listeners for cleanup
-  if (!window.syntheticEventListeners) window.syntheticEventListeners = [];
+  show(intro);
   
   // Add additional styling for enhanced effects
-  const style = document.createElement('style');
-  style.innerHTML = `
+  addStyles(`
     .synthetic-souls-intro {
       background: radial-gradient(ellipse at center, #120024 0%, #0a0014 70%, #000 100%);
     }
@@ -460,8 +245,7 @@ function createEnhancedIntroSequence(roomName) {
       75% { transform: translate(1px, -1px); }
       100% { transform: translate(2px, 2px); }
     }
-  `;
-  document.head.appendChild(style);
+  `);
   
   // Generate a random neural network node map
   function generateNeuralNetworkNodes() {
@@ -512,11 +296,11 @@ function createEnhancedIntroSequence(roomName) {
   }
   
   // Simulate loading sequence
-  setTimeout(() => {
+  later(() => {
     intro.classList.add('show');
     const neuralNetwork = intro.querySelector('.neural-network');
     if (neuralNetwork) {
-      setTimeout(() => {
+      later(() => {
         neuralNetwork.style.opacity = '1';
       }, 1000);
     }
@@ -526,24 +310,25 @@ function createEnhancedIntroSequence(roomName) {
     
     if (loadingBar && loadingPercentage) {
       let progress = 0;
-      const interval = setInterval(() => {
+      const interval = pluginHost.timers.setInterval(() => {
         progress += 1;
         loadingBar.style.width = `${progress}%`;
         loadingPercentage.textContent = `${progress}%`;
         
         if (progress >= 100) {
-          clearInterval(interval);
+          pluginHost.timers.clear(interval);
           
           // Trigger completion effect
-          setTimeout(() => {
+          later(() => {
             intro.classList.add('fade-out');
-            setTimeout(() => {
+            later(() => {
               intro.remove();
               style.remove();
             }, 1000);
           }, 1000);
         }
       }, 45); // Makes total loading time around 4.5 seconds
+      teardown.push(() => pluginHost.timers.clear(interval));
     }
   }, 100);
 }
@@ -553,12 +338,10 @@ function createEnhancedIntroSequence(roomName) {
  */
 function applyAdvancedVisualEffects() {
   try {
-    // Create and append the style element with enhanced effects
-    const style = document.createElement('style');
-    style.id = 'synthetic-souls-style';
-    style.innerHTML = `
+    // Add the enhanced effects, scoped to the plugin by the host
+    addStyles(`
       /* Base Theme Styles */
-      .synthetic-souls-theme {
+      body.synthetic-souls-theme {
         --primary-color: #ff2aff;
         --secondary-color: #00eeff;
         --bg-dark: #0a0014;
@@ -575,7 +358,7 @@ function applyAdvancedVisualEffects() {
       }
       
       /* Enhanced Scanline Effect */
-      .synthetic-souls-theme::before {
+      body.synthetic-souls-theme::before {
         content: "";
         position: fixed;
         top: 0;
@@ -595,7 +378,7 @@ function applyAdvancedVisualEffects() {
       }
       
       /* CRT flicker effect */
-      .synthetic-souls-theme::after {
+      body.synthetic-souls-theme::after {
         content: "";
         position: fixed;
         top: 0;
@@ -1139,9 +922,7 @@ function applyAdvancedVisualEffects() {
         80% { text-shadow: 0 0 10px #FF31FF, 0 0 20px #FF31FF; transform: skewX(3deg); }
         100% { text-shadow: none; transform: skewX(0); }
       }
-    `;
-    
-    document.head.appendChild(style);
+    `);
     
     // Add ambient audio
     playEnhancedAmbientAudio();
@@ -1172,7 +953,7 @@ function createAmbientElements() {
       orb.style.top = `${top}vh`;
       orb.style.animationDelay = `${delay}s`;
       
-      document.body.appendChild(orb);
+      show(orb);
     }
     
     // Create room info panel
@@ -1186,10 +967,10 @@ function createAmbientElements() {
       </div>
     `;
     
-    document.body.appendChild(roomInfo);
+    show(roomInfo);
     
     // Show after a delay
-    setTimeout(() => {
+    later(() => {
       roomInfo.classList.add('show');
     }, 6000);
   } catch (err) {
@@ -1204,7 +985,7 @@ function createParticleEffect() {
   try {
     const canvas = document.createElement('canvas');
     canvas.id = 'particleCanvas';
-    document.body.insertBefore(canvas, document.body.firstChild);
+    show(canvas);
     
     const ctx = canvas.getContext('2d');
     canvas.width = window.innerWidth;
@@ -1221,10 +1002,10 @@ function createParticleEffect() {
     };
     
     // Track mouse position
-    window.addEventListener('mousemove', function(event) {
+    teardown.push(pluginHost.dom.listen(window, 'mousemove', function(event) {
       mouse.x = event.x;
       mouse.y = event.y;
-    });
+    }));
     
     // Create particle class with enhanced effects
     class Particle {
@@ -1336,6 +1117,9 @@ function createParticleEffect() {
     }
     
     // Animation loop
+    let animationFrame = null;
+    teardown.push(() => pluginHost.timers.cancelAnimationFrame(animationFrame));
+    
     function animate() {
       ctx.clearRect(0, 0, canvas.width, canvas.height);
       
@@ -1347,52 +1131,38 @@ function createParticleEffect() {
       }
       
       // Request next frame
-      window.syntheticAnimationFrame = requestAnimationFrame(animate);
+      animationFrame = pluginHost.timers.requestAnimationFrame(animate);
     }
     
     // Handle resize
-    window.addEventListener('resize', () => {
+    teardown.push(pluginHost.dom.listen(window, 'resize', () => {
       canvas.width = window.innerWidth;
       canvas.height = window.innerHeight;
       init();
-    });
+    }));
     
     // Start animation
     init();
     animate();
     
-    // Ensure we save this event listener for cleanup
-    if (!window.syntheticEventListeners) window.syntheticEventListeners = [];
-    window.syntheticEventListeners.push({
-      element: window,
-      type: 'mousemove',
-      listener: (event) => {
-        mouse.x = event.x;
-        mouse.y = event.y;
-      }
-    });
-    
     // Audio reactivity connection
-    const audioPlayer = document.getElementById('audioPlayer');
-    if (audioPlayer) {
-      audioPlayer.addEventListener('play', () => {
-        // Make particles more energetic when music plays
-        particles.forEach(p => {
-          p.baseSpeedX *= 1.5;
-          p.baseSpeedY *= 1.5;
-          p.pulseFactor *= 2;
-        });
+    pluginHost.on('play', () => {
+      // Make particles more energetic when music plays
+      particles.forEach(p => {
+        p.baseSpeedX *= 1.5;
+        p.baseSpeedY *= 1.5;
+        p.pulseFactor *= 2;
       });
-      
-      audioPlayer.addEventListener('pause', () => {
-        // Calm particles when music stops
-        particles.forEach(p => {
-          p.baseSpeedX /= 1.5;
-          p.baseSpeedY /= 1.5;
-          p.pulseFactor /= 2;
-        });
+    });
+    
+    pluginHost.on('pause', () => {
+      // Calm particles when music stops
+      particles.forEach(p => {
+        p.baseSpeedX /= 1.5;
+        p.baseSpeedY /= 1.5;
+        p.pulseFactor /= 2;
       });
-    }
+    });
   } catch (err) {
     console.error('[SyntheticSouls] Error creating particle effect:', err);
   }
@@ -1416,24 +1186,24 @@ function setupMusicVisualizer() {
       pointer-events: none;
       opacity: 0.8;
     `;
-    document.body.appendChild(visualizer);
+    show(visualizer);
     
     const ctx = visualizer.getContext('2d');
     visualizer.width = window.innerWidth;
     visualizer.height = 120;
     
     // Set up audio context and analyzer when music plays
-    const audioPlayer = document.getElementById('audioPlayer');
+    const audioPlayer = pluginHost.audio.element;
     if (!audioPlayer) return;
     
-    let audioContext, analyzer, dataArray;
+    let analyzer, dataArray;
     let isSetup = false;
     let isPlaying = false;
     let visualizationType = 'bars'; // 'bars', 'wave', or 'circular'
-    let cycleInterval;
+    let visualizerFrame = null;
     
     // Set up visualizer when audio plays
-    audioPlayer.addEventListener('play', () => {
+    pluginHost.on('play', () => {
       isPlaying = true;
       if (!isSetup) {
         setupAudioAnalyzer();
@@ -1441,26 +1211,19 @@ function setupMusicVisualizer() {
     });
     
     // Handle pause events
-    audioPlayer.addEventListener('pause', () => {
+    pluginHost.on('pause', () => {
       isPlaying = false;
     });
     
+    teardown.push(() => pluginHost.timers.cancelAnimationFrame(visualizerFrame));
+    
     // Set up the audio analyzer
     function setupAudioAnalyzer() {
       try {
-        // Create audio context
-        audioContext = new (window.AudioContext || window.webkitAudioContext)();
-        window.syntheticAudioContext = audioContext;
-        
-        // Create analyzer
-        analyzer = audioContext.createAnalyser();
-        analyzer.fftSize = 512;
-        analyzer.smoothingTimeConstant = 0.85;
-        
-        // Connect audio to analyzer
-        const source = audioContext.createMediaElementSource(audioPlayer);
-        source.connect(analyzer);
-        analyzer.connect(audioContext.destination);
+        // Listen to the room's music through the host, so unloading the
+        // plugin never takes the audio element's output with it
+        analyzer = pluginHost.audio.createAnalyser({ fftSize: 512, smoothingTimeConstant: 0.85 });
+        teardown.push(() => pluginHost.audio.disconnect(analyzer));
         
         // Create data array
         dataArray = new Uint8Array(analyzer.frequencyBinCount);
@@ -1471,11 +1234,12 @@ function setupMusicVisualizer() {
         visualize();
         
         // Cycle through visualization types every 15 seconds
-        cycleInterval = setInterval(() => {
+        const cycleInterval = pluginHost.timers.setInterval(() => {
           if (isPlaying) {
             cycleVisualizationType();
           }
         }, 15000);
+        teardown.push(() => pluginHost.timers.clear(cycleInterval));
         
       } catch (err) {
         console.error('[SyntheticSouls] Error setting up audio analyzer:', err);
@@ -1502,7 +1266,7 @@ function setupMusicVisualizer() {
       if (!isSetup) return;
       
       // Request animation frame
-      window.requestAnimationFrame(visualize);
+      visualizerFrame = pluginHost.timers.requestAnimationFrame(visualize);
       
       // Get frequency data
       analyzer.getByteFrequencyData(dataArray);
@@ -1648,29 +1412,19 @@ function setupMusicVisualizer() {
     }
     
     // Handle window resize
-    window.addEventListener('resize', () => {
+    teardown.push(pluginHost.dom.listen(window, 'resize', () => {
       visualizer.width = window.innerWidth;
-    });
+    }));
     
     // Track mouse for interactive effects
-    window.addEventListener('mousemove', (e) => {
+    teardown.push(pluginHost.dom.listen(window, 'mousemove', (e) => {
       if (isPlaying && e.clientY > window.innerHeight - 150) {
         // Add subtle effect when mouse moves over visualizer area
         visualizer.style.opacity = '1';
       } else {
         visualizer.style.opacity = '0.8';
       }
-    });
-    
-    // Cleanup function to properly dispose resources
-    window.addEventListener('beforeunload', () => {
-      if (audioContext) {
-        audioContext.close();
-      }
-      if (cycleInterval) {
-        clearInterval(cycleInterval);
-      }
-    });
+    }));
     
   } catch (err) {
     console.error('[SyntheticSouls] Error setting up visualizer:', err);
@@ -1682,134 +1436,26 @@ function setupMusicVisualizer() {
  */
 function playEnhancedAmbientAudio() {
   try {
-    // Create audio element
-    const audio = new Audio();
-    audio.volume = 0.15; // Lower volume
-    audio.loop = true;
-    
-    // Set audio source to ambient cyberpunk sound
-    audio.src = 'https://assets.mixkit.co/active_storage/sfx/878/878-preview.mp3';
+    // Ambient cyberpunk sound at a lower volume, stopped by the host on unload
+    const audio = pluginHost.audio.createSound('https://assets.mixkit.co/active_storage/sfx/878/878-preview.mp3', {
+      volume: 0.15,
+      loop: true
+    });
     
     // Play on first user interaction to avoid autoplay restrictions
-    const playAudio = () => {
+    const stopListening = pluginHost.dom.listen(document, 'click', () => {
       audio.play().catch(err => {
         console.log('[SyntheticSouls] Ambient audio play prevented (expected on first load):', err);
       });
       
-      document.removeEventListener('click', playAudio);
-    };
-    
-    document.addEventListener('click', playAudio);
+      stopListening();
+    });
+    teardown.push(stopListening, () => audio.pause());
   } catch (err) {
     console.error('[SyntheticSouls] Error playing ambient audio:', err);
   }
 }
 
-/**
- * Listen for music updates in the room
- * @param {string} room - Room name to listen to
- */
-async function listenToRoomMusic(room) {
-  try {
-    const roomRef = getRoomRef(room);
-    
-    // Handle different Firebase versions
-    if (typeof onSnapshot === 'function') {
-      // Firebase v9
-      unsubscribe = onSnapshot(roomRef, doc => {
-        handleMusicSnapshot(doc);
-      });
-    } else if (typeof roomRef.onSnapshot === 'function') {
-      // Firebase v8
-      unsubscribe = roomRef.onSnapshot(doc => {
-        handleMusicSnapshot(doc);
-      });
-    } else {
-      console.error('[SyntheticSouls] Cannot listen to room music - onSnapshot not available');
-    }
-  } catch (err) {
-    console.error('[SyntheticSouls] Error setting up room music listener:', err);
-  }
-}
-
-/**
- * Handle updates to the room's music state
- * @param {Object} doc - Firebase document snapshot
- */
-function handleMusicSnapshot(doc) {
-  try {
-    if (!doc.exists) return;
-
-    const data = doc.data();
-    if (!data) return;
-    
-    const audio = document.getElementById('audioPlayer');
-    if (!audio) {
-      console.error('[SyntheticSouls] Audio player element not found');
-      return;
-    }
-    
-    // Track change detection
-    if (data.currentTrack && data.currentTrack.url) {
-      // Check if URL is from a streaming service
-      const serviceInfo = getServiceFromUrl(data.currentTrack.url);
-      const isStreamingService = serviceInfo && serviceInfo.service !== 'DIRECT_AUDIO';
-      
-      // Handle change in track URL
-      if (audio.src !== data.currentTrack.url) {
-        // New track detected
-        console.log(`[SyntheticSouls] Loading new track: ${data.currentTrack.url}`);
-        
-        if (isStreamingService) {
-          // For streaming services, we'll use the global function that creates an embedded player
-          window.convertServiceUrl(data.currentTrack.url);
-          
-          // Don't set the audio src since we're using an embedded player
-          // The convertServiceUrl function will handle creating the appropriate player
-        } else {
-          // For direct audio files, use the standard audio element
-          audio.src = data.currentTrack.url;
-          audio.load();
-        }
-        
-        // Update music title display if available
-        const titleElement = document.getElementById('musicTitle');
-        if (titleElement && data.currentTrack.title) {
-          titleElement.textContent = data.currentTrack.title;
-        }
-      }
-      
-      // Handle playback state (only for direct audio files)
-      if (!isStreamingService) {
-        if (data.isPlaying) {
-          // Only try to play if currently paused (avoid interrupting current playback)
-          if (audio.paused) {
-            audio.play().catch(err => {
-              // If autoplay is blocked, log it but don't treat as an error
-              if (err.name === 'NotAllowedError') {
-                console.log('[SyntheticSouls] Autoplay blocked by browser, waiting for user interaction');
-              } else {
-                console.warn('[SyntheticSouls] Error playing track:', err);
-              }
-            });
-          }
-          
-          // Position sync (with drift correction)
-          if (data.currentPosition && Math.abs(audio.currentTime - data.currentPosition) > 2) {
-            console.log(`[SyntheticSouls] Syncing playback position: ${audio.currentTime.toFixed(1)}s → ${data.currentPosition.toFixed(1)}s`);
-            audio.currentTime = data.currentPosition;
-          }
-        } else if (!audio.paused && !data.isPlaying) {
-          // Only pause if we're actually playing
-          audio.pause();
-        }
-      }
-    }
-  } catch (err) {
-    console.error('[SyntheticSouls] Error handling music snapshot:', err);
-  }
-}
-
 /**
  * Add custom controls to the UI
  */
@@ -1844,152 +1490,20 @@ function addCustomControls(roomName) {
     
     // Add elements to the page
     controlsContainer.appendChild(roomTitle);
-    document.body.appendChild(controlsContainer);
+    show(controlsContainer);
   } catch (err) {
     console.error('[SyntheticSouls] Error adding custom controls:', err);
   }
 }
 
-/**
- * Sync a track URL to the current room
- * @param {string} trackUrl - URL of the track to sync
- * @param {string} title - Title of the track (optional)
- * @param {string} roomName - Name of the room to sync to (optional, uses current room if not provided)
- * @returns {Promise} - Promise that resolves when track is synced
- */
-export async function syncTrackToRoom(trackUrl, title = null, roomName = null) {
-  // Handle case where title is actually the room name (backward compatibility)
-  if (title && typeof title === 'string' && !roomName && !title.startsWith('http')) {
-    roomName = title;
-    title = null;
-  }
-  
-  const room = roomName || currentRoom;
-  
-  if (!room) {
-    console.error('[SyntheticSouls] No room specified for syncing track');
-    return Promise.reject(new Error('No room specified'));
-  }
-  
-  if (!trackUrl) {
-    console.error('[SyntheticSouls] No track URL provided');
-    return Promise.reject(new Error('No track URL provided'));
-  }
-  
-  if (trackUrl.startsWith('blob:')) {
-    console.warn('[SyntheticSouls] Skipping sync for local blob URL');
-    return;
-  }
-  
-  console.log(`[SyntheticSouls] Syncing track to room ${room}: ${trackUrl}`);
-  
-  try {
-    const roomRef = getRoomRef(room);
-    
-    // Get a title from the URL for display if not provided
-    const trackTitle = title || getTrackTitleFromUrl(trackUrl);
-    
-    // Create track object
-    const trackData = {
-      url: trackUrl,
-      title: trackTitle,
-      addedAt: new Date().toISOString()
-    };
-    
-    // Update the room document with the new track
-    if (typeof roomRef.set === 'function') {
-      // Firebase v8
-      await roomRef.set({
-        currentTrack: trackData,
-        isPlaying: true,
-        lastUpdated: new Date().toISOString()
-      }, { merge: true });
-    } else {
-      // Firebase v9
-      const { setDoc } = await import('../src/firebase.js');
-      await setDoc(roomRef, {
-        currentTrack: trackData,
-        isPlaying: true,
-        lastUpdated: new Date().toISOString()
-      }, { merge: true });
-    }
-    
-    // Also save to shared playlist
-    try {
-      // Get current playlist
-      let data;
-      if (typeof roomRef.get === 'function') {
-        // Firebase v8
-        const snapshot = await roomRef.get();
-        data = snapshot.data() || {};
-      } else {
-        // Firebase v9
-        const { getDoc } = await import('../src/firebase.js');
-        const snapshot = await getDoc(roomRef);
-        data = snapshot.data() || {};
-      }
-      
-      const currentPlaylist = Array.isArray(data.playlist) ? data.playlist : [];
-      
-      // Check if this track is already in the playlist
-      if (!currentPlaylist.some(track => track.url === trackUrl)) {
-        // Add to playlist if not already there
-        currentPlaylist.push(trackData);
-        
-        // Save updated playlist
-        await saveSharedPlaylist(room, currentPlaylist);
-      }
-    } catch (err) {
-      console.error('[SyntheticSouls] Error saving to shared playlist:', err);
-    }
-    
-    console.log('[SyntheticSouls] Track synced successfully');
-    return Promise.resolve();
-  } catch (error) {
-    console.error('[SyntheticSouls] Error syncing track:', error);
-    return Promise.reject(error);
-  }
-}
-
-/**
- * Extract a track title from URL for display
- * @param {string} url - The URL to extract a title from
- * @returns {string} - The extracted title
- */
-function getTrackTitleFromUrl(url) {
-  try {
-    // We imported extractTitleFromUrl at the top of this file
-    return extractTitleFromUrl(url);
-  } catch (error) {
-    // Fallback if extractTitleFromUrl fails
-    try {
-      // Parse the URL to get filename
-      const urlObj = new URL(url);
-      const pathname = urlObj.pathname;
-      // Get the filename from the path
-      const filename = pathname.split('/').pop();
-      // Remove extension and decode
-      return decodeURIComponent(filename.split('.')[0].replace(/%20/g, ' '));
-    } catch (e) {
-      // Fallback: just use the last part of URL
-      const parts = url.split('/');
-      return parts[parts.length - 1].split('.')[0] || 'Unknown Track';
-    }
-  }
-}
-
 // Export required properties for the plugin system
 export default {
   theme: 'syntheticsouls',
   title: 'Synthetic Souls Listening Room',
-  styles: '/themes/syntheticsouls.css',
-  musicLoop: true,
-  allowMic: false,
   playlist: [
     { title: 'Dark Pulse', url: 'https://cdn.pixabay.com/download/audio/2022/03/15/audio_c8a211831d.mp3?filename=dark-mystery-trailer-3-151403.mp3' },
     { title: 'Cyber Dreams', url: 'https://cdn.pixabay.com/download/audio/2022/05/16/audio_1812daeb88.mp3?filename=cinematic-dramatic-11120.mp3' },
     { title: 'Neural Drift', url: 'https://cdn.pixabay.com/download/audio/2022/01/21/audio_dc39bbc57a.mp3?filename=cinematic-atmosphere-score-2-22136.mp3' },
     { title: 'Digital Echo', url: 'https://cdn.pixabay.com/download/audio/2021/11/17/audio_cb1c3e82ce.mp3?filename=futuristic-logo-22921.mp3' }
-  ],
-  components: ['waveform', 'now-playing', 'room-lore']
+  ]
 };
\ No newline at end of file
@@ -1,13 +1,11 @@
 // auth.js - Anonymous Firebase Authentication for RydeSync
-import { 
-  getAuth,
-  signInAnonymously,
-  onAuthStateChanged,
-  setPersistence,
-  browserLocalPersistence
-} from "https://www.gstatic.com/firebasejs/9.22.0/firebase-auth.js";
-import { doc, getDoc, setDoc, serverTimestamp } from "https://www.gstatic.com/firebasejs/9.22.0/firebase-firestore.js";
-import { db } from "./firebase.js";
+// The Firebase SDK is only loaded when sign-in starts, so importing this module
+// never stops the app loading without Firebase (e.g. on the WebSocket sync
+// backend at an offline event); without it there's no user, and features that
+// need one (unlocks, credits) say so
+
+const FIREBASE_AUTH_URL = "https://www.gstatic.com/firebasejs/9.22.0/firebase-auth.js";
+const FIREBASE_FIRESTORE_URL = "https://www.gstatic.com/firebasejs/9.22.0/firebase-firestore.js";
 
 // Debug mode
 const DEBUG = true;
@@ -16,12 +14,35 @@ const DEBUG = true;
 let currentUser = null;
 let isInitialized = false;
 let authListeners = [];
+let firebaseLoading = null;
+
+/**
+ * Load the Firebase SDK modules auth needs
+ * @returns {Promise<Object>} { auth, firestore, db } - SDK modules and the Firestore instance
+ */
+function loadFirebase() {
+  if (!firebaseLoading) {
+    firebaseLoading = Promise.all([
+      import(FIREBASE_AUTH_URL),
+      import(FIREBASE_FIRESTORE_URL),
+      import("./firebase.js")
+    ]).then(([auth, firestore, { db }]) => ({ auth, firestore, db }))
+      .catch(error => {
+        // Let the next call try again, e.g. once the network is back
+        firebaseLoading = null;
+        throw error;
+      });
+  }
+  return firebaseLoading;
+}
 
 // Initialize the auth system
 export async function initAuth() {
   if (isInitialized) return currentUser;
   
   try {
+    const { getAuth, setPersistence, browserLocalPersistence, onAuthStateChanged, signInAnonymously } =
+      (await loadFirebase()).auth;
     const auth = getAuth();
     
     // Set persistence to LOCAL for better user experience
@@ -59,7 +80,7 @@ export async function initAuth() {
     isInitialized = true;
     return currentUser;
   } catch (error) {
-    console.error("❌ Auth initialization failed:", error);
+    console.error("❌ Auth initialization failed, signed-in features are unavailable:", error);
     return null;
   }
 }
@@ -72,6 +93,7 @@ async function ensureUserProfile(uid) {
   if (!uid) return;
   
   try {
+    const { firestore: { doc, getDoc, setDoc, serverTimestamp }, db } = await loadFirebase();
     const userRef = doc(db, "users", uid);
     const userSnap = await getDoc(userRef);
     
@@ -151,6 +173,7 @@ export async function updateDisplayName(displayName) {
   if (!currentUser) return false;
   
   try {
+    const { firestore: { doc, setDoc }, db } = await loadFirebase();
     const userRef = doc(db, "users", currentUser.uid);
     await setDoc(userRef, { displayName }, { merge: true });
     if (DEBUG) console.log("✏️ Display name updated:", displayName);
@@ -169,6 +192,7 @@ export async function getUserProfile() {
   if (!currentUser) return null;
   
   try {
+    const { firestore: { doc, getDoc }, db } = await loadFirebase();
     const userRef = doc(db, "users", currentUser.uid);
     const userSnap = await getDoc(userRef);
     
@@ -187,8 +211,10 @@ export async function getUserProfile() {
  * @returns {Promise<boolean>} Success status
  */
 export async function signOut() {
+  if (!isInitialized) return false;
+  
   try {
-    const auth = getAuth();
+    const auth = (await loadFirebase()).auth.getAuth();
     await auth.signOut();
     return true;
   } catch (error) {
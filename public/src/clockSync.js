@@ -0,0 +1,159 @@
+// clockSync.js - Server clock offset estimation for RydeSync
+// NTP-style sampling against the signaling server's /time endpoint so every
+// client can agree on "now" when computing where a shared track should be
+
+// Config
+const SAMPLE_COUNT = 5; // Samples taken per sync round
+const SAMPLE_SPACING_MS = 150; // Delay between samples in a round
+const RESYNC_INTERVAL_MS = 60000; // Re-estimate the offset every minute
+const MAX_ACCEPTED_RTT_MS = 2000; // Ignore samples slower than this
+const TIME_ENDPOINT = '/time';
+const DEBUG = true;
+
+// State
+let clockOffset = 0; // serverTime - localTime, in ms
+let bestRoundTrip = null; // RTT of the sample the offset came from
+let lastSyncAt = 0;
+let synced = false;
+let resyncTimer = null;
+let pendingSync = null;
+
+/**
+ * Take a single offset sample from the server
+ * @returns {Promise<Object|null>} Sample with offset and roundTrip in ms, or null on failure
+ */
+async function takeSample() {
+  const t0 = Date.now();
+
+  try {
+    const response = await fetch(`${TIME_ENDPOINT}?t0=${t0}`, { cache: 'no-store' });
+    const t3 = Date.now();
+
+    if (!response.ok) return null;
+
+    const { t1, t2 } = await response.json();
+    if (typeof t1 !== 'number' || typeof t2 !== 'number') return null;
+
+    // Standard NTP formulas
+    const roundTrip = (t3 - t0) - (t2 - t1);
+    const offset = ((t1 - t0) + (t2 - t3)) / 2;
+
+    return { offset, roundTrip };
+  } catch (error) {
+    if (DEBUG) console.warn("⏱ Clock sample failed:", error.message);
+    return null;
+  }
+}
+
+/**
+ * Run a sync round and update the clock offset
+ * The offset from the lowest round-trip sample is used, as it has the
+ * smallest error bound (roundTrip / 2)
+ * @returns {Promise<boolean>} Whether a usable sample was obtained
+ */
+export async function syncClock() {
+  // Share a round that is already in flight
+  if (pendingSync) return pendingSync;
+
+  pendingSync = (async () => {
+    const samples = [];
+
+    for (let i = 0; i < SAMPLE_COUNT; i++) {
+      const sample = await takeSample();
+      if (sample && sample.roundTrip >= 0 && sample.roundTrip <= MAX_ACCEPTED_RTT_MS) {
+        samples.push(sample);
+      }
+
+      if (i < SAMPLE_COUNT - 1) {
+        await new Promise(r => setTimeout(r, SAMPLE_SPACING_MS));
+      }
+    }
+
+    if (samples.length === 0) {
+      if (DEBUG) console.warn("⏱ Clock sync failed, keeping previous offset:", clockOffset);
+      return false;
+    }
+
+    samples.sort((a, b) => a.roundTrip - b.roundTrip);
+    clockOffset = samples[0].offset;
+    bestRoundTrip = samples[0].roundTrip;
+    lastSyncAt = Date.now();
+    synced = true;
+
+    if (DEBUG) console.log(`⏱ Clock synced: offset ${clockOffset.toFixed(1)}ms (rtt ${bestRoundTrip.toFixed(1)}ms, ${samples.length}/${SAMPLE_COUNT} samples)`);
+    return true;
+  })();
+
+  try {
+    return await pendingSync;
+  } finally {
+    pendingSync = null;
+  }
+}
+
+/**
+ * Start periodic clock synchronization
+ * @returns {Promise<boolean>} Result of the initial sync round
+ */
+export function startClockSync() {
+  stopClockSync();
+
+  resyncTimer = setInterval(() => {
+    syncClock();
+  }, RESYNC_INTERVAL_MS);
+
+  return syncClock();
+}
+
+/**
+ * Stop periodic clock synchronization
+ */
+export function stopClockSync() {
+  if (resyncTimer) {
+    clearInterval(resyncTimer);
+    resyncTimer = null;
+  }
+}
+
+/**
+ * Get the current time on the server clock
+ * Falls back to local time (offset 0) until the first successful sync
+ * @returns {number} Estimated server time in ms since epoch
+ */
+export function getServerNow() {
+  return Date.now() + clockOffset;
+}
+
+/**
+ * Get the current clock offset
+ * @returns {number} serverTime - localTime, in ms
+ */
+export function getClockOffset() {
+  return clockOffset;
+}
+
+/**
+ * Get clock sync status for debugging
+ * @returns {Object} Sync status
+ */
+export function getClockSyncStatus() {
+  return {
+    synced,
+    offset: clockOffset,
+    roundTrip: bestRoundTrip,
+    // Worst-case error of the current estimate
+    accuracy: bestRoundTrip !== null ? bestRoundTrip / 2 : null,
+    lastSyncAt,
+    timeSinceSync: lastSyncAt ? Date.now() - lastSyncAt : null
+  };
+}
+
+// Export module
+export default {
+  syncClock,
+  startClockSync,
+  stopClockSync,
+  getServerNow,
+  getClockOffset,
+  getClockSyncStatus
+};
@@ -0,0 +1,204 @@
+// driftCorrector.js - Smooth playback drift correction for RydeSync
+// Nudges audio.playbackRate to close small gaps with the room position and
+// only falls back to a hard seek when the gap is too large to catch up
+
+import { getExpectedPosition, toMillis } from './utils/musicSyncUtils.js';
+import { getServerNow } from './clockSync.js';
+
+// Default config (override with configureDriftCorrection)
+const defaultConfig = {
+  tolerance: 0.04, // seconds - drift we consider "in sync"
+  seekThreshold: 1.5, // seconds - drift above this is corrected with a seek
+  maxRateDelta: 0.05, // max +/- playbackRate change while nudging (5%)
+  gain: 0.1, // playbackRate change per second of drift
+  checkInterval: 250 // ms between drift checks
+};
+
+// Correction modes reported to the UI
+export const CORRECTION_MODES = {
+  IDLE: 'idle', // Nothing to follow (paused or no reference)
+  LOCKED: 'locked', // Within tolerance, playing at normal rate
+  NUDGING: 'nudging', // Adjusting playbackRate
+  SEEKING: 'seeking' // Drift was above seekThreshold, seeked
+};
+
+const DEBUG = true;
+
+// One corrector per audio element
+const correctors = new WeakMap();
+
+// Last reported state, for status displays
+let lastState = {
+  mode: CORRECTION_MODES.IDLE,
+  drift: 0,
+  playbackRate: 1,
+  seekCount: 0,
+  updatedAt: 0
+};
+
+/**
+ * Update the default drift correction config
+ * Applies to correctors created afterwards and to existing ones that didn't override the value
+ * @param {Object} options - Config values to override
+ */
+export function configureDriftCorrection(options = {}) {
+  Object.assign(defaultConfig, options);
+}
+
+/**
+ * Get the drift corrector for an audio element, creating it if needed
+ * @param {HTMLAudioElement} audio - The audio element to correct
+ * @param {Object} options - Optional per-element config overrides
+ * @returns {Object} Drift corrector controller
+ */
+export function getDriftCorrector(audio, options = {}) {
+  if (!audio) return null;
+
+  if (!correctors.has(audio)) {
+    correctors.set(audio, createDriftCorrector(audio, options));
+  }
+
+  return correctors.get(audio);
+}
+
+/**
+ * Create a drift corrector for an audio element
+ * @param {HTMLAudioElement} audio - The audio element to correct
+ * @param {Object} options - Config overrides
+ * @returns {Object} Drift corrector controller
+ */
+export function createDriftCorrector(audio, options = {}) {
+  const config = () => ({ ...defaultConfig, ...options });
+
+  let reference = null; // { position, isPlaying, updatedAt }
+  let checkTimer = null;
+  let seekCount = 0;
+  let state = { ...lastState };
+
+  // Keep pitch stable while nudging the rate
+  if ('preservesPitch' in audio) {
+    audio.preservesPitch = true;
+  }
+
+  function report(mode, drift) {
+    state = {
+      mode,
+      drift,
+      playbackRate: audio.playbackRate,
+      seekCount,
+      updatedAt: Date.now()
+    };
+    lastState = state;
+
+    document.dispatchEvent(new CustomEvent('drift-correction', { detail: state }));
+  }
+
+  function resetRate() {
+    if (audio.playbackRate !== 1) {
+      audio.playbackRate = 1;
+    }
+  }
+
+  function check() {
+    if (!reference || !reference.isPlaying || audio.paused || audio.seeking) {
+      resetRate();
+      report(CORRECTION_MODES.IDLE, 0);
+      return;
+    }
+
+    const { tolerance, seekThreshold, maxRateDelta, gain } = config();
+
+    const expected = getExpectedPosition(reference.position, reference.isPlaying, reference.updatedAt);
+
+    // Positive drift = we're behind the room
+    const drift = expected - audio.currentTime;
+    const absDrift = Math.abs(drift);
+
+    if (absDrift > seekThreshold) {
+      if (DEBUG) console.log(`[DriftCorrector] Drift ${drift.toFixed(3)}s above ${seekThreshold}s, seeking to ${expected.toFixed(2)}s`);
+      resetRate();
+      audio.currentTime = expected;
+      seekCount++;
+      report(CORRECTION_MODES.SEEKING, drift);
+      return;
+    }
+
+    if (absDrift <= tolerance) {
+      resetRate();
+      report(CORRECTION_MODES.LOCKED, drift);
+      return;
+    }
+
+    // Proportional nudge, clamped so it stays inaudible
+    const delta = Math.max(-maxRateDelta, Math.min(maxRateDelta, drift * gain));
+    audio.playbackRate = 1 + delta;
+    report(CORRECTION_MODES.NUDGING, drift);
+  }
+
+  function start() {
+    if (checkTimer) return;
+    checkTimer = setInterval(check, config().checkInterval);
+  }
+
+  // Nothing to check while the room is paused; setReference starts it again on play
+  function stopChecking() {
+    if (checkTimer) {
+      clearInterval(checkTimer);
+      checkTimer = null;
+    }
+  }
+
+  function stop() {
+    stopChecking();
+    reference = null;
+    resetRate();
+    report(CORRECTION_MODES.IDLE, 0);
+  }
+
+  return {
+    /**
+     * Set the room position to follow
+     * @param {number} position - Room position in seconds when recorded
+     * @param {boolean} isPlaying - Whether the room is playing
+     * @param {number|Object|string} updatedAt - Server-clock time the position was recorded at (default: now)
+     */
+    setReference(position, isPlaying, updatedAt) {
+      if (typeof position !== 'number' || isNaN(position)) return;
+
+      reference = {
+        position,
+        isPlaying: !!isPlaying,
+        // Without a timestamp, treat the position as current
+        updatedAt: toMillis(updatedAt) ?? getServerNow()
+      };
+
+      if (reference.isPlaying) {
+        start();
+        check();
+      } else {
+        stopChecking();
+        resetRate();
+        report(CORRECTION_MODES.IDLE, 0);
+      }
+    },
+    stop,
+    getState: () => ({ ...state })
+  };
+}
+
+/**
+ * Get the most recently reported drift correction state
+ * @returns {Object} Correction state (mode, drift, playbackRate, seekCount, updatedAt)
+ */
+export function getDriftCorrectionStatus() {
+  return { ...lastState };
+}
+
+// Export module
+export default {
+  CORRECTION_MODES,
+  configureDriftCorrection,
+  getDriftCorrector,
+  createDriftCorrector,
+  getDriftCorrectionStatus
+};
@@ -0,0 +1,342 @@
+// localTrackStream.js - Stream a local audio file to the room over WebRTC
+// Files dropped into the player only have blob: URLs nobody else can open.
+// Instead the host captures the audio element's output as a MediaStream and
+// the room's currentTrack gets a peer-stream: URL naming the host and the
+// stream. Members who see that URL ask the host for it over their data
+// connection, and the host calls them back with the stream through PeerJS,
+// so local files are shared without being uploaded anywhere.
+// The stream is live: members hear whatever the host's player plays, so
+// pausing and seeking follow the host, not the room's playback state.
+
+// peer-stream:<host peer ID>/<stream ID>
+export const STREAM_URL_PREFIX = 'peer-stream:';
+
+// Message type on the data channel (alongside presence/ping/pong, music-sync, moderation and playlist-ops)
+export const MUSIC_STREAM_MESSAGE = 'music-stream';
+
+// PeerJS call metadata type, to tell music streams from voice calls
+const STREAM_CALL_TYPE = 'music-stream';
+
+// Members ask again while the host's call hasn't arrived
+const REQUEST_RETRY_MS = 3000;
+const MAX_REQUESTS = 10;
+
+const DEBUG = true;
+
+// What we stream: { roomId, streamId, url, source, audio, stream, calls: Map<peerId, call>, monitor, onSourceChange }
+let outgoing = null;
+// What we listen to: { roomId, hostId, streamId, url, audio, call, requests, retryTimer }
+let incoming = null;
+
+/**
+ * Check whether a track URL is a peer stream
+ * @param {string} url - Track URL
+ * @returns {boolean} Whether it's a peer-stream: URL
+ */
+export function isPeerStreamUrl(url) {
+  return typeof url === 'string' && url.startsWith(STREAM_URL_PREFIX);
+}
+
+/**
+ * Read the host and stream from a peer-stream: URL
+ * @param {string} url - Track URL
+ * @returns {Object|null} { hostId, streamId }, or null if it isn't a peer stream
+ */
+export function parseStreamUrl(url) {
+  if (!isPeerStreamUrl(url)) return null;
+
+  const [hostId, streamId] = url.slice(STREAM_URL_PREFIX.length).split('/').map(decodeURIComponent);
+  return hostId && streamId ? { hostId, streamId } : null;
+}
+
+function toStreamUrl(hostId, streamId) {
+  return `${STREAM_URL_PREFIX}${encodeURIComponent(hostId)}/${encodeURIComponent(streamId)}`;
+}
+
+// Open data connection to a room member
+function getConnection(roomId, peerId) {
+  return (window.connections || []).find(conn =>
+    conn && conn.open && conn.peer === peerId && conn.metadata?.roomId === roomId
+  ) || null;
+}
+
+/**
+ * Check whether this browser can stream its audio element
+ * @param {HTMLAudioElement} audio - The room's audio element
+ * @returns {boolean} Whether the element's output can be captured
+ */
+export function canStreamLocalTracks(audio) {
+  return !!audio && (typeof audio.captureStream === 'function' || typeof audio.mozCaptureStream === 'function');
+}
+
+/**
+ * Capture the audio element's output
+ * Firefox's capture takes the element's sound away from the speakers, so it's
+ * played back through a hidden element
+ * @param {HTMLAudioElement} audio - The room's audio element
+ * @returns {Object} { stream, monitor }
+ */
+function captureAudio(audio) {
+  if (typeof audio.captureStream === 'function') {
+    return { stream: audio.captureStream(), monitor: null };
+  }
+
+  const stream = audio.mozCaptureStream();
+  const monitor = document.createElement('audio');
+  monitor.autoplay = true;
+  monitor.style.display = 'none';
+  monitor.srcObject = stream;
+  document.body.appendChild(monitor);
+  return { stream, monitor };
+}
+
+/**
+ * Start streaming the local track playing in the audio element
+ * Streaming the same source again keeps the current stream
+ * @param {string} roomId - ID of the room
+ * @param {HTMLAudioElement} audio - The room's audio element, playing a local file
+ * @returns {string} peer-stream: URL to publish as the room's track
+ */
+export function startLocalTrackStream(roomId, audio) {
+  if (!window.peer?.id) {
+    throw new Error('Connect to the room before streaming a local track');
+  }
+  if (!canStreamLocalTracks(audio)) {
+    const error = new Error("This browser can't stream local tracks");
+    error.code = 'unsupported';
+    throw error;
+  }
+
+  if (outgoing && outgoing.roomId === roomId && outgoing.source === audio.src) {
+    return outgoing.url;
+  }
+  stopLocalTrackStream();
+
+  const streamId = `${Date.now().toString(36)}${Math.random().toString(36).slice(2, 6)}`;
+  const { stream, monitor } = captureAudio(audio);
+
+  // The stream ends when the player moves on to another track
+  const onSourceChange = () => {
+    if (outgoing && outgoing.audio === audio && audio.src !== outgoing.source) stopLocalTrackStream();
+  };
+  audio.addEventListener('loadstart', onSourceChange);
+
+  outgoing = {
+    roomId,
+    streamId,
+    url: toStreamUrl(window.peer.id, streamId),
+    source: audio.src,
+    audio,
+    stream,
+    monitor,
+    calls: new Map(),
+    onSourceChange
+  };
+
+  if (DEBUG) console.log(`📡 Streaming local track to room ${roomId} as ${streamId}`);
+  return outgoing.url;
+}
+
+/**
+ * Stop streaming our local track and hang up on the members listening
+ */
+export function stopLocalTrackStream() {
+  if (!outgoing) return;
+
+  outgoing.audio.removeEventListener('loadstart', outgoing.onSourceChange);
+  outgoing.calls.forEach(call => call.close());
+  outgoing.stream.getTracks().forEach(track => track.stop());
+  if (outgoing.monitor) outgoing.monitor.remove();
+
+  if (DEBUG) console.log(`📡 Stopped streaming ${outgoing.streamId}`);
+  outgoing = null;
+}
+
+/**
+ * Get the URL of the stream we're hosting
+ * @returns {string|null} peer-stream: URL, or null if we aren't streaming
+ */
+export function getLocalTrackStreamUrl() {
+  return outgoing ? outgoing.url : null;
+}
+
+// The captured stream only gets its audio track once the element plays
+function whenStreamHasAudio(stream) {
+  if (stream.getAudioTracks().length > 0) return Promise.resolve();
+
+  return new Promise(resolve => {
+    stream.addEventListener('addtrack', function onTrack() {
+      stream.removeEventListener('addtrack', onTrack);
+      resolve();
+    });
+  });
+}
+
+/**
+ * Call a member with our stream
+ * @param {string} peerId - Member who asked for it
+ */
+async function sendStreamTo(peerId) {
+  const session = outgoing;
+  await whenStreamHasAudio(session.stream);
+  if (outgoing !== session) return;
+
+  const previous = session.calls.get(peerId);
+  if (previous) previous.close();
+
+  const call = window.peer.call(peerId, session.stream, {
+    metadata: { type: STREAM_CALL_TYPE, roomId: session.roomId, streamId: session.streamId }
+  });
+  if (!call) return;
+
+  session.calls.set(peerId, call);
+  const forget = () => {
+    if (session.calls.get(peerId) === call) session.calls.delete(peerId);
+  };
+  call.on('close', forget);
+  call.on('error', forget);
+
+  if (DEBUG) console.log(`📡 Streaming ${session.streamId} to ${peerId}`);
+}
+
+/**
+ * Listen to a member's local track stream in the audio element
+ * Asks the host for it over our data connection until its call arrives
+ * @param {string} roomId - ID of the room
+ * @param {string} url - peer-stream: URL from the room's track
+ * @param {HTMLAudioElement} audio - The room's audio element
+ */
+export function playPeerStream(roomId, url, audio) {
+  const target = parseStreamUrl(url);
+  if (!target) return;
+  if (incoming && incoming.url === url && incoming.roomId === roomId) return;
+
+  stopPeerStream();
+  audio.removeAttribute('src');
+
+  incoming = { roomId, ...target, url, audio, call: null, requests: 0, retryTimer: null };
+  requestStream(incoming);
+}
+
+function requestStream(session) {
+  if (incoming !== session || session.call) return;
+
+  if (session.requests >= MAX_REQUESTS) {
+    console.warn(`📡 ${session.hostId} never sent stream ${session.streamId}`);
+    return;
+  }
+  session.requests++;
+
+  const conn = getConnection(session.roomId, session.hostId);
+  if (conn) {
+    try {
+      conn.send({ type: MUSIC_STREAM_MESSAGE, action: 'request', roomId: session.roomId, streamId: session.streamId });
+    } catch (error) {
+      if (DEBUG) console.warn(`📡 Could not ask ${session.hostId} for their stream:`, error.message);
+    }
+  }
+
+  session.retryTimer = setTimeout(() => requestStream(session), REQUEST_RETRY_MS);
+}
+
+/**
+ * Stop listening to a member's stream
+ */
+export function stopPeerStream() {
+  if (!incoming) return;
+
+  clearTimeout(incoming.retryTimer);
+  if (incoming.call) incoming.call.close();
+  if (incoming.audio.srcObject) incoming.audio.srcObject = null;
+  incoming = null;
+}
+
+/**
+ * Handle a message received on a data connection
+ * @param {Object} conn - PeerJS data connection the message came from
+ * @param {Object} data - Received message
+ * @returns {boolean} Whether the message was a music stream message
+ */
+export function handleMusicStreamData(conn, data) {
+  if (!data || data.type !== MUSIC_STREAM_MESSAGE) return false;
+
+  if (data.action === 'request' && outgoing &&
+      data.roomId === conn.metadata?.roomId && data.roomId === outgoing.roomId &&
+      data.streamId === outgoing.streamId) {
+    sendStreamTo(conn.peer).catch(error => {
+      console.error(`📡 Could not stream to ${conn.peer}:`, error);
+    });
+  }
+
+  return true;
+}
+
+/**
+ * Handle an incoming PeerJS call if it's a music stream
+ * Only the stream we asked for is accepted, from the host the room names,
+ * over a data connection that already passed the room's checks
+ * @param {Object} call - PeerJS media connection
+ * @returns {boolean} Whether the call was a music stream
+ */
+export function handleMusicStreamCall(call) {
+  if (call.metadata?.type !== STREAM_CALL_TYPE) return false;
+
+  const session = incoming;
+  const expected = session &&
+    call.peer === session.hostId &&
+    call.metadata.roomId === session.roomId &&
+    call.metadata.streamId === session.streamId &&
+    getConnection(session.roomId, call.peer);
+
+  if (!expected) {
+    if (DEBUG) console.log(`📡 Ignoring music stream from ${call.peer} we didn't ask for`);
+    call.close();
+    return true;
+  }
+
+  clearTimeout(session.retryTimer);
+  if (session.call) session.call.close();
+  session.call = call;
+  call.answer();
+
+  call.on('stream', stream => {
+    if (incoming !== session) return;
+
+    session.audio.srcObject = stream;
+    session.audio.play().catch(err => {
+      if (err.name === 'NotAllowedError') {
+        console.log('📡 Autoplay blocked by browser, waiting for user interaction');
+      } else {
+        console.warn('📡 Error playing music stream:', err);
+      }
+    });
+    if (DEBUG) console.log(`📡 Listening to ${session.hostId}'s local track`);
+  });
+
+  call.on('close', () => {
+    if (incoming !== session || session.call !== call) return;
+
+    // The host may have reconnected; ask again
+    session.call = null;
+    session.requests = 0;
+    session.retryTimer = setTimeout(() => requestStream(session), REQUEST_RETRY_MS);
+  });
+
+  return true;
+}
+
+// Export module
+export default {
+  STREAM_URL_PREFIX,
+  MUSIC_STREAM_MESSAGE,
+  isPeerStreamUrl,
+  parseStreamUrl,
+  canStreamLocalTracks,
+  startLocalTrackStream,
+  stopLocalTrackStream,
+  getLocalTrackStreamUrl,
+  playPeerStream,
+  stopPeerStream,
+  handleMusicStreamData,
+  handleMusicStreamCall
+};
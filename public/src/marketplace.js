@@ -0,0 +1,205 @@
+// marketplace.js - Plugin marketplace for RydeSync
+// Plugins with requiresUnlock are bought with credits: the payment provider
+// records the credit transaction, then the unlock manager grants the plugin's
+// unlockKey, after which the room creator offers its room type
+
+import { initAuth, getCurrentUser, addAuthListener } from "./auth.js";
+import { initUnlockManager, checkUnlock } from "./unlockManager.js";
+import { getPluginById, getRoomTypePlugins } from "../plugins/index.js";
+
+// Payment providers, loaded on demand
+// A provider implements getBalance, getTransactions and purchase (which pays
+// and has the server grant the unlock), plus addCredits if it can hand out
+// credits, like the local development one
+const PAYMENT_PROVIDERS = {
+  local: () => import("./paymentProviders/localProvider.js"),
+  firestore: () => import("./paymentProviders/firestoreProvider.js")
+};
+const PAYMENT_PROVIDER_STORAGE_KEY = 'rydesync-payment-provider';
+
+// Debug mode
+const DEBUG = true;
+
+// Active payment provider (resolved on first use)
+let paymentProvider = null;
+let paymentProviderLoading = null;
+
+/**
+ * Make a marketplace error
+ * @param {string} code - Error code
+ * @param {string} message - Message for the user
+ * @returns {Error} Error with the code
+ */
+function marketplaceError(code, message) {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+}
+
+/**
+ * Get the name of the configured payment provider
+ * ?payments=local (or ?payments=firestore) picks one and remembers it in this
+ * browser; development hosts use the local fake provider by default
+ * @returns {string} Provider name
+ */
+function getConfiguredProviderName() {
+  try {
+    const fromUrl = new URLSearchParams(location.search).get('payments');
+    if (fromUrl && PAYMENT_PROVIDERS[fromUrl]) {
+      localStorage.setItem(PAYMENT_PROVIDER_STORAGE_KEY, fromUrl);
+      return fromUrl;
+    }
+
+    const stored = localStorage.getItem(PAYMENT_PROVIDER_STORAGE_KEY);
+    if (stored && PAYMENT_PROVIDERS[stored]) return stored;
+  } catch (err) {
+    // Storage can be unavailable (private mode); fall through to the default
+  }
+
+  if (window.RYDESYNC_PAYMENT_PROVIDER && PAYMENT_PROVIDERS[window.RYDESYNC_PAYMENT_PROVIDER]) {
+    return window.RYDESYNC_PAYMENT_PROVIDER;
+  }
+  return ['localhost', '127.0.0.1'].includes(location.hostname) ? 'local' : 'firestore';
+}
+
+/**
+ * Get the active payment provider, loading the configured one on first use
+ * @returns {Promise<Object>} Payment provider
+ */
+export async function getPaymentProvider() {
+  if (paymentProvider) return paymentProvider;
+
+  if (!paymentProviderLoading) {
+    const loader = PAYMENT_PROVIDERS[getConfiguredProviderName()];
+
+    paymentProviderLoading = loader().then(module => {
+      paymentProvider = module.default;
+      if (DEBUG) console.log(`💳 Using ${paymentProvider.name} payment provider`);
+      return paymentProvider;
+    }).finally(() => {
+      paymentProviderLoading = null;
+    });
+  }
+
+  return paymentProviderLoading;
+}
+
+/**
+ * Sign in (anonymously if needed) and load the user's unlocks
+ * Pages that show prices or locks call this before asking about unlocks
+ * @returns {Promise<Object|null>} Signed-in user
+ */
+export async function initMarketplace() {
+  await initAuth();
+
+  // Auth state arrives asynchronously after initAuth
+  const user = getCurrentUser() || await new Promise(resolve => {
+    const removeListener = addAuthListener(signedIn => {
+      removeListener();
+      resolve(signedIn);
+    });
+  });
+
+  if (user) await initUnlockManager();
+  return user;
+}
+
+function requireUser() {
+  const user = getCurrentUser();
+  if (!user) throw marketplaceError('not-signed-in', 'Sign in to use the marketplace');
+  return user;
+}
+
+/**
+ * Check whether the user may use a plugin
+ * @param {Object} manifest - Plugin manifest
+ * @returns {Promise<boolean>} Whether the plugin is free or unlocked
+ */
+export async function isPluginUnlocked(manifest) {
+  if (!manifest.requiresUnlock) return true;
+  return checkUnlock(manifest.unlockKey, 'plugin');
+}
+
+/**
+ * Get the marketplace listings: every room type plugin with its price and unlock state
+ * @returns {Promise<Array>} Manifests with { price, unlocked }
+ */
+export async function getListings() {
+  const manifests = await getRoomTypePlugins();
+  return Promise.all(manifests.map(async manifest => ({
+    ...manifest,
+    price: manifest.requiresUnlock ? manifest.price : 0,
+    unlocked: await isPluginUnlocked(manifest)
+  })));
+}
+
+/**
+ * Get the signed-in user's credit balance
+ * @returns {Promise<number>} Credits
+ */
+export async function getCreditBalance() {
+  const user = requireUser();
+  const provider = await getPaymentProvider();
+  return provider.getBalance(user.uid);
+}
+
+/**
+ * Get the signed-in user's credit transactions, newest first
+ * @returns {Promise<Array>} Transactions
+ */
+export async function getCreditHistory() {
+  const user = requireUser();
+  const provider = await getPaymentProvider();
+  return provider.getTransactions(user.uid);
+}
+
+/**
+ * Buy a plugin with credits and unlock it
+ * The payment provider pays and has the server grant the unlock; nothing is
+ * charged if the server refuses
+ * @param {string} pluginId - ID of the plugin
+ * @returns {Promise<Object|null>} Credit transaction, or null if nothing had to be paid
+ */
+export async function purchasePlugin(pluginId) {
+  const user = requireUser();
+  const manifest = await getPluginById(pluginId);
+  if (!manifest) throw marketplaceError('not-found', `There is no plugin called ${pluginId}`);
+
+  if (await isPluginUnlocked(manifest)) return null;
+
+  const provider = await getPaymentProvider();
+  const { transaction } = await provider.purchase(user.uid, {
+    sku: `plugin:${manifest.id}@${manifest.version}`,
+    amount: manifest.price,
+    description: `${manifest.name} room type`,
+    unlock: { type: 'plugin', key: manifest.unlockKey }
+  });
+
+  if (DEBUG) console.log(`🛒 Bought ${manifest.id} for ${manifest.price} credits`);
+  return transaction;
+}
+
+/**
+ * Add development credits, when the payment provider hands them out
+ * @param {number} amount - Credits to add
+ * @returns {Promise<Object>} Credit transaction
+ */
+export async function addDevelopmentCredits(amount) {
+  const user = requireUser();
+  const provider = await getPaymentProvider();
+  if (typeof provider.addCredits !== 'function') {
+    throw marketplaceError('unsupported', `The ${provider.name} payment provider can't add credits`);
+  }
+  return provider.addCredits(user.uid, amount);
+}
+
+export default {
+  initMarketplace,
+  getPaymentProvider,
+  isPluginUnlocked,
+  getListings,
+  getCreditBalance,
+  getCreditHistory,
+  purchasePlugin,
+  addDevelopmentCredits
+};
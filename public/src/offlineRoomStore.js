@@ -0,0 +1,110 @@
+// offlineRoomStore.js - What we keep of our rooms for when the network is gone
+// Kept in localStorage so it survives reloading the app in a dead zone:
+// - the last snapshot of each room we watched (its type, queue, current track and leader),
+//   so the room opens with its recent playlist while the sync backend can't be reached
+// - room writes made while offline, merged per room (newest value per field),
+//   until musicSync.js can write them
+
+const SNAPSHOT_KEY_PREFIX = 'rydesync-room-';
+const WRITES_KEY = 'rydesync-queued-writes';
+
+// Room fields worth keeping; playback position goes stale too quickly
+const SNAPSHOT_FIELDS = [
+  'roomType', 'theme', 'pluginSettings',
+  'playlist', 'playlistRemoved', 'playlistRemovedBefore', 'currentTrack', 'leader', 'leaderHeartbeatAt', 'participants'
+];
+
+// Writes older than this are dropped instead of written: the room has moved on
+export const MAX_QUEUED_WRITE_AGE_MS = 30 * 60 * 1000;
+
+function readJson(key) {
+  try {
+    const raw = localStorage.getItem(key);
+    return raw ? JSON.parse(raw) : null;
+  } catch (err) {
+    // Storage can be unavailable (private mode) or hold something unreadable
+    return null;
+  }
+}
+
+function writeJson(key, value) {
+  try {
+    if (value === null) {
+      localStorage.removeItem(key);
+    } else {
+      localStorage.setItem(key, JSON.stringify(value));
+    }
+  } catch (err) {
+    console.warn(`📴 Could not save ${key} for offline use:`, err.message);
+  }
+}
+
+/**
+ * Remember a room snapshot
+ * @param {string} roomId - ID of the room
+ * @param {Object} data - Room data from the sync backend
+ */
+export function saveRoomSnapshot(roomId, data) {
+  const snapshot = { savedAt: Date.now() };
+  SNAPSHOT_FIELDS.forEach(field => {
+    if (data[field] !== undefined) snapshot[field] = data[field];
+  });
+  writeJson(SNAPSHOT_KEY_PREFIX + roomId, snapshot);
+}
+
+/**
+ * Get the last snapshot of a room
+ * @param {string} roomId - ID of the room
+ * @returns {Object|null} Room data marked fromCache, or null if we never saw the room
+ */
+export function readRoomSnapshot(roomId) {
+  const snapshot = readJson(SNAPSHOT_KEY_PREFIX + roomId);
+  return snapshot ? { ...snapshot, fromCache: true } : null;
+}
+
+/**
+ * Hold a room write until the sync backend can be reached
+ * @param {string} roomId - ID of the room
+ * @param {Object} fields - Fields to write (plain values, no field sentinels)
+ * @param {number} queuedAt - Server-clock time (ms) of the write
+ */
+export function queueRoomWrite(roomId, fields, queuedAt) {
+  const writes = readJson(WRITES_KEY) || {};
+  const queued = writes[roomId];
+
+  writes[roomId] = {
+    fields: { ...queued?.fields, ...fields },
+    // The first write counts: anything the room saw after it is newer than us
+    queuedAt: queued ? queued.queuedAt : queuedAt
+  };
+  writeJson(WRITES_KEY, writes);
+}
+
+/**
+ * Get the held room writes
+ * @returns {Array} [{ roomId, fields, queuedAt }]
+ */
+export function getQueuedWrites() {
+  const writes = readJson(WRITES_KEY) || {};
+  return Object.entries(writes).map(([roomId, write]) => ({ roomId, ...write }));
+}
+
+/**
+ * Forget a room's held writes, once written or dropped
+ * @param {string} roomId - ID of the room
+ */
+export function clearQueuedWrite(roomId) {
+  const writes = readJson(WRITES_KEY) || {};
+  delete writes[roomId];
+  writeJson(WRITES_KEY, Object.keys(writes).length > 0 ? writes : null);
+}
+
+// Export module
+export default {
+  MAX_QUEUED_WRITE_AGE_MS,
+  saveRoomSnapshot,
+  readRoomSnapshot,
+  queueRoomWrite,
+  getQueuedWrites,
+  clearQueuedWrite
+};
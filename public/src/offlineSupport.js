@@ -0,0 +1,63 @@
+// offlineSupport.js - Installable app that keeps working in dead zones
+// Registers the service worker (sw.js), which serves the app shell and cached
+// tracks when the network is gone, shows the offline banner, and asks the
+// service worker to keep room tracks for offline playback.
+// Room state held while offline is in offlineRoomStore.js; catching up once
+// the network is back is the 'network-resync' event from peerReconnect.js.
+
+const SERVICE_WORKER_URL = '/sw.js';
+
+const DEBUG = true;
+
+/**
+ * Register the service worker and follow the network state
+ * @returns {Promise<ServiceWorkerRegistration|null>} Registration, or null if unsupported
+ */
+export async function registerOfflineSupport() {
+  watchNetworkState();
+
+  if (!('serviceWorker' in navigator)) {
+    console.warn('📴 Service workers not supported, RydeSync needs a connection to load');
+    return null;
+  }
+
+  try {
+    const registration = await navigator.serviceWorker.register(SERVICE_WORKER_URL);
+    if (DEBUG) console.log('📴 Service worker registered, scope:', registration.scope);
+    return registration;
+  } catch (error) {
+    console.error('📴 Service worker registration failed:', error);
+    return null;
+  }
+}
+
+// Show the banner while offline
+function watchNetworkState() {
+  const update = () => {
+    const banner = document.getElementById('offlineBanner');
+    if (banner) banner.style.display = navigator.onLine ? 'none' : 'block';
+  };
+
+  window.addEventListener('online', update);
+  window.addEventListener('offline', update);
+  update();
+}
+
+/**
+ * Ask the service worker to keep tracks for offline playback
+ * Only tracks whose server allows cross-origin reads (or our own) can be kept
+ * @param {string[]} urls - Track URLs
+ */
+export function cacheTracksForOffline(urls) {
+  const worker = navigator.serviceWorker?.controller;
+  const cacheable = urls.filter(url => /^https?:/.test(url || ''));
+  if (!worker || cacheable.length === 0) return;
+
+  worker.postMessage({ type: 'cache-audio', urls: cacheable });
+}
+
+// Export module
+export default {
+  registerOfflineSupport,
+  cacheTracksForOffline
+};
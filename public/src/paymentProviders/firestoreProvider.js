@@ -0,0 +1,63 @@
+// firestoreProvider.js - Credits payment provider backed by the user profile
+// Spends the `credits` field of users/{uid}; the server does the spending
+// (clients can only read their credits and users/{uid}/creditTransactions)
+
+import {
+  doc,
+  getDoc,
+  collection,
+  getDocs,
+  query,
+  orderBy,
+  limit
+} from "https://www.gstatic.com/firebasejs/9.22.0/firebase-firestore.js";
+import { db } from "../firebase.js";
+import { grantUnlock } from "../unlockManager.js";
+
+const USERS_COLLECTION = "users";
+const TRANSACTIONS_COLLECTION = "creditTransactions";
+const HISTORY_LIMIT = 50;
+
+function userRef(userId) {
+  return doc(db, USERS_COLLECTION, userId);
+}
+
+function transactionsRef(userId) {
+  return collection(db, USERS_COLLECTION, userId, TRANSACTIONS_COLLECTION);
+}
+
+export const firestoreProvider = {
+  name: 'firestore',
+
+  /**
+   * Get a user's credit balance
+   * @param {string} userId - ID of the user
+   * @returns {Promise<number>} Credits
+   */
+  async getBalance(userId) {
+    const snap = await getDoc(userRef(userId));
+    return (snap.exists() && snap.data().credits) || 0;
+  },
+
+  /**
+   * Buy an unlock: the server charges the credits and grants it in one transaction
+   * @param {string} userId - ID of the user (the server takes it from their sign-in)
+   * @param {Object} purchase - { sku, amount, description, unlock: { type, key } }
+   * @returns {Promise<Object>} { transaction, balance, alreadyUnlocked }
+   */
+  async purchase(userId, { unlock }) {
+    return grantUnlock(unlock.key, unlock.type, { payment: 'credits' });
+  },
+
+  /**
+   * List a user's latest transactions, newest first
+   * @param {string} userId - ID of the user
+   * @returns {Promise<Array>} Transactions
+   */
+  async getTransactions(userId) {
+    const snap = await getDocs(query(transactionsRef(userId), orderBy('createdAt', 'desc'), limit(HISTORY_LIMIT)));
+    return snap.docs.map(entry => ({ id: entry.id, ...entry.data() }));
+  }
+};
+
+export default firestoreProvider;
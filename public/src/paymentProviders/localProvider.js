@@ -0,0 +1,147 @@
+// localProvider.js - Fake credits payment provider for development
+// Balances and transactions live in this browser's localStorage, and every
+// user starts with some credits, so the marketplace can be tried without
+// real payments. Never a real source of credits: the server only grants
+// unlocks paid this way when started with ALLOW_LOCAL_PAYMENTS=true
+
+import { grantUnlock } from "../unlockManager.js";
+
+const STORAGE_PREFIX = 'rydesync-credits';
+const STARTING_CREDITS = 500;
+
+function storageKey(userId) {
+  return `${STORAGE_PREFIX}:${userId}`;
+}
+
+function readLedger(userId) {
+  try {
+    const stored = JSON.parse(localStorage.getItem(storageKey(userId)));
+    if (stored && Number.isFinite(stored.balance) && Array.isArray(stored.transactions)) return stored;
+  } catch (error) {
+    // Corrupt or unavailable storage starts a fresh ledger
+  }
+  return { balance: STARTING_CREDITS, transactions: [] };
+}
+
+function writeLedger(userId, ledger) {
+  localStorage.setItem(storageKey(userId), JSON.stringify(ledger));
+}
+
+/**
+ * Add a transaction to a user's ledger
+ * @param {string} userId - ID of the user
+ * @param {Object} entry - { type, sku, amount, description, refundOf }; amount is signed
+ * @returns {Object} Recorded transaction
+ */
+function record(userId, entry) {
+  const ledger = readLedger(userId);
+  if (ledger.balance + entry.amount < 0) {
+    const error = new Error(`Not enough credits: ${-entry.amount} needed, ${ledger.balance} available`);
+    error.code = 'insufficient-credits';
+    throw error;
+  }
+
+  const transaction = {
+    id: `local-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`,
+    provider: 'local',
+    createdAt: Date.now(),
+    ...entry
+  };
+  ledger.balance += entry.amount;
+  transaction.balance = ledger.balance;
+  ledger.transactions.push(transaction);
+  writeLedger(userId, ledger);
+  return transaction;
+}
+
+export const localProvider = {
+  name: 'local',
+
+  /**
+   * Get a user's credit balance
+   * @param {string} userId - ID of the user
+   * @returns {Promise<number>} Credits
+   */
+  async getBalance(userId) {
+    return readLedger(userId).balance;
+  },
+
+  /**
+   * Buy an unlock: charge the local ledger, then have the server grant it
+   * The charge is refunded if the server refuses
+   * @param {string} userId - ID of the user
+   * @param {Object} purchase - { sku, amount, description, unlock: { type, key } }
+   * @returns {Promise<Object>} { transaction, balance, alreadyUnlocked }
+   */
+  async purchase(userId, { sku, amount, description, unlock }) {
+    const charge = await localProvider.charge(userId, { sku, amount, description });
+
+    let result;
+    try {
+      result = await grantUnlock(unlock.key, unlock.type, { payment: 'local' });
+    } catch (error) {
+      await localProvider.refund(userId, charge.id);
+      throw error;
+    }
+
+    if (result.alreadyUnlocked) {
+      const refund = await localProvider.refund(userId, charge.id);
+      return { ...result, transaction: null, balance: refund.balance };
+    }
+    return { ...result, transaction: charge, balance: charge.balance };
+  },
+
+  /**
+   * Spend credits
+   * @param {string} userId - ID of the user
+   * @param {Object} purchase - { sku, amount, description }
+   * @returns {Promise<Object>} Transaction { id, sku, amount, balance, createdAt, ... }
+   */
+  async charge(userId, { sku, amount, description }) {
+    return record(userId, { type: 'charge', sku, amount: -amount, description });
+  },
+
+  /**
+   * Give back the credits of a charge
+   * @param {string} userId - ID of the user
+   * @param {string} transactionId - ID of the charge
+   * @returns {Promise<Object>} Refund transaction
+   */
+  async refund(userId, transactionId) {
+    const { transactions } = readLedger(userId);
+    const charge = transactions.find(t => t.id === transactionId && t.type === 'charge');
+    if (!charge) throw new Error(`No charge ${transactionId} to refund`);
+    if (transactions.some(t => t.refundOf === transactionId)) {
+      throw new Error(`Charge ${transactionId} was already refunded`);
+    }
+
+    return record(userId, {
+      type: 'refund',
+      sku: charge.sku,
+      amount: -charge.amount,
+      description: `Refund: ${charge.description}`,
+      refundOf: transactionId
+    });
+  },
+
+  /**
+   * List a user's transactions, newest first
+   * @param {string} userId - ID of the user
+   * @returns {Promise<Array>} Transactions
+   */
+  async getTransactions(userId) {
+    return [...readLedger(userId).transactions].reverse();
+  },
+
+  /**
+   * Top up fake credits (development only)
+   * @param {string} userId - ID of the user
+   * @param {number} amount - Credits to add
+   * @returns {Promise<Object>} Transaction
+   */
+  async addCredits(userId, amount) {
+    return record(userId, { type: 'top-up', sku: null, amount, description: 'Development credits' });
+  }
+};
+
+export default localProvider;
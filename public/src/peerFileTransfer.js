@@ -0,0 +1,425 @@
+// peerFileTransfer.js - Fetch a rider's shared local track over data connections
+// A live stream (localTrackStream.js) drops as soon as the connection to its
+// host does, e.g. in a tunnel. So while members listen, they also download the
+// file itself from the host, in chunks over their data connection, and keep it
+// in IndexedDB (trackCache.js) to play from once it's complete.
+//
+// - The host offers a file under the SHA-256 of its contents, published with the room's track
+// - Members ask for its manifest: size, chunk size and the SHA-256 of every chunk
+// - Chunks are asked for a few at a time; each is checked against its hash and stored
+// - Stored chunks survive reconnects and reloads, so a transfer resumes with what's missing
+// - The whole file is checked against its ID before it's cached
+
+import {
+  getCachedTrack,
+  saveCachedTrack,
+  getTransfer,
+  saveTransfer,
+  getStoredChunks,
+  saveChunk,
+  getChunks,
+  deleteTransfer
+} from './trackCache.js';
+
+// Message type on the data channel (alongside presence/ping/pong, music-sync, moderation, playlist-ops and music-stream)
+export const FILE_TRANSFER_MESSAGE = 'file-transfer';
+
+const CHUNK_SIZE = 64 * 1024;
+// Chunks asked for at once
+const REQUEST_WINDOW = 8;
+// Chunks asked for that haven't arrived by then are asked for again
+const STALL_TIMEOUT_MS = 10000;
+// How often a transfer checks for stalls and for a connection to its host
+const CHECK_INTERVAL_MS = 3000;
+
+const DEBUG = true;
+
+// Files we share: Map<fileId, { roomId, file, descriptor, manifest: Promise|null }>
+const offered = new Map();
+// Descriptors of files already hashed: WeakMap<File, Promise<descriptor>>
+const descriptors = new WeakMap();
+// The file we're fetching: { roomId, hostId, descriptor, manifest, missing, inFlight, lastProgressAt, timer, completing, promise, resolve, reject }
+let transfer = null;
+// Object URLs of cached tracks loaded this session: Map<fileId, url>
+const trackUrls = new Map();
+
+async function sha256(data) {
+  const digest = await crypto.subtle.digest('SHA-256', data);
+  return Array.from(new Uint8Array(digest), byte => byte.toString(16).padStart(2, '0')).join('');
+}
+
+// Open data connection to a room member
+function getConnection(roomId, peerId) {
+  return (window.connections || []).find(conn =>
+    conn && conn.open && conn.peer === peerId && conn.metadata?.roomId === roomId
+  ) || null;
+}
+
+function send(conn, message) {
+  try {
+    conn.send({ type: FILE_TRANSFER_MESSAGE, ...message });
+    return true;
+  } catch (error) {
+    if (DEBUG) console.warn(`📦 Could not send ${message.action} to ${conn.peer}:`, error.message);
+    return false;
+  }
+}
+
+function transferError(message, code) {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+}
+
+/**
+ * Share a local file with the room, so members can fetch it
+ * @param {string} roomId - ID of the room
+ * @param {File} file - The local file
+ * @returns {Promise<Object>} Descriptor to publish with the room's track { id, name, type, size }
+ */
+export async function offerLocalFile(roomId, file) {
+  if (!globalThis.crypto?.subtle) {
+    throw transferError("This browser can't share local files (no Web Crypto)", 'unsupported');
+  }
+
+  if (!descriptors.has(file)) {
+    const hashing = file.arrayBuffer()
+      .then(sha256)
+      .then(id => ({ id, name: file.name, type: file.type || 'audio/mpeg', size: file.size }));
+    hashing.catch(() => descriptors.delete(file));
+    descriptors.set(file, hashing);
+  }
+
+  const descriptor = await descriptors.get(file);
+  if (offered.get(descriptor.id)?.roomId !== roomId) {
+    offered.set(descriptor.id, { roomId, file, descriptor, manifest: null });
+    if (DEBUG) console.log(`📦 Sharing ${file.name} with room ${roomId} as ${descriptor.id.slice(0, 12)}`);
+  }
+
+  return descriptor;
+}
+
+/**
+ * Stop sharing files, e.g. when leaving the room
+ */
+export function withdrawLocalFiles() {
+  offered.clear();
+}
+
+// Chunk hashes of an offered file, worked out the first time someone asks
+function getManifest(offer) {
+  if (!offer.manifest) {
+    offer.manifest = (async () => {
+      const chunkHashes = [];
+      for (let start = 0; start < offer.file.size; start += CHUNK_SIZE) {
+        chunkHashes.push(await sha256(await offer.file.slice(start, start + CHUNK_SIZE).arrayBuffer()));
+      }
+      return { ...offer.descriptor, chunkSize: CHUNK_SIZE, chunkHashes };
+    })();
+    offer.manifest.catch(() => { offer.manifest = null; });
+  }
+  return offer.manifest;
+}
+
+async function sendManifest(conn, offer) {
+  const manifest = await getManifest(offer);
+  send(conn, { action: 'manifest', roomId: offer.roomId, fileId: offer.descriptor.id, manifest });
+}
+
+async function sendChunks(conn, offer, indexes) {
+  const { chunkHashes } = await getManifest(offer);
+
+  for (const index of indexes.slice(0, REQUEST_WINDOW)) {
+    if (!Number.isInteger(index) || index < 0 || index >= chunkHashes.length) continue;
+    if (!conn.open) return;
+
+    const start = index * CHUNK_SIZE;
+    const data = await offer.file.slice(start, start + CHUNK_SIZE).arrayBuffer();
+    send(conn, { action: 'chunk', roomId: offer.roomId, fileId: offer.descriptor.id, index, data });
+  }
+}
+
+/**
+ * Get a playable URL for a track already fetched this session
+ * @param {string} fileId - Track ID
+ * @returns {string|null} Object URL of the cached track, or null
+ */
+export function getSharedTrackUrl(fileId) {
+  return (fileId && trackUrls.get(fileId)) || null;
+}
+
+/**
+ * Revoke the object URLs of tracks fetched this session, e.g. once the room's
+ * track has moved on (they stay in the cache and get a new URL if they come back)
+ * @param {string|null} [keepFileId] - Track whose URL is still in use
+ */
+export function releaseSharedTrackUrls(keepFileId = null) {
+  trackUrls.forEach((url, fileId) => {
+    if (fileId === keepFileId) return;
+    URL.revokeObjectURL(url);
+    trackUrls.delete(fileId);
+  });
+}
+
+function useCachedTrack(track) {
+  if (!trackUrls.has(track.id)) {
+    trackUrls.set(track.id, URL.createObjectURL(track.blob));
+  }
+
+  const url = trackUrls.get(track.id);
+  document.dispatchEvent(new CustomEvent('shared-track-cached', {
+    detail: { fileId: track.id, url, name: track.name }
+  }));
+  return url;
+}
+
+/**
+ * Fetch a shared track from the rider who owns it, or load it from the cache
+ * Only one track is fetched at a time; asking for another one cancels the current transfer
+ * Dispatches a 'shared-track-cached' document event once the track can be played
+ * @param {string} roomId - ID of the room
+ * @param {string} hostId - Peer ID of the rider sharing it
+ * @param {Object} descriptor - Descriptor published with the room's track { id, name, type, size }
+ * @returns {Promise<string>} Object URL of the cached track
+ */
+export function prefetchSharedTrack(roomId, hostId, descriptor) {
+  const cachedUrl = getSharedTrackUrl(descriptor?.id);
+  if (cachedUrl) return Promise.resolve(cachedUrl);
+
+  if (transfer && transfer.descriptor.id === descriptor.id && transfer.roomId === roomId) {
+    transfer.hostId = hostId;
+    return transfer.promise;
+  }
+  cancelSharedTrackPrefetch();
+
+  const session = {
+    roomId,
+    hostId,
+    descriptor,
+    manifest: null,
+    missing: [],
+    inFlight: new Map(),
+    lastProgressAt: Date.now(),
+    timer: null,
+    completing: false
+  };
+  session.promise = new Promise((resolve, reject) => {
+    session.resolve = resolve;
+    session.reject = reject;
+  });
+  // Callers that don't wait for the track don't need to hear about failures
+  session.promise.catch(() => {});
+  transfer = session;
+
+  startTransfer(session).catch(error => finishTransfer(session, error));
+  return session.promise;
+}
+
+/**
+ * Stop fetching the current track (its chunks stay stored, to resume later)
+ */
+export function cancelSharedTrackPrefetch() {
+  if (!transfer) return;
+  finishTransfer(transfer, transferError('Transfer cancelled', 'cancelled'));
+}
+
+async function startTransfer(session) {
+  const cached = await getCachedTrack(session.descriptor.id);
+  if (transfer !== session) return;
+  if (cached) {
+    finishTransfer(session, null, useCachedTrack(cached));
+    return;
+  }
+
+  // Pick up a transfer an earlier connection or session started
+  const manifest = await getTransfer(session.descriptor.id);
+  if (transfer !== session) return;
+  if (manifest) await useManifest(session, manifest);
+
+  session.timer = setInterval(() => checkTransfer(session), CHECK_INTERVAL_MS);
+  checkTransfer(session);
+}
+
+async function useManifest(session, manifest) {
+  const stored = await getStoredChunks(manifest.id);
+  if (transfer !== session) return;
+
+  session.manifest = manifest;
+  session.missing = manifest.chunkHashes.map((_, index) => index).filter(index => !stored.has(index));
+  session.inFlight.clear();
+  if (DEBUG) console.log(`📦 Fetching ${manifest.name}: ${session.missing.length} of ${manifest.chunkHashes.length} chunks to go`);
+
+  if (session.missing.length === 0) {
+    await completeTransfer(session);
+  } else {
+    requestChunks(session);
+  }
+}
+
+// Ask again for what hasn't arrived, through whichever connection to the host is open now
+function checkTransfer(session) {
+  if (transfer !== session) return;
+
+  const conn = getConnection(session.roomId, session.hostId);
+  if (!conn) return;
+
+  if (!session.manifest) {
+    send(conn, { action: 'manifest-request', roomId: session.roomId, fileId: session.descriptor.id });
+    return;
+  }
+
+  if (Date.now() - session.lastProgressAt > STALL_TIMEOUT_MS) {
+    session.missing = [...session.inFlight.keys(), ...session.missing];
+    session.inFlight.clear();
+    session.lastProgressAt = Date.now();
+  }
+
+  requestChunks(session);
+}
+
+function requestChunks(session) {
+  const conn = getConnection(session.roomId, session.hostId);
+  if (!conn) return;
+
+  const indexes = [];
+  while (session.inFlight.size + indexes.length < REQUEST_WINDOW && session.missing.length > 0) {
+    indexes.push(session.missing.shift());
+  }
+  if (indexes.length === 0) return;
+
+  if (send(conn, { action: 'chunk-request', roomId: session.roomId, fileId: session.descriptor.id, indexes })) {
+    indexes.forEach(index => session.inFlight.set(index, Date.now()));
+  } else {
+    session.missing.unshift(...indexes);
+  }
+}
+
+async function receiveManifest(session, manifest) {
+  const chunkCount = Math.ceil(session.descriptor.size / CHUNK_SIZE);
+  const valid = manifest && manifest.id === session.descriptor.id && manifest.size === session.descriptor.size &&
+    manifest.chunkSize === CHUNK_SIZE && Array.isArray(manifest.chunkHashes) && manifest.chunkHashes.length === chunkCount;
+
+  if (!valid) {
+    console.warn(`📦 Ignoring a manifest from ${session.hostId} that doesn't match ${session.descriptor.name}`);
+    return;
+  }
+
+  const { id, name, type, size, chunkSize, chunkHashes } = manifest;
+  await saveTransfer({ id, name, type, size, chunkSize, chunkHashes });
+  if (transfer === session && !session.manifest) await useManifest(session, manifest);
+}
+
+async function receiveChunk(session, index, data) {
+  if (!session.inFlight.has(index)) return;
+
+  const bytes = data instanceof ArrayBuffer ? data : ArrayBuffer.isView(data) ? data.buffer.slice(data.byteOffset, data.byteOffset + data.byteLength) : null;
+  const hash = bytes ? await sha256(bytes) : null;
+  if (transfer !== session || !session.inFlight.has(index)) return;
+
+  if (hash !== session.manifest.chunkHashes[index]) {
+    console.warn(`📦 Chunk ${index} of ${session.descriptor.name} failed its integrity check, asking again`);
+    session.inFlight.delete(index);
+    session.missing.push(index);
+  } else {
+    // Still in flight until it's stored, so the transfer can't complete without it
+    await saveChunk(session.descriptor.id, index, bytes);
+    session.inFlight.delete(index);
+    session.lastProgressAt = Date.now();
+  }
+  if (transfer !== session) return;
+
+  if (session.missing.length === 0 && session.inFlight.size === 0) {
+    await completeTransfer(session);
+  } else {
+    requestChunks(session);
+  }
+}
+
+async function completeTransfer(session) {
+  if (session.completing) return;
+  session.completing = true;
+
+  const { id, name, type, size } = session.manifest;
+  const blob = new Blob(await getChunks(id), { type });
+
+  if (blob.size !== size || await sha256(await blob.arrayBuffer()) !== id) {
+    // Every chunk matched its hash, so the manifest itself was wrong: start over
+    await deleteTransfer(id);
+    throw transferError(`${name} doesn't match the file that was shared`, 'integrity');
+  }
+
+  await saveCachedTrack({ id, name, type, size, blob });
+  await deleteTransfer(id);
+  if (DEBUG) console.log(`📦 Cached ${name}`);
+
+  if (transfer === session) finishTransfer(session, null, useCachedTrack({ id, name, blob }));
+}
+
+function finishTransfer(session, error, url = null) {
+  clearInterval(session.timer);
+  if (transfer === session) transfer = null;
+
+  if (error) {
+    if (error.code !== 'cancelled') console.warn(`📦 Could not fetch ${session.descriptor.name}:`, error.message);
+    session.reject(error);
+  } else {
+    session.resolve(url);
+  }
+}
+
+/**
+ * Handle a message received on a data connection
+ * @param {Object} conn - PeerJS data connection the message came from
+ * @param {Object} data - Received message
+ * @returns {boolean} Whether the message was a file transfer message
+ */
+export function handleFileTransferData(conn, data) {
+  if (!data || data.type !== FILE_TRANSFER_MESSAGE) return false;
+  if (data.roomId !== conn.metadata?.roomId) return true;
+
+  const offer = offered.get(data.fileId);
+  const session = transfer;
+  const fromHost = session && conn.peer === session.hostId && data.roomId === session.roomId &&
+    data.fileId === session.descriptor.id;
+
+  const failed = error => console.error(`📦 Error handling ${data.action} from ${conn.peer}:`, error);
+
+  switch (data.action) {
+    case 'manifest-request':
+    case 'chunk-request':
+      if (!offer || offer.roomId !== data.roomId) {
+        send(conn, { action: 'unavailable', roomId: data.roomId, fileId: data.fileId });
+      } else if (data.action === 'manifest-request') {
+        sendManifest(conn, offer).catch(failed);
+      } else if (Array.isArray(data.indexes)) {
+        sendChunks(conn, offer, data.indexes).catch(failed);
+      }
+      break;
+
+    case 'manifest':
+      if (fromHost) receiveManifest(session, data.manifest).catch(error => finishTransfer(session, error));
+      break;
+
+    case 'chunk':
+      if (fromHost && session.manifest) receiveChunk(session, data.index, data.data).catch(error => finishTransfer(session, error));
+      break;
+
+    case 'unavailable':
+      if (fromHost) finishTransfer(session, transferError(`${conn.peer} no longer shares ${session.descriptor.name}`, 'unavailable'));
+      break;
+  }
+
+  return true;
+}
+
+// Export module
+export default {
+  FILE_TRANSFER_MESSAGE,
+  offerLocalFile,
+  withdrawLocalFiles,
+  getSharedTrackUrl,
+  releaseSharedTrackUrls,
+  prefetchSharedTrack,
+  cancelSharedTrackPrefetch,
+  handleFileTransferData
+};
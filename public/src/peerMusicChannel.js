@@ -0,0 +1,145 @@
+// peerMusicChannel.js - Music sync messages over PeerJS data connections
+// Carries the leader's high-frequency position, play and pause events
+// peer-to-peer so the musicRooms document only has to hold durable state
+
+import { getServerNow } from './clockSync.js';
+
+// Message type on the data channel (alongside presence/ping/pong)
+export const MUSIC_SYNC_MESSAGE = 'music-sync';
+
+// Music sync events
+export const MUSIC_EVENTS = {
+  POSITION: 'position', // Periodic leader heartbeat with the current position
+  PLAY: 'play',
+  PAUSE: 'pause'
+};
+
+const DEBUG = true;
+
+// Channel stats, for status displays
+const stats = {
+  sent: 0,
+  received: 0,
+  rejected: 0,
+  lastSentAt: 0,
+  lastReceivedAt: 0
+};
+
+/**
+ * Get the open data connections for a room
+ * @param {string} roomId - ID of the room
+ * @returns {Array} Open PeerJS data connections
+ */
+function getRoomConnections(roomId) {
+  return (window.connections || []).filter(conn =>
+    conn && conn.open && conn.metadata?.roomId === roomId
+  );
+}
+
+/**
+ * Get the peers we currently have an open data channel with
+ * @param {string} roomId - ID of the room
+ * @returns {Set<string>} Peer IDs
+ */
+export function getOpenMusicChannels(roomId) {
+  return new Set(getRoomConnections(roomId).map(conn => conn.peer));
+}
+
+/**
+ * Send a music sync event to every peer in the room
+ * @param {string} roomId - ID of the room
+ * @param {string} event - One of MUSIC_EVENTS
+ * @param {Object} state - Playback state
+ * @param {number} state.position - Playback position in seconds
+ * @param {boolean} state.isPlaying - Whether playback is active
+ * @returns {Set<string>} Peer IDs the event was sent to
+ */
+export function sendMusicEvent(roomId, event, { position, isPlaying }) {
+  const reached = new Set();
+
+  const message = {
+    type: MUSIC_SYNC_MESSAGE,
+    event,
+    roomId,
+    position,
+    isPlaying,
+    // Server-clock time the position was read, so receivers can extrapolate
+    sentAt: getServerNow()
+  };
+
+  getRoomConnections(roomId).forEach(conn => {
+    try {
+      conn.send(message);
+      reached.add(conn.peer);
+    } catch (error) {
+      if (DEBUG) console.warn(`🎼 Could not send ${event} to ${conn.peer}:`, error.message);
+    }
+  });
+
+  if (reached.size > 0) {
+    stats.sent += reached.size;
+    stats.lastSentAt = Date.now();
+  }
+
+  return reached;
+}
+
+/**
+ * Handle a message received on a data connection
+ * Valid music sync events are re-dispatched as a 'peer-music-sync' document event
+ * @param {Object} conn - PeerJS data connection the message came from
+ * @param {Object} data - Received message
+ * @returns {boolean} Whether the message was a music sync message
+ */
+export function handleMusicChannelData(conn, data) {
+  if (!data || data.type !== MUSIC_SYNC_MESSAGE) return false;
+
+  const valid = Object.values(MUSIC_EVENTS).includes(data.event) &&
+    data.roomId === conn.metadata?.roomId &&
+    typeof data.position === 'number' && !isNaN(data.position) &&
+    typeof data.sentAt === 'number';
+
+  if (!valid) {
+    stats.rejected++;
+    if (DEBUG) console.warn(`🎼 Ignoring malformed music sync message from ${conn.peer}`, data);
+    return true;
+  }
+
+  stats.received++;
+  stats.lastReceivedAt = Date.now();
+
+  document.dispatchEvent(new CustomEvent('peer-music-sync', {
+    detail: {
+      roomId: data.roomId,
+      // Trust the connection, not the payload, for who sent it
+      senderId: conn.peer,
+      event: data.event,
+      position: data.position,
+      isPlaying: typeof data.isPlaying === 'boolean' ? data.isPlaying : null,
+      sentAt: data.sentAt
+    }
+  }));
+
+  return true;
+}
+
+/**
+ * Get music channel stats for debugging
+ * @returns {Object} Message counts and timings
+ */
+export function getMusicChannelStatus() {
+  return {
+    ...stats,
+    timeSinceReceive: stats.lastReceivedAt ? Date.now() - stats.lastReceivedAt : null
+  };
+}
+
+// Export module
+export default {
+  MUSIC_SYNC_MESSAGE,
+  MUSIC_EVENTS,
+  getOpenMusicChannels,
+  sendMusicEvent,
+  handleMusicChannelData,
+  getMusicChannelStatus
+};
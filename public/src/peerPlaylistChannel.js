@@ -0,0 +1,80 @@
+// peerPlaylistChannel.js - Shared queue edits over PeerJS data connections
+// Every edit to the room's queue is also sent to the peers as ops (see
+// playlistOps.js), so the queue keeps working between riders who can still
+// reach each other while the room backend can't be reached
+
+import { isValidPlaylistOp } from './playlistOps.js';
+
+// Message type on the data channel (alongside presence/ping/pong, music-sync and moderation)
+export const PLAYLIST_OPS_MESSAGE = 'playlist-ops';
+
+// Ops in one message, so a long backlog doesn't make an oversized message
+const MAX_OPS_PER_MESSAGE = 50;
+
+const DEBUG = true;
+
+/**
+ * Send queue ops to every peer in the room
+ * @param {string} roomId - ID of the room
+ * @param {Array} ops - Playlist ops
+ * @returns {Set<string>} Peer IDs the ops were sent to
+ */
+export function sendPlaylistOps(roomId, ops) {
+  const reached = new Set();
+  if (!ops.length) return reached;
+
+  const connections = (window.connections || []).filter(conn =>
+    conn && conn.open && conn.metadata?.roomId === roomId
+  );
+
+  for (let i = 0; i < ops.length; i += MAX_OPS_PER_MESSAGE) {
+    const message = { type: PLAYLIST_OPS_MESSAGE, roomId, ops: ops.slice(i, i + MAX_OPS_PER_MESSAGE) };
+
+    connections.forEach(conn => {
+      try {
+        conn.send(message);
+        reached.add(conn.peer);
+      } catch (error) {
+        if (DEBUG) console.warn(`📝 Could not send queue ops to ${conn.peer}:`, error.message);
+      }
+    });
+  }
+
+  return reached;
+}
+
+/**
+ * Handle a message received on a data connection
+ * Valid ops are re-dispatched as a 'peer-playlist-ops' document event
+ * @param {Object} conn - PeerJS data connection the message came from
+ * @param {Object} data - Received message
+ * @returns {boolean} Whether the message was a queue ops message
+ */
+export function handlePlaylistChannelData(conn, data) {
+  if (!data || data.type !== PLAYLIST_OPS_MESSAGE) return false;
+
+  if (data.roomId !== conn.metadata?.roomId || !Array.isArray(data.ops)) {
+    if (DEBUG) console.warn(`📝 Ignoring malformed queue ops from ${conn.peer}`);
+    return true;
+  }
+
+  const ops = data.ops.filter(isValidPlaylistOp);
+  if (ops.length < data.ops.length && DEBUG) {
+    console.warn(`📝 Ignoring ${data.ops.length - ops.length} malformed queue op(s) from ${conn.peer}`);
+  }
+
+  if (ops.length > 0) {
+    document.dispatchEvent(new CustomEvent('peer-playlist-ops', {
+      detail: { roomId: data.roomId, senderId: conn.peer, ops }
+    }));
+  }
+
+  return true;
+}
+
+// Export module
+export default {
+  PLAYLIST_OPS_MESSAGE,
+  sendPlaylistOps,
+  handlePlaylistChannelData
+};
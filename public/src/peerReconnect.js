@@ -5,6 +5,7 @@
 const RECONNECT_ATTEMPTS = 5;
 const RECONNECT_DELAY_MS = 2000; // Base delay (will increase with backoff)
 const MAX_RECONNECT_DELAY_MS = 30000; // Max delay is 30 seconds
+const NETWORK_SETTLE_MS = 2000; // Let the network settle after coming back before resyncing
 const DEBUG = true;
 
 // State
@@ -12,6 +13,7 @@ let reconnectAttempts = 0;
 let reconnecting = false;
 let reconnectTimeout = null;
 let reconnectBanner = null;
+let networkSettleTimer = null;
 
 /**
  * Set up reconnection logic for a PeerJS peer
@@ -78,6 +80,57 @@ export function setupPeerReconnect(peer) {
   };
 }
 
+/**
+ * Resync the app when the network comes back
+ * Reconnects the peer to the signalling server if it lost it, then dispatches
+ * a 'network-resync' document event so modules write what they held back
+ * while offline and catch up with their rooms
+ * @param {function} getPeer - Returns the current PeerJS peer (it's replaced when rejoining)
+ * @returns {function} Function to stop watching the network
+ */
+export function setupNetworkResync(getPeer) {
+  const handleOnline = () => {
+    clearTimeout(networkSettleTimer);
+    networkSettleTimer = setTimeout(() => {
+      const peer = getPeer();
+      
+      if (peer && peer.disconnected && !peer.destroyed) {
+        if (DEBUG) console.log("🌐 Network is back, reconnecting peer...");
+        resetReconnectState();
+        startReconnect(peer).then(reconnected => {
+          // The sync backend may be reachable even if the signalling server isn't
+          if (!reconnected) dispatchResync('online');
+        });
+      } else {
+        dispatchResync('online');
+      }
+    }, NETWORK_SETTLE_MS);
+  };
+  
+  const handleOffline = () => {
+    clearTimeout(networkSettleTimer);
+    if (DEBUG) console.log("📴 Network lost, holding changes until it's back");
+  };
+  
+  window.addEventListener('online', handleOnline);
+  window.addEventListener('offline', handleOffline);
+  
+  return () => {
+    clearTimeout(networkSettleTimer);
+    window.removeEventListener('online', handleOnline);
+    window.removeEventListener('offline', handleOffline);
+  };
+}
+
+/**
+ * Tell the app to resync
+ * @param {string} reason - 'online' or 'reconnected'
+ */
+function dispatchResync(reason) {
+  if (DEBUG) console.log(`🔄 Resyncing after network came back (${reason})`);
+  document.dispatchEvent(new CustomEvent('network-resync', { detail: { reason } }));
+}
+
 /**
  * Start the reconnection process with exponential backoff
  * @param {Peer} peer - The PeerJS peer object
@@ -147,6 +200,7 @@ function attemptReconnect(peer, resolvePromise) {
           hideReconnectBanner();
           reconnecting = false;
           reconnectAttempts = 0;
+          dispatchResync('reconnected');
           resolvePromise(true);
         }
       }, 2000); // Give the reconnection 2 seconds to complete
@@ -351,5 +405,6 @@ function hideReconnectBanner() {
 
 // Export module
 export default {
-  setupPeerReconnect
+  setupPeerReconnect,
+  setupNetworkResync
 }; 
\ No newline at end of file
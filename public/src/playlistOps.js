@@ -0,0 +1,363 @@
+// playlistOps.js - Conflict-free edits to the room's shared queue
+// Every change to the queue is an operation on an entry with a stable ID:
+// insert, move or remove. Entries are ordered by a position key, a string that
+// sorts between its neighbours so nothing is ever renumbered, with the entry ID
+// breaking ties. Each entry remembers the stamp of the op that last placed it;
+// a move only wins over an older stamp, and a removal wins over everything.
+// Applying the same ops in any order, any number of times, gives the same
+// queue, so an edit can go through a room backend transaction or straight to
+// peers over PeerJS data channels while the backend is unreachable, and every
+// copy still ends up the same.
+// The room only remembers the newest TOMBSTONE_LIMIT removals. Older ones are
+// forgotten, and the stamp of the newest forgotten one becomes the room's
+// horizon: inserts stamped at or before it are dropped, since their entry may
+// have been removed since. So an insert that reaches the room only after
+// TOMBSTONE_LIMIT newer removals is lost rather than brought back.
+//
+// Stored in the room as:
+// - playlist: entries in queue order, each with pos and posStamp
+// - playlistRemoved: { entryId: stamp } of removed entries (the newest TOMBSTONE_LIMIT)
+// - playlistRemovedBefore: stamp of the newest forgotten removal, or null
+
+export const PLAYLIST_OPS = {
+  INSERT: 'insert',
+  MOVE: 'move',
+  REMOVE: 'remove'
+};
+
+// Removed entry IDs kept in the room, so late or replayed inserts can't bring them back;
+// inserts older than the removals past this are dropped
+export const TOMBSTONE_LIMIT = 100;
+
+// Position key digits, in sort order
+const DIGITS = '0123456789abcdefghijklmnopqrstuvwxyz';
+const POSITION_PATTERN = /^[0-9a-z]*[1-9a-z]$/;
+
+// Stamp of entries that were stored before they had one
+const ORIGIN_STAMP = { t: 0, by: '' };
+
+/**
+ * Compare two op stamps
+ * Stamps are { t, by }: a logical time, and the replica that made the op to break ties
+ * @param {Object} a - Stamp
+ * @param {Object} b - Stamp
+ * @returns {number} Negative if a is older, positive if newer, 0 if the same
+ */
+export function compareStamps(a, b) {
+  if (a.t !== b.t) return a.t - b.t;
+  if (a.by === b.by) return 0;
+  return a.by < b.by ? -1 : 1;
+}
+
+/**
+ * Create a clock that stamps this replica's ops
+ * Times follow the wall clock but always move past every stamp seen, so an
+ * edit made after seeing another one is newer than it even with clock skew
+ * @param {string} replicaId - Participant ID of this replica
+ * @param {function} now - Wall clock (ms)
+ * @returns {Object} { next() => stamp, observe(stamp) }
+ */
+export function createOpClock(replicaId, now = Date.now) {
+  let last = 0;
+
+  return {
+    next() {
+      last = Math.max(now(), last + 1);
+      return { t: last, by: replicaId };
+    },
+
+    observe(stamp) {
+      if (stamp && typeof stamp.t === 'number' && stamp.t > last) last = stamp.t;
+    }
+  };
+}
+
+// Key between a and b ('' is the start, null the end); neither ends in '0'
+function midpoint(a, b) {
+  if (b !== null) {
+    let shared = 0;
+    while ((a[shared] || '0') === b[shared]) shared++;
+    if (shared > 0) return b.slice(0, shared) + midpoint(a.slice(shared), b.slice(shared));
+  }
+
+  const digitA = a ? DIGITS.indexOf(a[0]) : 0;
+  const digitB = b !== null ? DIGITS.indexOf(b[0]) : DIGITS.length;
+
+  if (digitB - digitA > 1) return DIGITS[Math.round((digitA + digitB) / 2)];
+  if (b && b.length > 1) return b.slice(0, 1);
+  return DIGITS[digitA] + midpoint(a.slice(1), null);
+}
+
+/**
+ * Make a position key that sorts between two others
+ * @param {string|null} before - Key to sort after, or null for the start
+ * @param {string|null} after - Key to sort before, or null for the end
+ * @returns {string} Position key
+ */
+export function positionBetween(before, after) {
+  if (before !== null && after !== null && before >= after) {
+    throw new Error(`No position between "${before}" and "${after}"`);
+  }
+  return midpoint(before || '', after);
+}
+
+/**
+ * Position key for an entry placed at an index of the queue
+ * Entries that share a key (inserted at the same spot at the same time) stay
+ * together, so placing between them lands after both
+ * @param {Array} queue - Entries in queue order, without the one being placed
+ * @param {number} index - Where to place it (queue.length for the end)
+ * @returns {string} Position key
+ */
+export function positionAt(queue, index) {
+  const before = index > 0 ? queue[index - 1].pos : null;
+  const after = queue.slice(index).find(entry => before === null || entry.pos > before);
+  return positionBetween(before, after ? after.pos : null);
+}
+
+function compareEntries(a, b) {
+  if (a.pos !== b.pos) return a.pos < b.pos ? -1 : 1;
+  if (a.id === b.id) return 0;
+  return a.id < b.id ? -1 : 1;
+}
+
+function isValidStamp(stamp) {
+  return !!stamp && typeof stamp.t === 'number' && isFinite(stamp.t) && typeof stamp.by === 'string';
+}
+
+// Same string, same ID on every client, so tracks stored before entries had IDs converge
+function legacyEntryId(track, index) {
+  const source = `${index}:${track.url}`;
+  let hash = 0;
+  for (let i = 0; i < source.length; i++) {
+    hash = (hash * 31 + source.charCodeAt(i)) | 0;
+  }
+  return `legacy-${(hash >>> 0).toString(36)}`;
+}
+
+/**
+ * Read the queue state from room data
+ * Tracks stored before entries had IDs or positions get them, the same way on every client
+ * @param {Object|null} data - Room data
+ * @returns {Object} Queue state { entries, removed, removedBefore, moves }
+ */
+export function readPlaylistState(data) {
+  const playlist = Array.isArray(data?.playlist) ? data.playlist : [];
+  const removed = {};
+  const entries = {};
+  let lastPos = null;
+
+  Object.entries(data?.playlistRemoved || {}).forEach(([id, stamp]) => {
+    if (isValidStamp(stamp)) removed[id] = stamp;
+  });
+
+  playlist.filter(track => track && track.url).forEach((track, index) => {
+    const id = track.id || legacyEntryId(track, index);
+    if (entries[id] || removed[id]) return;
+
+    const hasPosition = typeof track.pos === 'string' && POSITION_PATTERN.test(track.pos) &&
+      (lastPos === null || track.pos >= lastPos);
+    const pos = hasPosition ? track.pos : positionBetween(lastPos, null);
+    lastPos = pos;
+
+    entries[id] = {
+      id,
+      url: track.url,
+      title: track.title || null,
+      addedBy: track.addedBy || { id: null, name: null },
+      addedAt: track.addedAt || null,
+      votes: track.votes || {},
+      pos,
+      posStamp: hasPosition && isValidStamp(track.posStamp) ? track.posStamp : ORIGIN_STAMP
+    };
+  });
+
+  const removedBefore = isValidStamp(data?.playlistRemovedBefore) ? data.playlistRemovedBefore : null;
+
+  // Moves that arrived before their entry (only over data channels, never stored)
+  return { entries, removed, removedBefore, moves: {} };
+}
+
+/**
+ * Get the queue in order
+ * @param {Object} state - Queue state
+ * @returns {Array} Entries in queue order
+ */
+export function getQueue(state) {
+  return Object.values(state.entries).sort(compareEntries);
+}
+
+/**
+ * Room fields holding the queue state
+ * Removals past the newest TOMBSTONE_LIMIT are forgotten and move the horizon up
+ * @param {Object} state - Queue state
+ * @returns {Object} { playlist, playlistRemoved, playlistRemovedBefore }
+ */
+export function toRoomFields(state) {
+  const tombstones = Object.entries(state.removed)
+    .sort(([, a], [, b]) => compareStamps(b, a));
+  const forgotten = tombstones[TOMBSTONE_LIMIT];
+
+  let removedBefore = state.removedBefore || null;
+  if (forgotten && (!removedBefore || compareStamps(forgotten[1], removedBefore) > 0)) {
+    removedBefore = forgotten[1];
+  }
+
+  return {
+    playlist: getQueue(state),
+    playlistRemoved: Object.fromEntries(tombstones.slice(0, TOMBSTONE_LIMIT)),
+    playlistRemovedBefore: removedBefore
+  };
+}
+
+/**
+ * Make an insert op
+ * @param {Object} entry - Queue entry (see roomQueue.createQueueEntry)
+ * @param {string} pos - Position key
+ * @param {Object} stamp - Op stamp
+ * @returns {Object} Op
+ */
+export function insertOp(entry, pos, stamp) {
+  const { pos: _pos, posStamp: _posStamp, ...fields } = entry;
+  return { type: PLAYLIST_OPS.INSERT, entry: fields, pos, stamp };
+}
+
+/**
+ * Make a move op
+ * @param {string} entryId - Entry to move
+ * @param {string} pos - New position key
+ * @param {Object} stamp - Op stamp
+ * @returns {Object} Op
+ */
+export function moveOp(entryId, pos, stamp) {
+  return { type: PLAYLIST_OPS.MOVE, entryId, pos, stamp };
+}
+
+/**
+ * Make a remove op
+ * @param {string} entryId - Entry to remove
+ * @param {Object} stamp - Op stamp
+ * @returns {Object} Op
+ */
+export function removeOp(entryId, stamp) {
+  return { type: PLAYLIST_OPS.REMOVE, entryId, stamp };
+}
+
+/**
+ * Check an op received from elsewhere before applying it
+ * @param {Object} op - Op
+ * @returns {boolean} Whether the op is well formed
+ */
+export function isValidPlaylistOp(op) {
+  if (!op || !isValidStamp(op.stamp)) return false;
+
+  switch (op.type) {
+    case PLAYLIST_OPS.INSERT:
+      return !!op.entry && typeof op.entry.id === 'string' && typeof op.entry.url === 'string' &&
+        typeof op.pos === 'string' && POSITION_PATTERN.test(op.pos);
+    case PLAYLIST_OPS.MOVE:
+      return typeof op.entryId === 'string' && typeof op.pos === 'string' && POSITION_PATTERN.test(op.pos);
+    case PLAYLIST_OPS.REMOVE:
+      return typeof op.entryId === 'string';
+    default:
+      return false;
+  }
+}
+
+/**
+ * Apply an op to the queue state
+ * @param {Object} state - Queue state (not modified)
+ * @param {Object} op - Op
+ * @returns {Object|null} New state, or null if the op changes nothing (already applied, outdated
+ *   or an insert from before the room's horizon)
+ */
+export function applyPlaylistOp(state, op) {
+  switch (op.type) {
+    case PLAYLIST_OPS.INSERT: {
+      const id = op.entry.id;
+      if (state.entries[id] || state.removed[id]) return null;
+      if (state.removedBefore && compareStamps(op.stamp, state.removedBefore) <= 0) return null;
+
+      // A move that got here first still counts if it's newer
+      const { [id]: earlyMove, ...moves } = state.moves;
+      const placed = earlyMove && compareStamps(earlyMove.stamp, op.stamp) > 0 ? earlyMove : op;
+
+      return {
+        ...state,
+        entries: { ...state.entries, [id]: { votes: {}, ...op.entry, pos: placed.pos, posStamp: placed.stamp } },
+        moves
+      };
+    }
+
+    case PLAYLIST_OPS.MOVE: {
+      const id = op.entryId;
+      if (state.removed[id]) return null;
+
+      const entry = state.entries[id];
+      if (!entry) {
+        const earlyMove = state.moves[id];
+        if (earlyMove && compareStamps(earlyMove.stamp, op.stamp) >= 0) return null;
+        return { ...state, moves: { ...state.moves, [id]: { pos: op.pos, stamp: op.stamp } } };
+      }
+
+      if (compareStamps(entry.posStamp, op.stamp) >= 0) return null;
+      return { ...state, entries: { ...state.entries, [id]: { ...entry, pos: op.pos, posStamp: op.stamp } } };
+    }
+
+    case PLAYLIST_OPS.REMOVE: {
+      const id = op.entryId;
+      const tombstone = state.removed[id];
+      if (tombstone && compareStamps(tombstone, op.stamp) >= 0) return null;
+
+      const { [id]: _entry, ...entries } = state.entries;
+      const { [id]: _move, ...moves } = state.moves;
+      return { ...state, entries, removed: { ...state.removed, [id]: op.stamp }, moves };
+    }
+
+    default:
+      return null;
+  }
+}
+
+/**
+ * Apply ops in turn, skipping the ones that change nothing
+ * @param {Object} state - Queue state (not modified)
+ * @param {Array} ops - Ops
+ * @returns {Object} New state (the same object if nothing changed)
+ */
+export function applyPlaylistOps(state, ops) {
+  return ops.reduce((current, op) => applyPlaylistOp(current, op) || current, state);
+}
+
+/**
+ * Replace an entry's votes
+ * Votes aren't ops: they are only changed in room backend transactions
+ * @param {Object} state - Queue state (not modified)
+ * @param {string} entryId - Entry voted on
+ * @param {Object} votes - { participantId: 1 | -1 }
+ * @returns {Object|null} New state, or null if the entry is gone
+ */
+export function setEntryVotes(state, entryId, votes) {
+  const entry = state.entries[entryId];
+  if (!entry) return null;
+  return { ...state, entries: { ...state.entries, [entryId]: { ...entry, votes } } };
+}
+
+export default {
+  PLAYLIST_OPS,
+  TOMBSTONE_LIMIT,
+  compareStamps,
+  createOpClock,
+  positionBetween,
+  positionAt,
+  readPlaylistState,
+  getQueue,
+  toRoomFields,
+  insertOp,
+  moveOp,
+  removeOp,
+  isValidPlaylistOp,
+  applyPlaylistOp,
+  applyPlaylistOps,
+  setEntryVotes
+};
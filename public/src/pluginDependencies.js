@@ -0,0 +1,188 @@
+// pluginDependencies.js - Host API and dependency checks for plugins
+// A manifest names the host API version the plugin is written against
+// (hostApiVersion) and the plugins and host modules it needs, each with a
+// semver range (dependencies). The plugin manager resolves them here before the
+// plugin starts, and refuses plugins that can't run on this RydeSync
+
+import { HOST_API_VERSION } from './pluginHost.js';
+
+// Shared modules plugins may depend on, besides other plugins
+// Bump a module's version with its exports: major for breaking changes
+export const HOST_MODULES = {
+  musicUI: { version: '1.0.0', url: '/plugins/musicUI.js' },
+  serviceConverter: { version: '1.0.0', url: '/plugins/serviceConverter.js' }
+};
+
+const VERSION_PATTERN = /^(\d+)\.(\d+)\.(\d+)(?:-([0-9A-Za-z.-]+))?$/;
+const COMPARATOR_PATTERN = /^(\^|~|>=|<=|>|<|=)?(\d+\.\d+\.\d+(?:-[0-9A-Za-z.-]+)?)$/;
+
+/**
+ * Make the error a plugin is refused with
+ * @param {Object} manifest - Manifest of the refused plugin
+ * @param {string} reason - What's wrong, for riders and the console
+ * @returns {Error} Error with code 'plugin-incompatible'
+ */
+function incompatibleError(manifest, reason) {
+  const error = new Error(`${manifest.name || manifest.id} can't run here: ${reason}`);
+  error.code = 'plugin-incompatible';
+  error.pluginId = manifest.id;
+  return error;
+}
+
+function parseVersion(version) {
+  const match = VERSION_PATTERN.exec(String(version));
+  if (!match) return null;
+  return { major: +match[1], minor: +match[2], patch: +match[3], prerelease: match[4] || null };
+}
+
+/**
+ * Compare two semantic versions
+ * @param {string} a - Version
+ * @param {string} b - Version
+ * @returns {number} Negative if a < b, 0 if equal, positive if a > b
+ */
+export function compareVersions(a, b) {
+  const va = parseVersion(a);
+  const vb = parseVersion(b);
+  if (!va || !vb) throw new Error(`Invalid version "${va ? b : a}"`);
+
+  const diff = (va.major - vb.major) || (va.minor - vb.minor) || (va.patch - vb.patch);
+  if (diff !== 0) return diff;
+
+  // A prerelease comes before its release
+  if (va.prerelease === vb.prerelease) return 0;
+  if (!va.prerelease) return 1;
+  if (!vb.prerelease) return -1;
+  return va.prerelease < vb.prerelease ? -1 : 1;
+}
+
+function satisfiesComparator(version, comparator) {
+  const match = COMPARATOR_PATTERN.exec(comparator);
+  if (!match) throw new Error(`Invalid version range "${comparator}"`);
+
+  const [, operator = '=', target] = match;
+  const cmp = compareVersions(version, target);
+  const { major, minor } = parseVersion(target);
+
+  switch (operator) {
+    case '=': return cmp === 0;
+    case '>': return cmp > 0;
+    case '>=': return cmp >= 0;
+    case '<': return cmp < 0;
+    case '<=': return cmp <= 0;
+    case '~':
+      // Same major.minor, at least the target
+      return cmp >= 0 && compareVersions(version, `${major}.${minor + 1}.0-0`) < 0;
+    case '^':
+      // No breaking changes: same major (same minor below 1.0.0)
+      return cmp >= 0 && compareVersions(version, major > 0 ? `${major + 1}.0.0-0` : `0.${minor + 1}.0-0`) < 0;
+    default:
+      return false;
+  }
+}
+
+/**
+ * Check a version against a semver range
+ * Supports *, exact versions, ^ and ~ ranges, comparisons (>=1.2.0 <2.0.0)
+ * and alternatives joined with ||
+ * @param {string} version - Version
+ * @param {string} range - Range
+ * @returns {boolean} Whether the version is in the range
+ */
+export function satisfies(version, range) {
+  return String(range).split('||').some(alternative => {
+    const comparators = alternative.trim().split(/\s+/).filter(Boolean);
+    if (comparators.length === 0 || (comparators.length === 1 && comparators[0] === '*')) return true;
+    return comparators.every(comparator => satisfiesComparator(version, comparator));
+  });
+}
+
+/**
+ * Check that a plugin is written against this host's API
+ * @param {Object} manifest - Plugin manifest
+ */
+export function checkHostApi(manifest) {
+  const required = manifest.hostApiVersion || 1;
+  if (required !== HOST_API_VERSION) {
+    throw incompatibleError(manifest,
+      `it needs plugin host API ${required}, and this RydeSync provides API ${HOST_API_VERSION}`);
+  }
+}
+
+/**
+ * Resolve a plugin's dependencies, and theirs, in load order
+ * @param {Object} manifest - Plugin manifest
+ * @param {Function} getManifest - (id) => Promise of a catalog manifest or null
+ * @returns {Promise<Array>} { kind: 'module'|'plugin', id, version, url, sandbox },
+ *   dependencies before the plugins that need them
+ */
+export async function resolveDependencies(manifest, getManifest) {
+  const order = [];
+  const resolved = new Set();
+
+  async function visit(current, path) {
+    checkHostApi(current);
+
+    for (const [name, range] of Object.entries(current.dependencies || {})) {
+      if (path.includes(name)) {
+        throw incompatibleError(manifest, `its dependencies form a cycle (${[...path, name].join(' → ')})`);
+      }
+
+      const module = HOST_MODULES[name];
+      const dependency = module ? null : await getManifest(name);
+      if (!module && !dependency) {
+        throw incompatibleError(manifest, `${current.id} depends on ${name}, which isn't installed`);
+      }
+
+      const version = module ? module.version : dependency.version;
+      if (!satisfies(version, range)) {
+        throw incompatibleError(manifest, `${current.id} needs ${name} ${range}, and ${version} is installed`);
+      }
+
+      if (resolved.has(name)) continue;
+      if (dependency) await visit(dependency, [...path, name]);
+
+      resolved.add(name);
+      order.push(module
+        ? { kind: 'module', id: name, version, url: module.url, sandbox: false }
+        : { kind: 'plugin', id: name, version, url: dependency.entryUrl, sandbox: !!dependency.sandbox });
+    }
+  }
+
+  await visit(manifest, [manifest.id]);
+  return order;
+}
+
+/**
+ * Check a plugin can run here and load what it depends on, in order
+ * Sandboxed plugins import their own dependencies inside their iframe, and
+ * sandboxed dependencies never run in the page, so those are only checked
+ * @param {Object} manifest - Plugin manifest
+ * @param {Function} getManifest - (id) => Promise of a catalog manifest or null
+ * @returns {Promise<Array>} Resolved dependencies (see resolveDependencies)
+ */
+export async function prepareDependencies(manifest, getManifest) {
+  const dependencies = await resolveDependencies(manifest, getManifest);
+
+  if (!manifest.sandbox) {
+    for (const dependency of dependencies) {
+      if (dependency.sandbox) continue;
+      try {
+        await import(dependency.url);
+      } catch (error) {
+        throw incompatibleError(manifest, `its dependency ${dependency.id} failed to load (${error.message})`);
+      }
+    }
+  }
+
+  return dependencies;
+}
+
+export default {
+  HOST_MODULES,
+  compareVersions,
+  satisfies,
+  checkHostApi,
+  resolveDependencies,
+  prepareDependencies
+};
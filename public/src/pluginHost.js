@@ -0,0 +1,688 @@
+// pluginHost.js - Capability API handed to RydeSync plugins
+// Plugins get the room, audio, playback events, track sync, notifications,
+// styles and storage from the host passed to initializePlugin(host) instead of
+// reaching into app.js internals, window globals or Firestore. Each capability
+// is granted by the permissions in the plugin's manifest, and everything a
+// plugin creates through its host is tracked (pluginLifecycle.js) and removed
+// when the plugin is unloaded
+
+import { isRoomLeader, getRoomLeader } from '../musicSync.js';
+import { createResourceTracker } from './pluginLifecycle.js';
+
+// Bumped when the host API changes incompatibly
+export const HOST_API_VERSION = 1;
+
+const AUDIO_ELEMENT_ID = 'audioPlayer';
+const STORAGE_PREFIX = 'rydesync-plugin';
+const NOTIFICATION_DURATION_MS = 3000;
+const DEBUG = true;
+
+// Host events and the permission a plugin needs to subscribe to them
+// (null: every plugin may)
+const EVENT_PERMISSIONS = {
+  'track-change': 'playback',
+  'play': 'playback',
+  'pause': 'playback',
+  'seek': 'playback',
+  'leader-change': 'room',
+  'settings-change': null
+};
+
+// Audio element events behind the playback host events
+const MEDIA_EVENTS = {
+  'play': 'play',
+  'pause': 'pause',
+  'seek': 'seeked'
+};
+
+// Document event the plugin manager sends a plugin's new settings with
+const SETTINGS_EVENT = 'plugin-settings-change';
+
+/**
+ * Make an error for a capability the plugin's manifest doesn't ask for
+ * @param {string} pluginId - ID of the plugin
+ * @param {string} permission - Missing permission
+ * @returns {Error} Error with code 'permission-denied'
+ */
+function permissionError(pluginId, permission) {
+  const error = new Error(`Plugin ${pluginId} needs the "${permission}" permission in its manifest`);
+  error.code = 'permission-denied';
+  return error;
+}
+
+function getAudioElement() {
+  return document.getElementById(AUDIO_ELEMENT_ID);
+}
+
+// Web Audio source for the room's audio element, shared by every plugin: an
+// element can only ever be routed through one AudioContext, and if a plugin
+// closed that context the room's music would go silent for good
+let elementAudio = null; // { element, context, source }
+
+/**
+ * Get the shared Web Audio source for the room's audio element
+ * @returns {Object|null} { element, context, source }, or null without an audio element
+ */
+function getElementAudio() {
+  const element = getAudioElement();
+  if (!element) return null;
+
+  if (!elementAudio || elementAudio.element !== element) {
+    const AudioContextClass = window.AudioContext || window.webkitAudioContext;
+    const context = new AudioContextClass();
+    const source = context.createMediaElementSource(element);
+    source.connect(context.destination);
+    elementAudio = { element, context, source };
+  }
+
+  if (elementAudio.context.state === 'suspended') {
+    elementAudio.context.resume().catch(() => {});
+  }
+  return elementAudio;
+}
+
+// At-rules whose blocks hold no selectors, kept as they are by scopeCss
+const UNSCOPED_AT_RULES = /^@(-[a-z]+-)?(keyframes|font-face|property|counter-style|page|font-feature-values)\b/i;
+
+// url() and image-set() pointing anywhere but a data: URL
+const REMOTE_URL = /\b(url|image-set)\(\s*(?!['"]?data:)[^)]*\)/gi;
+
+/**
+ * Prefix every selector in a stylesheet with a scope selector
+ * Rules inside @media, @supports and other grouping at-rules are scoped too;
+ * @keyframes, @font-face and the like are kept as they are. @import is dropped
+ * @param {string} css - Stylesheet text
+ * @param {string} scope - Selector the rules should only apply under
+ * @param {Object} [options] - { allowRemoteUrls: false } to replace url()s that
+ *   aren't data: URLs with none, so the styles can't load or leak anything
+ * @returns {string} Scoped stylesheet text
+ */
+export function scopeCss(css, scope, { allowRemoteUrls = true } = {}) {
+  const scopeSelector = selector => {
+    const trimmed = selector.trim();
+    if (!trimmed) return trimmed;
+    // Rules on the page itself (html, :root, body) attach the scope instead of nesting under it
+    const rest = trimmed.replace(/^(html|:root)\b/i, '').replace(/^\s*body\b/i, '');
+    if (rest !== trimmed) return `${scope}${rest}`;
+    return `${scope} ${trimmed}`;
+  };
+
+  // Split on top-level commas only, so :is(a, b) stays together
+  const splitSelectors = prelude => {
+    const selectors = [];
+    let depth = 0;
+    let start = 0;
+    for (let i = 0; i < prelude.length; i++) {
+      if (prelude[i] === '(') depth++;
+      else if (prelude[i] === ')') depth--;
+      else if (prelude[i] === ',' && depth === 0) {
+        selectors.push(prelude.slice(start, i));
+        start = i + 1;
+      }
+    }
+    selectors.push(prelude.slice(start));
+    return selectors;
+  };
+
+  let text = css.replace(/\/\*[\s\S]*?\*\//g, '');
+  if (!allowRemoteUrls) text = text.replace(REMOTE_URL, 'none');
+  let output = '';
+  let index = 0;
+
+  while (index < text.length) {
+    const open = text.indexOf('{', index);
+    if (open === -1) break;
+
+    // Find the matching closing brace
+    let depth = 1;
+    let close = open + 1;
+    while (close < text.length && depth > 0) {
+      if (text[close] === '{') depth++;
+      else if (text[close] === '}') depth--;
+      close++;
+    }
+
+    // Statements like @charset end in a semicolon and have no block; @import
+    // would pull in a stylesheet nothing scopes
+    const chunk = text.slice(index, open);
+    const statementsEnd = chunk.lastIndexOf(';') + 1;
+    output += keepStatements(chunk.slice(0, statementsEnd));
+
+    const prelude = chunk.slice(statementsEnd).trim();
+    const body = text.slice(open + 1, close - 1);
+
+    if (UNSCOPED_AT_RULES.test(prelude)) {
+      output += `${prelude} {${body}}\n`;
+    } else if (prelude.startsWith('@')) {
+      output += `${prelude} {\n${scopeCss(body, scope, { allowRemoteUrls })}}\n`;
+    } else {
+      output += `${splitSelectors(prelude).map(scopeSelector).join(', ')} {${body}}\n`;
+    }
+
+    index = close;
+  }
+
+  return output + keepStatements(text.slice(index));
+}
+
+// Block-less statements of a stylesheet, without @import
+function keepStatements(chunk) {
+  return chunk.split(';')
+    .map(statement => statement.trim())
+    .filter(statement => statement && !/^@import\b/i.test(statement))
+    .map(statement => `${statement};\n`)
+    .join('');
+}
+
+/**
+ * Show a short toast notification
+ * @param {string} message - Text to show
+ * @param {string} type - 'info', 'success' or 'error'
+ * @param {number} duration - How long to show it in ms
+ * @returns {HTMLElement} The notification, which removes itself
+ */
+function showNotification(message, type, duration) {
+  const notification = document.createElement('div');
+  notification.className = `notification ${type}`;
+  notification.textContent = message;
+  document.body.appendChild(notification);
+
+  setTimeout(() => {
+    notification.classList.add('fade-out');
+    setTimeout(() => notification.remove(), 500);
+  }, duration);
+
+  return notification;
+}
+
+/**
+ * Create the host for a plugin
+ * @param {Object} manifest - Plugin manifest from the catalog
+ * @param {Object} options - Host options
+ * @param {string} options.roomName - Room the plugin is loaded in
+ * @param {Function} options.syncTrack - Shares a track with the room: (url, title, roomName) => Promise
+ * @param {Function} [options.getSettings] - The plugin's settings for the room (pluginSettings.js)
+ * @returns {Object} { host, dispose, tracker } - the host for initializePlugin, a function
+ *   removing everything the plugin created through it, and the tracker recording that
+ */
+export function createPluginHost(manifest, { roomName, syncTrack, getSettings = () => ({}) }) {
+  const pluginId = manifest.id;
+  const granted = new Set(manifest.permissions || []);
+  const scopeClass = `plugin-${pluginId}`;
+  const tracker = createResourceTracker(pluginId);
+  const disposers = [];
+  let disposed = false;
+
+  const requireActive = () => {
+    if (disposed) throw new Error(`Plugin ${pluginId} was unloaded`);
+  };
+
+  const requirePermission = permission => {
+    requireActive();
+    if (!granted.has(permission)) throw permissionError(pluginId, permission);
+  };
+
+  // Scoped styles only apply while the plugin's class is on the page
+  // (the host's own, so it isn't counted against the plugin)
+  document.body.classList.add(scopeClass);
+  disposers.push(() => document.body.classList.remove(scopeClass));
+
+  const room = {
+    name: roomName,
+    get peerId() {
+      return window.peer?.id || null;
+    },
+    isLeader: () => isRoomLeader(roomName),
+    getLeader: () => getRoomLeader(roomName)
+  };
+
+  const analyserReleases = new Map(); // AnalyserNode -> release function
+
+  const audio = {
+    // Looked up on every access: the element is re-rendered with the player UI
+    get element() {
+      return getAudioElement();
+    },
+    getState() {
+      const element = getAudioElement();
+      if (!element || !element.src) return null;
+      return {
+        url: element.src,
+        title: document.getElementById('musicTitle')?.textContent || null,
+        isPlaying: !element.paused,
+        position: element.currentTime,
+        duration: Number.isFinite(element.duration) ? element.duration : null,
+        volume: element.volume
+      };
+    },
+
+    /**
+     * Create an AudioContext that is closed when the plugin is unloaded
+     * @param {Object} [options] - AudioContext options
+     * @returns {AudioContext} Audio context
+     */
+    createContext(options) {
+      requirePermission('audio');
+      const AudioContextClass = window.AudioContext || window.webkitAudioContext;
+      const context = new AudioContextClass(options);
+      tracker.track('audioContext', `AudioContext (${context.sampleRate} Hz)`, {
+        release: () => context.state !== 'closed' && context.close(),
+        isAlive: () => context.state !== 'closed'
+      });
+      return context;
+    },
+
+    /**
+     * Create an audio element of the plugin's own (ambience, effects), stopped
+     * when the plugin is unloaded
+     * @param {string} url - Sound URL
+     * @param {Object} [options] - { volume, loop }
+     * @returns {HTMLAudioElement} Audio element
+     */
+    createSound(url, { volume = 1, loop = false } = {}) {
+      requirePermission('audio');
+      const sound = new Audio(url);
+      sound.volume = volume;
+      sound.loop = loop;
+      let stopped = false;
+      tracker.track('sound', url, {
+        release: () => {
+          sound.pause();
+          sound.removeAttribute('src');
+          sound.load();
+          stopped = true;
+        },
+        isAlive: () => !stopped && !sound.paused
+      });
+      return sound;
+    },
+
+    /**
+     * Get an AnalyserNode fed by the room's audio element
+     * The music keeps playing through the page's own audio graph, so the
+     * analyser only listens; it is disconnected when the plugin is unloaded
+     * @param {Object} [options] - AnalyserNode options (fftSize, smoothingTimeConstant, ...)
+     * @returns {AnalyserNode} Analyser
+     */
+    createAnalyser(options = {}) {
+      requirePermission('audio');
+      const shared = getElementAudio();
+      if (!shared) throw new Error('The room has no audio element yet');
+
+      const analyser = new AnalyserNode(shared.context, options);
+      shared.source.connect(analyser);
+      analyserReleases.set(analyser, tracker.track('analyser', `AnalyserNode (fftSize ${analyser.fftSize})`, {
+        release: () => {
+          analyserReleases.delete(analyser);
+          try {
+            shared.source.disconnect(analyser);
+          } catch (e) {
+            // Already disconnected
+          }
+        }
+      }));
+      return analyser;
+    },
+
+    /**
+     * Stop feeding an analyser from createAnalyser
+     * @param {AnalyserNode} analyser - Analyser
+     */
+    disconnect(analyser) {
+      analyserReleases.get(analyser)?.();
+    }
+  };
+
+  // Sandboxed plugins can only style their own container, and can't load anything
+  const styleScope = manifest.sandbox
+    ? `.plugin-container[data-plugin-id="${pluginId}"]`
+    : `body.${scopeClass}`;
+
+  const styles = {
+    /**
+     * Add CSS that only applies while the plugin is loaded
+     * @param {string} css - Stylesheet text; selectors are scoped to the plugin
+     * @returns {Function} Removes the styles again
+     */
+    inject(css) {
+      requirePermission('styles');
+      const style = document.createElement('style');
+      style.dataset.pluginStyle = pluginId;
+      style.textContent = scopeCss(String(css), styleScope, { allowRemoteUrls: !manifest.sandbox });
+      document.head.appendChild(style);
+      return tracker.track('style', `style[data-plugin-style="${pluginId}"]`, {
+        release: () => style.remove(),
+        isAlive: () => style.isConnected
+      });
+    }
+  };
+
+  const dom = {
+    /**
+     * Add an element to the page, removed when the plugin is unloaded
+     * @param {HTMLElement} element - Element to add
+     * @param {HTMLElement} [parent] - Where to add it (defaults to the body)
+     * @returns {HTMLElement} The element
+     */
+    append(element, parent = document.body) {
+      requireActive();
+      parent.appendChild(element);
+      const id = element.id ? `#${element.id}` : '';
+      tracker.track('node', `${element.tagName?.toLowerCase() || 'node'}${id}`, {
+        release: () => element.remove(),
+        isAlive: () => element.isConnected
+      });
+      return element;
+    },
+
+    /**
+     * Add a class to the body, removed when the plugin is unloaded
+     * @param {string} className - Class name
+     * @returns {Function} Removes the class again
+     */
+    addBodyClass(className) {
+      requireActive();
+      document.body.classList.add(className);
+      return tracker.track('bodyClass', className, {
+        release: () => document.body.classList.remove(className),
+        isAlive: () => document.body.classList.contains(className)
+      });
+    },
+
+    /**
+     * Add an event listener (to window, document or any element), removed when
+     * the plugin is unloaded
+     * @param {EventTarget} target - Event target
+     * @param {string} type - Event type
+     * @param {Function} listener - Event listener
+     * @param {Object|boolean} [options] - addEventListener options
+     * @returns {Function} Removes the listener again
+     */
+    listen(target, type, listener, options) {
+      requireActive();
+      target.addEventListener(type, listener, options);
+      let attached = true;
+      return tracker.track('listener', `${type} on ${target === window ? 'window' : target === document ? 'document' : target.nodeName?.toLowerCase()}`, {
+        release: () => {
+          target.removeEventListener(type, listener, options);
+          attached = false;
+        },
+        isAlive: () => attached
+      });
+    }
+  };
+
+  // Timer IDs -> release functions, so clearing a timer stops tracking it
+  const timerReleases = new Map();
+  const frameReleases = new Map();
+
+  const timers = {
+    setTimeout(fn, delay) {
+      requireActive();
+      const id = setTimeout(() => {
+        timerReleases.get(id)?.();
+        fn();
+      }, delay);
+      timerReleases.set(id, tracker.track('timer', `timeout ${delay}ms`, {
+        release: () => {
+          clearTimeout(id);
+          timerReleases.delete(id);
+        }
+      }));
+      return id;
+    },
+
+    setInterval(fn, delay) {
+      requireActive();
+      const id = setInterval(fn, delay);
+      timerReleases.set(id, tracker.track('interval', `interval ${delay}ms`, {
+        release: () => {
+          clearInterval(id);
+          timerReleases.delete(id);
+        }
+      }));
+      return id;
+    },
+
+    // Clears timeouts and intervals alike
+    clear(id) {
+      timerReleases.get(id)?.();
+    },
+
+    requestAnimationFrame(fn) {
+      requireActive();
+      const id = requestAnimationFrame(time => {
+        frameReleases.get(id)?.();
+        fn(time);
+      });
+      frameReleases.set(id, tracker.track('animationFrame', 'animation frame', {
+        release: () => {
+          cancelAnimationFrame(id);
+          frameReleases.delete(id);
+        }
+      }));
+      return id;
+    },
+
+    cancelAnimationFrame(id) {
+      frameReleases.get(id)?.();
+    }
+  };
+
+  const keyPrefix = `${STORAGE_PREFIX}:${pluginId}:`;
+  const storage = {
+    get(key, fallback = null) {
+      try {
+        const value = localStorage.getItem(keyPrefix + key);
+        return value === null ? fallback : JSON.parse(value);
+      } catch (error) {
+        return fallback;
+      }
+    },
+    set(key, value) {
+      localStorage.setItem(keyPrefix + key, JSON.stringify(value));
+    },
+    remove(key) {
+      localStorage.removeItem(keyPrefix + key);
+    },
+    keys() {
+      return Object.keys(localStorage)
+        .filter(key => key.startsWith(keyPrefix))
+        .map(key => key.slice(keyPrefix.length));
+    },
+    clear() {
+      storage.keys().forEach(key => storage.remove(key));
+    }
+  };
+
+  let container = null;
+
+  const host = {
+    apiVersion: HOST_API_VERSION,
+    plugin: { id: pluginId, name: manifest.name, version: manifest.version },
+    permissions: [...granted],
+
+    /**
+     * Check for a permission before using an optional capability
+     * @param {string} permission - Permission name
+     * @returns {boolean} Whether the manifest grants it
+     */
+    can(permission) {
+      return granted.has(permission);
+    },
+
+    get room() {
+      requirePermission('room');
+      return room;
+    },
+
+    get audio() {
+      requirePermission('audio');
+      return audio;
+    },
+
+    get styles() {
+      requirePermission('styles');
+      return styles;
+    },
+
+    get storage() {
+      requirePermission('storage');
+      return storage;
+    },
+
+    // The plugin's settings for this room, as declared in its manifest
+    get settings() {
+      requireActive();
+      return getSettings();
+    },
+
+    dom,
+    timers,
+
+    /**
+     * Subscribe to a host event
+     * 'track-change' gets { url, title }, 'play'/'pause'/'seek' get the audio state,
+     * 'leader-change' gets { leaderId, isLeader } and 'settings-change' gets the settings
+     * @param {string} event - Event name
+     * @param {Function} handler - Event handler
+     * @returns {Function} Unsubscribe function
+     */
+    on(event, handler) {
+      if (!(event in EVENT_PERMISSIONS)) throw new Error(`Unknown host event "${event}"`);
+      const permission = EVENT_PERMISSIONS[event];
+      if (permission) {
+        requirePermission(permission);
+      } else {
+        requireActive();
+      }
+
+      let type = event;
+      let listener;
+      let capture = false;
+
+      if (MEDIA_EVENTS[event]) {
+        // Media events don't bubble, so catch them on the way down
+        type = MEDIA_EVENTS[event];
+        capture = true;
+        listener = e => {
+          if (e.target?.id === AUDIO_ELEMENT_ID) handler(audio.getState());
+        };
+      } else if (event === 'settings-change') {
+        type = SETTINGS_EVENT;
+        listener = e => {
+          if (e.detail?.roomId === roomName && e.detail.pluginId === pluginId) handler(e.detail.settings);
+        };
+      } else {
+        listener = e => {
+          if (e.detail?.roomId !== roomName) return;
+          const { roomId, ...detail } = e.detail;
+          handler(detail);
+        };
+      }
+
+      document.addEventListener(type, listener, capture);
+      let attached = true;
+      return tracker.track('listener', `host event ${event}`, {
+        release: () => {
+          document.removeEventListener(type, listener, capture);
+          attached = false;
+        },
+        isAlive: () => attached
+      });
+    },
+
+    /**
+     * Play a track for everyone in the room
+     * @param {string} url - Track URL
+     * @param {string} [title] - Track title (derived from the URL if omitted)
+     * @returns {Promise} Resolves once the track is shared
+     */
+    syncTrack(url, title = null) {
+      requirePermission('sync');
+      return syncTrack(url, title, roomName);
+    },
+
+    /**
+     * Show a toast notification
+     * @param {string} message - Text to show
+     * @param {Object} [options] - { type: 'info'|'success'|'error', duration }
+     */
+    notify(message, { type = 'info', duration = NOTIFICATION_DURATION_MS } = {}) {
+      requirePermission('notifications');
+      const notification = showNotification(`${manifest.icon || ''} ${message}`.trim(), type, duration);
+      tracker.track('node', 'notification', {
+        release: () => notification.remove(),
+        isAlive: () => notification.isConnected
+      });
+    },
+
+    /**
+     * Get an element to render the plugin's UI in, removed when the plugin is unloaded
+     * @returns {HTMLElement} Container marked with data-plugin-id
+     */
+    createContainer() {
+      requireActive();
+      if (container) return container;
+
+      container = document.createElement('div');
+      container.className = 'plugin-container';
+      container.dataset.pluginId = pluginId;
+
+      const player = document.getElementById('musicPlayer');
+      if (player && player.parentNode) {
+        player.parentNode.insertBefore(container, player);
+      } else {
+        document.body.appendChild(container);
+      }
+
+      const element = container;
+      tracker.track('node', `div.plugin-container[data-plugin-id="${pluginId}"]`, {
+        release: () => {
+          element.remove();
+          if (container === element) container = null;
+        },
+        isAlive: () => element.isConnected
+      });
+      return container;
+    },
+
+    /**
+     * Register a function to run when the plugin is unloaded, before leftovers are removed
+     * @param {Function} fn - Cleanup function
+     */
+    onCleanup(fn) {
+      if (typeof fn !== 'function') throw new Error('onCleanup needs a function');
+      tracker.onCleanup(fn);
+    }
+  };
+
+  // Usually a no-op for what the plugin created: the lifecycle has already
+  // checked and released it by the time the plugin manager disposes the host
+  async function dispose() {
+    if (disposed) return;
+    disposed = true;
+
+    await tracker.runCleanupHooks();
+    tracker.releaseAll();
+
+    while (disposers.length > 0) {
+      try {
+        disposers.pop()();
+      } catch (error) {
+        console.error(`[PluginHost] Error cleaning up ${pluginId}:`, error);
+      }
+    }
+
+    if (DEBUG) console.log(`[PluginHost] Released host for ${pluginId}`);
+  }
+
+  return { host: Object.freeze(host), dispose, tracker };
+}
+
+// Export module
+export default {
+  HOST_API_VERSION,
+  createPluginHost,
+  scopeCss
+};
@@ -1,18 +1,124 @@
 // pluginLifecycle.js - Plugin lifecycle management for RydeSync
 // Ensures proper plugin initialization and cleanup
+// Plugins can also run sandboxed: in an iframe with an opaque origin, talking to
+// their host over the postMessage protocol in pluginSandboxProtocol.js
+// Everything a plugin creates through its host is tracked by a resource tracker;
+// whatever is still alive after the plugin's own cleanup is removed and reported
+
+import {
+  SANDBOX_PROTOCOL_VERSION,
+  MESSAGE_TYPES,
+  METHODS,
+  validateRequest,
+  serializeError
+} from './pluginSandboxProtocol.js';
 
 // Debug mode
 const DEBUG = true;
 
+// Sandbox settings
+const SANDBOX_RUNTIME_PATH = '/src/pluginSandboxRuntime.js';
+const SANDBOX_READY_TIMEOUT_MS = 10000;
+const SANDBOX_CLEANUP_TIMEOUT_MS = 2000;
+const SANDBOX_MAX_HEIGHT = 2000;
+
 // Plugin state
 const activePlugins = new Map();
 let activeCleanupHandlers = new Map();
+const teardownReports = new Map(); // pluginId -> leftovers found at its last cleanup
+
+/**
+ * Create a tracker for the resources a plugin holds
+ * The plugin host registers every node, style, listener, timer, animation frame
+ * and AudioContext it creates for the plugin here
+ * @param {string} pluginId - ID of the plugin
+ * @returns {Object} Resource tracker
+ */
+export function createResourceTracker(pluginId) {
+  const resources = new Set(); // { kind, label, release, isAlive }
+  const cleanupHooks = [];
+  
+  function releaseResource(resource) {
+    if (!resources.delete(resource)) return;
+    try {
+      resource.release();
+    } catch (error) {
+      console.error(`🧹 Could not release ${resource.kind} ${resource.label} of ${pluginId}:`, error);
+    }
+  }
+  
+  return {
+    pluginId,
+    
+    /**
+     * Track a resource
+     * @param {string} kind - 'node', 'style', 'listener', 'timer', 'interval', 'animationFrame',
+     *   'audioContext', 'analyser', 'sound' or 'bodyClass'
+     * @param {string} label - Description for leak reports
+     * @param {Object} handlers - { release, isAlive }
+     * @returns {Function} Releases the resource and stops tracking it
+     */
+    track(kind, label, { release, isAlive = () => true }) {
+      const resource = { kind, label, release, isAlive };
+      resources.add(resource);
+      return () => releaseResource(resource);
+    },
+    
+    onCleanup(fn) {
+      cleanupHooks.push(fn);
+    },
+    
+    async runCleanupHooks() {
+      while (cleanupHooks.length > 0) {
+        try {
+          await cleanupHooks.pop()();
+        } catch (error) {
+          console.error(`🧹 Error in cleanup hook of ${pluginId}:`, error);
+        }
+      }
+    },
+    
+    /**
+     * Count live resources by kind
+     * @returns {Object} kind -> count
+     */
+    summary() {
+      const counts = {};
+      resources.forEach(resource => {
+        if (!resource.isAlive()) return;
+        counts[resource.kind] = (counts[resource.kind] || 0) + 1;
+      });
+      return counts;
+    },
+    
+    /**
+     * Remove every resource that is still alive, newest first
+     * @returns {Array} { kind, label } of what had to be removed
+     */
+    releaseAll() {
+      const leftovers = [];
+      [...resources].reverse().forEach(resource => {
+        if (resource.isAlive()) {
+          leftovers.push({ kind: resource.kind, label: resource.label });
+        }
+        releaseResource(resource);
+      });
+      return leftovers;
+    }
+  };
+}
 
 /**
  * Initialize a plugin with proper lifecycle management
- * @param {Object} plugin - The plugin object with initializePlugin and cleanupPlugin methods
+ * @param {Object} plugin - The plugin object with initializePlugin and cleanupPlugin methods,
+ *   or { id, manifest } in sandbox mode
  * @param {HTMLElement} container - The container element to render the plugin in
+ *   (optional for plugins started with a host, which can ask it for one)
  * @param {Object} options - Additional initialization options
+ * @param {Object} [options.host] - Plugin host (pluginHost.js); the plugin is called with
+ *   initializePlugin(host) instead of (container, options)
+ * @param {Object} [options.tracker] - The host's resource tracker, checked for leftovers on cleanup
+ * @param {boolean} [options.sandbox] - Run the plugin's manifest entry in a sandboxed iframe
  * @returns {Promise<boolean>} Success status
  */
 export async function initializePlugin(plugin, container, options = {}) {
@@ -21,7 +127,7 @@ export async function initializePlugin(plugin, container, options = {}) {
     return false;
   }
   
-  if (!container || !(container instanceof HTMLElement)) {
+  if ((container || !options.host) && !(container instanceof HTMLElement)) {
     console.error(`❌ Invalid container for plugin ${plugin.id}`);
     return false;
   }
@@ -36,32 +142,49 @@ export async function initializePlugin(plugin, container, options = {}) {
     if (DEBUG) console.log(`🚀 Initializing plugin: ${plugin.id}`);
     
     // Set dataset attributes for CSS targeting
-    container.dataset.pluginId = plugin.id;
-    container.dataset.pluginActive = "true";
+    if (container) {
+      container.dataset.pluginId = plugin.id;
+      container.dataset.pluginActive = "true";
+    }
     
     // Initialize the plugin
-    const result = await plugin.initializePlugin(container, options);
+    const { tracker } = options;
+    let result;
+    let sandboxTeardown = null;
+    if (options.sandbox) {
+      sandboxTeardown = await startSandbox(plugin, container, options.host);
+      result = true;
+    } else if (options.host) {
+      result = (await plugin.initializePlugin(options.host)) !== false;
+      if (!result) tracker?.releaseAll();
+    } else {
+      result = await plugin.initializePlugin(container, options);
+    }
     
     // Register plugin as active
     activePlugins.set(plugin.id, {
       plugin,
       container,
       options,
+      tracker,
       startTime: Date.now()
     });
     
     // Set up DOM cleanup
-    const styleCleanup = setupPluginStyleIsolation(plugin.id, container);
+    const styleCleanup = container ? setupPluginStyleIsolation(plugin.id, container) : null;
     
     // Register cleanup handlers
     activeCleanupHandlers.set(plugin.id, [
       // Function to remove dataset attributes
       () => {
+        if (!container) return;
         container.removeAttribute('data-plugin-id');
         container.removeAttribute('data-plugin-active');
       },
       // Function to clean up styles
       styleCleanup,
+      // Function to tear down the sandbox iframe and its bridge
+      sandboxTeardown,
       // Add any additional cleanup handlers here
     ]);
     
@@ -70,10 +193,28 @@ export async function initializePlugin(plugin, container, options = {}) {
     return result;
   } catch (error) {
     console.error(`❌ Error initializing plugin ${plugin.id}:`, error);
+    options.tracker?.releaseAll();
     return false;
   }
 }
 
+/**
+ * Run the plugin's cleanup hooks, then remove whatever it still holds
+ * @param {string} pluginId - ID of the plugin
+ * @param {Object} tracker - The plugin host's resource tracker
+ */
+async function verifyTeardown(pluginId, tracker) {
+  await tracker.runCleanupHooks();
+  const leftovers = tracker.releaseAll();
+  
+  teardownReports.set(pluginId, { cleanedUpAt: Date.now(), leftovers });
+  
+  if (leftovers.length > 0) {
+    console.warn(`🧹 Plugin ${pluginId} left ${leftovers.length} resource(s) behind, removed them:`,
+      leftovers.map(({ kind, label }) => `${kind} ${label}`).join(', '));
+  }
+}
+
 /**
  * Clean up a plugin when it's deactivated
  * @param {string} pluginId - ID of the plugin to clean up
@@ -92,7 +233,11 @@ export async function cleanupPlugin(pluginId) {
     
     // Call plugin's own cleanup method if it exists
     if (typeof plugin.cleanupPlugin === 'function') {
-      await plugin.cleanupPlugin(container);
+      try {
+        await plugin.cleanupPlugin(container);
+      } catch (error) {
+        console.error(`❌ Error in cleanupPlugin of ${pluginId}:`, error);
+      }
     }
     
     // Run registered cleanup handlers
@@ -108,6 +253,12 @@ export async function cleanupPlugin(pluginId) {
       activeCleanupHandlers.delete(pluginId);
     }
     
+    // Force-remove anything the plugin's cleanup missed
+    const { tracker } = activePlugins.get(pluginId);
+    if (tracker) {
+      await verifyTeardown(pluginId, tracker);
+    }
+    
     // Clear container
     if (container) {
       container.innerHTML = '';
@@ -123,6 +274,7 @@ export async function cleanupPlugin(pluginId) {
     console.error(`❌ Error cleaning up plugin ${pluginId}:`, error);
     
     // Still remove from active plugins even if cleanup fails
+    activePlugins.get(pluginId)?.tracker?.releaseAll();
     activePlugins.delete(pluginId);
     activeCleanupHandlers.delete(pluginId);
     
@@ -197,6 +349,207 @@ function setupPluginStyleIsolation(pluginId, container) {
   };
 }
 
+/**
+ * Build the document loaded into a plugin's sandbox iframe
+ * The CSP leaves scripts from our origin and nothing else, so the plugin can't
+ * reach the network except through its host
+ * @returns {string} srcdoc HTML
+ */
+function buildSandboxDocument() {
+  const origin = location.origin;
+  const csp = [
+    "default-src 'none'",
+    `script-src ${origin}`,
+    `style-src ${origin} 'unsafe-inline'`,
+    `img-src ${origin} data: blob:`,
+    `font-src ${origin}`,
+    `media-src ${origin} blob:`
+  ].join('; ');
+
+  return `<!DOCTYPE html>
+<html>
+<head>
+  <meta charset="utf-8">
+  <meta http-equiv="Content-Security-Policy" content="${csp}">
+  <style>html, body { margin: 0; background: transparent; font-family: system-ui, sans-serif; }</style>
+  <script type="module" src="${origin}${SANDBOX_RUNTIME_PATH}"></script>
+</head>
+<body></body>
+</html>`;
+}
+
+/**
+ * Run a plugin in a sandboxed iframe, bridged to its host
+ * @param {Object} plugin - { id, manifest }
+ * @param {HTMLElement} container - Element the iframe goes in
+ * @param {Object} host - Plugin host from createPluginHost
+ * @returns {Promise<Function>} Teardown function (async)
+ */
+async function startSandbox(plugin, container, host) {
+  if (!plugin.manifest || !host) {
+    throw new Error(`Sandboxed plugin ${plugin.id} needs a manifest and a host`);
+  }
+  
+  const iframe = document.createElement('iframe');
+  iframe.setAttribute('sandbox', 'allow-scripts');
+  iframe.className = 'plugin-sandbox';
+  iframe.title = plugin.manifest.name || plugin.id;
+  iframe.style.cssText = 'width: 100%; height: 0; border: none; display: block;';
+  iframe.srcdoc = buildSandboxDocument();
+  
+  const { port1: port, port2: pluginPort } = new MessageChannel();
+  const subscriptions = new Map(); // plugin subscription id -> unsubscribe
+  const injectedStyles = new Map(); // plugin style id -> remove
+  let onReady = null;
+  let onCleaned = null;
+  let closed = false;
+  
+  // Requests are checked against the method table and the manifest's permissions
+  // here; the host checks permissions again for everything it exposes
+  async function handleRequest(method, params) {
+    const { permission } = METHODS[method];
+    if (permission && !host.can(permission)) {
+      const error = new Error(`Plugin ${plugin.id} needs the "${permission}" permission in its manifest`);
+      error.code = 'permission-denied';
+      throw error;
+    }
+    
+    switch (method) {
+      case 'room.get':
+        return {
+          name: host.room.name,
+          peerId: host.room.peerId,
+          isLeader: host.room.isLeader(),
+          leaderId: host.room.getLeader()
+        };
+      case 'audio.getState':
+        return host.audio.getState();
+      case 'events.subscribe':
+        if (subscriptions.has(params.id)) return false;
+        subscriptions.set(params.id, host.on(params.event, detail => {
+          if (!closed) port.postMessage({ type: MESSAGE_TYPES.EVENT, subscription: params.id, event: params.event, detail });
+        }));
+        return true;
+      case 'events.unsubscribe':
+        subscriptions.get(params.id)?.();
+        return subscriptions.delete(params.id);
+      case 'syncTrack':
+        await host.syncTrack(params.url, params.title);
+        return true;
+      case 'notify':
+        host.notify(params.message, {
+          ...(params.type ? { type: params.type } : {}),
+          ...(params.duration ? { duration: params.duration } : {})
+        });
+        return true;
+      case 'styles.inject':
+        injectedStyles.get(params.id)?.();
+        injectedStyles.set(params.id, host.styles.inject(params.css));
+        return true;
+      case 'styles.remove':
+        injectedStyles.get(params.id)?.();
+        return injectedStyles.delete(params.id);
+      case 'storage.get':
+        return host.storage.get(params.key);
+      case 'storage.set':
+        host.storage.set(params.key, params.value);
+        return true;
+      case 'storage.remove':
+        host.storage.remove(params.key);
+        return true;
+      case 'storage.keys':
+        return host.storage.keys();
+      case 'storage.clear':
+        host.storage.clear();
+        return true;
+      case 'ui.resize':
+        iframe.style.height = `${Math.max(0, Math.min(SANDBOX_MAX_HEIGHT, Math.round(params.height)))}px`;
+        return true;
+    }
+  }
+  
+  port.onmessage = async (event) => {
+    const message = event.data;
+    if (closed || !message) return;
+    
+    if (message.type === MESSAGE_TYPES.READY) {
+      onReady?.(message.error);
+      return;
+    }
+    if (message.type === MESSAGE_TYPES.CLEANED) {
+      onCleaned?.();
+      return;
+    }
+    if (message.type !== MESSAGE_TYPES.REQUEST) return;
+    
+    const problem = validateRequest(message);
+    if (problem) {
+      port.postMessage({ type: MESSAGE_TYPES.RESPONSE, id: message.id, error: { message: problem, code: 'bad-request' } });
+      return;
+    }
+    
+    try {
+      const result = await handleRequest(message.method, message.params || {});
+      if (!closed) port.postMessage({ type: MESSAGE_TYPES.RESPONSE, id: message.id, result: result ?? null });
+    } catch (error) {
+      if (!closed) port.postMessage({ type: MESSAGE_TYPES.RESPONSE, id: message.id, error: serializeError(error) });
+    }
+  };
+  
+  async function teardown() {
+    if (closed) return;
+    
+    // Give the plugin a moment to run its own cleanup
+    await new Promise(resolve => {
+      const timer = setTimeout(resolve, SANDBOX_CLEANUP_TIMEOUT_MS);
+      onCleaned = () => {
+        clearTimeout(timer);
+        resolve();
+      };
+      port.postMessage({ type: MESSAGE_TYPES.CLEANUP });
+    });
+    
+    // Subscriptions and styles the plugin didn't release are its host's
+    // resources, so the teardown check reports and removes them
+    closed = true;
+    port.close();
+    iframe.remove();
+    
+    if (DEBUG) console.log(`🧱 Sandbox for ${plugin.id} torn down`);
+  }
+  
+  container.appendChild(iframe);
+  await new Promise(resolve => iframe.addEventListener('load', resolve, { once: true }));
+  
+  try {
+    await new Promise((resolve, reject) => {
+      const timer = setTimeout(() => reject(new Error(`Sandboxed plugin ${plugin.id} did not start in time`)), SANDBOX_READY_TIMEOUT_MS);
+      onReady = (error) => {
+        clearTimeout(timer);
+        if (error) reject(new Error(`Sandboxed plugin ${plugin.id} failed to start: ${error.message}`));
+        else resolve();
+      };
+      
+      iframe.contentWindow.postMessage({
+        type: MESSAGE_TYPES.INIT,
+        version: SANDBOX_PROTOCOL_VERSION,
+        apiVersion: host.apiVersion,
+        origin: location.origin,
+        manifest: plugin.manifest,
+        room: host.can('room') ? { name: host.room.name, peerId: host.room.peerId } : null,
+        permissions: host.permissions,
+        settings: host.settings
+      }, '*', [pluginPort]);
+    });
+  } catch (error) {
+    await teardown();
+    throw error;
+  }
+  
+  if (DEBUG) console.log(`🧱 Plugin ${plugin.id} running sandboxed`);
+  return teardown;
+}
+
 /**
  * Get the currently active plugins
  * @returns {Array} Array of active plugin IDs
@@ -207,6 +560,8 @@ export function getActivePlugins() {
 
 /**
  * Get detailed information about active plugins
+ * resources counts what each plugin holds through its host and lastTeardown what its
+ * previous cleanup left behind
  * @returns {Array} Array of active plugin details
  */
 export function getActivePluginDetails() {
@@ -215,10 +570,22 @@ export function getActivePluginDetails() {
     name: info.plugin.name || id,
     version: info.plugin.version || 'unknown',
     activeFor: Date.now() - info.startTime,
-    container: info.container
+    container: info.container,
+    sandboxed: !!info.options.sandbox,
+    resources: info.tracker ? info.tracker.summary() : null,
+    lastTeardown: teardownReports.get(id) || null
   }));
 }
 
+/**
+ * Get what a plugin's last cleanup left behind
+ * @param {string} pluginId - ID of the plugin
+ * @returns {Object|null} { cleanedUpAt, leftovers: [{ kind, label }] }
+ */
+export function getTeardownReport(pluginId) {
+  return teardownReports.get(pluginId) || null;
+}
+
 /**
  * Check if a plugin is currently active
  * @param {string} pluginId - ID of the plugin to check
@@ -235,5 +602,7 @@ export default {
   cleanupAllPlugins,
   getActivePlugins,
   getActivePluginDetails,
-  isPluginActive
+  getTeardownReport,
+  isPluginActive,
+  createResourceTracker
 }; 
\ No newline at end of file
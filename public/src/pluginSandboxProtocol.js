@@ -0,0 +1,87 @@
+// pluginSandboxProtocol.js - Messages between RydeSync and sandboxed plugins
+// Shared by the page side (pluginLifecycle.js) and the runtime inside the
+// plugin's iframe (pluginSandboxRuntime.js), so both agree on every message
+
+export const SANDBOX_PROTOCOL_VERSION = 1;
+
+// Message types
+export const MESSAGE_TYPES = {
+  INIT: 'init',         // page -> plugin, over window.postMessage with the MessagePort for the rest
+  READY: 'ready',       // plugin -> page: initializePlugin finished, or { error }
+  REQUEST: 'request',   // plugin -> page: { id, method, params }
+  RESPONSE: 'response', // page -> plugin: { id, result } or { id, error: { message, code } }
+  EVENT: 'event',       // page -> plugin: { subscription, event, detail }
+  CLEANUP: 'cleanup',   // page -> plugin: run cleanupPlugin and onCleanup hooks
+  CLEANED: 'cleaned'    // plugin -> page: cleanup finished, the iframe can go
+};
+
+// RPC methods, the manifest permission each needs (null: always allowed) and
+// their parameter types ('?' marks optional parameters)
+// events.subscribe is checked against the permission of the event itself
+export const METHODS = {
+  'room.get': { permission: 'room', params: {} },
+  'audio.getState': { permission: 'audio', params: {} },
+  'events.subscribe': { permission: null, params: { id: 'number', event: 'string' } },
+  'events.unsubscribe': { permission: null, params: { id: 'number' } },
+  'syncTrack': { permission: 'sync', params: { url: 'string', title: 'string?' } },
+  'notify': { permission: 'notifications', params: { message: 'string', type: 'string?', duration: 'number?' } },
+  'styles.inject': { permission: 'styles', params: { id: 'number', css: 'string' } },
+  'styles.remove': { permission: 'styles', params: { id: 'number' } },
+  'storage.get': { permission: 'storage', params: { key: 'string' } },
+  'storage.set': { permission: 'storage', params: { key: 'string', value: 'any' } },
+  'storage.remove': { permission: 'storage', params: { key: 'string' } },
+  'storage.keys': { permission: 'storage', params: {} },
+  'storage.clear': { permission: 'storage', params: {} },
+  'ui.resize': { permission: null, params: { height: 'number' } }
+};
+
+/**
+ * Check a request against the method table
+ * @param {Object} message - REQUEST message
+ * @returns {string|null} Problem with the request, or null if it is well-formed
+ */
+export function validateRequest(message) {
+  if (!message || typeof message.id !== 'number') return 'Request needs a numeric id';
+
+  const method = METHODS[message.method];
+  if (!method) return `Unknown method "${message.method}"`;
+
+  const params = message.params || {};
+  if (typeof params !== 'object' || Array.isArray(params)) return 'params must be an object';
+
+  for (const [name, type] of Object.entries(method.params)) {
+    const optional = type.endsWith('?');
+    const expected = optional ? type.slice(0, -1) : type;
+    const value = params[name];
+
+    if (value === undefined || value === null) {
+      if (!optional && expected !== 'any') return `${message.method} needs ${name}`;
+      continue;
+    }
+    if (expected !== 'any' && typeof value !== expected) {
+      return `${message.method}: ${name} must be a ${expected}`;
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Turn an error into something that survives postMessage
+ * @param {Error} error - Error to send
+ * @returns {Object} { message, code }
+ */
+export function serializeError(error) {
+  return {
+    message: error?.message || String(error),
+    code: error?.code || 'plugin-host-error'
+  };
+}
+
+export default {
+  SANDBOX_PROTOCOL_VERSION,
+  MESSAGE_TYPES,
+  METHODS,
+  validateRequest,
+  serializeError
+};
@@ -0,0 +1,250 @@
+// pluginSandboxRuntime.js - Runs inside a sandboxed plugin's iframe
+// Waits for the page to hand over a MessagePort, imports the plugin and calls
+// initializePlugin(host) with a host that forwards every call to the page.
+// The iframe has an opaque origin, so this bridge is the plugin's only way out
+
+import { MESSAGE_TYPES, SANDBOX_PROTOCOL_VERSION } from './pluginSandboxProtocol.js';
+
+let port = null;
+let pluginModule = null;
+let nextRequestId = 1;
+let nextLocalId = 1;
+
+const pendingRequests = new Map(); // requestId -> { resolve, reject }
+const eventHandlers = new Map(); // subscription id -> handler
+const cleanupHooks = [];
+let settings = {};
+
+/**
+ * Call a host method on the page
+ * @param {string} method - Method from METHODS in pluginSandboxProtocol.js
+ * @param {Object} params - Method parameters
+ * @returns {Promise<*>} Method result
+ */
+function call(method, params = {}) {
+  if (!port) return Promise.reject(new Error('Plugin sandbox is not connected'));
+
+  const id = nextRequestId++;
+  return new Promise((resolve, reject) => {
+    pendingRequests.set(id, { resolve, reject });
+    port.postMessage({ type: MESSAGE_TYPES.REQUEST, id, method, params });
+  });
+}
+
+/**
+ * Build the host handed to the plugin
+ * Mirrors the page's host API (pluginHost.js), except that anything answered
+ * by the page returns a promise; dom, timers and audio contexts are the
+ * iframe's own, so they go with it
+ * @param {Object} init - INIT message
+ * @returns {Object} Host
+ */
+function createSandboxHost({ apiVersion, manifest, room, permissions }) {
+  const host = Object.freeze({
+    apiVersion,
+    sandboxed: true,
+    plugin: { id: manifest.id, name: manifest.name, version: manifest.version },
+    permissions: [...permissions],
+
+    can(permission) {
+      return permissions.includes(permission);
+    },
+
+    room: Object.freeze({
+      name: room?.name || null,
+      peerId: room?.peerId || null,
+      isLeader: () => call('room.get').then(state => state.isLeader),
+      getLeader: () => call('room.get').then(state => state.leaderId)
+    }),
+
+    audio: Object.freeze({
+      getState: () => call('audio.getState'),
+      createContext: options => new (window.AudioContext || window.webkitAudioContext)(options),
+      createSound: (url, { volume = 1, loop = false } = {}) => Object.assign(new Audio(url), { volume, loop })
+    }),
+
+    dom: Object.freeze({
+      append: (element, parent = document.body) => parent.appendChild(element),
+      addBodyClass(className) {
+        document.body.classList.add(className);
+        return () => document.body.classList.remove(className);
+      },
+      listen(target, type, listener, options) {
+        target.addEventListener(type, listener, options);
+        return () => target.removeEventListener(type, listener, options);
+      }
+    }),
+
+    timers: Object.freeze({
+      setTimeout: (fn, delay) => setTimeout(fn, delay),
+      setInterval: (fn, delay) => setInterval(fn, delay),
+      clear(id) {
+        clearTimeout(id);
+        clearInterval(id);
+      },
+      requestAnimationFrame: fn => requestAnimationFrame(fn),
+      cancelAnimationFrame: id => cancelAnimationFrame(id)
+    }),
+
+    on(event, handler) {
+      const id = nextLocalId++;
+      eventHandlers.set(id, handler);
+      call('events.subscribe', { id, event }).catch(error => {
+        eventHandlers.delete(id);
+        console.error(`[PluginSandbox] Could not subscribe to ${event}:`, error);
+      });
+
+      return () => {
+        if (!eventHandlers.delete(id)) return;
+        call('events.unsubscribe', { id }).catch(() => {});
+      };
+    },
+
+    syncTrack: (url, title = null) => call('syncTrack', { url, title }),
+
+    notify: (message, { type, duration } = {}) => call('notify', { message, type, duration }),
+
+    styles: Object.freeze({
+      inject(css) {
+        const id = nextLocalId++;
+        call('styles.inject', { id, css: String(css) }).catch(error => {
+          console.error('[PluginSandbox] Could not inject styles:', error);
+        });
+        return () => call('styles.remove', { id }).catch(() => {});
+      }
+    }),
+
+    // Kept current from settings-change events, so reading it doesn't need the page
+    get settings() {
+      return settings;
+    },
+
+    storage: Object.freeze({
+      get: (key, fallback = null) => call('storage.get', { key }).then(value => value ?? fallback),
+      set: (key, value) => call('storage.set', { key, value }),
+      remove: key => call('storage.remove', { key }),
+      keys: () => call('storage.keys'),
+      clear: () => call('storage.clear')
+    }),
+
+    // The iframe is the plugin's container
+    createContainer() {
+      return document.body;
+    },
+
+    onCleanup(fn) {
+      if (typeof fn !== 'function') throw new Error('onCleanup needs a function');
+      cleanupHooks.push(fn);
+    }
+  });
+
+  host.on('settings-change', values => {
+    settings = values;
+  });
+  return host;
+}
+
+function pickExport(name) {
+  return pluginModule?.[name] || pluginModule?.default?.[name];
+}
+
+/**
+ * Import and start the plugin
+ * @param {Object} init - INIT message
+ */
+async function startPlugin(init) {
+  try {
+    if (init.version !== SANDBOX_PROTOCOL_VERSION) {
+      throw new Error(`Unsupported sandbox protocol version ${init.version}`);
+    }
+
+    settings = init.settings || {};
+    pluginModule = await import(new URL(init.manifest.entryUrl, init.origin).href);
+
+    const initialize = pickExport('initializePlugin');
+    if (typeof initialize !== 'function') {
+      throw new Error(`Plugin ${init.manifest.id} does not export initializePlugin`);
+    }
+
+    await initialize(createSandboxHost(init));
+
+    // Let the page size the iframe to the plugin's UI
+    new ResizeObserver(() => {
+      call('ui.resize', { height: document.documentElement.scrollHeight }).catch(() => {});
+    }).observe(document.body);
+
+    port.postMessage({ type: MESSAGE_TYPES.READY });
+  } catch (error) {
+    port.postMessage({ type: MESSAGE_TYPES.READY, error: { message: error.message } });
+  }
+}
+
+/**
+ * Run the plugin's cleanup before the page removes the iframe
+ */
+async function cleanup() {
+  while (cleanupHooks.length > 0) {
+    try {
+      await cleanupHooks.pop()();
+    } catch (error) {
+      console.error('[PluginSandbox] Error in cleanup hook:', error);
+    }
+  }
+
+  const cleanupPlugin = pickExport('cleanupPlugin');
+  if (typeof cleanupPlugin === 'function') {
+    try {
+      await cleanupPlugin();
+    } catch (error) {
+      console.error('[PluginSandbox] Error cleaning up plugin:', error);
+    }
+  }
+
+  port.postMessage({ type: MESSAGE_TYPES.CLEANED });
+}
+
+function handlePortMessage(message) {
+  if (!message) return;
+
+  switch (message.type) {
+    case MESSAGE_TYPES.RESPONSE: {
+      const pending = pendingRequests.get(message.id);
+      if (!pending) return;
+      pendingRequests.delete(message.id);
+
+      if (message.error) {
+        const error = new Error(message.error.message);
+        error.code = message.error.code;
+        pending.reject(error);
+      } else {
+        pending.resolve(message.result);
+      }
+      break;
+    }
+
+    case MESSAGE_TYPES.EVENT: {
+      const handler = eventHandlers.get(message.subscription);
+      if (!handler) return;
+      try {
+        handler(message.detail);
+      } catch (error) {
+        console.error(`[PluginSandbox] Error in ${message.event} handler:`, error);
+      }
+      break;
+    }
+
+    case MESSAGE_TYPES.CLEANUP:
+      cleanup();
+      break;
+  }
+}
+
+// The page introduces itself once, handing over the port all other messages use
+window.addEventListener('message', (event) => {
+  if (port || event.source !== window.parent) return;
+  if (event.data?.type !== MESSAGE_TYPES.INIT || !event.ports[0]) return;
+
+  port = event.ports[0];
+  port.onmessage = (e) => handlePortMessage(e.data);
+  startPlugin(event.data);
+});
@@ -0,0 +1,201 @@
+// pluginSettings.js - Per-room plugin settings
+// Plugins declare typed settings in their manifest ("settings"); the values a
+// room's leader picks are stored on the room document under
+// pluginSettings.<pluginId> and handed to the plugin through its host
+
+const PANEL_ID = 'pluginSettingsPanel';
+
+/**
+ * Check a value against a setting definition
+ * (the server checks manifest defaults with the same rules in pluginManifest.js)
+ * @param {Object} setting - Setting definition from a manifest
+ * @param {*} value - Value to check
+ * @returns {boolean} Whether the value fits the setting
+ */
+export function isValidSettingValue(setting, value) {
+  switch (setting.type) {
+    case 'boolean':
+      return typeof value === 'boolean';
+    case 'number':
+      return Number.isFinite(value) &&
+        (setting.min === undefined || value >= setting.min) &&
+        (setting.max === undefined || value <= setting.max);
+    case 'string':
+      return typeof value === 'string';
+    case 'select':
+      return Array.isArray(setting.options) && setting.options.includes(value);
+    default:
+      return false;
+  }
+}
+
+/**
+ * Work out a plugin's settings for a room
+ * Stored values that don't fit the schema (or settings the plugin no longer
+ * declares) are ignored, so anything on the room document is safe to use
+ * @param {Object} schema - Manifest settings
+ * @param {Object} [stored] - Values from the room document
+ * @returns {Object} Every declared setting, with its stored value or default
+ */
+export function resolveSettings(schema = {}, stored = {}) {
+  const values = {};
+  Object.entries(schema).forEach(([key, setting]) => {
+    values[key] = stored && isValidSettingValue(setting, stored[key]) ? stored[key] : setting.default;
+  });
+  return Object.freeze(values);
+}
+
+/**
+ * Build the input for one setting
+ * @param {string} key - Setting key
+ * @param {Object} setting - Setting definition
+ * @param {*} value - Current value
+ * @returns {HTMLElement} Input element
+ */
+function createInput(key, setting, value) {
+  let input;
+
+  if (setting.type === 'select') {
+    input = document.createElement('select');
+    setting.options.forEach(option => input.add(new Option(option, option)));
+    input.value = value;
+  } else {
+    input = document.createElement('input');
+    if (setting.type === 'boolean') {
+      input.type = 'checkbox';
+      input.checked = value;
+    } else if (setting.type === 'number') {
+      input.type = 'number';
+      if (setting.min !== undefined) input.min = setting.min;
+      if (setting.max !== undefined) input.max = setting.max;
+      input.value = value;
+    } else {
+      input.type = 'text';
+      input.value = value;
+    }
+  }
+
+  input.name = key;
+  return input;
+}
+
+function readInput(input, setting) {
+  if (setting.type === 'boolean') return input.checked;
+  if (setting.type === 'number') return input.valueAsNumber;
+  return input.value;
+}
+
+/**
+ * Mount the leader's settings panel for the room's plugins
+ * @param {Object} options - Panel options
+ * @param {string} options.roomName - Room the panel configures
+ * @param {Array} options.plugins - { id, name, schema } of each running plugin with settings
+ * @param {Function} options.getValues - (pluginId) => current settings
+ * @param {Function} options.isLeader - Whether we lead the room right now
+ * @param {Function} options.onChange - (pluginId, key, value) => Promise, saves a value
+ * @returns {Object} { refresh(), destroy() }
+ */
+export function mountSettingsPanel({ roomName, plugins, getValues, isLeader, onChange }) {
+  document.getElementById(PANEL_ID)?.remove();
+
+  const panel = document.createElement('details');
+  panel.id = PANEL_ID;
+  panel.style.cssText = `
+    position: fixed;
+    top: 50px;
+    right: 10px;
+    z-index: 1001;
+    max-width: 280px;
+    padding: 6px 10px;
+    background: rgba(0, 0, 0, 0.7);
+    color: #fff;
+    border-radius: 6px;
+    font-size: 0.85rem;
+  `;
+
+  const summary = document.createElement('summary');
+  summary.textContent = '⚙️ Room settings';
+  summary.style.cursor = 'pointer';
+  panel.appendChild(summary);
+
+  const inputs = []; // { pluginId, key, setting, input }
+
+  plugins.forEach(({ id, name, schema }) => {
+    const section = document.createElement('fieldset');
+    section.style.cssText = 'border: 1px solid rgba(255, 255, 255, 0.2); margin: 6px 0; padding: 6px;';
+
+    const legend = document.createElement('legend');
+    legend.textContent = name;
+    section.appendChild(legend);
+
+    const values = getValues(id);
+    Object.entries(schema).forEach(([key, setting]) => {
+      const row = document.createElement('label');
+      row.style.cssText = 'display: flex; justify-content: space-between; align-items: center; gap: 8px; margin: 4px 0;';
+      if (setting.description) row.title = setting.description;
+
+      const input = createInput(key, setting, values[key]);
+      input.addEventListener('change', async () => {
+        const value = readInput(input, setting);
+        if (!isValidSettingValue(setting, value)) {
+          alert(`${setting.label} can't be set to that value`);
+          refresh();
+          return;
+        }
+
+        input.disabled = true;
+        try {
+          await onChange(id, key, value);
+        } catch (error) {
+          console.error(`⚙️ Could not save ${id} setting ${key}:`, error);
+          alert(`Could not save ${setting.label}: ${error.message}`);
+          refresh();
+        } finally {
+          input.disabled = false;
+        }
+      });
+
+      row.append(document.createTextNode(setting.label), input);
+      section.appendChild(row);
+      inputs.push({ pluginId: id, key, setting, input });
+    });
+
+    panel.appendChild(section);
+  });
+
+  document.body.appendChild(panel);
+
+  // Show the room's values, after they changed on the room document or a save failed
+  function refresh() {
+    panel.style.display = isLeader() ? 'block' : 'none';
+    inputs.forEach(({ pluginId, key, setting, input }) => {
+      const value = getValues(pluginId)[key];
+      if (setting.type === 'boolean') {
+        input.checked = value;
+      } else {
+        input.value = value;
+      }
+    });
+  }
+
+  const handleLeaderChange = (event) => {
+    if (event.detail?.roomId === roomName) refresh();
+  };
+  document.addEventListener('leader-change', handleLeaderChange);
+  refresh();
+
+  return {
+    refresh,
+
+    destroy() {
+      document.removeEventListener('leader-change', handleLeaderChange);
+      panel.remove();
+    }
+  };
+}
+
+export default {
+  isValidSettingValue,
+  resolveSettings,
+  mountSettingsPanel
+};
@@ -0,0 +1,171 @@
+// queuePanel.js - Shared queue list for the music player
+// Shows what's playing and up next, who added each track and its votes;
+// everyone can vote, the room leader can also move and remove tracks
+
+import { getCurrentIndex, getScore, getRemovalThreshold } from './roomQueue.js';
+
+const PANEL_ID = 'roomQueue';
+
+/**
+ * Name to show for a participant
+ * @param {Object} addedBy - { id, name } from a queue entry
+ * @param {string} selfId - Our participant ID
+ * @returns {string} Display name
+ */
+function describeRider(addedBy, selfId) {
+  if (!addedBy?.id) return 'someone';
+  if (addedBy.id === selfId) return 'you';
+  return addedBy.name || `Rider ${addedBy.id.slice(-4)}`;
+}
+
+function createButton(label, title, onClick) {
+  const button = document.createElement('button');
+  button.type = 'button';
+  button.className = 'queue-action';
+  button.textContent = label;
+  button.title = title;
+  button.addEventListener('click', async (event) => {
+    event.stopPropagation();
+    button.disabled = true;
+    try {
+      await onClick();
+    } catch (error) {
+      console.error(`[Queue] ${title} failed:`, error);
+    } finally {
+      button.disabled = false;
+    }
+  });
+  return button;
+}
+
+/**
+ * Mount the queue list in the music player
+ * @param {Object} options - Panel options
+ * @param {string} options.roomName - Room the queue belongs to
+ * @param {Function} options.getSelfId - () => our participant ID
+ * @param {Function} options.isLeader - () => whether we lead the room
+ * @param {Function} options.onVote - (entryId, vote) => Promise
+ * @param {Function} options.onMove - (entryId, toIndex) => Promise, toIndex among upcoming tracks
+ * @param {Function} options.onRemove - (entryId) => Promise
+ * @returns {Object} { update(roomData), destroy() }
+ */
+export function mountQueuePanel({ roomName, getSelfId, isLeader, onVote, onMove, onRemove }) {
+  document.getElementById(PANEL_ID)?.remove();
+
+  const panel = document.createElement('section');
+  panel.id = PANEL_ID;
+
+  const heading = document.createElement('h4');
+  heading.textContent = 'Up next';
+
+  const list = document.createElement('ol');
+  list.className = 'queue-list';
+
+  // Edits shared with peers that the room backend hasn't got yet
+  const pending = document.createElement('p');
+  pending.className = 'queue-pending';
+  pending.hidden = true;
+
+  panel.append(heading, list, pending);
+
+  // Below the local track list, or at the end of the player
+  const playerBody = document.getElementById('playerBody') || document.getElementById('musicPlayer') || document.body;
+  playerBody.appendChild(panel);
+
+  let lastData = null;
+
+  function renderEntry(entry, upcomingIndex, upcomingCount, participantCount) {
+    const selfId = getSelfId();
+    const item = document.createElement('li');
+    item.className = 'queue-entry';
+
+    const info = document.createElement('div');
+    info.className = 'queue-info';
+
+    const title = document.createElement('span');
+    title.className = 'queue-title';
+    title.textContent = entry.title || entry.url;
+    title.title = entry.url;
+
+    const meta = document.createElement('span');
+    meta.className = 'queue-meta';
+    const score = getScore(entry);
+    const downVotes = Object.values(entry.votes || {}).filter(vote => vote < 0).length;
+    meta.textContent = `added by ${describeRider(entry.addedBy, selfId)} · ${score > 0 ? '+' : ''}${score}` +
+      (downVotes > 0 ? ` · ${downVotes}/${getRemovalThreshold(participantCount)} to skip` : '');
+
+    info.append(title, meta);
+    item.appendChild(info);
+
+    const actions = document.createElement('div');
+    actions.className = 'queue-actions';
+
+    const myVote = entry.votes?.[selfId] || 0;
+    const up = createButton('👍', 'Vote up', () => onVote(entry.id, myVote === 1 ? 0 : 1));
+    const down = createButton('👎', 'Vote down', () => onVote(entry.id, myVote === -1 ? 0 : -1));
+    up.classList.toggle('voted', myVote === 1);
+    down.classList.toggle('voted', myVote === -1);
+    actions.append(up, down);
+
+    if (isLeader()) {
+      if (upcomingIndex > 0) actions.appendChild(createButton('▲', 'Move up', () => onMove(entry.id, upcomingIndex - 1)));
+      if (upcomingIndex < upcomingCount - 1) actions.appendChild(createButton('▼', 'Move down', () => onMove(entry.id, upcomingIndex + 1)));
+      actions.appendChild(createButton('✕', 'Remove', () => onRemove(entry.id)));
+    }
+
+    item.appendChild(actions);
+    return item;
+  }
+
+  /**
+   * Show the queue from a room snapshot
+   * @param {Object|null} data - { queue, currentTrack, participants, pendingOps } (see musicSync.getRoomQueue)
+   */
+  function update(data) {
+    if (data) lastData = data;
+    if (!lastData) return;
+
+    const { queue, currentTrack, participants, pendingOps = 0 } = lastData;
+    const upcoming = queue.slice(getCurrentIndex(queue, currentTrack) + 1);
+    const participantCount = Array.isArray(participants) ? participants.length : 1;
+
+    heading.textContent = currentTrack?.title
+      ? `Now playing: ${currentTrack.title}${currentTrack.addedBy ? ` (added by ${describeRider(currentTrack.addedBy, getSelfId())})` : ''}`
+      : 'Up next';
+
+    pending.hidden = pendingOps === 0;
+    pending.textContent = `${pendingOps} edit${pendingOps === 1 ? '' : 's'} shared with riders nearby, saving when the room can be reached`;
+
+    list.innerHTML = '';
+    if (upcoming.length === 0) {
+      const empty = document.createElement('li');
+      empty.className = 'queue-empty';
+      empty.textContent = 'Nothing queued, paste a track URL above to add one';
+      list.appendChild(empty);
+      return;
+    }
+
+    upcoming.forEach((entry, index) => {
+      list.appendChild(renderEntry(entry, index, upcoming.length, participantCount));
+    });
+  }
+
+  // Leader-only buttons come and go with leadership
+  const handleLeaderChange = (event) => {
+    if (event.detail?.roomId === roomName) update(null);
+  };
+  document.addEventListener('leader-change', handleLeaderChange);
+
+  return {
+    update,
+
+    destroy() {
+      document.removeEventListener('leader-change', handleLeaderChange);
+      panel.remove();
+    }
+  };
+}
+
+export default {
+  mountQueuePanel
+};
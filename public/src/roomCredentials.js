@@ -0,0 +1,67 @@
+// roomCredentials.js - What this browser holds to prove itself to the signaling server
+// Owner keys are handed to whoever creates a room (through /join or by setting
+// its password first) and kept across visits, so the creator can moderate it later.
+// Access tokens come from /join and heartbeats (app.js) and are only kept for the
+// session; the room state server wants them too (websocketBackend.js)
+
+// Owner keys of the rooms we created (room -> key)
+const OWNER_KEYS_KEY = 'rydesync-owner-keys';
+
+// Current access token per room we're in (room -> token)
+const accessTokens = new Map();
+
+function readOwnerKeys() {
+  try {
+    return JSON.parse(localStorage.getItem(OWNER_KEYS_KEY)) || {};
+  } catch (err) {
+    return {};
+  }
+}
+
+/**
+ * Get the owner key of a room we created
+ * @param {string} room - Room name
+ * @returns {string|null} Owner key
+ */
+export function getOwnerKey(room) {
+  return readOwnerKeys()[room] || null;
+}
+
+/**
+ * Keep the owner key the server gave us for a room
+ * @param {string} room - Room name
+ * @param {string} ownerKey - Owner key
+ */
+export function saveOwnerKey(room, ownerKey) {
+  localStorage.setItem(OWNER_KEYS_KEY, JSON.stringify({ ...readOwnerKeys(), [room]: ownerKey }));
+}
+
+/**
+ * Get our current access token for a room
+ * @param {string} room - Room name
+ * @returns {string|null} Access token
+ */
+export function getRoomAccessToken(room) {
+  return accessTokens.get(room) || null;
+}
+
+/**
+ * Keep (or with null, forget) our access token for a room
+ * @param {string} room - Room name
+ * @param {string|null} token - Access token
+ */
+export function setRoomAccessToken(room, token) {
+  if (token) {
+    accessTokens.set(room, token);
+  } else {
+    accessTokens.delete(room);
+  }
+}
+
+// Export module
+export default {
+  getOwnerKey,
+  saveOwnerKey,
+  getRoomAccessToken,
+  setRoomAccessToken
+};
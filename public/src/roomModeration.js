@@ -0,0 +1,141 @@
+// roomModeration.js - Room owner moderation for RydeSync
+// Actions are authorized and logged by the signaling server, which signs them;
+// the owner relays the signed action over data connections and every peer
+// checks it with the server before enforcing it
+
+// Message type on the data channel (alongside presence/ping/pong and music-sync)
+export const MODERATION_MESSAGE = 'moderation';
+
+export const MODERATION_ACTIONS = {
+  KICK: 'kick',
+  BAN: 'ban',
+  MUTE_ALL: 'mute-all'
+};
+
+const DEBUG = true;
+
+// Tokens already enforced, so a relayed action is only applied once
+const handledTokens = new Set();
+
+function moderationUrl(roomId, path) {
+  return `/rooms/${encodeURIComponent(roomId)}/moderation/${path}`;
+}
+
+// The server takes the owner's access token together with its owner key
+function ownerHeaders(accessToken, ownerKey) {
+  return {
+    ...(accessToken ? { 'X-Room-Token': accessToken } : {}),
+    ...(ownerKey ? { 'X-Room-Owner-Key': ownerKey } : {})
+  };
+}
+
+/**
+ * Ask the server to carry out a moderation action, then relay it to the room
+ * @param {string} roomId - ID of the room
+ * @param {string} action - One of MODERATION_ACTIONS
+ * @param {Object} options - Action options
+ * @param {string} options.accessToken - Our room access token
+ * @param {string} [options.ownerKey] - Owner key the server gave us when we created the room
+ * @param {string} [options.peerId] - Target peer for kick and ban
+ * @param {number} [options.duration] - Ban duration in ms
+ * @param {boolean} [options.byFingerprint] - Also ban the target's device
+ * @param {string} [options.reason] - Reason, recorded in the audit log
+ * @returns {Promise<Object>} Audit log entry for the action
+ */
+export async function moderate(roomId, action, { accessToken, ownerKey, peerId, duration, byFingerprint, reason } = {}) {
+  const response = await fetch(moderationUrl(roomId, action), {
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/json',
+      ...ownerHeaders(accessToken, ownerKey)
+    },
+    body: JSON.stringify({ peerId, duration, byFingerprint, reason })
+  });
+  const result = await response.json().catch(() => ({}));
+
+  if (!response.ok) {
+    throw new Error(result.error || `Moderation failed (${response.status})`);
+  }
+
+  const { token, ...entry } = result;
+  handledTokens.add(token);
+
+  const message = { type: MODERATION_MESSAGE, roomId, token };
+  (window.connections || []).forEach(conn => {
+    if (!conn || !conn.open || conn.metadata?.roomId !== roomId) return;
+    try {
+      conn.send(message);
+    } catch (error) {
+      if (DEBUG) console.warn(`🛡 Could not relay ${action} to ${conn.peer}:`, error.message);
+    }
+  });
+
+  return entry;
+}
+
+/**
+ * Read the room's moderation audit log (owner only)
+ * @param {string} roomId - ID of the room
+ * @param {string} accessToken - Our room access token
+ * @param {string} ownerKey - Owner key the server gave us when we created the room
+ * @returns {Promise<Array>} Audit log entries, oldest first
+ */
+export async function getModerationLog(roomId, accessToken, ownerKey) {
+  const response = await fetch(moderationUrl(roomId, 'log'), {
+    headers: ownerHeaders(accessToken, ownerKey)
+  });
+  const result = await response.json().catch(() => ({}));
+
+  if (!response.ok) {
+    throw new Error(result.error || `Could not load moderation log (${response.status})`);
+  }
+  return result;
+}
+
+/**
+ * Handle a message received on a data connection
+ * Verified moderation actions are dispatched as a 'room-moderation' document event
+ * @param {Object} conn - PeerJS data connection the message came from
+ * @param {Object} data - Received message
+ * @returns {boolean} Whether the message was a moderation message
+ */
+export function handleModerationData(conn, data) {
+  if (!data || data.type !== MODERATION_MESSAGE) return false;
+
+  const roomId = conn.metadata?.roomId;
+  if (data.roomId !== roomId || typeof data.token !== 'string' || handledTokens.has(data.token)) {
+    return true;
+  }
+  handledTokens.add(data.token);
+
+  fetch(moderationUrl(roomId, 'verify'), {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ token: data.token })
+  })
+    .then(res => res.json())
+    .then(({ valid, action, target, by, until, reason }) => {
+      if (!valid) {
+        console.warn(`🛡 Ignoring unverified moderation message from ${conn.peer}`);
+        return;
+      }
+
+      if (DEBUG) console.log(`🛡 ${action} from ${by}${target ? ` targeting ${target}` : ''}`);
+
+      document.dispatchEvent(new CustomEvent('room-moderation', {
+        detail: { roomId, action, target, by, until, reason }
+      }));
+    })
+    .catch(error => console.warn('🛡 Could not verify moderation message:', error));
+
+  return true;
+}
+
+// Export module
+export default {
+  MODERATION_MESSAGE,
+  MODERATION_ACTIONS,
+  moderate,
+  getModerationLog,
+  handleModerationData
+};
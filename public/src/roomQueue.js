@@ -0,0 +1,229 @@
+// roomQueue.js - Shared room queue for RydeSync
+// The room's `playlist` is an ordered queue of entries with stable IDs:
+//   { id, url, title, addedBy: { id, name }, addedAt, votes: { participantId: 1 | -1 }, pos, posStamp }
+// currentTrack.entryId marks the entry playing now; entries before it were
+// played (a short history for "previous"), entries after it are up next.
+// The functions here decide what an edit means for the queue and return it
+// as ops (see playlistOps.js), which musicSync.js applies in a backend
+// transaction or shares with peers, so concurrent edits merge safely.
+
+import {
+  readPlaylistState,
+  getQueue,
+  positionAt,
+  insertOp,
+  moveOp,
+  removeOp
+} from './playlistOps.js';
+
+// Played entries kept before the current one
+export const QUEUE_HISTORY_LIMIT = 20;
+
+/**
+ * Make a queue entry for a track
+ * @param {Object} track - { url, title }
+ * @param {Object} addedBy - { id, name } of the participant adding it
+ * @returns {Object} Queue entry
+ */
+export function createQueueEntry(track, addedBy) {
+  return {
+    id: `q-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`,
+    url: track.url,
+    title: track.title || null,
+    addedBy: { id: addedBy?.id || null, name: addedBy?.name || null },
+    addedAt: Date.now(),
+    votes: {}
+  };
+}
+
+/**
+ * Read the queue from room data
+ * Tracks written before the queue existed (plain { url, title }) get IDs
+ * @param {Object|null} data - Room data
+ * @returns {Array} Queue entries, in order
+ */
+export function readQueue(data) {
+  return getQueue(readPlaylistState(data));
+}
+
+/**
+ * Find the index of the playing entry
+ * @param {Array} queue - Queue entries
+ * @param {Object|null} currentTrack - Room's current track
+ * @returns {number} Index, or -1 if the current track isn't from the queue
+ */
+export function getCurrentIndex(queue, currentTrack) {
+  if (!currentTrack?.entryId) return -1;
+  return queue.findIndex(entry => entry.id === currentTrack.entryId);
+}
+
+/**
+ * Get the entries after the playing one
+ * @param {Array} queue - Queue entries
+ * @param {Object|null} currentTrack - Room's current track
+ * @returns {Array} Upcoming entries, in play order
+ */
+export function getUpcoming(queue, currentTrack) {
+  return queue.slice(getCurrentIndex(queue, currentTrack) + 1);
+}
+
+/**
+ * Net votes of an entry
+ * @param {Object} entry - Queue entry
+ * @returns {number} Up votes minus down votes
+ */
+export function getScore(entry) {
+  return Object.values(entry.votes || {}).reduce((sum, vote) => sum + vote, 0);
+}
+
+/**
+ * Down votes needed to drop an entry: a majority of the room
+ * @param {number} participantCount - Participants in the room
+ * @returns {number} Votes needed
+ */
+export function getRemovalThreshold(participantCount) {
+  return Math.floor(Math.max(1, participantCount) / 2) + 1;
+}
+
+/**
+ * Add an entry at the end of the queue
+ * A URL that's already up next isn't queued twice
+ * @param {Array} queue - Queue entries
+ * @param {Object|null} currentTrack - Room's current track
+ * @param {Object} entry - New entry (see createQueueEntry)
+ * @param {Object} stamp - Op stamp
+ * @returns {Object|null} Insert op, or null if there's nothing to do
+ */
+export function addEntry(queue, currentTrack, entry, stamp) {
+  if (getUpcoming(queue, currentTrack).some(queued => queued.url === entry.url)) return null;
+  return insertOp(entry, positionAt(queue, queue.length), stamp);
+}
+
+/**
+ * Vote an upcoming entry up or down
+ * The entry moves ahead of lower-scored neighbours (or behind higher-scored
+ * ones), keeping the rest of the order, and is dropped once a majority of
+ * the room votes it down
+ * @param {Array} queue - Queue entries
+ * @param {Object|null} currentTrack - Room's current track
+ * @param {string} entryId - Entry to vote on
+ * @param {string} voterId - Participant voting
+ * @param {number} vote - 1, -1, or 0 to take the vote back
+ * @param {number} participantCount - Participants in the room
+ * @param {Object} stamp - Op stamp
+ * @returns {Object|null} { votes, op } with the entry's new votes and the move
+ *   or remove op (null if it stays put), or null if nothing changed
+ */
+export function voteEntry(queue, currentTrack, entryId, voterId, vote, participantCount, stamp) {
+  const start = getCurrentIndex(queue, currentTrack) + 1;
+  const index = queue.findIndex((entry, i) => i >= start && entry.id === entryId);
+  if (index === -1 || ![1, -1, 0].includes(vote)) return null;
+  if ((queue[index].votes?.[voterId] || 0) === vote) return null;
+
+  const votes = { ...queue[index].votes };
+  if (vote === 0) {
+    delete votes[voterId];
+  } else {
+    votes[voterId] = vote;
+  }
+
+  const downVotes = Object.values(votes).filter(v => v < 0).length;
+  if (downVotes >= getRemovalThreshold(participantCount)) {
+    return { votes, op: removeOp(entryId, stamp) };
+  }
+
+  const score = getScore({ votes });
+  const rest = queue.filter((_, i) => i !== index);
+  let position = index;
+  while (position > start && getScore(rest[position - 1]) < score) position--;
+  while (position < rest.length && getScore(rest[position]) > score) position++;
+
+  return {
+    votes,
+    op: position === index ? null : moveOp(entryId, positionAt(rest, position), stamp)
+  };
+}
+
+/**
+ * Move an upcoming entry
+ * @param {Array} queue - Queue entries
+ * @param {Object|null} currentTrack - Room's current track
+ * @param {string} entryId - Entry to move
+ * @param {number} toIndex - New position among the upcoming entries (0 = next)
+ * @param {Object} stamp - Op stamp
+ * @returns {Object|null} Move op, or null if there's nothing to do
+ */
+export function moveEntry(queue, currentTrack, entryId, toIndex, stamp) {
+  const start = getCurrentIndex(queue, currentTrack) + 1;
+  const index = queue.findIndex((entry, i) => i >= start && entry.id === entryId);
+  if (index === -1) return null;
+
+  const rest = queue.filter((_, i) => i !== index);
+  const position = start + Math.max(0, Math.min(toIndex, rest.length - start));
+  if (position === index) return null;
+
+  return moveOp(entryId, positionAt(rest, position), stamp);
+}
+
+/**
+ * Remove an entry (the playing one keeps playing until the queue moves on)
+ * @param {Array} queue - Queue entries
+ * @param {Object|null} currentTrack - Room's current track
+ * @param {string} entryId - Entry to remove
+ * @param {Object} stamp - Op stamp
+ * @returns {Object|null} Remove op, or null if there's nothing to do
+ */
+export function removeEntry(queue, currentTrack, entryId, stamp) {
+  if (currentTrack?.entryId === entryId) return null;
+  if (!queue.some(entry => entry.id === entryId)) return null;
+  return removeOp(entryId, stamp);
+}
+
+/**
+ * Move to the next or previous entry
+ * History beyond QUEUE_HISTORY_LIMIT is dropped
+ * @param {Array} queue - Queue entries
+ * @param {Object|null} currentTrack - Room's current track
+ * @param {number} direction - 1 for next, -1 for previous
+ * @param {Object} stamp - Op stamp
+ * @returns {Object|null} { entry, ops } with the entry to play and remove ops
+ *   for the history dropped, or null at either end
+ */
+export function stepQueue(queue, currentTrack, direction, stamp) {
+  const current = getCurrentIndex(queue, currentTrack);
+  const target = current === -1 ? (direction > 0 ? 0 : -1) : current + direction;
+  if (target < 0 || target >= queue.length) return null;
+
+  const dropped = queue.slice(0, Math.max(0, target - QUEUE_HISTORY_LIMIT));
+  return { entry: queue[target], ops: dropped.map(entry => removeOp(entry.id, stamp)) };
+}
+
+/**
+ * Room track fields for playing an entry
+ * @param {Object} entry - Queue entry
+ * @returns {Object} currentTrack value
+ */
+export function toCurrentTrack(entry) {
+  return {
+    url: entry.url,
+    title: entry.title,
+    entryId: entry.id,
+    addedBy: entry.addedBy
+  };
+}
+
+export default {
+  QUEUE_HISTORY_LIMIT,
+  createQueueEntry,
+  readQueue,
+  getCurrentIndex,
+  getUpcoming,
+  getScore,
+  getRemovalThreshold,
+  addEntry,
+  voteEntry,
+  moveEntry,
+  removeEntry,
+  stepQueue,
+  toCurrentTrack
+};
@@ -0,0 +1,106 @@
+// firestoreBackend.js - Firestore music sync backend for RydeSync
+// Room state lives in the musicRooms collection, presence in userPresence
+
+import {
+  doc,
+  getDoc,
+  setDoc,
+  updateDoc,
+  onSnapshot,
+  arrayUnion,
+  arrayRemove,
+  serverTimestamp,
+  runTransaction
+} from "https://www.gstatic.com/firebasejs/9.22.0/firebase-firestore.js";
+import { db } from "../firebase.js";
+
+const ROOMS_COLLECTION = "musicRooms";
+const PRESENCE_COLLECTION = "userPresence";
+
+function roomRef(roomId) {
+  return doc(db, ROOMS_COLLECTION, roomId);
+}
+
+export const firestoreBackend = {
+  name: 'firestore',
+
+  // Field value sentinels
+  arrayUnion,
+  arrayRemove,
+  serverTimestamp,
+
+  /**
+   * Read a room
+   * @param {string} roomId - ID of the room
+   * @returns {Promise<object|null>} Room data, or null if it doesn't exist
+   */
+  async getRoom(roomId) {
+    const snap = await getDoc(roomRef(roomId));
+    return snap.exists() ? snap.data() : null;
+  },
+
+  /**
+   * Create or overwrite a room
+   * @param {string} roomId - ID of the room
+   * @param {object} data - Room data
+   * @param {object} options - { merge } to merge into existing data
+   */
+  async setRoom(roomId, data, options = {}) {
+    await setDoc(roomRef(roomId), data, { merge: !!options.merge });
+  },
+
+  /**
+   * Update fields of an existing room (fails if the room doesn't exist)
+   * @param {string} roomId - ID of the room
+   * @param {object} changes - Field changes
+   */
+  async updateRoom(roomId, changes) {
+    await updateDoc(roomRef(roomId), changes);
+  },
+
+  /**
+   * Watch a room for changes
+   * @param {string} roomId - ID of the room
+   * @param {function} onChange - Called with room data (null if it doesn't exist)
+   * @param {function} onError - Called with listener errors
+   * @returns {function} Unsubscribe function
+   */
+  watchRoom(roomId, onChange, onError) {
+    return onSnapshot(
+      roomRef(roomId),
+      { includeMetadataChanges: false },
+      (snap) => onChange(snap.exists() ? snap.data() : null),
+      onError
+    );
+  },
+
+  /**
+   * Read-modify-write a room atomically
+   * @param {string} roomId - ID of the room
+   * @param {function} updateFn - Gets room data (or null), returns changes or null for no write
+   * @returns {Promise<boolean>} Whether changes were written
+   */
+  async transactRoom(roomId, updateFn) {
+    const ref = roomRef(roomId);
+
+    return runTransaction(db, async (transaction) => {
+      const snap = await transaction.get(ref);
+      const changes = updateFn(snap.exists() ? snap.data() : null);
+      if (!changes) return false;
+
+      transaction.update(ref, changes);
+      return true;
+    });
+  },
+
+  /**
+   * Record which room a user is in
+   * @param {string} userId - ID of the user
+   * @param {object} presence - Presence fields (currentRoom, peerId, ...)
+   */
+  async setPresence(userId, presence) {
+    await setDoc(doc(db, PRESENCE_COLLECTION, userId), presence, { merge: true });
+  }
+};
+
+export default firestoreBackend;
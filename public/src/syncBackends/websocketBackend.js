@@ -0,0 +1,267 @@
+// websocketBackend.js - Self-hosted music sync backend for RydeSync
+// Talks to the room state service in server.js (roomStateServer.js) over
+// WebSocket, so music sync works without Firebase, e.g. on a laptop at an offline event
+// Requests carry our access token for the room, which the server checks
+
+import { getRoomAccessToken } from '../roomCredentials.js';
+
+const SYNC_PATH = '/sync';
+const REQUEST_TIMEOUT_MS = 10000;
+const MAX_TRANSACTION_ATTEMPTS = 5;
+const RECONNECT_BASE_DELAY_MS = 1000;
+const RECONNECT_MAX_DELAY_MS = 10000;
+const DEBUG = true;
+
+// Connection state
+let socket = null;
+let connecting = null;
+let reconnectTimer = null;
+let reconnectAttempts = 0;
+let hasConnected = false;
+let nextRequestId = 1;
+
+const pendingRequests = new Map(); // requestId -> { resolve, reject, timer }
+const roomWatchers = new Map(); // roomId -> Set<{ onChange, onError }>
+const presence = new Map(); // participantId -> roomId, re-sent after reconnecting
+
+// Connection failures carry Firestore's code for the same thing, so callers
+// can tell "couldn't reach the server" from "the server said no"
+function unavailableError(message) {
+  const error = new Error(message);
+  error.code = 'unavailable';
+  return error;
+}
+
+function getSyncUrl() {
+  const protocol = location.protocol === 'https:' ? 'wss:' : 'ws:';
+  return `${protocol}//${location.host}${SYNC_PATH}`;
+}
+
+/**
+ * Open the WebSocket connection (shared by all callers)
+ * @returns {Promise<WebSocket>} Open socket
+ */
+function connect() {
+  if (socket && socket.readyState === WebSocket.OPEN) return Promise.resolve(socket);
+  if (connecting) return connecting;
+
+  connecting = new Promise((resolve, reject) => {
+    const ws = new WebSocket(getSyncUrl());
+
+    ws.addEventListener('open', () => {
+      socket = ws;
+      connecting = null;
+      reconnectAttempts = 0;
+      if (DEBUG) console.log('🗂 Connected to room state server');
+
+      // The first connection is opened by the requests that need it
+      if (hasConnected) restoreSubscriptions();
+      hasConnected = true;
+      resolve(ws);
+    });
+
+    ws.addEventListener('message', (event) => handleMessage(event.data));
+
+    ws.addEventListener('close', () => {
+      const wasOpen = socket === ws;
+      socket = null;
+      connecting = null;
+
+      rejectPendingRequests(unavailableError('Room state connection closed'));
+
+      if (!wasOpen) {
+        reject(unavailableError('Could not connect to room state server'));
+      }
+
+      scheduleReconnect();
+    });
+  });
+
+  return connecting;
+}
+
+/**
+ * Reconnect with backoff while anything still depends on the connection
+ */
+function scheduleReconnect() {
+  if (reconnectTimer || (roomWatchers.size === 0 && presence.size === 0)) return;
+
+  const delay = Math.min(RECONNECT_BASE_DELAY_MS * 2 ** reconnectAttempts, RECONNECT_MAX_DELAY_MS);
+  reconnectAttempts++;
+
+  if (DEBUG) console.log(`🗂 Reconnecting to room state server in ${delay}ms`);
+
+  reconnectTimer = setTimeout(() => {
+    reconnectTimer = null;
+    connect().catch(() => {});
+  }, delay);
+}
+
+/**
+ * Re-establish watches and presence on a new connection
+ */
+function restoreSubscriptions() {
+  roomWatchers.forEach((watchers, roomId) => {
+    sendRequest('watch', { roomId }).catch(err => notifyError(roomId, err));
+  });
+
+  presence.forEach((roomId, participantId) => {
+    sendRequest('presence', { roomId, participantId }).catch(() => {});
+  });
+}
+
+function rejectPendingRequests(error) {
+  pendingRequests.forEach(({ reject, timer }) => {
+    clearTimeout(timer);
+    reject(error);
+  });
+  pendingRequests.clear();
+}
+
+function notifyError(roomId, error) {
+  (roomWatchers.get(roomId) || []).forEach(({ onError }) => {
+    if (typeof onError === 'function') onError(error);
+  });
+}
+
+function handleMessage(raw) {
+  let message;
+  try {
+    message = JSON.parse(raw);
+  } catch (err) {
+    console.warn('🗂 Ignoring malformed room state message');
+    return;
+  }
+
+  if (message.type === 'snapshot') {
+    (roomWatchers.get(message.roomId) || []).forEach(({ onChange }) => onChange(message.room));
+    return;
+  }
+
+  // We were kicked or banned, the server stopped our watch of the room
+  if (message.type === 'revoked') {
+    const error = new Error(`Access to room ${message.roomId} was revoked`);
+    error.code = 'permission-denied';
+    notifyError(message.roomId, error);
+    return;
+  }
+
+  if (message.type === 'result') {
+    const pending = pendingRequests.get(message.id);
+    if (!pending) return;
+
+    pendingRequests.delete(message.id);
+    clearTimeout(pending.timer);
+
+    if (message.ok) {
+      pending.resolve(message);
+    } else {
+      const error = new Error(message.error || 'Room state request failed');
+      error.code = message.code;
+      pending.reject(error);
+    }
+  }
+}
+
+/**
+ * Send a request and wait for its result
+ * @param {string} type - Request type
+ * @param {object} payload - Request fields
+ * @returns {Promise<object>} Result message
+ */
+async function sendRequest(type, payload) {
+  const token = getRoomAccessToken(payload.roomId);
+  const ws = await connect();
+  const id = nextRequestId++;
+
+  return new Promise((resolve, reject) => {
+    const timer = setTimeout(() => {
+      pendingRequests.delete(id);
+      reject(unavailableError(`Room state request "${type}" timed out`));
+    }, REQUEST_TIMEOUT_MS);
+
+    pendingRequests.set(id, { resolve, reject, timer });
+    ws.send(JSON.stringify({ id, type, ...payload, token }));
+  });
+}
+
+export const websocketBackend = {
+  name: 'websocket',
+
+  // Field value sentinels, applied by the server
+  arrayUnion: (...values) => ({ __op: 'arrayUnion', values }),
+  arrayRemove: (...values) => ({ __op: 'arrayRemove', values }),
+  serverTimestamp: () => ({ __op: 'serverTimestamp' }),
+
+  async getRoom(roomId) {
+    const { room } = await sendRequest('get', { roomId });
+    return room;
+  },
+
+  async setRoom(roomId, data, options = {}) {
+    await sendRequest('set', { roomId, data, merge: !!options.merge });
+  },
+
+  async updateRoom(roomId, changes) {
+    await sendRequest('update', { roomId, changes });
+  },
+
+  watchRoom(roomId, onChange, onError) {
+    const watcher = { onChange, onError };
+
+    if (!roomWatchers.has(roomId)) {
+      roomWatchers.set(roomId, new Set());
+      sendRequest('watch', { roomId }).catch(err => {
+        if (typeof onError === 'function') onError(err);
+      });
+    }
+    roomWatchers.get(roomId).add(watcher);
+
+    return () => {
+      const watchers = roomWatchers.get(roomId);
+      if (!watchers) return;
+
+      watchers.delete(watcher);
+      if (watchers.size === 0) {
+        roomWatchers.delete(roomId);
+        sendRequest('unwatch', { roomId }).catch(() => {});
+      }
+    };
+  },
+
+  /**
+   * Read-modify-write with optimistic concurrency: the write is rejected if
+   * the room changed since it was read, and retried with fresh data
+   */
+  async transactRoom(roomId, updateFn) {
+    for (let attempt = 1; attempt <= MAX_TRANSACTION_ATTEMPTS; attempt++) {
+      const { room, version } = await sendRequest('get', { roomId });
+
+      const changes = updateFn(room);
+      if (!changes) return false;
+
+      try {
+        await sendRequest('update', { roomId, changes, expectedVersion: version });
+        return true;
+      } catch (error) {
+        if (error.code !== 'conflict' || attempt === MAX_TRANSACTION_ATTEMPTS) throw error;
+      }
+    }
+
+    return false;
+  },
+
+  // The server drops participants tied to a connection when it closes
+  async setPresence(userId, { currentRoom, peerId }) {
+    if (currentRoom && peerId) {
+      presence.set(peerId, currentRoom);
+      await sendRequest('presence', { roomId: currentRoom, participantId: peerId });
+    } else {
+      presence.forEach((roomId, participantId) => {
+        if (participantId.endsWith(`-${userId}`)) presence.delete(participantId);
+      });
+    }
+  }
+};
+
+export default websocketBackend;
@@ -0,0 +1,90 @@
+// themeSwitcher.js - Live theme control for the room leader
+// Shows a theme picker while we lead the room; picking a theme hands it to the
+// plugin manager, which writes it to the room document so every rider's
+// plugin manager swaps the theme at the same time
+
+const SWITCHER_ID = 'themeSwitcher';
+
+/**
+ * Mount the theme picker for a room
+ * @param {Object} options - Switcher options
+ * @param {string} options.roomName - Room the picker controls
+ * @param {Array} options.themes - { id, name } of every theme in the plugin catalog
+ * @param {string|null} options.current - Theme chosen for the room (null: the room type's own)
+ * @param {Function} options.isLeader - Whether we lead the room right now
+ * @param {Function} options.onSelect - Called with the picked theme id, or null for the room type's own
+ * @returns {Object} { update(theme), destroy() }
+ */
+export function mountThemeSwitcher({ roomName, themes, current, isLeader, onSelect }) {
+  document.getElementById(SWITCHER_ID)?.remove();
+
+  const panel = document.createElement('div');
+  panel.id = SWITCHER_ID;
+  panel.style.cssText = `
+    position: fixed;
+    top: 10px;
+    right: 10px;
+    z-index: 1001;
+    display: none;
+    align-items: center;
+    gap: 6px;
+    padding: 6px 10px;
+    background: rgba(0, 0, 0, 0.7);
+    color: #fff;
+    border-radius: 6px;
+    font-size: 0.85rem;
+  `;
+
+  const label = document.createElement('label');
+  label.textContent = '🎨 Theme';
+  label.htmlFor = `${SWITCHER_ID}Select`;
+
+  const select = document.createElement('select');
+  select.id = `${SWITCHER_ID}Select`;
+  select.add(new Option('Room type default', ''));
+  themes.forEach(theme => select.add(new Option(theme.name, theme.id)));
+  select.value = current || '';
+
+  select.addEventListener('change', async () => {
+    select.disabled = true;
+    try {
+      await onSelect(select.value || null);
+    } catch (error) {
+      console.error('🎨 Could not switch theme:', error);
+      alert(`Could not switch theme: ${error.message}`);
+    } finally {
+      select.disabled = false;
+    }
+  });
+
+  panel.append(label, select);
+  document.body.appendChild(panel);
+
+  const refresh = () => {
+    panel.style.display = isLeader() ? 'flex' : 'none';
+  };
+  const handleLeaderChange = (event) => {
+    if (event.detail?.roomId === roomName) refresh();
+  };
+  document.addEventListener('leader-change', handleLeaderChange);
+  refresh();
+
+  return {
+    /**
+     * Show the room's theme after it changed elsewhere
+     * @param {string|null} theme - Theme chosen for the room
+     */
+    update(theme) {
+      select.value = theme || '';
+    },
+
+    destroy() {
+      document.removeEventListener('leader-change', handleLeaderChange);
+      panel.remove();
+    }
+  };
+}
+
+export default {
+  mountThemeSwitcher
+};
@@ -0,0 +1,201 @@
+// trackCache.js - IndexedDB cache of shared tracks fetched from other riders
+// Holds whole tracks, keyed by the SHA-256 of their contents, and the chunks of
+// tracks still being fetched so a transfer can pick up where it stopped, even
+// after a reload. See peerFileTransfer.js.
+//
+// Stores:
+// - tracks: { id, name, type, size, blob, cachedAt, usedAt }
+// - transfers: manifests of unfinished transfers { id, name, type, size, chunkSize, chunkHashes }
+// - chunks: { fileId, index, data }
+
+const DB_NAME = 'rydesync-tracks';
+const DB_VERSION = 1;
+
+// Least recently used tracks are dropped past this size
+export const MAX_CACHE_BYTES = 500 * 1024 * 1024;
+
+let dbPromise = null;
+
+function unsupportedError() {
+  const error = new Error("This browser can't cache tracks (no IndexedDB)");
+  error.code = 'unsupported';
+  return error;
+}
+
+// Resolve an IndexedDB request
+function settle(request) {
+  return new Promise((resolve, reject) => {
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+}
+
+// Resolve when a transaction has been written
+function committed(tx) {
+  return new Promise((resolve, reject) => {
+    tx.oncomplete = () => resolve();
+    tx.onerror = () => reject(tx.error);
+    tx.onabort = () => reject(tx.error);
+  });
+}
+
+function openDatabase() {
+  if (dbPromise) return dbPromise;
+  if (typeof indexedDB === 'undefined') return Promise.reject(unsupportedError());
+
+  dbPromise = new Promise((resolve, reject) => {
+    const request = indexedDB.open(DB_NAME, DB_VERSION);
+
+    request.onupgradeneeded = () => {
+      const db = request.result;
+      db.createObjectStore('tracks', { keyPath: 'id' });
+      db.createObjectStore('transfers', { keyPath: 'id' });
+      db.createObjectStore('chunks', { keyPath: ['fileId', 'index'] });
+    };
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  }).catch(error => {
+    // Let the next call try again
+    dbPromise = null;
+    throw error;
+  });
+
+  return dbPromise;
+}
+
+// Key range covering every chunk of a file
+function chunkRange(fileId) {
+  return IDBKeyRange.bound([fileId, 0], [fileId, Infinity]);
+}
+
+/**
+ * Get a cached track
+ * @param {string} id - Track ID (SHA-256 of its contents)
+ * @returns {Promise<Object|null>} Cached track with its blob, or null
+ */
+export async function getCachedTrack(id) {
+  const db = await openDatabase();
+  const tx = db.transaction('tracks', 'readwrite');
+  const store = tx.objectStore('tracks');
+  const track = await settle(store.get(id));
+
+  if (track) {
+    track.usedAt = Date.now();
+    store.put(track);
+  }
+
+  await committed(tx);
+  return track || null;
+}
+
+/**
+ * Cache a whole track, dropping the least recently used ones past MAX_CACHE_BYTES
+ * @param {Object} track - { id, name, type, size, blob }
+ * @returns {Promise<void>}
+ */
+export async function saveCachedTrack(track) {
+  const db = await openDatabase();
+  const tx = db.transaction('tracks', 'readwrite');
+  const store = tx.objectStore('tracks');
+  const now = Date.now();
+
+  store.put({ ...track, cachedAt: now, usedAt: now });
+
+  const tracks = await settle(store.getAll());
+  let total = tracks.reduce((sum, cached) => sum + cached.size, 0);
+
+  tracks
+    .filter(cached => cached.id !== track.id)
+    .sort((a, b) => a.usedAt - b.usedAt)
+    .forEach(cached => {
+      if (total <= MAX_CACHE_BYTES) return;
+      store.delete(cached.id);
+      total -= cached.size;
+    });
+
+  await committed(tx);
+}
+
+/**
+ * Get the manifest of an unfinished transfer
+ * @param {string} id - Track ID
+ * @returns {Promise<Object|null>} Manifest, or null
+ */
+export async function getTransfer(id) {
+  const db = await openDatabase();
+  return (await settle(db.transaction('transfers').objectStore('transfers').get(id))) || null;
+}
+
+/**
+ * Remember the manifest of a transfer
+ * @param {Object} manifest - { id, name, type, size, chunkSize, chunkHashes }
+ * @returns {Promise<void>}
+ */
+export async function saveTransfer(manifest) {
+  const db = await openDatabase();
+  const tx = db.transaction('transfers', 'readwrite');
+  tx.objectStore('transfers').put(manifest);
+  await committed(tx);
+}
+
+/**
+ * Get which chunks of a transfer are already stored
+ * @param {string} fileId - Track ID
+ * @returns {Promise<Set<number>>} Stored chunk indexes
+ */
+export async function getStoredChunks(fileId) {
+  const db = await openDatabase();
+  const keys = await settle(db.transaction('chunks').objectStore('chunks').getAllKeys(chunkRange(fileId)));
+  return new Set(keys.map(([, index]) => index));
+}
+
+/**
+ * Store a verified chunk
+ * @param {string} fileId - Track ID
+ * @param {number} index - Chunk index
+ * @param {ArrayBuffer} data - Chunk contents
+ * @returns {Promise<void>}
+ */
+export async function saveChunk(fileId, index, data) {
+  const db = await openDatabase();
+  const tx = db.transaction('chunks', 'readwrite');
+  tx.objectStore('chunks').put({ fileId, index, data });
+  await committed(tx);
+}
+
+/**
+ * Get every stored chunk of a transfer, in order
+ * @param {string} fileId - Track ID
+ * @returns {Promise<ArrayBuffer[]>} Chunk contents
+ */
+export async function getChunks(fileId) {
+  const db = await openDatabase();
+  const chunks = await settle(db.transaction('chunks').objectStore('chunks').getAll(chunkRange(fileId)));
+  return chunks.map(chunk => chunk.data);
+}
+
+/**
+ * Forget a transfer's manifest and chunks
+ * @param {string} fileId - Track ID
+ * @returns {Promise<void>}
+ */
+export async function deleteTransfer(fileId) {
+  const db = await openDatabase();
+  const tx = db.transaction(['transfers', 'chunks'], 'readwrite');
+  tx.objectStore('transfers').delete(fileId);
+  tx.objectStore('chunks').delete(chunkRange(fileId));
+  await committed(tx);
+}
+
+// Export module
+export default {
+  MAX_CACHE_BYTES,
+  getCachedTrack,
+  saveCachedTrack,
+  getTransfer,
+  saveTransfer,
+  getStoredChunks,
+  saveChunk,
+  getChunks,
+  deleteTransfer
+};
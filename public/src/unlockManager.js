@@ -1,17 +1,11 @@
 // unlockManager.js - Manages user unlocks for RydeSync
-import { doc, getDoc, updateDoc, setDoc, arrayUnion, arrayRemove } from "https://www.gstatic.com/firebasejs/9.22.0/firebase-firestore.js";
-import { db } from "./firebase.js";
 import { getCurrentUser, getUserProfile } from "./auth.js";
 
 // Debug mode
 const DEBUG = true;
 
-// Unlock types
-const UNLOCK_TYPES = {
-  PLUGIN: 'unlockedPlugins',
-  SKIN: 'unlockedSkins',
-  ROOM: 'unlockedRooms'
-};
+// Server endpoint that grants unlocks (see unlockService.js)
+const UNLOCKS_URL = '/api/unlocks';
 
 // Local cache of unlocks to avoid frequent Firestore reads
 let unlockCache = {
@@ -126,98 +120,45 @@ export async function checkUnlock(key, type = 'plugin') {
 }
 
 /**
- * Grant an unlock to the user
+ * Ask the server to grant an unlock to the user
+ * Unlocks are read-only to clients: the server checks the item is for sale,
+ * charges for it and writes the profile
  * @param {string} key - The feature key to unlock
  * @param {string} type - The type of unlock (plugin, skin, room)
- * @returns {Promise<boolean>} Success status
+ * @param {Object} options - Grant options
+ * @param {string} options.payment - How it's paid: 'credits', or 'local' for development ledgers
+ * @returns {Promise<Object>} { key, type, alreadyUnlocked, balance, transaction }
+ * @throws {Error} With the server's code, e.g. 'insufficient-credits' or 'not-for-sale'
  */
-export async function grantUnlock(key, type = 'plugin') {
+export async function grantUnlock(key, type = 'plugin', { payment = 'credits' } = {}) {
   const user = getCurrentUser();
-  if (!user) return false;
-  
-  // Determine the unlock field in Firestore
-  let unlockField;
-  switch (type.toLowerCase()) {
-    case 'plugin':
-      unlockField = UNLOCK_TYPES.PLUGIN;
-      break;
-    case 'skin':
-      unlockField = UNLOCK_TYPES.SKIN;
-      break;
-    case 'room':
-      unlockField = UNLOCK_TYPES.ROOM;
-      break;
-    default:
-      console.error("❌ Invalid unlock type:", type);
-      return false;
-  }
-  
-  try {
-    const userRef = doc(db, "users", user.uid);
-    
-    // Add the unlock to the user's profile
-    await updateDoc(userRef, {
-      [unlockField]: arrayUnion(key)
-    });
-    
-    // Update cache
-    await refreshUnlocks();
-    
-    if (DEBUG) console.log(`🎁 Granted ${type} unlock: ${key}`);
-    return true;
-  } catch (error) {
-    console.error(`❌ Error granting ${type} unlock:`, error);
-    return false;
+  if (!user) {
+    const error = new Error("Sign in to unlock");
+    error.code = 'not-signed-in';
+    throw error;
   }
-}
-
-/**
- * Revoke an unlock from the user
- * @param {string} key - The feature key to revoke
- * @param {string} type - The type of unlock (plugin, skin, room)
- * @returns {Promise<boolean>} Success status
- */
-export async function revokeUnlock(key, type = 'plugin') {
-  const user = getCurrentUser();
-  if (!user) return false;
   
-  // Don't allow revoking default unlocks
-  if (key === 'default') return false;
+  const response = await fetch(UNLOCKS_URL, {
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/json',
+      'Authorization': `Bearer ${await user.getIdToken()}`
+    },
+    body: JSON.stringify({ key, type: type.toLowerCase(), payment })
+  });
+  const result = await response.json().catch(() => ({}));
   
-  // Determine the unlock field in Firestore
-  let unlockField;
-  switch (type.toLowerCase()) {
-    case 'plugin':
-      unlockField = UNLOCK_TYPES.PLUGIN;
-      break;
-    case 'skin':
-      unlockField = UNLOCK_TYPES.SKIN;
-      break;
-    case 'room':
-      unlockField = UNLOCK_TYPES.ROOM;
-      break;
-    default:
-      console.error("❌ Invalid unlock type:", type);
-      return false;
+  if (!response.ok) {
+    const error = new Error(result.error || `Unlock failed (${response.status})`);
+    error.code = result.code || 'unlock-failed';
+    throw error;
   }
   
-  try {
-    const userRef = doc(db, "users", user.uid);
-    
-    // Remove the unlock from the user's profile
-    await updateDoc(userRef, {
-      [unlockField]: arrayRemove(key)
-    });
-    
-    // Update cache
-    await refreshUnlocks();
-    
-    if (DEBUG) console.log(`🔒 Revoked ${type} unlock: ${key}`);
-    return true;
-  } catch (error) {
-    console.error(`❌ Error revoking ${type} unlock:`, error);
-    return false;
-  }
+  // Update cache
+  await refreshUnlocks();
+  
+  if (DEBUG) console.log(`🎁 Granted ${type} unlock: ${key}`);
+  return result;
 }
 
 /**
@@ -306,7 +247,6 @@ export default {
   refreshUnlocks,
   checkUnlock,
   grantUnlock,
-  revokeUnlock,
   getAllUnlocks,
   addUnlockListener,
   canAccessRoom
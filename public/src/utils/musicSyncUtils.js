@@ -2,6 +2,8 @@
  * Utility functions for music synchronization
  */
 
+import { getServerNow } from '../clockSync.js';
+
 /**
  * Calculates if position synchronization is needed based on a threshold
  * @param {number} currentPosition - Local playback position in seconds
@@ -98,24 +100,61 @@ export const throttle = (func, limit = 5000) => {
   };
 };
 
+/**
+ * Converts a stored room timestamp to milliseconds since epoch
+ * Accepts plain numbers, Firestore Timestamps and ISO strings
+ * @param {number|Object|string} timestamp - Timestamp to convert
+ * @returns {number|null} - Milliseconds, or null if it can't be read
+ */
+export const toMillis = (timestamp) => {
+  if (typeof timestamp === 'number') return timestamp;
+  if (timestamp && typeof timestamp.toMillis === 'function') return timestamp.toMillis();
+  if (typeof timestamp === 'string') {
+    const parsed = Date.parse(timestamp);
+    return isNaN(parsed) ? null : parsed;
+  }
+  return null;
+};
+
+/**
+ * Calculates where playback should be right now from a stored position
+ * position now = stored position + (serverNow - updatedAt)
+ * @param {number} storedPosition - Position in seconds when it was recorded
+ * @param {boolean} isPlaying - Whether playback was active when recorded
+ * @param {number} updatedAt - Server-clock time (ms) the position was recorded at
+ * @param {number} serverNow - Current server-clock time in ms (default: clock sync estimate)
+ * @returns {number} - Expected position in seconds
+ */
+export const getExpectedPosition = (storedPosition, isPlaying, updatedAt, serverNow = getServerNow()) => {
+  if (!isPlaying || typeof updatedAt !== 'number' || isNaN(updatedAt)) {
+    return storedPosition;
+  }
+  
+  // Never rewind because of a slightly-ahead timestamp
+  const elapsed = Math.max(0, (serverNow - updatedAt) / 1000);
+  return storedPosition + elapsed;
+};
+
 /**
  * Adjusts the playback position based on network latency and server time
  * @param {number} serverPosition - The position reported by the server
  * @param {boolean} isPlaying - Whether playback is currently active
- * @param {number} serverTime - The timestamp when the server position was recorded
+ * @param {number} serverTime - The server-clock timestamp (ms) when the position was recorded
  * @param {number} currentPosition - The current local playback position
+ * @param {number} threshold - Drift in seconds before adjusting (default: 0.2)
  * @return {number} The adjusted position in seconds
  */
-export const adjustPlaybackPosition = (serverPosition, isPlaying, serverTime, currentPosition) => {
-  // Simple implementation for now
+export const adjustPlaybackPosition = (serverPosition, isPlaying, serverTime, currentPosition, threshold = 0.2) => {
   if (typeof serverPosition !== 'number' || isNaN(serverPosition)) {
     return currentPosition;
   }
   
+  const expectedPosition = getExpectedPosition(serverPosition, isPlaying, toMillis(serverTime));
+  
   // If the difference is significant, adjust
-  if (Math.abs(currentPosition - serverPosition) > 2) {
-    return serverPosition;
+  if (shouldSyncPosition(currentPosition, expectedPosition, threshold)) {
+    return expectedPosition;
   }
   
   return currentPosition;
-}; 
\ No newline at end of file
+};
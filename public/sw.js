@@ -0,0 +1,244 @@
+// sw.js - RydeSync service worker
+// Keeps the app usable when reloaded in a dead zone:
+// - the app shell (pages, scripts, plugins, styles) is served from the network
+//   when it answers in time, and from the cache otherwise
+// - CDN libraries (PeerJS, the Firebase SDK, fonts) are versioned URLs, served
+//   from the cache and refreshed in the background
+// - the plugin catalog (/api/plugins) falls back to its last copy
+// - room tracks the page asks for are cached whole and served from the cache,
+//   Range requests included, so they play offline
+// Room state, presence and signalling are never cached.
+// Registered by src/offlineSupport.js. Classic script: service workers can't
+// rely on module support everywhere yet.
+
+const VERSION = 'v1';
+const SHELL_CACHE = `rydesync-shell-${VERSION}`;
+const LIBRARY_CACHE = `rydesync-libraries-${VERSION}`;
+// Not versioned: cached tracks outlive app updates
+const AUDIO_CACHE = 'rydesync-audio';
+
+// Tracks kept for offline playback (the oldest go first)
+const MAX_AUDIO_TRACKS = 20;
+// How long the network gets before the cached shell is used
+const NETWORK_TIMEOUT_MS = 4000;
+
+// Fetched on install; anything else the app loads is cached as it's used
+const SHELL_FILES = [
+  '/',
+  '/index.html',
+  '/style.css',
+  '/favicon.png',
+  '/manifest.webmanifest',
+  '/main.js',
+  '/initUI.js',
+  '/musicSync.js',
+  '/pluginManager.js',
+  '/syncMusicPlayer.js',
+  '/app/app.js',
+  '/app/modules/musicPlayer.js',
+  '/app/modules/playlistManager.js',
+  '/app/modules/playlistMemory.js',
+  '/app/modules/volumeControl.js',
+  '/legacy/sharedPlaylistMemory.js',
+  '/plugins',
+  '/plugins/index.js',
+  '/plugins/gallery.js',
+  '/plugins/musicUI.js',
+  '/plugins/serviceConverter.js',
+  '/plugins/syncMusicPlayer.js',
+  '/plugins/localMusicPlayer.js',
+  '/plugins/PlaylistSync.js',
+  '/plugins/asd.js',
+  '/plugins/foxecho.js',
+  '/plugins/foxecho.manifest.json',
+  '/plugins/roomCreator.js',
+  '/plugins/roomCreator.manifest.json',
+  '/plugins/syntheticsouls.js',
+  '/plugins/syntheticsouls.manifest.json',
+  '/plugins/timbrhq.js',
+  '/plugins/timbrhq.manifest.json',
+  '/src/auth.js',
+  '/src/clockSync.js',
+  '/src/driftCorrector.js',
+  '/src/firebase.js',
+  '/src/localTrackStream.js',
+  '/src/marketplace.js',
+  '/src/offlineRoomStore.js',
+  '/src/offlineSupport.js',
+  '/src/paymentProviders/firestoreProvider.js',
+  '/src/paymentProviders/localProvider.js',
+  '/src/peerFileTransfer.js',
+  '/src/peerMusicChannel.js',
+  '/src/peerPlaylistChannel.js',
+  '/src/peerReconnect.js',
+  '/src/playlistOps.js',
+  '/src/pluginDependencies.js',
+  '/src/pluginHost.js',
+  '/src/pluginLifecycle.js',
+  '/src/pluginSandboxProtocol.js',
+  '/src/pluginSandboxRuntime.js',
+  '/src/pluginSettings.js',
+  '/src/queuePanel.js',
+  '/src/roomCredentials.js',
+  '/src/roomModeration.js',
+  '/src/roomQueue.js',
+  '/src/syncBackends/firestoreBackend.js',
+  '/src/syncBackends/websocketBackend.js',
+  '/src/themeSwitcher.js',
+  '/src/trackCache.js',
+  '/src/unlockManager.js',
+  '/src/utils/musicSyncUtils.js',
+  '/src/wakeLock.js'
+];
+
+// Same-origin paths that are live data, never cached
+const LIVE_PATHS = ['/peerjs', '/sync', '/time', '/rooms', '/peers', '/join', '/leave', '/heartbeat', '/api/'];
+const PLUGIN_CATALOG_PATH = '/api/plugins';
+const LIBRARY_HOSTS = ['www.gstatic.com', 'cdn.jsdelivr.net', 'fonts.googleapis.com', 'fonts.gstatic.com'];
+
+self.addEventListener('install', event => {
+  event.waitUntil(
+    caches.open(SHELL_CACHE)
+      // One missing file (e.g. in a bundled build) shouldn't stop the rest being cached
+      .then(cache => Promise.allSettled(SHELL_FILES.map(url => cache.add(url))))
+      .then(() => self.skipWaiting())
+  );
+});
+
+self.addEventListener('activate', event => {
+  const keep = [SHELL_CACHE, LIBRARY_CACHE, AUDIO_CACHE];
+
+  event.waitUntil(
+    caches.keys()
+      .then(names => Promise.all(names.filter(name => !keep.includes(name)).map(name => caches.delete(name))))
+      .then(() => self.clients.claim())
+  );
+});
+
+self.addEventListener('fetch', event => {
+  const { request } = event;
+  if (request.method !== 'GET') return;
+
+  const url = new URL(request.url);
+
+  if (request.destination === 'audio' || request.headers.has('range')) {
+    event.respondWith(serveAudio(request));
+    return;
+  }
+
+  if (url.origin === self.location.origin) {
+    if (url.pathname === PLUGIN_CATALOG_PATH) {
+      event.respondWith(networkFirst(request, SHELL_CACHE));
+    } else if (request.mode === 'navigate') {
+      // Every page is the app (see the catch-all route in server.js)
+      event.respondWith(networkFirst(request, SHELL_CACHE, '/index.html'));
+    } else if (!LIVE_PATHS.some(path => url.pathname.startsWith(path))) {
+      event.respondWith(networkFirst(request, SHELL_CACHE));
+    }
+    return;
+  }
+
+  if (LIBRARY_HOSTS.includes(url.hostname)) {
+    event.respondWith(staleWhileRevalidate(request, LIBRARY_CACHE));
+  }
+});
+
+// Resolves to the network response, or rejects if it fails or takes too long
+function fetchWithTimeout(request) {
+  return new Promise((resolve, reject) => {
+    const timer = setTimeout(() => reject(new Error('Network timeout')), NETWORK_TIMEOUT_MS);
+    fetch(request).then(response => {
+      clearTimeout(timer);
+      resolve(response);
+    }, error => {
+      clearTimeout(timer);
+      reject(error);
+    });
+  });
+}
+
+async function networkFirst(request, cacheName, fallbackUrl = null) {
+  const cache = await caches.open(cacheName);
+
+  try {
+    const response = await fetchWithTimeout(request);
+    if (response.ok) cache.put(request, response.clone());
+    return response;
+  } catch (error) {
+    const cached = await cache.match(request, { ignoreSearch: request.mode === 'navigate' }) ||
+      (fallbackUrl && await cache.match(fallbackUrl));
+    if (cached) return cached;
+    throw error;
+  }
+}
+
+async function staleWhileRevalidate(request, cacheName) {
+  const cache = await caches.open(cacheName);
+  const cached = await cache.match(request);
+
+  const refresh = fetch(request).then(response => {
+    // Fonts and stylesheets loaded without CORS come back opaque (status 0)
+    if (response.ok || response.type === 'opaque') cache.put(request, response.clone());
+    return response;
+  });
+
+  if (cached) {
+    refresh.catch(() => {});
+    return cached;
+  }
+  return refresh;
+}
+
+// Cached tracks are stored whole; a Range request gets the bytes it asked for
+async function serveAudio(request) {
+  const cache = await caches.open(AUDIO_CACHE);
+  const cached = await cache.match(request.url);
+  if (!cached) return fetch(request);
+
+  const range = /^bytes=(\d*)-(\d*)$/.exec(request.headers.get('range') || '');
+  if (!range) return cached;
+
+  const blob = await cached.blob();
+  const start = range[1] ? Number(range[1]) : Math.max(0, blob.size - Number(range[2]));
+  const end = range[1] && range[2] ? Math.min(Number(range[2]), blob.size - 1) : blob.size - 1;
+
+  if (start >= blob.size || start > end) {
+    return new Response(null, { status: 416, headers: { 'Content-Range': `bytes */${blob.size}` } });
+  }
+
+  return new Response(blob.slice(start, end + 1), {
+    status: 206,
+    headers: {
+      'Content-Type': cached.headers.get('Content-Type') || 'audio/mpeg',
+      'Content-Range': `bytes ${start}-${end}/${blob.size}`,
+      'Content-Length': String(end - start + 1),
+      'Accept-Ranges': 'bytes'
+    }
+  });
+}
+
+// Fetch a track whole and keep it, if its server lets us read it
+async function cacheAudio(url) {
+  const cache = await caches.open(AUDIO_CACHE);
+  if (await cache.match(url)) return;
+
+  const response = await fetch(url, { mode: 'cors' });
+  const type = response.headers.get('Content-Type') || '';
+  if (!response.ok || !(type.startsWith('audio/') || type === 'application/octet-stream')) return;
+
+  await cache.put(url, response);
+
+  const keys = await cache.keys();
+  await Promise.all(keys.slice(0, Math.max(0, keys.length - MAX_AUDIO_TRACKS)).map(key => cache.delete(key)));
+}
+
+// Messages from src/offlineSupport.js
+self.addEventListener('message', event => {
+  const message = event.data || {};
+
+  if (message.type === 'cache-audio' && Array.isArray(message.urls)) {
+    event.waitUntil(Promise.all(message.urls.map(url =>
+      cacheAudio(url).catch(error => console.warn(`📴 Could not cache ${url} for offline playback:`, error.message))
+    )));
+  }
+});
@@ -0,0 +1,110 @@
+// 🚦 RydeSync Rate Limiter
+// Per-IP token buckets for the signaling server's HTTP routes
+// Budgets are "requests/seconds" strings, e.g. "30/60" allows bursts of 30 and
+// refills the bucket over a minute; each can be overridden with RATE_LIMIT_<NAME>
+
+/**
+ * Parse a "requests/seconds" budget
+ * @param {string} value - Budget string
+ * @returns {Object|null} { capacity, refillPerMs }, or null if malformed
+ */
+function parseBudget(value) {
+  const match = /^(\d+)\/(\d+)$/.exec(String(value || "").trim());
+  if (!match) return null;
+
+  const capacity = Number(match[1]);
+  const seconds = Number(match[2]);
+  if (capacity <= 0 || seconds <= 0) return null;
+
+  return { capacity, refillPerMs: capacity / (seconds * 1000) };
+}
+
+/**
+ * Create a rate limiter
+ * @param {Object} defaults - Budget name -> "requests/seconds"
+ * @param {Object} env - Environment to read RATE_LIMIT_<NAME> overrides from
+ * @returns {Object} Limiter with limit(name) middleware, sweep() and budgets
+ */
+function createRateLimiter(defaults, env = process.env) {
+  const budgets = {};
+  const buckets = new Map(); // "name:ip" -> { tokens, updatedAt }
+
+  Object.entries(defaults).forEach(([name, fallback]) => {
+    const override = env[`RATE_LIMIT_${name.toUpperCase()}`];
+    const budget = parseBudget(override) || parseBudget(fallback);
+
+    if (override && !parseBudget(override)) {
+      console.warn(`⚠️ Ignoring malformed RATE_LIMIT_${name.toUpperCase()}="${override}" (expected requests/seconds)`);
+    }
+    if (!budget) {
+      throw new Error(`Invalid rate limit budget for "${name}": ${fallback}`);
+    }
+    budgets[name] = budget;
+  });
+
+  // Refill a bucket for the time since it was last used, then try to take a token
+  function take(name, key) {
+    const budget = budgets[name];
+    const now = Date.now();
+    const bucket = buckets.get(key) || { tokens: budget.capacity, updatedAt: now };
+
+    bucket.tokens = Math.min(budget.capacity, bucket.tokens + (now - bucket.updatedAt) * budget.refillPerMs);
+    bucket.updatedAt = now;
+
+    const allowed = bucket.tokens >= 1;
+    if (allowed) bucket.tokens -= 1;
+    buckets.set(key, bucket);
+
+    return { allowed, retryAfterMs: allowed ? 0 : Math.ceil((1 - bucket.tokens) / budget.refillPerMs) };
+  }
+
+  return {
+    budgets,
+
+    /**
+     * Express middleware charging one request to a budget
+     * @param {string} name - Budget name
+     * @returns {Function} Middleware answering 429 when the caller's bucket is empty
+     */
+    limit(name) {
+      if (!budgets[name]) {
+        throw new Error(`Unknown rate limit budget "${name}"`);
+      }
+
+      return (req, res, next) => {
+        const { allowed, retryAfterMs } = take(name, `${name}:${req.ip}`);
+        if (allowed) return next();
+
+        const retryAfter = Math.ceil(retryAfterMs / 1000);
+        res.set("Retry-After", String(retryAfter));
+        res.status(429).json({ error: "Too many requests, slow down", retryAfter });
+      };
+    },
+
+    /**
+     * Charge one request to a budget outside Express (e.g. WebSocket messages)
+     * @param {string} name - Budget name
+     * @param {string} key - Who is charged (an address or connection ID)
+     * @returns {Object} { allowed, retryAfterMs }
+     */
+    consume(name, key) {
+      if (!budgets[name]) {
+        throw new Error(`Unknown rate limit budget "${name}"`);
+      }
+      return take(name, `${name}:${key}`);
+    },
+
+    // Drop buckets that have refilled completely; they're the same as no bucket
+    sweep() {
+      const now = Date.now();
+      buckets.forEach((bucket, key) => {
+        const budget = budgets[key.slice(0, key.indexOf(":"))];
+        if (bucket.tokens + (now - bucket.updatedAt) * budget.refillPerMs >= budget.capacity) {
+          buckets.delete(key);
+        }
+      });
+    }
+  };
+}
+
+module.exports = { createRateLimiter, parseBudget };
@@ -0,0 +1,403 @@
+// 🗂 RydeSync Room State Server
+// In-memory mirror of the Firestore musicRooms collection, served over WebSocket
+// so music sync can run without Firebase (client: public/src/syncBackends/websocketBackend.js)
+const WebSocket = require("ws");
+
+const SYNC_PATH = "/sync";
+const MAX_MESSAGE_BYTES = 64 * 1024;
+const MAX_ROOM_ID_LENGTH = 128;
+const DEFAULT_IDLE_ROOM_TTL_MS = 24 * 60 * 60 * 1000;
+
+// Fields managed by the server, never written by clients
+const RESERVED_FIELDS = new Set(["id", "version", "__proto__", "constructor", "prototype"]);
+
+// Error codes sent back to clients
+const ERRORS = {
+  BAD_REQUEST: "bad-request",
+  NOT_FOUND: "not-found",
+  CONFLICT: "conflict",
+  RATE_LIMITED: "resource-exhausted",
+  PERMISSION_DENIED: "permission-denied"
+};
+
+// Requests that need no access token: leaving a room, and reading or creating
+// one that has no state yet (the room creator does that before joining)
+const OPEN_TYPES = new Set(["unwatch"]);
+const OPEN_WHEN_EMPTY_TYPES = new Set(["get", "set"]);
+
+class RoomStateError extends Error {
+  constructor(code, message) {
+    super(message);
+    this.code = code;
+  }
+}
+
+// Compare values the way Firestore's arrayUnion/arrayRemove do (deep equality)
+function isSameValue(a, b) {
+  return JSON.stringify(a) === JSON.stringify(b);
+}
+
+/**
+ * Apply a set of field changes to room data
+ * Supports the sentinels sent by the client backend in place of Firestore's
+ * serverTimestamp(), arrayUnion() and arrayRemove()
+ * @param {Object} data - Room data (modified in place)
+ * @param {Object} changes - Field changes
+ */
+function applyChanges(data, changes) {
+  Object.entries(changes).forEach(([field, value]) => {
+    if (RESERVED_FIELDS.has(field)) {
+      throw new RoomStateError(ERRORS.BAD_REQUEST, `Field "${field}" can't be written`);
+    }
+
+    if (!value || typeof value !== "object" || !value.__op) {
+      data[field] = value;
+      return;
+    }
+
+    const current = Array.isArray(data[field]) ? data[field] : [];
+    const values = Array.isArray(value.values) ? value.values : [];
+
+    switch (value.__op) {
+      case "serverTimestamp":
+        data[field] = Date.now();
+        break;
+      case "arrayUnion":
+        data[field] = [...current, ...values.filter((v, i) =>
+          !current.some(e => isSameValue(e, v)) && values.findIndex(o => isSameValue(o, v)) === i
+        )];
+        break;
+      case "arrayRemove":
+        data[field] = current.filter(e => !values.some(v => isSameValue(e, v)));
+        break;
+      default:
+        throw new RoomStateError(ERRORS.BAD_REQUEST, `Unknown operation "${value.__op}"`);
+    }
+  });
+}
+
+// Room IDs the server accepts when no validator is given
+function defaultValidateRoomId(roomId) {
+  return typeof roomId === "string" && roomId && roomId.length <= MAX_ROOM_ID_LENGTH
+    ? null
+    : "A valid roomId is required";
+}
+
+// Whether a room holds nothing worth keeping once nobody watches it
+function isEmptyRoom(room) {
+  return !room.data || !Array.isArray(room.data.participants) || room.data.participants.length === 0;
+}
+
+/**
+ * Create the room state service
+ * @param {Object} [options] - Service options
+ * @param {Function} [options.validateRoomId] - (roomId) => error message, or null if valid
+ * @param {Function} [options.consume] - (connectionKey) => { allowed, retryAfterMs }, charges one message
+ * @param {Function} [options.authorize] - (roomId, token) => peer ID the room access token was
+ *   issued to, or null; without it every request is allowed
+ * @param {number} [options.idleRoomTtlMs] - How long unwatched rooms are kept
+ * @returns {Object} Service with attach(server), sweep(), removePeer() and getRoomSummaries()
+ */
+function createRoomStateServer({
+  validateRoomId = defaultValidateRoomId,
+  consume = null,
+  authorize = null,
+  idleRoomTtlMs = DEFAULT_IDLE_ROOM_TTL_MS
+} = {}) {
+  const rooms = new Map(); // roomId -> { data, version, watchers: Set<WebSocket>, lastWatchedAt }
+  const wss = new WebSocket.Server({ noServer: true, maxPayload: MAX_MESSAGE_BYTES });
+  let nextConnectionId = 1;
+
+  function send(socket, message) {
+    if (socket.readyState === WebSocket.OPEN) {
+      socket.send(JSON.stringify(message));
+    }
+  }
+
+  // Rooms are created by writes and watchers, never by reads
+  function getRoom(roomId) {
+    if (!rooms.has(roomId)) {
+      rooms.set(roomId, { data: null, version: 0, watchers: new Set(), lastWatchedAt: Date.now() });
+    }
+    return rooms.get(roomId);
+  }
+
+  function snapshotOf(roomId) {
+    const room = rooms.get(roomId);
+    return { roomId, room: room ? room.data : null, version: room ? room.version : 0 };
+  }
+
+  // Forget a room nobody watches once it has no participants left
+  function releaseRoom(roomId) {
+    const room = rooms.get(roomId);
+    if (room && room.watchers.size === 0 && isEmptyRoom(room)) {
+      rooms.delete(roomId);
+    }
+  }
+
+  function stopWatching(socket, roomId) {
+    const room = rooms.get(roomId);
+    socket.watching.delete(roomId);
+    socket.peers.delete(roomId);
+    if (!room) return;
+
+    room.watchers.delete(socket);
+    room.lastWatchedAt = Date.now();
+    releaseRoom(roomId);
+  }
+
+  // Push the new state to everyone watching the room
+  function commit(roomId) {
+    const room = getRoom(roomId);
+    room.version++;
+
+    const snapshot = { type: "snapshot", ...snapshotOf(roomId) };
+    room.watchers.forEach(socket => send(socket, snapshot));
+  }
+
+  function checkVersion(room, expectedVersion) {
+    if (typeof expectedVersion === "number" && expectedVersion !== room.version) {
+      throw new RoomStateError(ERRORS.CONFLICT, "Room changed since it was read");
+    }
+  }
+
+  // Drop a participant that disconnected, passing leadership on like leaveMusicRoom does
+  function removeParticipant(roomId, participantId) {
+    const room = rooms.get(roomId);
+    if (!room || !room.data || !Array.isArray(room.data.participants)) return;
+    if (!room.data.participants.includes(participantId)) return;
+
+    room.data.participants = room.data.participants.filter(p => p !== participantId);
+
+    if (room.data.leader === participantId) {
+      room.data.leader = room.data.participants[0] || null;
+      room.data.leaderHeartbeatAt = room.data.leader ? Date.now() : null;
+    }
+
+    commit(roomId);
+    releaseRoom(roomId);
+    console.log(`🗂 ${participantId} dropped from room ${roomId} (disconnected)`);
+  }
+
+  const handlers = {
+    get(socket, { roomId }) {
+      return snapshotOf(roomId);
+    },
+
+    set(socket, { roomId, data, merge, expectedVersion }) {
+      if (!data || typeof data !== "object") {
+        throw new RoomStateError(ERRORS.BAD_REQUEST, "Room data is required");
+      }
+
+      const room = getRoom(roomId);
+      checkVersion(room, expectedVersion);
+
+      const next = merge && room.data ? { ...room.data } : {};
+      applyChanges(next, data);
+      room.data = next;
+
+      commit(roomId);
+      return { version: room.version };
+    },
+
+    update(socket, { roomId, changes, expectedVersion }) {
+      if (!changes || typeof changes !== "object") {
+        throw new RoomStateError(ERRORS.BAD_REQUEST, "Changes are required");
+      }
+
+      const room = rooms.get(roomId);
+      if (!room || !room.data) {
+        throw new RoomStateError(ERRORS.NOT_FOUND, `Room ${roomId} does not exist`);
+      }
+      checkVersion(room, expectedVersion);
+
+      const next = { ...room.data };
+      applyChanges(next, changes);
+      room.data = next;
+
+      commit(roomId);
+      return { version: room.version };
+    },
+
+    watch(socket, { roomId }) {
+      getRoom(roomId).watchers.add(socket);
+      socket.watching.add(roomId);
+
+      // Initial snapshot, like Firestore's onSnapshot
+      send(socket, { type: "snapshot", ...snapshotOf(roomId) });
+      return {};
+    },
+
+    unwatch(socket, { roomId }) {
+      stopWatching(socket, roomId);
+      return {};
+    },
+
+    // Tie a participant to this connection so it's removed when the socket drops
+    // (only our own: the participant ID is the peer ID our access token was issued to)
+    presence(socket, { roomId, participantId }, peerId) {
+      if (authorize && participantId !== peerId) {
+        throw new RoomStateError(ERRORS.PERMISSION_DENIED, "Presence can only be set for yourself");
+      }
+      if (participantId) {
+        socket.presence.set(participantId, roomId);
+      }
+      return {};
+    }
+  };
+
+  /**
+   * Check the room access token a request carries
+   * @returns {string|null} Peer ID the token was issued to (null for open requests)
+   */
+  function checkAccess(socket, { type, roomId, token }) {
+    if (!authorize || OPEN_TYPES.has(type)) return null;
+
+    const room = rooms.get(roomId);
+    if (OPEN_WHEN_EMPTY_TYPES.has(type) && (!room || !room.data)) return null;
+
+    const peerId = authorize(roomId, token);
+    if (!peerId) {
+      throw new RoomStateError(ERRORS.PERMISSION_DENIED, `Join room ${roomId} to use its state`);
+    }
+    socket.peers.set(roomId, peerId);
+    return peerId;
+  }
+
+  function handleMessage(socket, raw) {
+    let message;
+    try {
+      message = JSON.parse(raw);
+    } catch (err) {
+      send(socket, { type: "result", id: null, ok: false, code: ERRORS.BAD_REQUEST, error: "Invalid JSON" });
+      return;
+    }
+
+    const { id, type, roomId } = message || {};
+
+    try {
+      if (!Object.prototype.hasOwnProperty.call(handlers, type)) {
+        throw new RoomStateError(ERRORS.BAD_REQUEST, `Unknown message type "${type}"`);
+      }
+      const roomIdError = validateRoomId(roomId);
+      if (roomIdError) {
+        throw new RoomStateError(ERRORS.BAD_REQUEST, roomIdError);
+      }
+      if (consume) {
+        const { allowed, retryAfterMs } = consume(socket.connectionKey);
+        if (!allowed) {
+          throw new RoomStateError(ERRORS.RATE_LIMITED, `Too many requests, retry in ${Math.ceil(retryAfterMs / 1000)}s`);
+        }
+      }
+
+      const peerId = checkAccess(socket, message);
+      const result = handlers[type](socket, message, peerId);
+      send(socket, { type: "result", id, ok: true, ...result });
+    } catch (err) {
+      if (!(err instanceof RoomStateError)) {
+        console.error("❌ Room state error:", err);
+      }
+      send(socket, {
+        type: "result",
+        id,
+        ok: false,
+        code: err.code || ERRORS.BAD_REQUEST,
+        error: err.message
+      });
+    }
+  }
+
+  wss.on("connection", socket => {
+    socket.connectionKey = `conn-${nextConnectionId++}`;
+    socket.watching = new Set();
+    socket.presence = new Map(); // participantId -> roomId
+    socket.peers = new Map(); // roomId -> peer ID its access token was issued to
+
+    socket.on("message", raw => handleMessage(socket, raw));
+
+    socket.on("close", () => {
+      [...socket.watching].forEach(roomId => stopWatching(socket, roomId));
+      socket.presence.forEach((roomId, participantId) => removeParticipant(roomId, participantId));
+    });
+  });
+
+  return {
+    /**
+     * Route WebSocket upgrades for SYNC_PATH to the room state service
+     * Must be called after the PeerJS server is mounted: its WebSocket server
+     * rejects upgrades for paths it doesn't own, so it only sees the rest
+     * @param {http.Server} server - HTTP server
+     */
+    attach(server) {
+      const otherListeners = server.listeners("upgrade");
+      server.removeAllListeners("upgrade");
+
+      server.on("upgrade", (req, socket, head) => {
+        const pathname = req.url.split("?")[0];
+
+        if (pathname === SYNC_PATH) {
+          wss.handleUpgrade(req, socket, head, ws => wss.emit("connection", ws, req));
+          return;
+        }
+
+        otherListeners.forEach(listener => listener.call(server, req, socket, head));
+      });
+    },
+
+    /**
+     * Cut a peer off from a room, e.g. once it was kicked: its watches stop, its
+     * participant is dropped, and it's told its access was revoked
+     * @param {string} roomId - ID of the room
+     * @param {string} peerId - Peer ID
+     */
+    removePeer(roomId, peerId) {
+      wss.clients.forEach(socket => {
+        if (socket.peers.get(roomId) !== peerId) return;
+
+        if (socket.watching.has(roomId)) {
+          stopWatching(socket, roomId);
+          send(socket, { type: "revoked", roomId });
+        }
+        socket.peers.delete(roomId);
+      });
+
+      wss.clients.forEach(socket => {
+        if (socket.presence.get(peerId) === roomId) socket.presence.delete(peerId);
+      });
+      removeParticipant(roomId, peerId);
+    },
+
+    // Drop rooms nobody has watched for idleRoomTtlMs, even if they still hold participants
+    sweep() {
+      const now = Date.now();
+      rooms.forEach((room, roomId) => {
+        if (room.watchers.size === 0 && now - room.lastWatchedAt > idleRoomTtlMs) {
+          rooms.delete(roomId);
+          console.log(`⌛ Room state expired: ${roomId}`);
+        }
+      });
+    },
+
+    /**
+     * Summaries of rooms with state, for stats endpoints
+     * @returns {Array} Room summaries
+     */
+    getRoomSummaries() {
+      const summaries = [];
+      rooms.forEach((room, roomId) => {
+        if (!room.data) return;
+        summaries.push({
+          name: roomId,
+          participants: Array.isArray(room.data.participants) ? room.data.participants.length : 0,
+          leader: room.data.leader || null,
+          isPlaying: !!room.data.isPlaying,
+          watchers: room.watchers.size,
+          version: room.version
+        });
+      });
+      return summaries;
+    }
+  };
+}
+
+module.exports = { createRoomStateServer, SYNC_PATH };
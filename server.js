@@ -3,17 +3,30 @@ const express = require("express");
 const { ExpressPeerServer } = require("peer");
 const http = require("http");
 const path = require("path");
+const fs = require("fs");
+const crypto = require("crypto");
 const cors = require("cors");
+const { createRoomStateServer, SYNC_PATH } = require("./roomStateServer");
+const { createRateLimiter } = require("./rateLimiter");
+const { loadPluginManifests } = require("./pluginManifest");
+const { createUnlockService } = require("./unlockService");
+const admin = require("firebase-admin");
 
 const app = express();
-const peers = new Map(); // Changed from Set to Map to store peer metadata
-const rooms = new Map();
+const peers = new Map(); // peerId -> { id, joinedAt, lastSeen, rooms }
+const rooms = new Map(); // roomName -> { name, createdAt, lastActiveAt, peers }
 
 console.log("🧪 Render injected PORT:", process.env.PORT);
 
 // 🔐 CORS setup
 app.use(cors());
 
+// Behind a proxy (e.g. Render), set TRUST_PROXY (hop count or "true") so rate
+// limits and ban fingerprints see client addresses instead of the proxy's
+if (process.env.TRUST_PROXY) {
+  app.set("trust proxy", Number(process.env.TRUST_PROXY) || process.env.TRUST_PROXY === "true");
+}
+
 // 📁 Serve static files from /public
 app.use(express.static(path.join(__dirname, "public")));
 
@@ -28,6 +41,81 @@ const peerServer = ExpressPeerServer(server, {
 });
 app.use("/peerjs", peerServer); // ✅ Now properly scoped
 
+// ⏳ Presence registry config
+const PEER_TTL_MS = Number(process.env.PEER_TTL_MS) || 60000; // peers not seen for a minute are evicted
+const ROOM_TTL_MS = Number(process.env.ROOM_TTL_MS) || 24 * 60 * 60 * 1000; // empty rooms are kept for a day
+const SWEEP_INTERVAL_MS = 15000;
+const SNAPSHOT_FILE = process.env.ROOM_SNAPSHOT_FILE || path.join(__dirname, "data", "rooms.json");
+const SNAPSHOT_DEBOUNCE_MS = 2000;
+const EVENT_STREAM_PING_MS = 25000; // keeps proxies from closing idle SSE streams
+
+// 🔒 Private room config
+const ROOM_SECRET = process.env.ROOM_SECRET || crypto.randomBytes(32).toString("hex");
+const ACCESS_TOKEN_TTL_MS = 12 * 60 * 60 * 1000; // per-peer token handed out by /join
+const INVITE_TTL_MS = 24 * 60 * 60 * 1000;
+const MAX_INVITE_TTL_MS = 7 * 24 * 60 * 60 * 1000;
+const MIN_PASSWORD_LENGTH = 4;
+const MAX_PASSWORD_LENGTH = 128;
+
+// 🛡 Moderation config
+const MODERATION_LOG_FILE = process.env.MODERATION_LOG_FILE || path.join(__dirname, "data", "moderation.log");
+const MODERATION_TOKEN_TTL_MS = 5 * 60 * 1000; // signed actions peers relay to each other
+const KICK_DURATION_MS = 60 * 60 * 1000; // a kicked session's peer ID can't rejoin; a new session can
+const DEFAULT_BAN_DURATION_MS = 24 * 60 * 60 * 1000;
+const MAX_BAN_DURATION_MS = 30 * 24 * 60 * 60 * 1000;
+const AUDIT_LOG_LIMIT = 200; // entries kept in memory per room
+
+if (!process.env.ROOM_SECRET) {
+  console.warn("⚠️ ROOM_SECRET not set: invite links and access tokens won't survive a restart");
+}
+
+// ✅ Input validation: room names follow the room creator's rules
+const ROOM_NAME_PATTERN = /^[a-zA-Z0-9-]+$/;
+const MAX_ROOM_NAME_LENGTH = 64;
+const PEER_ID_PATTERN = /^[a-zA-Z0-9_-]+$/;
+const MAX_PEER_ID_LENGTH = 128; // room name plus the client's random suffix
+
+// 🚦 Per-IP request budgets ("requests/seconds"), overridable with RATE_LIMIT_<NAME>
+// Riders in one car often share an address, so these leave room for a few clients
+const rateLimiter = createRateLimiter({
+  join: "30/60", // joining rooms (and so creating them)
+  presence: "300/60", // heartbeats, leaves and peer checks
+  write: "30/60", // room passwords, invites and moderation
+  read: "120/60", // peer lists, room stats and event streams
+  time: "120/60", // clock sync samples
+  sync: "600/60" // room state messages, per WebSocket connection
+});
+const { limit } = rateLimiter;
+
+// 🗂 Room state over WebSocket (Firestore-free music sync backend)
+// Attached after PeerJS is mounted so it can route upgrades ahead of it; requests
+// carry the access token /join issued, so only members read or change a room
+const roomState = createRoomStateServer({
+  validateRoomId: validateRoomName,
+  consume: connectionKey => rateLimiter.consume("sync", connectionKey),
+  authorize: getRoomStatePeer,
+  idleRoomTtlMs: ROOM_TTL_MS
+});
+roomState.attach(server);
+
+// 🧩 Plugin catalog, rescanned at most this often so new manifests show up without a restart
+const PLUGINS_DIR = path.join(__dirname, "public", "plugins");
+const PLUGIN_SCAN_TTL_MS = 10000;
+
+// 🎁 Unlock grants use firebase-admin: FIREBASE_SERVICE_ACCOUNT (the key's JSON or a
+// path to it) or GOOGLE_APPLICATION_CREDENTIALS; without either, unlocks are off
+const ALLOW_LOCAL_PAYMENTS = process.env.ALLOW_LOCAL_PAYMENTS === "true"; // development ledgers only
+
+let snapshotTimer = null;
+let pluginCatalog = null;
+let pluginCatalogScannedAt = 0;
+
+// 📣 SSE subscribers per room (roomName -> Set of responses)
+const roomEventStreams = new Map();
+
+// 🔒 Password-protected rooms (roomName -> { salt, passwordHash, createdAt })
+const roomAccess = new Map();
+
 // Add timestamp and create peer metadata
 function createPeerMetadata(peerId) {
   return {
@@ -38,211 +126,962 @@ function createPeerMetadata(peerId) {
   };
 }
 
-// Update peer's last seen timestamp
+// Create room metadata (peers map holds per-room join/seen times)
+// ownerKeyHash is the hash of the owner key handed to the room's creator; owner is
+// the peer holding that key right now; bans block peer IDs or fingerprints until a time
+function createRoomMetadata(roomName) {
+  return {
+    name: roomName,
+    createdAt: Date.now(),
+    lastActiveAt: Date.now(),
+    ownerKeyHash: null,
+    owner: null,
+    bans: [],
+    auditLog: [],
+    peers: new Map()
+  };
+}
+
+function isPeerAlive(lastSeen) {
+  return Date.now() - lastSeen < PEER_TTL_MS;
+}
+
+// Live peer IDs of a room
+function getLivePeerIds(roomName) {
+  const room = rooms.get(roomName);
+  if (!room) return [];
+
+  return [...room.peers.entries()]
+    .filter(([, membership]) => isPeerAlive(membership.lastSeen))
+    .map(([peerId]) => peerId);
+}
+
+// 📣 Push a membership event to everyone streaming the room
+function emitRoomEvent(roomName, type, peerId) {
+  const streams = roomEventStreams.get(roomName);
+  if (!streams || streams.size === 0) return;
+
+  const payload = `event: ${type}\ndata: ${JSON.stringify({ room: roomName, peerId, at: Date.now() })}\n\n`;
+  streams.forEach(res => res.write(payload));
+}
+
+// Update peer's last seen timestamp (and in every room it's in)
 function updatePeerActivity(peerId) {
-  if (peers.has(peerId)) {
-    const peerData = peers.get(peerId);
-    peerData.lastSeen = Date.now();
-    peers.set(peerId, peerData);
+  const peerData = peers.get(peerId);
+  if (!peerData) return;
+
+  const now = Date.now();
+  peerData.lastSeen = now;
+
+  peerData.rooms.forEach(roomName => {
+    const room = rooms.get(roomName);
+    const membership = room && room.peers.get(peerId);
+    if (membership) {
+      membership.lastSeen = now;
+      room.lastActiveAt = now;
+    }
+  });
+}
+
+// Add a peer to a room, creating both if needed
+function addPeerToRoom(roomName, peerId, fingerprint = null) {
+  if (!rooms.has(roomName)) {
+    rooms.set(roomName, createRoomMetadata(roomName));
+  }
+  if (!peers.has(peerId)) {
+    peers.set(peerId, createPeerMetadata(peerId));
+  }
+
+  const room = rooms.get(roomName);
+  const isNew = !room.peers.has(peerId);
+
+  if (isNew) {
+    room.peers.set(peerId, { joinedAt: Date.now(), lastSeen: Date.now(), fingerprint });
+    peers.get(peerId).rooms.add(roomName);
+    scheduleSnapshot();
+    emitRoomEvent(roomName, "join", peerId);
+  } else if (fingerprint) {
+    room.peers.get(peerId).fingerprint = fingerprint;
+  }
+
+  updatePeerActivity(peerId);
+
+  return isNew;
+}
+
+// Mark the peer holding the owner key (or nobody) and tell the room
+function setRoomOwner(roomName, peerId) {
+  const room = rooms.get(roomName);
+  if (!room || room.owner === peerId) return;
+
+  room.owner = peerId;
+  scheduleSnapshot();
+  emitRoomEvent(roomName, "owner", peerId);
+}
+
+// eventType is "leave" for a clean exit, "stale" when the TTL ran out
+// ("kick" when a moderator removed it); ownership isn't passed on, the room
+// waits for its creator to come back with the owner key
+function removePeerFromRoom(roomName, peerId, eventType = "leave") {
+  const room = rooms.get(roomName);
+  if (room && room.peers.delete(peerId)) {
+    room.lastActiveAt = Date.now();
+    scheduleSnapshot();
+    emitRoomEvent(roomName, eventType, peerId);
+
+    if (room.owner === peerId) {
+      setRoomOwner(roomName, null);
+    }
+  }
+
+  const peerData = peers.get(peerId);
+  if (peerData) peerData.rooms.delete(roomName);
+}
+
+// Remove a peer from every room and the registry
+function removePeer(peerId, eventType = "leave") {
+  const peerData = peers.get(peerId);
+  if (peerData) {
+    [...peerData.rooms].forEach(roomName => removePeerFromRoom(roomName, peerId, eventType));
+  }
+
+  if (peers.delete(peerId)) scheduleSnapshot();
+}
+
+// 🔒 Room access: salted scrypt password hashes and HMAC-signed tokens
+function hashPassword(password, salt) {
+  return crypto.scryptSync(password, salt, 32).toString("hex");
+}
+
+function checkPassword(roomName, password) {
+  const access = roomAccess.get(roomName);
+  if (!access || typeof password !== "string" || password.length > MAX_PASSWORD_LENGTH) return false;
+
+  const expected = Buffer.from(access.passwordHash, "hex");
+  const actual = Buffer.from(hashPassword(password, access.salt), "hex");
+  return crypto.timingSafeEqual(expected, actual);
+}
+
+function signToken(payload) {
+  const body = Buffer.from(JSON.stringify(payload)).toString("base64url");
+  const signature = crypto.createHmac("sha256", ROOM_SECRET).update(body).digest("base64url");
+  return `${body}.${signature}`;
+}
+
+// Returns the token's payload if it's authentic, unexpired and of the given kind
+function verifyToken(token, kind) {
+  if (typeof token !== "string") return null;
+
+  const [body, signature] = token.split(".");
+  if (!body || !signature) return null;
+
+  const expected = crypto.createHmac("sha256", ROOM_SECRET).update(body).digest();
+  const actual = Buffer.from(signature, "base64url");
+  if (actual.length !== expected.length || !crypto.timingSafeEqual(actual, expected)) return null;
+
+  try {
+    const payload = JSON.parse(Buffer.from(body, "base64url").toString("utf8"));
+    if (payload.kind !== kind || !(payload.exp > Date.now())) return null;
+    return payload;
+  } catch (err) {
+    return null;
+  }
+}
+
+function isPrivateRoom(roomName) {
+  return roomAccess.has(roomName);
+}
+
+// The token carries the peer's fingerprint, so a ban on its device also covers it
+function createAccessToken(roomName, peerId, fingerprint = null) {
+  return signToken({ kind: "access", room: roomName, peerId, fingerprint, exp: Date.now() + ACCESS_TOKEN_TTL_MS });
+}
+
+// Whether a peer holds a valid access token for a room (public rooms need none)
+// Kicked and banned peers lose access until their ban runs out
+function hasRoomAccess(roomName, peerId, token) {
+  if (!isPrivateRoom(roomName)) {
+    return peerId === undefined || !findBan(roomName, peerId, null);
+  }
+
+  const payload = verifyToken(token, "access");
+  return !!payload && payload.room === roomName && (peerId === undefined || payload.peerId === peerId) &&
+    !findBan(roomName, payload.peerId, payload.fingerprint);
+}
+
+// Whether a token is the access token /join issued to this peer for this room
+// Presence changes (heartbeats, leaves) need one in every room, public or private
+function hasPeerToken(roomName, peerId, token) {
+  const payload = verifyToken(token, "access");
+  return !!payload && payload.room === roomName && payload.peerId === peerId;
+}
+
+// Peer a room state request comes from: its access token's, unless it was kicked or banned
+function getRoomStatePeer(roomName, token) {
+  const payload = verifyToken(token, "access");
+  if (!payload || payload.room !== roomName || findBan(roomName, payload.peerId, payload.fingerprint)) {
+    return null;
+  }
+  return payload.peerId;
+}
+
+// 👑 Owner keys: random secrets only the room's creator gets, stored hashed
+function hashOwnerKey(key) {
+  return crypto.createHash("sha256").update(key).digest("hex");
+}
+
+// Hand the room to the peer creating it, returning the key it proves ownership with
+function issueOwnerKey(roomName) {
+  const key = crypto.randomBytes(32).toString("hex");
+  rooms.get(roomName).ownerKeyHash = hashOwnerKey(key);
+  scheduleSnapshot();
+  return key;
+}
+
+function isOwnerKey(roomName, key) {
+  const room = rooms.get(roomName);
+  if (!room || !room.ownerKeyHash || typeof key !== "string" || !key) return false;
+
+  const expected = Buffer.from(room.ownerKeyHash, "hex");
+  const actual = Buffer.from(hashOwnerKey(key), "hex");
+  return crypto.timingSafeEqual(expected, actual);
+}
+
+// Owner key from the X-Room-Owner-Key header or the ownerKey body field
+function getRequestOwnerKey(req) {
+  return req.get("x-room-owner-key") || (req.body || {}).ownerKey;
+}
+
+// Access token from the X-Room-Token header, or ?token= for EventSource which can't set headers
+function getRequestToken(req) {
+  return req.get("x-room-token") || req.query.token;
+}
+
+// 🛡 Moderation helpers
+// Fingerprint of a client: its persistent device ID if it sent one, else its address
+function getFingerprint(req, deviceId) {
+  const source = typeof deviceId === "string" && deviceId ? `device:${deviceId}` : `ip:${req.ip}`;
+  return crypto.createHash("sha256").update(source).digest("hex").slice(0, 16);
+}
+
+// Active ban matching a peer ID or fingerprint, dropping expired ones
+function findBan(roomName, peerId, fingerprint) {
+  const room = rooms.get(roomName);
+  if (!room) return null;
+
+  const now = Date.now();
+  room.bans = room.bans.filter(ban => ban.until > now);
+
+  return room.bans.find(ban =>
+    (ban.peerId && ban.peerId === peerId) || (ban.fingerprint && ban.fingerprint === fingerprint)
+  ) || null;
+}
+
+// Who is moderating: the room owner, with its access token and owner key
+// (the room password only lets members in, it doesn't make them moderators)
+function getModerator(req, roomName) {
+  const payload = verifyToken(getRequestToken(req), "access");
+
+  if (payload && payload.room === roomName && isOwnerKey(roomName, getRequestOwnerKey(req))) {
+    return payload.peerId;
+  }
+  return null;
+}
+
+// Record a moderation action in the room's log and the audit file
+function auditModeration(roomName, entry) {
+  const record = { at: Date.now(), room: roomName, ...entry };
+
+  const room = rooms.get(roomName);
+  if (room) {
+    room.auditLog.push(record);
+    if (room.auditLog.length > AUDIT_LOG_LIMIT) room.auditLog.shift();
+  }
+
+  fs.mkdir(path.dirname(MODERATION_LOG_FILE), { recursive: true }, () => {
+    fs.appendFile(MODERATION_LOG_FILE, `${JSON.stringify(record)}\n`, err => {
+      if (err) console.error("❌ Failed to write moderation log:", err.message);
+    });
+  });
+
+  console.log(`🛡 ${record.by} ${record.action} in room ${roomName}${record.target ? `: ${record.target}` : ""}`);
+  return record;
+}
+
+// 🧹 Evict peers that stopped sending heartbeats and rooms that stayed empty,
+// along with their passwords
+function sweepRegistry() {
+  const now = Date.now();
+
+  peers.forEach((peerData, peerId) => {
+    if (!isPeerAlive(peerData.lastSeen)) {
+      removePeer(peerId, "stale");
+      console.log(`⌛ Peer expired: ${peerId}`);
+    }
+  });
+
+  rooms.forEach((room, roomName) => {
+    if (room.peers.size === 0 && now - room.lastActiveAt > ROOM_TTL_MS) {
+      rooms.delete(roomName);
+      scheduleSnapshot();
+      console.log(`⌛ Room expired: ${roomName}`);
+    }
+  });
+
+  // Passwords go with their room, so an unused name can't stay locked
+  roomAccess.forEach((access, roomName) => {
+    if (!rooms.has(roomName)) {
+      roomAccess.delete(roomName);
+      scheduleSnapshot();
+    }
+  });
+}
+
+// 💾 Registry snapshot, so a restart keeps room metadata
+function serializeRegistry() {
+  return JSON.stringify({
+    savedAt: Date.now(),
+    rooms: [...rooms.values()].map(room => ({
+      name: room.name,
+      createdAt: room.createdAt,
+      lastActiveAt: room.lastActiveAt,
+      ownerKeyHash: room.ownerKeyHash,
+      owner: room.owner,
+      bans: room.bans,
+      peers: [...room.peers.entries()].map(([id, membership]) => ({ id, ...membership }))
+    })),
+    access: [...roomAccess.entries()].map(([name, access]) => ({ name, ...access }))
+  }, null, 2);
+}
+
+function saveSnapshot() {
+  clearTimeout(snapshotTimer);
+  snapshotTimer = null;
+
+  try {
+    fs.mkdirSync(path.dirname(SNAPSHOT_FILE), { recursive: true });
+    // Write then rename so a crash mid-write never leaves a truncated file
+    const tmpFile = `${SNAPSHOT_FILE}.tmp`;
+    fs.writeFileSync(tmpFile, serializeRegistry());
+    fs.renameSync(tmpFile, SNAPSHOT_FILE);
+  } catch (err) {
+    console.error("❌ Failed to save room snapshot:", err.message);
+  }
+}
+
+function scheduleSnapshot() {
+  if (!snapshotTimer) {
+    snapshotTimer = setTimeout(saveSnapshot, SNAPSHOT_DEBOUNCE_MS);
+  }
+}
+
+// Restore rooms and their peers; restored peers are evicted by the sweep
+// unless they heartbeat again within the TTL
+function loadSnapshot() {
+  if (!fs.existsSync(SNAPSHOT_FILE)) return;
+
+  try {
+    const snapshot = JSON.parse(fs.readFileSync(SNAPSHOT_FILE, "utf8"));
+
+    (snapshot.rooms || []).forEach(saved => {
+      if (!saved || typeof saved.name !== "string") return;
+
+      const room = createRoomMetadata(saved.name);
+      room.createdAt = saved.createdAt || room.createdAt;
+      room.lastActiveAt = saved.lastActiveAt || room.lastActiveAt;
+      room.ownerKeyHash = saved.ownerKeyHash || null;
+      room.owner = saved.owner || null;
+      room.bans = (saved.bans || []).filter(ban => ban && ban.until > Date.now());
+
+      (saved.peers || []).forEach(({ id, joinedAt, lastSeen, fingerprint }) => {
+        if (typeof id !== "string") return;
+        room.peers.set(id, { joinedAt, lastSeen, fingerprint: fingerprint || null });
+
+        const peerData = peers.get(id) || { ...createPeerMetadata(id), joinedAt, lastSeen };
+        peerData.lastSeen = Math.max(peerData.lastSeen, lastSeen || 0);
+        peerData.rooms.add(saved.name);
+        peers.set(id, peerData);
+      });
+
+      rooms.set(saved.name, room);
+    });
+
+    (snapshot.access || []).forEach(({ name, salt, passwordHash, createdAt }) => {
+      if (typeof name !== "string" || !salt || !passwordHash) return;
+      roomAccess.set(name, { salt, passwordHash, createdAt });
+    });
+
+    console.log(`💾 Restored ${rooms.size} room(s) from ${SNAPSHOT_FILE}`);
+    sweepRegistry();
+  } catch (err) {
+    console.error("❌ Failed to load room snapshot:", err.message);
   }
 }
 
+loadSnapshot();
+setInterval(sweepRegistry, SWEEP_INTERVAL_MS).unref();
+setInterval(rateLimiter.sweep, SWEEP_INTERVAL_MS).unref();
+setInterval(roomState.sweep, SWEEP_INTERVAL_MS).unref();
+
+// ✅ Room and peer ID validation
+function validateRoomName(room) {
+  if (typeof room !== "string" || !room) return "Room name is required";
+  if (room.length > MAX_ROOM_NAME_LENGTH) return `Room name can be at most ${MAX_ROOM_NAME_LENGTH} characters`;
+  if (!ROOM_NAME_PATTERN.test(room)) return "Room name can only contain letters, numbers, and dashes";
+  return null;
+}
+
+function validatePeerId(peerId) {
+  if (typeof peerId !== "string" || !peerId) return "Peer ID is required";
+  if (peerId.length > MAX_PEER_ID_LENGTH) return `Peer ID can be at most ${MAX_PEER_ID_LENGTH} characters`;
+  if (!PEER_ID_PATTERN.test(peerId)) return "Peer ID can only contain letters, numbers, dashes, and underscores";
+  return null;
+}
+
+// Every route with a :room or :peerId param is checked before its handler runs
+app.param("room", (req, res, next, room) => {
+  const error = validateRoomName(room);
+  if (error) return res.status(400).json({ error });
+  next();
+});
+
+app.param("peerId", (req, res, next, peerId) => {
+  const error = validatePeerId(peerId);
+  if (error) return res.status(400).json({ error });
+  next();
+});
+
 // 📡 Peer connection tracking
 peerServer.on("connection", (client) => {
   const id = client.getId?.();
   if (id) {
     console.log(`🔗 Peer connected: ${id}`);
-    peers.set(id, createPeerMetadata(id));
+    if (!peers.has(id)) {
+      peers.set(id, createPeerMetadata(id));
+    }
+    updatePeerActivity(id);
+  }
+});
+
+// PeerJS clients heartbeat over their signaling socket, which keeps them alive here too
+peerServer.on("message", (client, message) => {
+  if (message && message.type === "HEARTBEAT") {
+    const id = client.getId?.();
+    if (id) updatePeerActivity(id);
   }
 });
 
 peerServer.on("disconnect", (client) => {
   const id = client.getId?.();
   if (id) {
-    // Get the rooms this peer was in before removing
-    const peerData = peers.get(id);
-    if (peerData && peerData.rooms) {
-      // Remove peer from all rooms they were in
-      peerData.rooms.forEach(roomName => {
-        const room = rooms.get(roomName);
-        if (room) {
-          room.delete(id);
-          if (room.size === 0) rooms.delete(roomName);
-        }
-      });
-    }
-    
-    peers.delete(id);
+    removePeer(id);
     console.log(`🚶 Peer disconnected: ${id}`);
   }
 });
 
+// Small JSON bodies for the room access endpoints
+const jsonBody = express.json({ limit: "4kb" });
+
 // 📂 Room join endpoint
-app.post("/join/:room/:peerId", (req, res) => {
+// Private rooms need the password or an invite token; the response carries
+// the peer's access token for heartbeats, the event stream and peer checks.
+// The peer that creates the room also gets its owner key, which it sends with
+// later joins and moderation requests
+app.post("/join/:room/:peerId", limit("join"), jsonBody, (req, res) => {
   const { room, peerId } = req.params;
-  
-  // Create room if it doesn't exist
-  if (!rooms.has(room)) {
-    rooms.set(room, new Map()); // Changed to Map to store peer metadata in rooms
+  const { password, invite, deviceId, ownerKey } = req.body || {};
+  const fingerprint = getFingerprint(req, deviceId);
+
+  const ban = findBan(room, peerId, fingerprint);
+  if (ban) {
+    console.log(`🛡 Banned peer ${peerId} refused from room ${room}`);
+    return res.status(403).json({ error: "You are banned from this room", banned: true, until: ban.until });
   }
-  
-  // Update peer metadata
-  updatePeerActivity(peerId);
-  
-  // Add peer to room with timestamp
-  const peerMeta = peers.get(peerId) || createPeerMetadata(peerId);
-  peerMeta.rooms.add(room);
-  peers.set(peerId, peerMeta);
-  
-  // Add peer to room with timestamp
-  rooms.get(room).set(peerId, {
-    joinedAt: Date.now(),
-    lastSeen: Date.now()
+
+  // A peer ID already in the room can only be re-joined by its holder
+  const existing = rooms.get(room)?.peers.get(peerId);
+  if (existing && isPeerAlive(existing.lastSeen)) {
+    const payload = verifyToken(getRequestToken(req), "access");
+    if (!payload || payload.room !== room || payload.peerId !== peerId) {
+      return res.status(409).json({ error: "Peer is already in the room" });
+    }
+  }
+
+  if (isPrivateRoom(room)) {
+    const invitePayload = verifyToken(invite, "invite");
+    const invited = !!invitePayload && invitePayload.room === room;
+
+    if (!invited && !checkPassword(room, password)) {
+      console.log(`🔒 Peer ${peerId} denied access to room ${room}`);
+      return res.status(403).json({
+        error: password || invite ? "Wrong password or expired invite" : "This room is private",
+        private: true
+      });
+    }
+  }
+
+  // Rooms restored from before owner keys are claimed by the next peer to open them
+  const existingRoom = rooms.get(room);
+  const creating = !existingRoom || (!existingRoom.ownerKeyHash && getLivePeerIds(room).length === 0);
+
+  addPeerToRoom(room, peerId, fingerprint);
+
+  const newOwnerKey = creating ? issueOwnerKey(room) : null;
+  if (newOwnerKey || isOwnerKey(room, ownerKey)) {
+    setRoomOwner(room, peerId);
+  }
+
+  console.log(`👥 Peer ${peerId} ${creating ? "created" : "joined"} room ${room}`);
+  res.json({
+    ttl: PEER_TTL_MS,
+    private: isPrivateRoom(room),
+    owner: rooms.get(room).owner,
+    // Every peer gets one: heartbeats, leaves and private rooms need it
+    accessToken: createAccessToken(room, peerId, fingerprint),
+    ...(newOwnerKey ? { ownerKey: newOwnerKey } : {})
+  });
+});
+
+// 💓 Client heartbeat: keeps the peer alive in the room (re-adds it after a restart or eviction)
+// Needs the access token /join gave this peer, which it refreshes; peers without one must join again
+app.post("/heartbeat/:room/:peerId", limit("presence"), (req, res) => {
+  const { room, peerId } = req.params;
+
+  const token = getRequestToken(req);
+  if (!hasPeerToken(room, peerId, token)) {
+    return res.status(401).json({ error: "Access token required, join the room again", rejoin: true });
+  }
+
+  // The fingerprint /join saw, kept in the token in case the peer was evicted since
+  const membership = rooms.get(room)?.peers.get(peerId);
+  const fingerprint = (membership && membership.fingerprint) || verifyToken(token, "access").fingerprint || null;
+  const ban = findBan(room, peerId, fingerprint);
+  if (ban) {
+    return res.status(403).json({ error: "You are banned from this room", banned: true, until: ban.until });
+  }
+
+  if (addPeerToRoom(room, peerId, fingerprint)) {
+    console.log(`👥 Peer ${peerId} re-joined room ${room} via heartbeat`);
+  }
+  if (isOwnerKey(room, getRequestOwnerKey(req))) {
+    setRoomOwner(room, peerId);
+  }
+
+  res.json({
+    ttl: PEER_TTL_MS,
+    accessToken: createAccessToken(room, peerId, fingerprint)
   });
-  
-  console.log(`👥 Peer ${peerId} joined room ${room}`);
+});
+
+// 🔒 Make a room private by setting its password
+// A room name nobody uses can be claimed, which hands out its owner key like
+// creating it through /join; after that only the owner key can change the password.
+// The password is dropped when the room expires
+app.post("/rooms/:room/access", limit("write"), jsonBody, (req, res) => {
+  const { room } = req.params;
+  const { password } = req.body || {};
+
+  if (typeof password !== "string" || password.length < MIN_PASSWORD_LENGTH || password.length > MAX_PASSWORD_LENGTH) {
+    return res.status(400).json({
+      error: `Password must be ${MIN_PASSWORD_LENGTH} to ${MAX_PASSWORD_LENGTH} characters`
+    });
+  }
+
+  const existingRoom = rooms.get(room);
+  const claiming = !existingRoom ||
+    (!existingRoom.ownerKeyHash && !isPrivateRoom(room) && getLivePeerIds(room).length === 0);
+
+  if (!claiming && !isOwnerKey(room, getRequestOwnerKey(req))) {
+    return res.status(403).json({ error: "Only the room owner can change its access" });
+  }
+
+  // The room's registry entry carries the password's lifetime
+  if (!existingRoom) {
+    rooms.set(room, createRoomMetadata(room));
+  }
+  const ownerKey = claiming ? issueOwnerKey(room) : null;
+
+  const salt = crypto.randomBytes(16).toString("hex");
+  roomAccess.set(room, { salt, passwordHash: hashPassword(password, salt), createdAt: Date.now() });
+  scheduleSnapshot();
+
+  console.log(`🔒 Room ${room} is now password protected`);
+  res.json({ private: true, ...(ownerKey ? { ownerKey } : {}) });
+});
+
+// 🎟 Invite tokens for a private room, for holders of the password or a member's access token
+app.post("/rooms/:room/invites", limit("write"), jsonBody, (req, res) => {
+  const { room } = req.params;
+  const { password, expiresIn } = req.body || {};
+
+  if (!isPrivateRoom(room)) {
+    return res.status(404).json({ error: "Room is not private" });
+  }
+  if (!checkPassword(room, password) && !hasRoomAccess(room, undefined, getRequestToken(req))) {
+    return res.status(403).json({ error: "Wrong password" });
+  }
+
+  const ttl = Math.min(Number(expiresIn) || INVITE_TTL_MS, MAX_INVITE_TTL_MS);
+  const expiresAt = Date.now() + ttl;
+
+  res.json({ token: signToken({ kind: "invite", room, exp: expiresAt }), expiresAt });
+});
+
+// 🔍 Check a peer's access token, used by clients before accepting its calls
+app.post("/rooms/:room/verify", limit("presence"), jsonBody, (req, res) => {
+  const { room } = req.params;
+  const { peerId, token } = req.body || {};
+
+  res.json({ valid: typeof peerId === "string" && hasRoomAccess(room, peerId, token) });
+});
+
+// 🚪 Room leave endpoint: only the peer itself (its access token) can leave
+app.post("/leave/:room/:peerId", limit("presence"), (req, res) => {
+  const { room, peerId } = req.params;
+
+  if (!hasPeerToken(room, peerId, getRequestToken(req))) {
+    return res.status(403).json({ error: "Only the peer itself can leave the room" });
+  }
+
+  removePeerFromRoom(room, peerId);
+
+  console.log(`🚪 Peer ${peerId} left room ${room}`);
   res.sendStatus(200);
 });
 
+// 🛡 Peers check moderation actions relayed to them before enforcing them
+app.post("/rooms/:room/moderation/verify", limit("presence"), jsonBody, (req, res) => {
+  const { room } = req.params;
+  const payload = verifyToken((req.body || {}).token, "moderation");
+
+  res.json(payload && payload.room === room ? { valid: true, ...payload } : { valid: false });
+});
+
+// 🛡 Moderation: kick, ban and mute-all
+// Kicks and bans take effect on the server (registry and joins); the response
+// carries a signed action the moderator relays to peers over data connections
+app.post("/rooms/:room/moderation/:action", limit("write"), jsonBody, (req, res) => {
+  const { room, action } = req.params;
+  const { peerId, reason, duration, byFingerprint } = req.body || {};
+
+  if (!["kick", "ban", "mute-all"].includes(action)) {
+    return res.status(404).json({ error: `Unknown moderation action "${action}"` });
+  }
+
+  const moderator = getModerator(req, room);
+  if (!moderator) {
+    return res.status(403).json({ error: "Only the room owner can moderate this room" });
+  }
+
+  const roomData = rooms.get(room);
+  const entry = {
+    action,
+    by: moderator,
+    target: null,
+    reason: typeof reason === "string" ? reason.slice(0, 200) : null
+  };
+
+  if (action === "kick" || action === "ban") {
+    const peerIdError = validatePeerId(peerId);
+    if (peerIdError) {
+      return res.status(400).json({ error: peerIdError });
+    }
+    if (peerId === moderator) {
+      return res.status(400).json({ error: "You can't remove yourself" });
+    }
+    if (!roomData) {
+      return res.status(404).json({ error: "Room not found" });
+    }
+
+    const membership = roomData && roomData.peers.get(peerId);
+    const banDuration = Math.min(Number(duration) || DEFAULT_BAN_DURATION_MS, MAX_BAN_DURATION_MS);
+    const ban = {
+      peerId,
+      // Bans can also cover the device behind the peer, so a new session doesn't get around them
+      fingerprint: action === "ban" && byFingerprint && membership ? membership.fingerprint : null,
+      until: Date.now() + (action === "ban" ? banDuration : KICK_DURATION_MS),
+      by: moderator
+    };
+
+    roomData.bans.push(ban);
+
+    entry.target = peerId;
+    entry.fingerprint = ban.fingerprint;
+    entry.until = ban.until;
+
+    removePeerFromRoom(room, peerId, "kick");
+    roomState.removePeer(room, peerId);
+    scheduleSnapshot();
+  }
+
+  const record = auditModeration(room, entry);
+  const token = signToken({
+    kind: "moderation",
+    room,
+    action,
+    target: record.target,
+    by: moderator,
+    until: record.until || null,
+    reason: record.reason,
+    exp: Date.now() + MODERATION_TOKEN_TTL_MS
+  });
+
+  res.json({ token, ...record });
+});
+
+// 📜 Moderation audit log for the room owner
+app.get("/rooms/:room/moderation/log", limit("read"), (req, res) => {
+  const { room } = req.params;
+
+  if (!getModerator(req, room)) {
+    return res.status(403).json({ error: "Only the room owner can read the moderation log" });
+  }
+
+  res.json(rooms.get(room)?.auditLog || []);
+});
+
+// 📣 Room membership event stream (SSE)
+// Starts with a "snapshot" of live peers and the owner, then pushes join, leave,
+// stale, kick and owner events
+app.get("/rooms/:room/events", limit("read"), (req, res) => {
+  const { room } = req.params;
+
+  if (!hasRoomAccess(room, undefined, getRequestToken(req))) {
+    return res.status(403).json({ error: "Room access token required", private: true });
+  }
+
+  res.set({
+    "Content-Type": "text/event-stream",
+    "Cache-Control": "no-store",
+    "Connection": "keep-alive",
+    "X-Accel-Buffering": "no"
+  });
+  res.flushHeaders();
+
+  const owner = rooms.get(room)?.owner || null;
+  res.write(`event: snapshot\ndata: ${JSON.stringify({ room, peers: getLivePeerIds(room), owner, at: Date.now() })}\n\n`);
+
+  if (!roomEventStreams.has(room)) {
+    roomEventStreams.set(room, new Set());
+  }
+  roomEventStreams.get(room).add(res);
+
+  const ping = setInterval(() => res.write(": ping\n\n"), EVENT_STREAM_PING_MS);
+
+  req.on("close", () => {
+    clearInterval(ping);
+    const streams = roomEventStreams.get(room);
+    if (streams) {
+      streams.delete(res);
+      if (streams.size === 0) roomEventStreams.delete(room);
+    }
+  });
+});
+
 // 👥 Room-aware peer list with activity data
-app.get("/peers", (req, res) => {
+// Only peers seen within the TTL are listed
+app.get("/peers", limit("read"), (req, res) => {
   const { room, withTimestamps } = req.query;
   const includeTimestamps = withTimestamps === 'true';
-  
+  const now = Date.now();
+
+  const roomError = room !== undefined && validateRoomName(room);
+  if (roomError) {
+    return res.status(400).json({ error: roomError });
+  }
+
+  if (room && !hasRoomAccess(room, undefined, getRequestToken(req))) {
+    return res.status(403).json({ error: "Room access token required", private: true });
+  }
+
   if (room && rooms.has(room)) {
     // For room-specific peers
-    const roomPeers = rooms.get(room);
+    const roomPeers = [...rooms.get(room).peers.entries()]
+      .filter(([, membership]) => isPeerAlive(membership.lastSeen));
+
     if (includeTimestamps) {
       // Return full peer data with timestamps
-      const peersWithActivity = [];
-      roomPeers.forEach((metadata, peerId) => {
-        // Update the lastSeen timestamp for this query
-        updatePeerActivity(peerId);
-        metadata.lastSeen = Date.now();
-        
-        peersWithActivity.push({
-          id: peerId,
-          joinedAt: metadata.joinedAt,
-          lastSeen: metadata.lastSeen,
-          activityAge: Date.now() - metadata.lastSeen
-        });
-      });
-      res.json(peersWithActivity);
+      res.json(roomPeers.map(([peerId, membership]) => ({
+        id: peerId,
+        joinedAt: membership.joinedAt,
+        lastSeen: membership.lastSeen,
+        activityAge: now - membership.lastSeen
+      })));
     } else {
       // Just return the list of peer IDs (backwards compatibility)
-      res.json([...roomPeers.keys()]);
+      res.json(roomPeers.map(([peerId]) => peerId));
     }
   } else {
     // For all peers
+    const allPeers = [...peers.values()].filter(peerData => isPeerAlive(peerData.lastSeen));
+
     if (includeTimestamps) {
       // Return all peers with their metadata
-      const allPeersWithData = [];
-      peers.forEach((metadata, peerId) => {
-        allPeersWithData.push({
-          id: peerId,
-          joinedAt: metadata.joinedAt,
-          lastSeen: metadata.lastSeen,
-          activityAge: Date.now() - metadata.lastSeen,
-          rooms: [...metadata.rooms]
-        });
-      });
-      res.json(allPeersWithData);
+      res.json(allPeers.map(peerData => ({
+        id: peerData.id,
+        joinedAt: peerData.joinedAt,
+        lastSeen: peerData.lastSeen,
+        activityAge: now - peerData.lastSeen,
+        rooms: [...peerData.rooms]
+      })));
     } else {
       // Just return the list of peer IDs (backwards compatibility)
-      res.json([...peers.keys()]);
+      res.json(allPeers.map(peerData => peerData.id));
     }
   }
 });
 
 // 📊 Room stats endpoint
-app.get("/rooms", (req, res) => {
+app.get("/rooms", limit("read"), (req, res) => {
   const roomStats = [];
-  rooms.forEach((peers, roomName) => {
+  rooms.forEach((room, roomName) => {
+    const livePeers = [...room.peers.values()].filter(membership => isPeerAlive(membership.lastSeen));
     roomStats.push({
       name: roomName,
-      peerCount: peers.size,
-      created: Math.min(...[...peers.values()].map(p => p.joinedAt))
+      peerCount: livePeers.length,
+      private: isPrivateRoom(roomName),
+      created: room.createdAt,
+      lastActiveAt: room.lastActiveAt
     });
   });
   res.json(roomStats);
 });
 
+// 🗂 Music room state held by the WebSocket sync backend (public rooms only)
+app.get("/rooms/state", limit("read"), (req, res) => {
+  res.json(roomState.getRoomSummaries().filter(summary => !isPrivateRoom(summary.name)));
+});
+
+// ⏱ Clock sync endpoint (NTP-style)
+// Client sends its send time as t0, server answers with receive (t1) and transmit (t2) times
+app.get("/time", limit("time"), (req, res) => {
+  const receivedAt = Date.now();
+  const clientSentAt = Number(req.query.t0);
+
+  res.set("Cache-Control", "no-store");
+  res.json({
+    t0: Number.isFinite(clientSentAt) ? clientSentAt : null,
+    t1: receivedAt,
+    t2: Date.now()
+  });
+});
+
 // 🧰 Direct access to tools like pasteToPlaylist.html
 app.get("/pasteToPlaylist.html", (req, res) => {
   res.sendFile(path.join(__dirname, "public/pasteToPlaylist.html"));
 });
 
+// 🧩 Plugin gallery
+app.get("/plugins", (req, res) => {
+  res.sendFile(path.join(__dirname, "public/plugins/index.html"));
+});
+
+function getPluginCatalog() {
+  if (!pluginCatalog || Date.now() - pluginCatalogScannedAt > PLUGIN_SCAN_TTL_MS) {
+    pluginCatalog = loadPluginManifests(PLUGINS_DIR);
+    pluginCatalogScannedAt = Date.now();
+
+    pluginCatalog.errors.forEach(({ file, errors }) => {
+      console.warn(`⚠️ Skipping plugin manifest ${file}: ${errors.join("; ")}`);
+    });
+
+    // Firestore rules check room types against the published catalog
+    if (unlockService) {
+      unlockService.publishCatalog(pluginCatalog.plugins)
+        .then(changed => changed && console.log("🧩 Published plugin catalog to Firestore"))
+        .catch(error => console.error("❌ Could not publish plugin catalog:", error.message));
+    }
+  }
+  return pluginCatalog;
+}
+
+// 🧩 Plugin catalog: every valid manifest in public/plugins
+app.get("/api/plugins", limit("read"), (req, res) => {
+  const { manifestVersion, plugins } = getPluginCatalog();
+  res.json({ manifestVersion, plugins });
+});
+
+// Start firebase-admin from the configured service account
+function initFirebaseAdmin() {
+  const serviceAccount = process.env.FIREBASE_SERVICE_ACCOUNT;
+  if (!serviceAccount && !process.env.GOOGLE_APPLICATION_CREDENTIALS) {
+    console.warn("⚠️ No Firebase service account configured, unlocks are disabled");
+    return null;
+  }
+
+  try {
+    const credential = serviceAccount
+      ? admin.credential.cert(serviceAccount.trim().startsWith("{")
+        ? JSON.parse(serviceAccount)
+        : JSON.parse(fs.readFileSync(serviceAccount, "utf8")))
+      : admin.credential.applicationDefault();
+    return admin.initializeApp({ credential });
+  } catch (error) {
+    console.error("❌ Firebase admin initialization failed, unlocks are disabled:", error.message);
+    return null;
+  }
+}
+
+const firebaseAdmin = initFirebaseAdmin();
+const unlockService = firebaseAdmin && createUnlockService({
+  db: admin.firestore(firebaseAdmin),
+  FieldValue: admin.firestore.FieldValue,
+  getPlugins: () => getPluginCatalog().plugins,
+  allowLocalPayments: ALLOW_LOCAL_PAYMENTS
+});
+if (unlockService) getPluginCatalog();
+
+// 🎁 Grant an unlock: the client proves who it is with its Firebase ID token,
+// and the server checks the item, the user's entitlement and their credits
+app.post("/api/unlocks", limit("write"), jsonBody, async (req, res) => {
+  if (!unlockService) {
+    return res.status(503).json({ error: "Unlocks aren't available on this server", code: "unavailable" });
+  }
+
+  const match = /^Bearer (.+)$/.exec(req.get("authorization") || "");
+  if (!match) {
+    return res.status(401).json({ error: "Sign in to unlock", code: "not-signed-in" });
+  }
+
+  let uid;
+  try {
+    ({ uid } = await admin.auth(firebaseAdmin).verifyIdToken(match[1]));
+  } catch (error) {
+    return res.status(401).json({ error: "Your sign-in expired, reload and try again", code: "not-signed-in" });
+  }
+
+  try {
+    const result = await unlockService.grant(uid, req.body || {});
+    if (!result.alreadyUnlocked) {
+      console.log(`🎁 Granted ${result.type} unlock ${result.key} to ${uid}`);
+    }
+    res.json(result);
+  } catch (error) {
+    if (!error.status) {
+      console.error("❌ Unlock failed:", error);
+      return res.status(500).json({ error: "Internal server error" });
+    }
+    res.status(error.status).json({ error: error.message, code: error.code });
+  }
+});
+
 // 🧠 SPA fallback
 app.get("*", (req, res) => {
   res.sendFile(path.join(__dirname, "public/index.html"));
 });
 
-// Add route for plugin gallery
-app.get("/plugins", (req, res) => {
-  res.sendFile(path.join(__dirname, "plugins/index.html"));
+// 🚫 JSON 404 for unknown API calls (GETs are handled by the SPA fallback)
+app.use((req, res) => {
+  res.status(404).json({ error: `Cannot ${req.method} ${req.path}` });
 });
 
-// Add plugins API endpoint to list available plugins
-app.get("/api/plugins", (req, res) => {
-  try {
-    // In a real implementation, this would scan the plugins directory
-    // For now, we'll return static plugin info that matches what's in the gallery.js file
-    const plugins = [
-      {
-        id: 'foxecho',
-        name: 'Fox Echo',
-        description: 'Peaceful meditation chamber with nature-inspired visuals',
-        theme: 'foxecho',
-        badge: 'Nature',
-        features: [
-          { icon: '🎵', text: 'Ambient playlist' },
-          { icon: '🔄', text: 'Music loop enabled' },
-          { icon: '🎙️', text: 'Mic disabled for quiet' }
-        ],
-        playlist: [
-          { title: 'Autumn Breeze', url: 'https://example.com/music/autumn-breeze.mp3' },
-          { title: 'Still Waters', url: 'https://example.com/music/still-waters.mp3' }
-        ]
-      },
-      {
-        id: 'syntheticsouls',
-        name: 'Synthetic Souls',
-        description: 'Cyberpunk-inspired room with futuristic vibes',
-        theme: 'syntheticsouls',
-        badge: 'Cyberpunk',
-        features: [
-          { icon: '🎛️', text: 'Electronic playlist' },
-          { icon: '🔊', text: 'Enhanced audio visualizer' },
-          { icon: '🌃', text: 'Night mode optimized' }
-        ],
-        playlist: [
-          { title: 'Night Drive', url: 'https://example.com/music/night-drive.mp3' },
-          { title: 'Neon Dreams', url: 'https://example.com/music/neon-dreams.mp3' }
-        ]
-      },
-      {
-        id: 'timbrhq',
-        name: 'Timbr HQ',
-        description: 'Energetic workspace for collaborative sessions',
-        theme: 'timbrhq',
-        badge: 'Workspace',
-        features: [
-          { icon: '💻', text: 'Productivity focus' },
-          { icon: '🔄', text: 'Collaborative tools' },
-          { icon: '🎤', text: 'Enhanced voice clarity' }
-        ],
-        playlist: [
-          { title: 'Deep Focus', url: 'https://example.com/music/deep-focus.mp3' },
-          { title: 'Creative Flow', url: 'https://example.com/music/creative-flow.mp3' }
-        ]
-      }
-    ];
-    
-    res.json(plugins);
-  } catch (err) {
-    console.error('Error retrieving plugins:', err);
-    res.status(500).json({ error: 'Failed to retrieve plugins' });
-  }
+// ⚠️ Errors as JSON, e.g. malformed or oversized request bodies
+app.use((err, req, res, next) => {
+  const status = err.status || err.statusCode || 500;
+  if (status >= 500) console.error("❌ Request error:", err);
+
+  const message = err.type === "entity.parse.failed" ? "Malformed JSON body" : err.message;
+  res.status(status).json({ error: status >= 500 ? "Internal server error" : message });
 });
 
 // 🚀 Launch
@@ -252,5 +1091,14 @@ server.listen(PORT, () => {
   console.log(`🌐 App:           http://localhost:${PORT}/`);
   console.log(`🎶 Paste Tool:    http://localhost:${PORT}/pasteToPlaylist.html`);
   console.log(`📡 PeerJS Server: http://localhost:${PORT}/peerjs`);
+  console.log(`🗂 Room State:    ws://localhost:${PORT}${SYNC_PATH}`);
   console.log("-V RydeSync server: 1.0.6\n");
 });
+
+// 💾 Save the registry on shutdown
+["SIGINT", "SIGTERM"].forEach(signal => {
+  process.on(signal, () => {
+    saveSnapshot();
+    process.exit(0);
+  });
+});
@@ -0,0 +1,387 @@
+// Shared queue edits: concurrent riders, the backend transaction path and
+// the PeerJS path must all end with the same queue
+import test from 'node:test';
+import assert from 'node:assert/strict';
+
+import {
+  createOpClock,
+  positionBetween,
+  readPlaylistState,
+  getQueue,
+  toRoomFields,
+  applyPlaylistOp,
+  applyPlaylistOps,
+  setEntryVotes,
+  isValidPlaylistOp,
+  TOMBSTONE_LIMIT
+} from '../public/src/playlistOps.js';
+import {
+  createQueueEntry,
+  readQueue,
+  addEntry,
+  voteEntry,
+  moveEntry,
+  removeEntry,
+  stepQueue,
+  toCurrentTrack,
+  QUEUE_HISTORY_LIMIT
+} from '../public/src/roomQueue.js';
+
+// Deterministic shuffles, so a failure can be replayed
+function createRandom(seed) {
+  let value = seed;
+  return () => {
+    value = (value * 1103515245 + 12345) % 2147483648;
+    return value / 2147483648;
+  };
+}
+
+function shuffle(items, random) {
+  const copy = items.slice();
+  for (let i = copy.length - 1; i > 0; i--) {
+    const j = Math.floor(random() * (i + 1));
+    [copy[i], copy[j]] = [copy[j], copy[i]];
+  }
+  return copy;
+}
+
+function permutations(items) {
+  if (items.length <= 1) return [items];
+  return items.flatMap((item, i) =>
+    permutations([...items.slice(0, i), ...items.slice(i + 1)]).map(rest => [item, ...rest])
+  );
+}
+
+const urls = queue => queue.map(entry => entry.url);
+
+// A rider with their own clock and copy of the queue
+function createRider(id, time) {
+  return {
+    id,
+    clock: createOpClock(id, () => time.now),
+    state: readPlaylistState(null),
+    // Edits that change nothing make no op
+    apply(ops) {
+      const made = ops.filter(Boolean);
+      this.state = applyPlaylistOps(this.state, made);
+      return made;
+    },
+    queue() {
+      return getQueue(this.state);
+    },
+    add(url) {
+      const entry = createQueueEntry({ url, title: url }, { id });
+      return this.apply([addEntry(this.queue(), null, entry, this.clock.next())]);
+    },
+    move(url, toIndex) {
+      const entry = this.queue().find(e => e.url === url);
+      return this.apply([moveEntry(this.queue(), null, entry.id, toIndex, this.clock.next())]);
+    },
+    remove(url) {
+      const entry = this.queue().find(e => e.url === url);
+      return this.apply([removeEntry(this.queue(), null, entry.id, this.clock.next())]);
+    }
+  };
+}
+
+// The room backend: each op batch is applied to the stored room in a
+// transaction, stored as JSON the way Firestore and the room state server keep it
+function createBackend(data = {}) {
+  let room = JSON.parse(JSON.stringify(data));
+  return {
+    transact(ops) {
+      const stored = readPlaylistState(room);
+      const state = applyPlaylistOps(stored, ops);
+      if (state !== stored) room = JSON.parse(JSON.stringify({ ...room, ...toRoomFields(state) }));
+    },
+    room: () => room
+  };
+}
+
+test('position keys sort between their neighbours', () => {
+  const random = createRandom(7);
+  const keys = [];
+
+  for (let i = 0; i < 500; i++) {
+    const index = Math.floor(random() * (keys.length + 1));
+    const key = positionBetween(index > 0 ? keys[index - 1] : null, index < keys.length ? keys[index] : null);
+    keys.splice(index, 0, key);
+  }
+
+  assert.deepEqual([...keys].sort(), keys);
+  assert.equal(new Set(keys).size, keys.length);
+  assert.ok(keys.every(key => !key.endsWith('0')));
+});
+
+test('two riders adding at once both keep their track', () => {
+  const time = { now: 1000 };
+  const backend = createBackend({ playlist: [{ url: 'intro' }] });
+  const alice = createRider('alice', time);
+  const bob = createRider('bob', time);
+
+  // Both read the same room, then edit without seeing each other
+  alice.state = readPlaylistState(backend.room());
+  bob.state = readPlaylistState(backend.room());
+  const aliceOps = alice.add('alice-track');
+  const bobOps = bob.add('bob-track');
+
+  backend.transact(aliceOps);
+  backend.transact(bobOps);
+  alice.apply(bobOps);
+  bob.apply(aliceOps);
+
+  const stored = readQueue(backend.room());
+  assert.deepEqual(urls(stored).sort(), ['alice-track', 'bob-track', 'intro']);
+  assert.equal(stored[0].url, 'intro');
+  assert.deepEqual(urls(alice.queue()), urls(stored));
+  assert.deepEqual(urls(bob.queue()), urls(stored));
+});
+
+test('concurrent edits converge in every delivery order', () => {
+  const time = { now: 1000 };
+  const seed = createRider('seed', time);
+  const setup = [...seed.add('a'), ...seed.add('b'), ...seed.add('c'), ...seed.add('d')];
+
+  const riders = ['ana', 'ben', 'cy'].map(id => {
+    const rider = createRider(id, time);
+    rider.apply(setup);
+    return rider;
+  });
+
+  // Made at the same time, each without the others' edits
+  time.now = 2000;
+  const concurrent = [
+    riders[0].move('d', 0),
+    riders[1].remove('b'),
+    [...riders[2].add('e'), ...riders[2].move('a', 3)]
+  ];
+
+  const results = permutations(concurrent).map(order =>
+    urls(getQueue(applyPlaylistOps(seed.state, order.flat())))
+  );
+
+  results.forEach(result => assert.deepEqual(result, results[0]));
+  assert.ok(!results[0].includes('b'));
+  assert.ok(results[0].includes('e'));
+});
+
+test('a removal wins over a concurrent move', () => {
+  const time = { now: 1000 };
+  const alice = createRider('alice', time);
+  const bob = createRider('bob', time);
+  const setup = [...alice.add('a'), ...alice.add('b'), ...alice.add('c')];
+  bob.apply(setup);
+
+  const removal = alice.remove('b');
+  time.now = 5000; // the move is even newer
+  const move = bob.move('b', 0);
+
+  alice.apply(move);
+  bob.apply(removal);
+
+  assert.deepEqual(urls(alice.queue()), ['a', 'c']);
+  assert.deepEqual(urls(bob.queue()), ['a', 'c']);
+});
+
+test('the newest of two concurrent moves wins everywhere', () => {
+  const time = { now: 1000 };
+  const alice = createRider('alice', time);
+  const bob = createRider('bob', time);
+  const setup = [...alice.add('a'), ...alice.add('b'), ...alice.add('c')];
+  bob.apply(setup);
+
+  time.now = 2000;
+  const aliceMove = alice.move('c', 0);
+  time.now = 2001;
+  const bobMove = bob.move('c', 1);
+
+  alice.apply(bobMove);
+  bob.apply(aliceMove);
+
+  assert.deepEqual(urls(alice.queue()), ['a', 'c', 'b']);
+  assert.deepEqual(urls(bob.queue()), ['a', 'c', 'b']);
+});
+
+test('an edit made after seeing another is newer, even with a slow clock', () => {
+  const alice = createRider('alice', { now: 10000 });
+  const bob = createRider('bob', { now: 1000 }); // ten seconds behind
+  const setup = [...alice.add('a'), ...alice.add('b'), ...alice.add('c')];
+  bob.apply(setup);
+
+  const aliceMove = alice.move('c', 0);
+  bob.apply(aliceMove);
+  bob.clock.observe(aliceMove[0].stamp);
+  const bobMove = bob.move('c', 2);
+  alice.apply(bobMove);
+
+  assert.deepEqual(urls(alice.queue()), ['a', 'b', 'c']);
+  assert.deepEqual(urls(bob.queue()), ['a', 'b', 'c']);
+});
+
+test('ops are idempotent and survive out-of-order delivery', () => {
+  const time = { now: 1000 };
+  const alice = createRider('alice', time);
+  const ops = [...alice.add('a'), ...alice.add('b'), ...alice.add('c'), ...alice.move('c', 0), ...alice.remove('a')];
+
+  const inOrder = getQueue(applyPlaylistOps(readPlaylistState(null), ops));
+  const twice = getQueue(applyPlaylistOps(readPlaylistState(null), [...ops, ...ops]));
+  const reversed = getQueue(applyPlaylistOps(readPlaylistState(null), [...ops].reverse()));
+
+  assert.deepEqual(urls(inOrder), ['c', 'b']);
+  assert.deepEqual(twice, inOrder);
+  assert.deepEqual(reversed, inOrder);
+  ops.forEach(op => assert.equal(applyPlaylistOp(alice.state, op), null));
+});
+
+test('edits shared over peers end where edits through the backend do', () => {
+  const random = createRandom(42);
+  const time = { now: 1000 };
+  const backend = createBackend();
+  const riders = ['ana', 'ben', 'cy', 'dee'].map(id => createRider(id, time));
+  const edits = [];
+
+  // Rounds of edits; each rider only sees what was delivered to them so far
+  for (let round = 0; round < 30; round++) {
+    time.now += 10;
+    const rider = riders[Math.floor(random() * riders.length)];
+    const queue = rider.queue();
+    const choice = random();
+
+    let ops;
+    if (queue.length < 3 || choice < 0.45) {
+      ops = rider.add(`track-${round}`);
+    } else if (choice < 0.8) {
+      ops = rider.move(queue[Math.floor(random() * queue.length)].url, Math.floor(random() * queue.length));
+    } else {
+      ops = rider.remove(queue[Math.floor(random() * queue.length)].url);
+    }
+    edits.push(ops);
+
+    // The backend takes edits in the order they're made
+    backend.transact(ops);
+
+    // Peers get each edit at some point, in any order
+    riders.forEach(other => {
+      if (other !== rider && random() < 0.5) {
+        other.apply(ops);
+        ops.forEach(op => other.clock.observe(op.stamp));
+      }
+    });
+  }
+
+  // Every rider eventually hears every edit, in a shuffled order
+  riders.forEach(rider => rider.apply(shuffle(edits, random).flat()));
+
+  const stored = urls(readQueue(backend.room()));
+  riders.forEach(rider => assert.deepEqual(urls(rider.queue()), stored));
+});
+
+test('the room keeps a bounded list of removed entries', () => {
+  const time = { now: 1000 };
+  const alice = createRider('alice', time);
+  for (let i = 0; i < TOMBSTONE_LIMIT + 10; i++) {
+    alice.add(`track-${i}`);
+    alice.remove(`track-${i}`);
+  }
+
+  const { playlist, playlistRemoved } = toRoomFields(alice.state);
+  assert.equal(playlist.length, 0);
+  assert.equal(Object.keys(playlistRemoved).length, TOMBSTONE_LIMIT);
+});
+
+test('an add older than the forgotten removals stays out everywhere', () => {
+  const time = { now: 1000 };
+  const alice = createRider('alice', time);
+  const bob = createRider('bob', time);
+  const backend = createBackend();
+
+  // Bob's add is held while he is offline
+  const [lateAdd] = bob.add('late');
+  time.now++;
+
+  const edits = [];
+  for (let i = 0; i < TOMBSTONE_LIMIT + 10; i++) {
+    edits.push(alice.add(`track-${i}`), alice.remove(`track-${i}`));
+    time.now++;
+  }
+  edits.forEach(ops => backend.transact(ops));
+  assert.equal(Object.keys(backend.room().playlistRemoved).length, TOMBSTONE_LIMIT);
+
+  // Replaying a forgotten track's add doesn't bring it back
+  const [firstAdd] = edits[0];
+  backend.transact([firstAdd]);
+  assert.deepEqual(urls(readQueue(backend.room())), []);
+
+  // Bob's add is dropped by the room and by a rider who reads it
+  backend.transact([lateAdd]);
+  const carol = createRider('carol', time);
+  carol.state = readPlaylistState(backend.room());
+  carol.apply([lateAdd, firstAdd]);
+  assert.deepEqual(urls(readQueue(backend.room())), []);
+  assert.deepEqual(urls(carol.queue()), []);
+
+  // Adds made after the horizon still land
+  const newer = alice.add('newer');
+  backend.transact(newer);
+  carol.apply(newer);
+  assert.deepEqual(urls(readQueue(backend.room())), ['newer']);
+  assert.deepEqual(urls(carol.queue()), ['newer']);
+});
+
+test('plain playlist tracks get the same IDs and order on every client', () => {
+  const data = { playlist: [{ url: 'x', title: 'X' }, { url: 'y' }, null, { url: 'z' }] };
+
+  const first = readQueue(data);
+  const second = readQueue(JSON.parse(JSON.stringify(data)));
+
+  assert.deepEqual(urls(first), ['x', 'y', 'z']);
+  assert.deepEqual(first.map(entry => entry.id), second.map(entry => entry.id));
+  assert.ok(first.every(entry => entry.id.startsWith('legacy-')));
+});
+
+test('votes reorder the upcoming tracks and a majority drops one', () => {
+  const time = { now: 1000 };
+  const alice = createRider('alice', time);
+  ['a', 'b', 'c', 'd'].forEach(url => alice.add(url));
+
+  const currentTrack = toCurrentTrack(alice.queue()[0]);
+  const d = alice.queue()[3];
+
+  const upVote = voteEntry(alice.queue(), currentTrack, d.id, 'p1', 1, 3, alice.clock.next());
+  alice.apply([upVote.op]);
+  assert.deepEqual(urls(alice.queue()), ['a', 'd', 'b', 'c']);
+  assert.deepEqual(upVote.votes, { p1: 1 });
+
+  const c = alice.queue()[3];
+  const first = voteEntry(alice.queue(), currentTrack, c.id, 'p1', -1, 3, alice.clock.next());
+  assert.equal(first.op, null);
+  alice.state = setEntryVotes(alice.state, c.id, first.votes);
+  const second = voteEntry(alice.queue(), currentTrack, c.id, 'p2', -1, 3, alice.clock.next());
+  assert.equal(second.op.type, 'remove');
+});
+
+test('moving on through the queue drops old history', () => {
+  const time = { now: 1000 };
+  const alice = createRider('alice', time);
+  for (let i = 0; i < QUEUE_HISTORY_LIMIT + 3; i++) alice.add(`track-${i}`);
+
+  let currentTrack = null;
+  for (let i = 0; i < QUEUE_HISTORY_LIMIT + 2; i++) {
+    const step = stepQueue(alice.queue(), currentTrack, 1, alice.clock.next());
+    alice.apply(step.ops);
+    currentTrack = toCurrentTrack(step.entry);
+  }
+
+  const queue = alice.queue();
+  assert.equal(queue.findIndex(entry => entry.id === currentTrack.entryId), QUEUE_HISTORY_LIMIT);
+  assert.equal(stepQueue(queue, toCurrentTrack(queue[queue.length - 1]), 1, alice.clock.next()), null);
+});
+
+test('malformed ops from peers are rejected', () => {
+  const stamp = { t: 1, by: 'ana' };
+  assert.ok(isValidPlaylistOp({ type: 'remove', entryId: 'q-1', stamp }));
+  assert.ok(!isValidPlaylistOp({ type: 'move', entryId: 'q-1', pos: 'a0', stamp }));
+  assert.ok(!isValidPlaylistOp({ type: 'insert', entry: { id: 'q-1' }, pos: 'i', stamp }));
+  assert.ok(!isValidPlaylistOp({ type: 'drop-table', stamp }));
+  assert.ok(!isValidPlaylistOp({ type: 'remove', entryId: 'q-1' }));
+});
@@ -0,0 +1,145 @@
+// 🎁 RydeSync Unlock Service
+// Grants unlocks with admin privileges, so clients can't write their own.
+// A grant checks that the item is for sale in the plugin catalog, that the
+// user has a profile and doesn't own it yet, and that they can pay for it;
+// the credits, the unlock and the transaction record change in one Firestore
+// transaction. The catalog's room types are also published to the plugins
+// collection, so Firestore rules can refuse rooms of types the user hasn't unlocked
+
+const USERS_COLLECTION = "users";
+const TRANSACTIONS_COLLECTION = "creditTransactions";
+const PLUGINS_COLLECTION = "plugins";
+
+// Unlock type -> profile field (the same fields public/src/unlockManager.js reads)
+const UNLOCK_FIELDS = {
+  plugin: "unlockedPlugins",
+  skin: "unlockedSkins",
+  room: "unlockedRooms"
+};
+
+// How an unlock is paid for: "credits" spends the profile's credits; "local"
+// means the client's fake development ledger already took the payment, and is
+// only accepted by servers started with ALLOW_LOCAL_PAYMENTS=true
+const PAYMENT_METHODS = ["credits", "local"];
+
+/**
+ * Make an unlock error
+ * @param {string} code - Error code, also sent to the client
+ * @param {string} message - Message for the user
+ * @param {number} status - HTTP status
+ * @returns {Error} Error with code and status
+ */
+function unlockError(code, message, status) {
+  const error = new Error(message);
+  error.code = code;
+  error.status = status;
+  return error;
+}
+
+/**
+ * Create the unlock service
+ * @param {Object} options - Service options
+ * @param {Object} options.db - firebase-admin Firestore
+ * @param {Object} options.FieldValue - firebase-admin FieldValue
+ * @param {Function} options.getPlugins - () => manifests in the plugin catalog
+ * @param {boolean} options.allowLocalPayments - Accept unlocks paid on the client's fake ledger
+ * @returns {Object} Service with grant(uid, request) and publishCatalog(plugins)
+ */
+function createUnlockService({ db, FieldValue, getPlugins, allowLocalPayments = false }) {
+  let publishedCatalog = null; // what was last written to the plugins collection
+
+  // Only plugins are sold so far: skins and rooms have no catalog to price them
+  function findItem(type, key) {
+    if (type !== "plugin") return null;
+    return getPlugins().find(plugin => plugin.requiresUnlock && plugin.unlockKey === key) || null;
+  }
+
+  /**
+   * Grant an unlock to a user, charging for it
+   * @param {string} uid - Verified user ID
+   * @param {Object} request - { type, key, payment }
+   * @returns {Promise<Object>} { key, type, alreadyUnlocked, balance, transaction }
+   */
+  async function grant(uid, { type = "plugin", key, payment = "credits" } = {}) {
+    if (!UNLOCK_FIELDS[type] || typeof key !== "string" || !key) {
+      throw unlockError("invalid-request", "Unlock requests need a type and key", 400);
+    }
+    if (!PAYMENT_METHODS.includes(payment)) {
+      throw unlockError("invalid-request", `Payment must be one of: ${PAYMENT_METHODS.join(", ")}`, 400);
+    }
+    if (payment === "local" && !allowLocalPayments) {
+      throw unlockError("payment-refused", "This server doesn't accept development payments", 403);
+    }
+
+    const item = findItem(type, key);
+    if (!item) {
+      throw unlockError("not-for-sale", `There is no ${type} "${key}" to unlock`, 404);
+    }
+
+    const field = UNLOCK_FIELDS[type];
+    const userRef = db.collection(USERS_COLLECTION).doc(uid);
+    const entryRef = userRef.collection(TRANSACTIONS_COLLECTION).doc();
+
+    return db.runTransaction(async (transaction) => {
+      const snap = await transaction.get(userRef);
+      if (!snap.exists) {
+        throw unlockError("no-profile", "Sign in again to create your profile first", 409);
+      }
+
+      const profile = snap.data();
+      const balance = profile.credits || 0;
+      if ((profile[field] || []).includes(key)) {
+        return { key, type, alreadyUnlocked: true, balance, transaction: null };
+      }
+
+      const price = payment === "credits" ? item.price : 0;
+      if (balance < price) {
+        throw unlockError("insufficient-credits", `Not enough credits: ${price} needed, ${balance} available`, 402);
+      }
+
+      const entry = {
+        type: "charge",
+        provider: payment === "credits" ? "firestore" : "local",
+        sku: `${type}:${item.id}@${item.version}`,
+        amount: -price,
+        description: `${item.name} room type`,
+        balance: balance - price,
+        createdAt: Date.now()
+      };
+
+      transaction.update(userRef, {
+        credits: entry.balance,
+        [field]: FieldValue.arrayUnion(key)
+      });
+      transaction.set(entryRef, entry);
+
+      return { key, type, alreadyUnlocked: false, balance: entry.balance, transaction: { id: entryRef.id, ...entry } };
+    });
+  }
+
+  /**
+   * Publish the room types and their unlock requirements to the plugins collection
+   * Only writes when something changed since the last publish
+   * @param {Array} plugins - Manifests in the plugin catalog
+   * @returns {Promise<boolean>} Whether anything was written
+   */
+  async function publishCatalog(plugins) {
+    const entries = plugins
+      .filter(plugin => plugin.definesRoomType)
+      .map(({ id, name, version, requiresUnlock, unlockKey, price }) => ({ id, name, version, requiresUnlock, unlockKey, price }));
+
+    const signature = JSON.stringify(entries);
+    if (signature === publishedCatalog) return false;
+
+    const batch = db.batch();
+    entries.forEach(entry => batch.set(db.collection(PLUGINS_COLLECTION).doc(entry.id), entry));
+    await batch.commit();
+
+    publishedCatalog = signature;
+    return true;
+  }
+
+  return { grant, publishCatalog };
+}
+
+module.exports = { createUnlockService, UNLOCK_FIELDS, PAYMENT_METHODS };